@@ -7,6 +7,8 @@
 
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import esbuild from 'esbuild';
 import { getConfig, validateConfig } from './config/environments.js';
 const pkg = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
 
@@ -16,15 +18,51 @@ class BuildOptimizer {
     this.buildDir = 'dist';
     this.environment = process.env.NODE_ENV || 'development';
     this.deployTarget = process.env.DEPLOY_TARGET || 'firebase';
+    // `node build.js --analyze` reports per-module bundle sizes regardless of performance.bundleAnalysis
+    this.analyze = process.argv.includes('--analyze');
     this.jsFiles = [
       'parameter-parser.js',
+      'security-service.js',
+      'replay-guard.js',
       'decryption-service.js',
+      'tracking-pixels.js',
+      'viewability-tracker.js',
+      'attribution-store.js',
+      'service-worker-manager.js',
       'display-controller.js',
       'click-handler.js',
       'firebase-service.js',
       'error-handler.js',
+      'experiment-service.js',
       'app.js'
     ];
+    // Built files the service worker precaches ('./' is served index.html by the hosting rewrite)
+    this.precacheFiles = [
+      'index.html',
+      'app.bundle.min.js',
+      'styles.css',
+      'browser-compatibility.css',
+      'env-config.js',
+      'analytics.js',
+      'fallback.gif'
+    ];
+    // Origins Google Analytics / Firebase need beyond the script tags already in the HTML
+    this.analyticsOrigins = {
+      script: ['https://www.googletagmanager.com'],
+      connect: ['https://*.googleapis.com', 'https://*.google-analytics.com', 'https://*.analytics.google.com', 'https://www.googletagmanager.com'],
+      img: ['https://*.google-analytics.com', 'https://www.googletagmanager.com']
+    };
+    // Firebase SDK scripts pinned to a version in the HTML; firebase.selfHostSdk copies them into dist/vendor
+    this.firebaseSdkRegex = /^https:\/\/www\.gstatic\.com\/firebasejs\/(\d+\.\d+\.\d+)\/(firebase-[\w-]+\.js)$/;
+    this.vendorDir = 'vendor';
+    // Integrity hashes of downloaded scripts, so each URL is fetched once per build
+    this.integrityCache = new Map();
+    // Headers the build sets on every Firebase Hosting response (the rewrite serves index.html for any path)
+    this.securityHeaders = {
+      'X-Content-Type-Options': 'nosniff',
+      'X-Frame-Options': 'DENY',
+      'Referrer-Policy': 'strict-origin-when-cross-origin'
+    };
   }
 
   /**
@@ -35,14 +73,17 @@ class BuildOptimizer {
     try {
       // Create build directory
       this.ensureBuildDir();
+      // Resolve environment config first: it controls source maps and bundle analysis
+      const envConfig = this.generateEnvironmentConfig();
+      // Hash a pinned gtag.js before env-config.js is written, so the page can check it
+      await this.pinAnalyticsScript(envConfig);
       // Copy and optimize HTML
       await this.optimizeHTML();
       // Bundle and minify JavaScript
-      await this.bundleAndMinifyJS();
+      await this.bundleAndMinifyJS(envConfig);
       // Optimize CSS
       await this.optimizeCSS();
       // Write environment config
-      const envConfig = this.generateEnvironmentConfig();
       fs.writeFileSync(
         path.join(this.buildDir, 'env-config.js'),
         `window.ENV_CONFIG = ${JSON.stringify(envConfig, null, 2)};\n`
@@ -53,6 +94,12 @@ class BuildOptimizer {
       await this.copyAssets();
       // Generate deployment-specific files
       await this.generateDeploymentFiles();
+      // Integrity for external scripts once every HTML file exists (self-hosting rewrites their src)
+      await this.addSubresourceIntegrity(envConfig);
+      // CSP after every HTML file is final: it hashes their inline scripts
+      await this.generateSecurityHeaders(envConfig);
+      // Service worker last: it hashes the final contents of every precached file
+      await this.generateServiceWorker();
       console.log('✅ Build complete!');
     } catch (error) {
       console.error('❌ Build failed:', error);
@@ -109,22 +156,25 @@ class BuildOptimizer {
   }
 
   /**
-   * Bundle and minify JavaScript files
+   * Bundle the ES modules imported by app.js into one minified script
+   * Unused exports are tree-shaken; performance.sourceMap adds a linked source map
+   * @param {Object} envConfig - Resolved environment config
    */
-  async bundleAndMinifyJS() {
+  async bundleAndMinifyJS(envConfig) {
     console.log('📦 Bundling and minifying JavaScript with esbuild...');
-    const esbuild = await import('esbuild');
+    const performanceConfig = envConfig.performance || {};
     
     const entryPoint = path.resolve(this.sourceDir, 'app.js');
+    const outfile = path.join(this.buildDir, 'app.bundle.min.js');
     console.log('🔍 Entry point:', entryPoint);
     
-    const result = await esbuild.default.build({
+    const result = await esbuild.build({
       entryPoints: [entryPoint],
       bundle: true,
       minify: true,
-      minifyIdentifiers: true,
-      minifySyntax: true,
-      outfile: path.join(this.buildDir, 'app.bundle.min.js'),
+      treeShaking: true,
+      sourcemap: performanceConfig.sourceMap ? 'linked' : false,
+      outfile,
       format: 'iife',
       target: ['es2017'],
       platform: 'browser',
@@ -140,12 +190,41 @@ class BuildOptimizer {
       logLevel: 'info'
     });
     
-    if (result.metafile) {
-      const analysis = await esbuild.default.analyzeMetafile(result.metafile);
-      console.log('📊 Bundle analysis:', analysis);
+    if (this.analyze || performanceConfig.bundleAnalysis) {
+      this.reportModuleSizes(result.metafile, outfile);
     }
     
-    console.log('✅ JavaScript bundled and minified with esbuild');
+    console.log(`✅ JavaScript bundled and minified with esbuild${performanceConfig.sourceMap ? ' (with source map)' : ''}`);
+  }
+
+  /**
+   * Print how much each source module contributes to the minified bundle
+   * @param {Object} metafile - esbuild metafile
+   * @param {string} outfile - Bundle path as passed to esbuild
+   */
+  reportModuleSizes(metafile, outfile) {
+    const output = metafile.outputs[outfile.split(path.sep).join('/')];
+    if (!output) {
+      return;
+    }
+
+    const modules = Object.entries(output.inputs)
+      .map(([file, input]) => ({ file, bytes: input.bytesInOutput }))
+      .filter(module => module.bytes > 0)
+      .sort((a, b) => b.bytes - a.bytes);
+    const moduleBytes = modules.reduce((sum, module) => sum + module.bytes, 0);
+    const formatRow = (label, bytes) =>
+      `  ${label.padEnd(40)} ${(bytes / 1024).toFixed(1).padStart(7)}KB ${(bytes / output.bytes * 100).toFixed(1).padStart(6)}%`;
+
+    console.log(`📊 Bundle analysis (${(output.bytes / 1024).toFixed(1)}KB total):`);
+    modules.forEach(module => console.log(formatRow(module.file, module.bytes)));
+    console.log(formatRow('(banner and bundler runtime)', output.bytes - moduleBytes));
+
+    // Inputs that were bundled but contributed nothing were removed entirely by tree-shaking
+    const removed = Object.keys(metafile.inputs).filter(file => !modules.some(module => module.file === file));
+    if (removed.length > 0) {
+      console.log('🌳 Tree-shaken away:', removed.join(', '));
+    }
   }
 
   /**
@@ -180,7 +259,12 @@ class BuildOptimizer {
     let assets = ['robots.txt', 'fallback.gif', 'ai-agent-promo.html', 'analytics.js', 'privacy_policy.html']
     for (const asset of assets) {
       const assetPath = path.join(this.sourceDir, asset);
-      if (fs.existsSync(assetPath)) {
+      if (!fs.existsSync(assetPath)) continue;
+      if (asset.endsWith('.js')) {
+        // Standalone scripts outside the bundle are minified on their own
+        fs.writeFileSync(path.join(this.buildDir, asset), this.minifyJS(fs.readFileSync(assetPath, 'utf8')));
+        console.log(`✅ ${asset} minified`);
+      } else {
         fs.copyFileSync(assetPath, path.join(this.buildDir, asset));
         console.log(`✅ ${asset} copied`);
       }
@@ -216,32 +300,84 @@ class BuildOptimizer {
     console.log('✅ Cache manifest generated');
   }
 
+  /**
+   * Generate the service worker with the precache list and content hashes of the built files
+   * The version is derived from the hashes, so any changed file produces a new worker
+   */
+  async generateServiceWorker() {
+    console.log('⚙️ Generating service worker...');
+
+    const swPath = path.join(this.sourceDir, 'sw.js');
+    const precacheBlockRegex = /\/\/ build:precache[\s\S]*?\/\/ \/build:precache/;
+    const source = fs.readFileSync(swPath, 'utf8');
+    if (!precacheBlockRegex.test(source)) {
+      throw new Error('sw.js is missing the build:precache block');
+    }
+
+    const entries = this.precacheFiles
+      .filter(file => fs.existsSync(path.join(this.buildDir, file)))
+      .map(file => ({ url: file, revision: this.hashFile(path.join(this.buildDir, file)) }));
+    const indexEntry = entries.find(entry => entry.url === 'index.html');
+    if (indexEntry) {
+      entries.unshift({ url: './', revision: indexEntry.revision });
+    }
+
+    const version = `${pkg.version}-${this.hashContent(entries.map(entry => `${entry.url}@${entry.revision}`).join('\n'))}`;
+    const precacheBlock = [
+      '// Generated by build.js - do not edit',
+      `const SW_VERSION = '${version}';`,
+      `const CACHE_URLS = ${JSON.stringify(entries, null, 2)};`
+    ].join('\n');
+
+    fs.writeFileSync(path.join(this.buildDir, 'sw.js'), source.replace(precacheBlockRegex, precacheBlock));
+    console.log(`✅ Service worker ${version} generated (${entries.length} precached files)`);
+  }
+
+  /**
+   * Short content hash of a file
+   * @param {string} filePath - File to hash
+   * @returns {string} First 10 hex characters of its SHA-256
+   */
+  hashFile(filePath) {
+    return this.hashContent(fs.readFileSync(filePath));
+  }
+
+  /**
+   * Short content hash
+   * @param {string|Buffer} content - Content to hash
+   * @returns {string} First 10 hex characters of its SHA-256
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+  }
+
   /**
    * Basic HTML minification
+   * Inline scripts are minified with esbuild instead: collapsing their whitespace would turn
+   * everything after a // comment into part of the comment
    */
   minifyHTML(html) {
-    return html
+    const inlineScripts = [];
+    const withPlaceholders = html.replace(/(<script\b(?![^>]*\bsrc=)[^>]*>)([\s\S]*?)(<\/script>)/gi, (match, open, body, close) => {
+      inlineScripts.push(body.trim() ? this.minifyJS(body) : '');
+      return `${open}__INLINE_SCRIPT_${inlineScripts.length - 1}__${close}`;
+    });
+
+    return withPlaceholders
       .replace(/\s+/g, ' ')
       .replace(/>\s+</g, '><')
       .replace(/\s+>/g, '>')
       .replace(/<!--[\s\S]*?-->/g, '')
-      .trim();
+      .trim()
+      .replace(/__INLINE_SCRIPT_(\d+)__/g, (match, index) => inlineScripts[Number(index)]);
   }
 
   /**
-   * Basic JavaScript minification
+   * Minify a standalone script by parsing it, so strings and regexes survive intact
+   * Top-level names are kept: classic scripts share them as globals
    */
   minifyJS(js) {
-    return js
-      .replace(/\/\*[\s\S]*?\*\//g, '') // Remove block comments
-      .replace(/\/\/.*$/gm, '') // Remove line comments
-      .replace(/\s+/g, ' ') // Collapse whitespace
-      .replace(/;\s*}/g, '}') // Remove semicolons before closing braces
-      .replace(/\s*{\s*/g, '{') // Clean up braces
-      .replace(/\s*}\s*/g, '}')
-      .replace(/\s*,\s*/g, ',') // Clean up commas
-      .replace(/\s*;\s*/g, ';') // Clean up semicolons
-      .trim();
+    return esbuild.transformSync(js, { loader: 'js', minify: true }).code.trim();
   }
 
   /**
@@ -321,13 +457,335 @@ class BuildOptimizer {
 </html>`;
   }
 
+  /**
+   * Add Subresource Integrity to every external script in the built pages
+   * The Firebase SDK tags pin a version, so their hash stays valid; with firebase.selfHostSdk they
+   * are served from dist/vendor instead, copied from the installed firebase package
+   * @param {Object} envConfig - Resolved environment config
+   */
+  async addSubresourceIntegrity(envConfig) {
+    console.log('🔐 Adding Subresource Integrity to external scripts...');
+    const selfHostSdk = Boolean(envConfig.firebase && envConfig.firebase.selfHostSdk);
+    const externalScriptRegex = /<script\b([^>]*?)\bsrc=["']((?:https?:)?\/\/[^"']+)["']([^>]*)>/gi;
+    const htmlFiles = fs.readdirSync(this.buildDir).filter(file => file.endsWith('.html'));
+    let pinned = 0;
+
+    for (const htmlFile of htmlFiles) {
+      const htmlPath = path.join(this.buildDir, htmlFile);
+      let html = fs.readFileSync(htmlPath, 'utf8');
+
+      for (const [tag, before, src, after] of Array.from(html.matchAll(externalScriptRegex))) {
+        if (/\bintegrity=/i.test(tag)) continue;
+        const url = src.startsWith('//') ? `https:${src}` : src;
+
+        let replacement;
+        if (selfHostSdk && this.firebaseSdkRegex.test(url)) {
+          const localPath = this.selfHostFirebaseScript(url);
+          const integrity = this.integrityOf(fs.readFileSync(path.join(this.buildDir, localPath)));
+          replacement = `<script${before}src="${localPath}" integrity="${integrity}"${after}>`;
+        } else {
+          // Cross-origin scripts must be fetched with CORS for the browser to check the hash
+          const crossorigin = /\bcrossorigin\b/i.test(tag) ? '' : ' crossorigin="anonymous"';
+          replacement = `<script${before}src="${src}" integrity="${await this.fetchIntegrity(url)}"${crossorigin}${after}>`;
+        }
+
+        html = html.replace(tag, replacement);
+        pinned++;
+      }
+
+      fs.writeFileSync(htmlPath, html);
+    }
+
+    console.log(`✅ Subresource Integrity added to ${pinned} scripts${selfHostSdk ? ' (Firebase SDK self-hosted)' : ''}`);
+  }
+
+  /**
+   * Copy a pinned Firebase SDK script from node_modules into dist/vendor and precache it
+   * @param {string} url - gstatic URL of the script
+   * @returns {string} Path of the copy, relative to the build directory
+   */
+  selfHostFirebaseScript(url) {
+    const [, version, file] = url.match(this.firebaseSdkRegex);
+    const packageDir = path.join('node_modules', 'firebase');
+    const installed = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8')).version;
+    if (installed !== version) {
+      throw new Error(`HTML pins Firebase SDK ${version} but firebase ${installed} is installed; update the script tags or install firebase@${version}`);
+    }
+
+    const sourcePath = path.join(packageDir, file);
+    if (!fs.existsSync(sourcePath)) {
+      throw new Error(`${file} is not part of the installed firebase package`);
+    }
+
+    const localPath = `${this.vendorDir}/firebase/${version}/${file}`;
+    fs.mkdirSync(path.join(this.buildDir, path.dirname(localPath)), { recursive: true });
+    fs.copyFileSync(sourcePath, path.join(this.buildDir, localPath));
+    // The script ends with a sourceMappingURL comment
+    if (fs.existsSync(`${sourcePath}.map`)) {
+      fs.copyFileSync(`${sourcePath}.map`, path.join(this.buildDir, `${localPath}.map`));
+    }
+
+    if (!this.precacheFiles.includes(localPath)) {
+      this.precacheFiles.push(localPath);
+    }
+    return localPath;
+  }
+
+  /**
+   * Set analytics.googleAnalytics.integrity for a pinned copy of gtag.js (googleAnalytics.scriptUrl)
+   * The default googletagmanager.com script is unversioned, so it is left without a hash
+   * @param {Object} envConfig - Resolved environment config
+   */
+  async pinAnalyticsScript(envConfig) {
+    const googleAnalytics = envConfig.analytics && envConfig.analytics.googleAnalytics;
+    if (!googleAnalytics || !googleAnalytics.scriptUrl || googleAnalytics.integrity) {
+      return;
+    }
+    if (!/^https:\/\//.test(googleAnalytics.scriptUrl)) {
+      console.warn(`⚠️ ${googleAnalytics.scriptUrl} is not an https URL - set analytics.googleAnalytics.integrity yourself`);
+      return;
+    }
+
+    googleAnalytics.integrity = await this.fetchIntegrity(googleAnalytics.scriptUrl);
+    console.log(`🔐 Pinned ${googleAnalytics.scriptUrl} (${googleAnalytics.integrity})`);
+  }
+
+  /**
+   * Download a script and compute its integrity hash
+   * @param {string} url - Script URL
+   * @returns {Promise<string>} Integrity value ('sha384-...')
+   */
+  async fetchIntegrity(url) {
+    if (this.integrityCache.has(url)) {
+      return this.integrityCache.get(url);
+    }
+    if (typeof fetch !== 'function') {
+      throw new Error(`Computing the integrity of ${url} needs Node.js 18 or later (global fetch)`);
+    }
+
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      throw new Error(`Could not download ${url} to compute its integrity (${(error.cause && error.cause.code) || error.message}); build with network access or set firebase.selfHostSdk`);
+    }
+    if (!response.ok) {
+      throw new Error(`Could not download ${url} to compute its integrity (HTTP ${response.status})`);
+    }
+
+    const integrity = this.integrityOf(Buffer.from(await response.arrayBuffer()));
+    this.integrityCache.set(url, integrity);
+    return integrity;
+  }
+
+  /**
+   * Subresource Integrity value for some content
+   * @param {string|Buffer} content - Script contents
+   * @returns {string} 'sha384-' followed by the base64 digest
+   */
+  integrityOf(content) {
+    return `sha384-${crypto.createHash('sha384').update(content).digest('base64')}`;
+  }
+
+  /**
+   * Resolve security.csp, which is either a boolean or an options object
+   * @param {Object} envConfig - Resolved environment config
+   * @returns {{enabled: boolean, imageOrigins: Array<string>, connectOrigins: Array<string>, reportUri: string|null}}
+   */
+  getCspSettings(envConfig) {
+    const csp = (envConfig.security && envConfig.security.csp) || false;
+    const options = typeof csp === 'object' ? csp : { enabled: csp === true };
+    const imageOrigins = Array.isArray(options.imageOrigins) ? options.imageOrigins : ['https:'];
+
+    return {
+      enabled: options.enabled !== false,
+      imageOrigins,
+      connectOrigins: Array.isArray(options.connectOrigins) ? options.connectOrigins : imageOrigins,
+      reportUri: options.reportUri || null
+    };
+  }
+
+  /**
+   * SHA-256 sources for the inline scripts of a page, over their exact built contents
+   * @param {string} html - Built HTML
+   * @returns {Array<string>} CSP hash sources ('sha256-...')
+   */
+  hashInlineScripts(html) {
+    const hashes = [];
+    const inlineScriptRegex = /<script\b(?![^>]*\bsrc=)[^>]*>([\s\S]*?)<\/script>/gi;
+    let match;
+    while ((match = inlineScriptRegex.exec(html)) !== null) {
+      if (match[1]) {
+        hashes.push(`'sha256-${crypto.createHash('sha256').update(match[1], 'utf8').digest('base64')}'`);
+      }
+    }
+    return hashes;
+  }
+
+  /**
+   * Origins of the external scripts a page loads (the Firebase SDK from gstatic)
+   * @param {string} html - Built HTML
+   * @returns {Array<string>} Origins
+   */
+  getExternalScriptOrigins(html) {
+    const origins = [];
+    const scriptSrcRegex = /<script\b[^>]*\bsrc=["'](https?:)?\/\/([^/"']+)[^"']*["']/gi;
+    let match;
+    while ((match = scriptSrcRegex.exec(html)) !== null) {
+      origins.push(`https://${match[2]}`);
+    }
+    return origins;
+  }
+
+  /**
+   * Build a strict Content-Security-Policy: no inline script without a matching hash, no eval,
+   * no plugins; creatives and trackers may come from the configured origins
+   * @param {Object} envConfig - Resolved environment config
+   * @param {Object} sources - { scriptHashes, scriptOrigins } found in the built HTML
+   * @param {Object} [options] - { meta: true } leaves out directives a <meta> policy ignores
+   * @returns {string} Policy
+   */
+  buildContentSecurityPolicy(envConfig, sources, options = {}) {
+    const csp = this.getCspSettings(envConfig);
+    const analyticsEnabled = Boolean((envConfig.analytics && envConfig.analytics.enabled) ||
+      (envConfig.firebase && envConfig.firebase.enabled));
+    const analytics = analyticsEnabled ? this.analyticsOrigins : { script: [], connect: [], img: [] };
+    const googleAnalytics = (envConfig.analytics && envConfig.analytics.googleAnalytics) || {};
+    // A pinned gtag.js may be hosted elsewhere
+    const gtagOrigins = analyticsEnabled && /^https:\/\//.test(googleAnalytics.scriptUrl || '') ? [new URL(googleAnalytics.scriptUrl).origin] : [];
+    const clickUrls = (envConfig.security && envConfig.security.clickUrls) || {};
+    // Desktop deeplinks open in a hidden iframe, which CSP only allows for listed schemes
+    const deeplinkSchemes = Array.isArray(clickUrls.deeplinkSchemes) ? clickUrls.deeplinkSchemes.map(scheme => `${scheme}:`) : [];
+    const unique = (list) => Array.from(new Set(list));
+
+    const directives = {
+      'default-src': ["'self'"],
+      'script-src': unique(["'self'", ...sources.scriptHashes, ...sources.scriptOrigins, ...analytics.script, ...gtagOrigins]),
+      // Inline style attributes in the markup; styles cannot run script
+      'style-src': ["'self'", "'unsafe-inline'"],
+      'img-src': unique(["'self'", 'data:', ...csp.imageOrigins, ...analytics.img]),
+      'media-src': unique(["'self'", ...csp.imageOrigins]),
+      'connect-src': unique(["'self'", ...csp.connectOrigins, ...analytics.connect]),
+      'frame-src': unique(["'self'", ...deeplinkSchemes]),
+      'object-src': ["'none'"],
+      'base-uri': ["'self'"],
+      'form-action': ["'self'"]
+    };
+
+    if (!options.meta) {
+      directives['frame-ancestors'] = ["'none'"];
+      if (csp.reportUri) {
+        directives['report-uri'] = [csp.reportUri];
+      }
+    }
+
+    return Object.entries(directives).map(([name, values]) => `${name} ${values.join(' ')}`).join('; ');
+  }
+
+  /**
+   * Write the CSP into every built page as a <meta> fallback (GitHub Pages can't set headers)
+   * and, for Firebase Hosting, into the generated firebase.json together with the other security headers
+   * @param {Object} envConfig - Resolved environment config
+   */
+  async generateSecurityHeaders(envConfig) {
+    if (!this.getCspSettings(envConfig).enabled) {
+      console.log('🔒 Content Security Policy disabled for this environment');
+      if (this.deployTarget === 'firebase') {
+        this.writeFirebaseConfig(null);
+      }
+      return;
+    }
+
+    console.log('🔒 Generating Content Security Policy...');
+    const allSources = { scriptHashes: [], scriptOrigins: [] };
+    const htmlFiles = fs.readdirSync(this.buildDir).filter(file => file.endsWith('.html'));
+
+    for (const htmlFile of htmlFiles) {
+      const htmlPath = path.join(this.buildDir, htmlFile);
+      const html = fs.readFileSync(htmlPath, 'utf8').replace(/<meta http-equiv="Content-Security-Policy"[^>]*>\s*/i, '');
+      const sources = { scriptHashes: this.hashInlineScripts(html), scriptOrigins: this.getExternalScriptOrigins(html) };
+      allSources.scriptHashes.push(...sources.scriptHashes);
+      allSources.scriptOrigins.push(...sources.scriptOrigins);
+
+      const policy = this.buildContentSecurityPolicy(envConfig, sources, { meta: true });
+      fs.writeFileSync(htmlPath, html.replace(/<head>/i, `<head><meta http-equiv="Content-Security-Policy" content="${policy}">`));
+    }
+
+    if (this.deployTarget === 'firebase') {
+      this.writeFirebaseConfig(this.buildContentSecurityPolicy(envConfig, allSources));
+    }
+
+    console.log(`✅ Content Security Policy generated (${allSources.scriptHashes.length} inline script hashes)`);
+  }
+
+  /**
+   * Generate firebase.json from firebase.template.json with the CSP and security headers on every path
+   * They replace the same headers on narrower sources, which miss rewritten page URLs.
+   * firebase.json is build output (git-ignored); hosting settings are edited in the template
+   * @param {string|null} policy - Content-Security-Policy header value, or null when CSP is disabled
+   */
+  writeFirebaseConfig(policy) {
+    const templatePath = 'firebase.template.json';
+    if (!fs.existsSync(templatePath)) {
+      console.warn('⚠️ firebase.template.json not found - skipping firebase.json');
+      return;
+    }
+
+    const firebaseConfig = JSON.parse(fs.readFileSync(templatePath, 'utf8'));
+    const hosting = firebaseConfig.hosting || (firebaseConfig.hosting = {});
+    const managedKeys = ['Content-Security-Policy', ...Object.keys(this.securityHeaders)];
+
+    const headers = (hosting.headers || [])
+      .filter(entry => entry.source !== '**')
+      .map(entry => ({ ...entry, headers: entry.headers.filter(header => !managedKeys.includes(header.key)) }))
+      .filter(entry => entry.headers.length > 0);
+
+    headers.unshift({
+      source: '**',
+      headers: [
+        ...(policy ? [{ key: 'Content-Security-Policy', value: policy }] : []),
+        ...Object.entries(this.securityHeaders).map(([key, value]) => ({ key, value }))
+      ]
+    });
+    hosting.headers = headers;
+
+    fs.writeFileSync('firebase.json', `${JSON.stringify(firebaseConfig, null, 2)}\n`);
+    console.log('✅ firebase.json generated from firebase.template.json');
+  }
+
+  /**
+   * Remove keys that must not reach the browser
+   * Signing private keys never ship; once signatures are required, the AES keys only ship when
+   * signed payloads are also encrypted (then they can reveal a payload, but not forge one)
+   * @param {Object} config - Environment config
+   * @returns {Object} Config safe to write to env-config.js
+   */
+  stripSecrets(config) {
+    if (!config.decryption) {
+      return config;
+    }
+
+    const decryption = { ...config.decryption };
+    const signing = decryption.signing ? { ...decryption.signing } : null;
+    if (signing) {
+      delete signing.privateKeys;
+      decryption.signing = signing;
+
+      if (signing.required && !signing.encrypt) {
+        ['encryptionKey', 'keyring', 'currentKeyId', 'keyDerivation'].forEach(key => delete decryption[key]);
+      }
+    }
+
+    return { ...config, decryption };
+  }
+
   /**
    * Generate environment-specific configuration
    */
   generateEnvironmentConfig() {
     const envConfig = getConfig(this.environment, this.deployTarget);
     const config = {
-      ...envConfig,
+      ...this.stripSecrets(envConfig),
       environment: this.environment,
       deployTarget: this.deployTarget,
       buildTime: new Date().toISOString(),
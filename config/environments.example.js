@@ -16,20 +16,68 @@ const environments = {
     performanceMonitoring: false,
     firebase: {
       enabled: false,
+      selfHostSdk: true, // Serve the Firebase SDK from dist/vendor (copied from node_modules), so builds work offline
       config: {
         // Development Firebase config (if needed)
       }
     },
     security: {
       strictMode: false,
-      csp: false
+      csp: false,
+      clickUrls: {
+        allowedSchemes: ['https', 'http'], // Web schemes click_url, store URLs and expired_url may use
+        allowedDomains: [], // Hosts links may open (subdomains included); empty allows any host
+        deeplinkSchemes: null // Custom schemes deeplink_url and store URLs may use, e.g. ['myapp', 'market']; null allows any
+      },
+      replay: {
+        maxEntries: 200, // Links remembered per device for jti / max_opens limits
+        ttlDays: 30 // How long links without exp are remembered
+      },
+      tamperReporting: {
+        enabled: false // Report repeated auth tag and signature failures and base64 repairs through Firebase
+      }
     },
     performance: {
       bundleAnalysis: true,
       sourceMap: true
     },
+    clickMacros: {
+      stripUnknown: false, // true removes {macros} no value is known for; false leaves them for the partner
+      encoding: {} // Per-macro override: { macro_name: 'component' | 'none' }
+    },
+    attribution: {
+      ttlDays: 30, // Attribution window: visits within it reuse the click ID and count as returning
+      appendToClickUrl: true // Add click_id and campaign parameters to outbound click URLs
+    },
+    serviceWorker: {
+      updateMode: 'prompt' // New worker versions: 'silent' (take over on the next navigation) or 'prompt' (also offer a reload)
+    },
     decryption: {
-      encryptionKey: 'your-dev-key-here',
+      encryptionKey: 'your-dev-key-here', // Legacy key, also available as key ID 'default'
+      currentKeyId: 'dev-1', // Key ID used to mint new links
+      keyring: {
+        'dev-1': 'your-dev-key-here'
+      },
+      keyDerivation: {
+        algorithm: 'PBKDF2', // 'PBKDF2' | 'HKDF'; keys written as "base64:..." or "hex:..." are used raw
+        salt: 'your-dev-salt-here', // Per-deployment salt
+        iterations: 100000,
+        hash: 'SHA-256',
+        allowLegacy: true // Also accept links minted with the old pad/truncate key derivation
+      },
+      signing: {
+        enabled: false, // Mint signed links (see `npm run links -- keygen`); the page checks them against publicKeys
+        required: false, // Only open signed links; the build then ships no symmetric key (unless encrypt is on)
+        algorithm: 'ECDSA-P256', // 'ECDSA-P256' | 'Ed25519'
+        currentKeyId: 'sig-dev-1', // Signing key ID used to mint new links
+        publicKeys: {
+          'sig-dev-1': 'your-dev-public-key-here' // Base64 SPKI, shipped to the browser
+        },
+        privateKeys: {
+          'sig-dev-1': 'your-dev-private-key-here' // Base64 PKCS#8, used by the link CLI only and never shipped
+        },
+        encrypt: false // Also encrypt signed payloads with the keyring above; that key then ships but cannot forge links
+      },
       ALGORITHM: 'AES-GCM',
       KEY_LENGTH: 256,
       IV_LENGTH: 12,
@@ -42,13 +90,16 @@ const environments = {
     analytics: {
       enabled: true,
       googleAnalytics: {
-        trackingId: process.env.GA_TRACKING_ID || 'G-XXXXXXXXXX' // Production GA tracking ID
+        trackingId: process.env.GA_TRACKING_ID || 'G-XXXXXXXXXX', // Production GA tracking ID
+        scriptUrl: process.env.GA_SCRIPT_URL || null, // Pinned copy of gtag.js; the build computes its integrity hash
+        integrity: process.env.GA_SCRIPT_INTEGRITY || null
       }
     },
     errorReporting: true,
     performanceMonitoring: true,
     firebase: {
       enabled: true,
+      selfHostSdk: process.env.FIREBASE_SELF_HOST_SDK === 'true', // Otherwise the build downloads the gstatic SDK to compute its integrity hash
       config: {
         // Production Firebase config - fallback to environment variables if available
         apiKey: process.env.FIREBASE_API_KEY || "your-prod-api-key",
@@ -62,14 +113,73 @@ const environments = {
     },
     security: {
       strictMode: true,
-      csp: true
+      csp: {
+        enabled: true, // Generated by the build: firebase.json headers plus a <meta> fallback in every page
+        imageOrigins: ['https:'], // Creative hosts (img-src, media-src); narrow to your CDNs, e.g. ['https://cdn.example.com']
+        connectOrigins: ['https:'], // Tracking pixel hosts (sendBeacon goes through connect-src)
+        reportUri: process.env.CSP_REPORT_URI || null // Violation reports (header only)
+      },
+      clickUrls: {
+        allowedSchemes: ['https'], // Web schemes click_url, store URLs and expired_url may use
+        // Hosts links may open (subdomains included), e.g. CLICK_URL_DOMAINS=shop.example.com,apps.apple.com
+        allowedDomains: (process.env.CLICK_URL_DOMAINS || '').split(',').filter(Boolean),
+        deeplinkSchemes: (process.env.DEEPLINK_SCHEMES || '').split(',').filter(Boolean) // Custom schemes deeplink_url and store URLs may use
+      },
+      replay: {
+        maxEntries: 200, // Links remembered per device for jti / max_opens limits
+        ttlDays: 30 // How long links without exp are remembered
+      },
+      tamperReporting: {
+        enabled: true, // Report repeated auth tag and signature failures and base64 repairs through Firebase
+        windowMinutes: 10, // Window signals and reports are counted in
+        threshold: 3, // Failures of one type in the window before they are reported (one is usually an old link)
+        maxReports: 3 // Reports per device and window
+      }
     },
     performance: {
       bundleAnalysis: false,
       sourceMap: false
     },
+    clickMacros: {
+      stripUnknown: false, // true removes {macros} no value is known for; false leaves them for the partner
+      encoding: {} // Per-macro override: { macro_name: 'component' | 'none' }
+    },
+    attribution: {
+      ttlDays: 30, // Attribution window: visits within it reuse the click ID and count as returning
+      appendToClickUrl: true // Add click_id and campaign parameters to outbound click URLs
+    },
+    serviceWorker: {
+      updateMode: 'silent' // New worker versions: 'silent' (take over on the next navigation) or 'prompt' (also offer a reload)
+    },
     decryption: {
-      encryptionKey: process.env.DECRYPTION_KEY || 'your-prod-key-here',
+      encryptionKey: process.env.DECRYPTION_KEY || 'your-prod-key-here', // Legacy key, also available as key ID 'default'
+      currentKeyId: process.env.DECRYPTION_KEY_ID || 'prod-1', // Key ID used to mint new links
+      keyring: {
+        // Keep retired keys here until every link minted with them has expired
+        'prod-1': process.env.DECRYPTION_KEY || 'your-prod-key-here'
+      },
+      keyDerivation: {
+        algorithm: 'PBKDF2', // 'PBKDF2' | 'HKDF'; keys written as "base64:..." or "hex:..." are used raw
+        salt: process.env.DECRYPTION_SALT || 'your-prod-salt-here', // Per-deployment salt
+        iterations: 100000,
+        hash: 'SHA-256',
+        allowLegacy: true // Turn off once links minted with the old key derivation have expired
+      },
+      signing: {
+        // Signed links only, so the build ships no symmetric key; see "Migrating to signed links" in docs/DEPLOYMENT.md
+        enabled: true, // Mint signed links (see `npm run links -- keygen`); the page checks them against publicKeys
+        required: true, // Only open signed links; the build then ships no symmetric key (unless encrypt is on)
+        algorithm: 'ECDSA-P256', // 'ECDSA-P256' | 'Ed25519'
+        currentKeyId: process.env.SIGNING_KEY_ID || 'sig-prod-1', // Signing key ID used to mint new links
+        publicKeys: {
+          // Keep retired public keys here until every link signed with them has expired
+          'sig-prod-1': process.env.SIGNING_PUBLIC_KEY || 'your-prod-public-key-here' // Base64 SPKI, shipped to the browser
+        },
+        privateKeys: {
+          'sig-prod-1': process.env.SIGNING_PRIVATE_KEY || 'your-prod-private-key-here' // Base64 PKCS#8, used by the link CLI only and never shipped
+        },
+        encrypt: false // Also encrypt signed payloads with the keyring above; that key then ships but cannot forge links
+      },
       ALGORITHM: 'AES-GCM',
       KEY_LENGTH: 256,
       IV_LENGTH: 12,
@@ -89,6 +199,7 @@ const environments = {
     performanceMonitoring: true,
     firebase: {
       enabled: true,
+      selfHostSdk: false, // Load the SDK from gstatic with integrity hashes computed at build time
       config: {
         // GitHub Pages specific Firebase config
         apiKey: "your-ghp-api-key",
@@ -102,14 +213,70 @@ const environments = {
     },
     security: {
       strictMode: true,
-      csp: true
+      csp: {
+        enabled: true, // Generated by the build: firebase.json headers plus a <meta> fallback in every page
+        imageOrigins: ['https:'], // Creative hosts (img-src, media-src); narrow to your CDNs, e.g. ['https://cdn.example.com']
+        connectOrigins: ['https:'], // Tracking pixel hosts (sendBeacon goes through connect-src)
+        reportUri: process.env.CSP_REPORT_URI || null // Violation reports (header only)
+      },
+      clickUrls: {
+        allowedSchemes: ['https'], // Web schemes click_url, store URLs and expired_url may use
+        allowedDomains: ['your-domain.com', 'apps.apple.com', 'play.google.com'], // Hosts links may open (subdomains included)
+        deeplinkSchemes: ['your-app-scheme', 'market'] // Custom schemes deeplink_url and store URLs may use
+      },
+      replay: {
+        maxEntries: 200, // Links remembered per device for jti / max_opens limits
+        ttlDays: 30 // How long links without exp are remembered
+      },
+      tamperReporting: {
+        enabled: true, // Report repeated auth tag and signature failures and base64 repairs through Firebase
+        windowMinutes: 10, // Window signals and reports are counted in
+        threshold: 3, // Failures of one type in the window before they are reported (one is usually an old link)
+        maxReports: 3 // Reports per device and window
+      }
     },
     performance: {
       bundleAnalysis: false,
       sourceMap: false
     },
+    clickMacros: {
+      stripUnknown: false, // true removes {macros} no value is known for; false leaves them for the partner
+      encoding: {} // Per-macro override: { macro_name: 'component' | 'none' }
+    },
+    attribution: {
+      ttlDays: 30, // Attribution window: visits within it reuse the click ID and count as returning
+      appendToClickUrl: true // Add click_id and campaign parameters to outbound click URLs
+    },
+    serviceWorker: {
+      updateMode: 'silent' // New worker versions: 'silent' (take over on the next navigation) or 'prompt' (also offer a reload)
+    },
     decryption: {
-      encryptionKey: 'your-ghp-key-here',
+      encryptionKey: 'your-ghp-key-here', // Legacy key, also available as key ID 'default'
+      currentKeyId: 'ghp-1', // Key ID used to mint new links
+      keyring: {
+        'ghp-1': 'your-ghp-key-here'
+      },
+      keyDerivation: {
+        algorithm: 'PBKDF2', // 'PBKDF2' | 'HKDF'; keys written as "base64:..." or "hex:..." are used raw
+        salt: 'your-ghp-salt-here', // Per-deployment salt
+        iterations: 100000,
+        hash: 'SHA-256',
+        allowLegacy: true // Turn off once links minted with the old key derivation have expired
+      },
+      signing: {
+        // Signed links only, so the build ships no symmetric key; see "Migrating to signed links" in docs/DEPLOYMENT.md
+        enabled: true, // Mint signed links (see `npm run links -- keygen`); the page checks them against publicKeys
+        required: true, // Only open signed links; the build then ships no symmetric key (unless encrypt is on)
+        algorithm: 'ECDSA-P256', // 'ECDSA-P256' | 'Ed25519'
+        currentKeyId: 'sig-ghp-1', // Signing key ID used to mint new links
+        publicKeys: {
+          'sig-ghp-1': process.env.SIGNING_PUBLIC_KEY || 'your-ghp-public-key-here' // Base64 SPKI, shipped to the browser
+        },
+        privateKeys: {
+          'sig-ghp-1': process.env.SIGNING_PRIVATE_KEY || 'your-ghp-private-key-here' // Base64 PKCS#8, used by the link CLI only and never shipped
+        },
+        encrypt: false // Also encrypt signed payloads with the keyring above; that key then ships but cannot forge links
+      },
       ALGORITHM: 'AES-GCM',
       KEY_LENGTH: 256,
       IV_LENGTH: 12,
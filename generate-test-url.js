@@ -3,6 +3,15 @@ async function generateTestUrl() {
   const module = await import('./public/decryption-service.js');
   const DecryptionService = module.default;
   const service = new DecryptionService();
+  // Mint with the key from the environment when provided (same variables as config/environments.js)
+  if (process.env.DECRYPTION_KEY) {
+    const keyId = process.env.DECRYPTION_KEY_ID || service.DEFAULT_KEY_ID;
+    service.setEncryptionKey(process.env.DECRYPTION_KEY);
+    service.setKeyring({ [keyId]: process.env.DECRYPTION_KEY }, keyId);
+  }
+  if (process.env.DECRYPTION_SALT) {
+    service.setKeyDerivation({ salt: process.env.DECRYPTION_SALT });
+  }
   // Your test data
   const instructionSet = {
     image_url: 'https://dsp-material.advlove.io/upload/20230414/b906239c100cd2b8ababe97611381204.gif',
@@ -19,6 +28,7 @@ async function generateTestUrl() {
     url.searchParams.set('payload', encryptedPayload);
     console.log('Generated Test URL:');
     console.log(url.toString());
+    console.log(`\nKey ID: ${service.getCurrentKey().id}`);
     console.log('\nInstruction Set:');
     console.log(JSON.stringify(instructionSet, null, 2));
     return url.toString();
@@ -35,4 +45,4 @@ if (import.meta.url === process.argv[1] || import.meta.url === `file://${process
   generateTestUrl();
 }
 
-// Remove: module.exports = { generateTestUrl };
\ No newline at end of file
+// Remove: module.exports = { generateTestUrl };
@@ -7,14 +7,29 @@ class AnalyticsService {
     this.initialized = false;
     this.trackingId = null;
     this.utmParams = {};
+    this.eventContext = {}; // Parameters added to every event (e.g. experiment variant)
+  }
+
+  /**
+   * Set parameters reported on every subsequent event
+   * Applied through gtag('set') once gtag is available so GA's own events carry them too
+   * @param {Object} context - Event parameters, e.g. { experiment_id, experiment_variant }
+   */
+  setEventContext(context = {}) {
+    this.eventContext = { ...this.eventContext, ...context };
+
+    if (this.initialized && typeof window.gtag === 'function') {
+      gtag('set', this.eventContext);
+    }
   }
 
   /**
    * Initialize Google Analytics with UTM parameter support
    * @param {string} trackingId - Google Analytics tracking ID
+   * @param {Object} [scriptOptions] - { scriptUrl, integrity } for a pinned copy of gtag.js
    * @returns {Promise<void>}
    */
-  async initialize(trackingId) {
+  async initialize(trackingId, scriptOptions = {}) {
     if (this.initialized) {
       console.log('Analytics already initialized');
       return;
@@ -29,13 +44,18 @@ class AnalyticsService {
 
     try {
       // Load Google Analytics script
-      await this.loadGoogleAnalyticsScript(trackingId);
+      await this.loadGoogleAnalyticsScript(trackingId, scriptOptions);
       
       // Extract UTM parameters
       this.extractUtmParameters();
       
       // Initialize gtag
       this.initializeGtag();
+
+      // Apply event context set before initialization
+      if (Object.keys(this.eventContext).length > 0) {
+        gtag('set', this.eventContext);
+      }
       
       // Configure Google Analytics
       this.configureAnalytics();
@@ -56,13 +76,19 @@ class AnalyticsService {
 
   /**
    * Load Google Analytics script dynamically
+   * Google serves gtag.js unversioned and changes it without notice, so an integrity hash only
+   * works for a pinned copy (scriptUrl) whose hash is set alongside it
    * @param {string} trackingId - Google Analytics tracking ID
+   * @param {Object} [options] - Script options
+   * @param {string} [options.scriptUrl] - Pinned copy of gtag.js to load instead of googletagmanager.com
+   * @param {string} [options.integrity] - Subresource Integrity hash of that script ('sha384-...')
    * @returns {Promise<void>}
    */
-  loadGoogleAnalyticsScript(trackingId) {
+  loadGoogleAnalyticsScript(trackingId, options = {}) {
     return new Promise((resolve, reject) => {
       // Check if script already exists
-      const existingScript = document.querySelector(`script[src*="gtag/js?id=${trackingId}"]`);
+      const existingScript = document.querySelector(`script[src*="gtag/js?id=${trackingId}"]`) ||
+        (options.scriptUrl && document.querySelector(`script[src="${options.scriptUrl}"]`));
       if (existingScript) {
         resolve();
         return;
@@ -70,7 +96,11 @@ class AnalyticsService {
 
       const script = document.createElement('script');
       script.async = true;
-      script.src = `https://www.googletagmanager.com/gtag/js?id=${trackingId}`;
+      script.src = options.scriptUrl || `https://www.googletagmanager.com/gtag/js?id=${trackingId}`;
+      if (options.integrity) {
+        script.integrity = options.integrity;
+        script.crossOrigin = 'anonymous';
+      }
       
       script.onload = () => resolve();
       script.onerror = () => reject(new Error('Failed to load Google Analytics script'));
@@ -193,7 +223,8 @@ redacted   * Get clean URL without UTM parameters for page_location
     }
 
     const enhancedEventData = {
-      ...eventData
+      ...eventData,
+      ...this.eventContext
     };
 
     // Add campaign parameters in GA4 format
@@ -260,11 +291,11 @@ function initializeAnalyticsFromConfig() {
       window.ENV_CONFIG.analytics.googleAnalytics && 
       window.ENV_CONFIG.analytics.googleAnalytics.trackingId) {
     
-    const trackingId = window.ENV_CONFIG.analytics.googleAnalytics.trackingId;
+    const { trackingId, scriptUrl, integrity } = window.ENV_CONFIG.analytics.googleAnalytics;
     
     // Create global analytics instance
     window.analyticsService = new AnalyticsService();
-    window.analyticsService.initialize(trackingId);
+    window.analyticsService.initialize(trackingId, { scriptUrl, integrity });
     console.log('Google Analytics auto-initialized successfully');
   } else {
     console.log('Google Analytics disabled in configuration');
@@ -3,12 +3,15 @@
  * This class orchestrates all components and manages the complete application lifecycle
  */
 
-import DecryptionService from './decryption-service.js';
+import DecryptionService, { LinkExpiredError, BlockedUrlError } from './decryption-service.js';
 import DisplayController from './display-controller.js';
 import ClickHandler from './click-handler.js';
 import ErrorHandler from './error-handler.js';
 import FirebaseService from './firebase-service.js';
 import ParameterParser from './parameter-parser.js';
+import ExperimentService from './experiment-service.js';
+import AttributionStore from './attribution-store.js';
+import ServiceWorkerManager from './service-worker-manager.js';
 
 class App {
   constructor() {
@@ -18,13 +21,18 @@ class App {
       decryptionService: null,
       displayController: null,
       clickHandler: null,
-      errorHandler: null
+      errorHandler: null,
+      experimentService: null,
+      attributionStore: null,
+      serviceWorkerManager: null
     };
     
     this.state = {
       initialized: false,
       encryptedPayload: null,
       instructionSet: null,
+      experiment: null,
+      serviceWorkerVersion: null,
       currentPhase: 'initializing'
     };
     
@@ -56,6 +64,9 @@ class App {
       await this.initializeDecryptionService();
       await this.initializeDisplayController();
       await this.initializeClickHandler();
+      await this.initializeExperimentService();
+      await this.initializeAttributionStore();
+      await this.initializeServiceWorker();
 
       // Clear timeout
       clearTimeout(initTimeout);
@@ -93,20 +104,31 @@ class App {
       const decryptionResult = await this.decryptInstructionSet(parameterResult.payload);
       
       if (!decryptionResult.success) {
+        if (decryptionResult.expired) {
+          this.handleExpiredLink(decryptionResult);
+          return;
+        }
+        if (decryptionResult.blocked) {
+          this.handleBlockedLink(decryptionResult.blockedError);
+          return;
+        }
         this.handleFlowError('decryption', decryptionResult.error);
         return;
       }
 
+      // Apply the visitor's experiment variant before anything is displayed
+      const instructionSet = this.applyExperiment(decryptionResult.instructionSet);
+
       // 动态设置页面标题
-      if (decryptionResult.instructionSet && decryptionResult.instructionSet.title) {
-        document.title = decryptionResult.instructionSet.title;
+      if (instructionSet && instructionSet.title) {
+        document.title = instructionSet.title;
         var titleTag = document.getElementById('dynamic-title');
-        if (titleTag) titleTag.textContent = decryptionResult.instructionSet.title;
+        if (titleTag) titleTag.textContent = instructionSet.title;
       }
 
       // Phase 3: Load and display image
       this.updatePhase('loading_image');
-      const imageResult = await this.loadAndDisplayImage(decryptionResult.instructionSet);
+      const imageResult = await this.loadAndDisplayImage(instructionSet);
       
       if (!imageResult.success) {
         this.handleFlowError('image_loading', imageResult.error);
@@ -115,7 +137,7 @@ class App {
 
       // Phase 4: Setup click handling
       this.updatePhase('setting_up_interactions');
-      const clickResult = await this.setupClickHandling(decryptionResult.instructionSet);
+      const clickResult = await this.setupClickHandling(instructionSet);
       
       if (!clickResult.success) {
         this.handleFlowError('click_handling', clickResult.error);
@@ -252,12 +274,167 @@ class App {
     try {
       this.components.clickHandler = new ClickHandler();
       window.clickHandler = this.components.clickHandler;
+
+      // Webview detection lives with the other browser capabilities in the display controller
+      if (this.components.displayController && this.components.displayController.browser) {
+        const inAppBrowser = this.components.displayController.browser.inAppBrowser;
+        this.components.clickHandler.setInAppBrowser(inAppBrowser);
+        this.setInAppBrowserContext(inAppBrowser);
+      }
     } catch (error) {
       console.error('❌ Failed to initialize Click Handler:', error);
       this.handleComponentError('click_handler', error);
     }
   }
 
+  /**
+   * Report the detected webview as a dimension on every analytics event
+   * @param {string|null} inAppBrowser - Webview name, or null for a regular browser
+   */
+  setInAppBrowserContext(inAppBrowser) {
+    const context = { in_app_browser: inAppBrowser || 'none' };
+
+    if (this.components.firebaseService) {
+      this.components.firebaseService.setEventContext(context);
+    }
+
+    if (window.analyticsService) {
+      window.analyticsService.setEventContext(context);
+    }
+  }
+
+  /**
+   * Initialize Experiment Service
+   * @returns {Promise<void>}
+   */
+  async initializeExperimentService() {
+    try {
+      this.components.experimentService = new ExperimentService();
+    } catch (error) {
+      console.error('❌ Failed to initialize Experiment Service:', error);
+      this.handleComponentError('experiment_service', error);
+    }
+  }
+
+  /**
+   * Initialize the attribution store: resolve this visit's click ID and campaign, report them on
+   * every Firebase event and hand them to the click handler for outbound click URLs
+   * @returns {Promise<void>}
+   */
+  async initializeAttributionStore() {
+    try {
+      this.components.attributionStore = new AttributionStore();
+      const attribution = this.components.attributionStore.resolve(this.getCampaignParameters());
+      console.log(`🏷️ Attribution: ${attribution.visitor_type} visitor, click ID ${attribution.click_id}`);
+
+      if (this.components.firebaseService) {
+        this.components.firebaseService.setEventContext(this.components.attributionStore.getEventContext());
+      }
+
+      if (this.components.clickHandler) {
+        this.components.clickHandler.setAttribution(attribution);
+      }
+    } catch (error) {
+      console.error('❌ Failed to initialize Attribution Store:', error);
+      this.handleComponentError('attribution_store', error);
+    }
+  }
+
+  /**
+   * Initialize Service Worker Manager
+   * Registration waits for the page load event, so it runs in the background
+   * @returns {Promise<void>}
+   */
+  async initializeServiceWorker() {
+    try {
+      this.components.serviceWorkerManager = new ServiceWorkerManager();
+      this.components.serviceWorkerManager.register()
+        .then(version => this.setServiceWorkerVersion(version))
+        .catch(error => console.warn('⚠️ Service worker setup failed:', error));
+    } catch (error) {
+      console.error('❌ Failed to initialize Service Worker Manager:', error);
+      this.handleComponentError('service_worker', error);
+    }
+  }
+
+  /**
+   * Record the version of the service worker controlling the page and add it to analytics events
+   * @param {string|null} version - Worker version, null when the page is not controlled
+   */
+  setServiceWorkerVersion(version) {
+    this.state.serviceWorkerVersion = version;
+    if (!version) {
+      return;
+    }
+
+    console.log('⚙️ Service worker version:', version);
+    const context = { sw_version: version };
+
+    if (this.components.firebaseService) {
+      this.components.firebaseService.setEventContext(context);
+    }
+
+    if (window.analyticsService && typeof window.analyticsService.setEventContext === 'function') {
+      window.analyticsService.setEventContext(context);
+    }
+  }
+
+  /**
+   * Read the campaign parameters (UTM, gclid, ...) of the page URL with AnalyticsService's rules
+   * A separate instance is used so this works whether or not Google Analytics is enabled
+   * @returns {Object<string, string>} Campaign parameters
+   */
+  getCampaignParameters() {
+    if (typeof window.AnalyticsService !== 'function') {
+      return {};
+    }
+
+    const analytics = new window.AnalyticsService();
+    analytics.extractUtmParameters();
+    return analytics.getUtmParameters();
+  }
+
+  /**
+   * Bucket the visitor into the instruction set's experiment, apply the variant's overrides
+   * and report the variant on every subsequent analytics event
+   * @param {InstructionSet} instructionSet - The decrypted instruction set
+   * @returns {InstructionSet} Instruction set with the variant applied
+   */
+  applyExperiment(instructionSet) {
+    if (!instructionSet || !instructionSet.experiments || !this.components.experimentService) {
+      return instructionSet;
+    }
+
+    try {
+      const result = this.components.experimentService.resolve(instructionSet);
+      this.state.experiment = result.assignment;
+      this.state.instructionSet = result.instructionSet;
+
+      console.log(`🧪 Experiment ${result.assignment.experiment_id}: variant ${result.assignment.experiment_variant}`);
+
+      if (this.components.firebaseService) {
+        this.components.firebaseService.setEventContext(result.assignment);
+        this.components.firebaseService.trackUserInteraction('experiment_assigned');
+      }
+
+      if (window.analyticsService) {
+        window.analyticsService.setEventContext(result.assignment);
+        if (window.analyticsService.initialized) {
+          window.analyticsService.trackEvent('experiment_assigned');
+        }
+      }
+
+      return result.instructionSet;
+    } catch (error) {
+      // Fall back to the base instruction set rather than failing the page
+      console.error('❌ Failed to apply experiment:', error);
+      if (this.components.firebaseService) {
+        this.components.firebaseService.reportError(error, 'experiment_service');
+      }
+      return instructionSet;
+    }
+  }
+
   /**
    * Parse URL parameters and extract encrypted payload
    * @returns {Promise<Object>} Result object with success status and payload/error
@@ -330,6 +507,9 @@ class App {
       const instructionSet = await this.components.decryptionService.decrypt(encryptedPayload);
       const processingTime = performance.now() - startTime;
 
+      // Single-use (jti) and max_opens links: count this open on the device before anything is shown
+      // (reloading the tab that opened the link, e.g. after a service worker update, is not counted again)
+      this.components.decryptionService.recordOpen(encryptedPayload, instructionSet);
 
       this.state.instructionSet = instructionSet;
 
@@ -339,6 +519,29 @@ class App {
       }
       return { success: true, instructionSet: instructionSet };
     } catch (error) {
+      // Expired / not-yet-active links decrypted fine; they are an expected outcome, not a failure
+      if (error instanceof LinkExpiredError) {
+        if (this.components.firebaseService) {
+          this.components.firebaseService.trackUserInteraction('link_expired', {
+            reason: error.reason,
+            has_expired_url: !!error.expiredUrl
+          });
+        }
+
+        return {
+          success: false,
+          expired: true,
+          reason: error.reason,
+          expiredUrl: error.expiredUrl,
+          error: error.message
+        };
+      }
+
+      // A URL outside the click URL policy: the payload opened but must not be followed
+      if (error instanceof BlockedUrlError) {
+        return { success: false, blocked: true, blockedError: error, error: error.message };
+      }
+
       console.error('❌ Failed to decrypt instruction set:', error.message);
       
       // Track decryption failure
@@ -362,15 +565,41 @@ class App {
         throw new Error('Display Controller not initialized');
       }
 
+      // Impression pixels fire once the display controller has rendered the creative
+      this.components.displayController.setImpressionTrackers(instructionSet.impression_trackers);
+
+      // Multiple creatives: the display controller picks, rotates and tracks each impression itself
+      if (instructionSet.creatives) {
+        await this.components.displayController.loadCreatives(instructionSet.creatives, {
+          mode: instructionSet.rotation_mode,
+          interval: instructionSet.rotation_interval
+        });
+        this.updateUIState('image-ready');
+        return { success: true };
+      }
+
+      // Video creative: the display controller tracks playback and falls back to image_url itself
+      if (instructionSet.video_sources) {
+        await this.components.displayController.loadVideo(instructionSet.video_sources, {
+          posterUrl: instructionSet.poster_url,
+          fallbackImageUrl: instructionSet.image_url
+        });
+        this.updateUIState('image-ready');
+        return { success: true };
+      }
+
       const imageUrl = instructionSet.image_url;
       const startTime = performance.now();
       
-      await this.components.displayController.loadImage(imageUrl);
+      // Responsive variants and format alternatives: the display controller picks the URL for this browser
+      const imageInfo = instructionSet.image_variants
+        ? await this.components.displayController.loadResponsiveImage(instructionSet.image_variants, imageUrl)
+        : await this.components.displayController.loadImage(imageUrl, instructionSet.image_alternatives);
       const loadTime = performance.now() - startTime;
       
       // Track successful image load
       if (this.components.firebaseService) {
-        this.components.firebaseService.trackImageLoad(imageUrl, loadTime, true);
+        this.components.firebaseService.trackImageLoad((imageInfo && imageInfo.url) || imageUrl, loadTime, true);
       }
 
       // Update UI state
@@ -381,9 +610,11 @@ class App {
     } catch (error) {
       console.error('❌ Failed to load and display image:', error);
       
-      // Track image load failure
+      // Track image load failure (creative failures are tracked per creative by the display controller)
       if (this.components.firebaseService) {
-        this.components.firebaseService.trackImageLoad(instructionSet.image_url, 0, false);
+        if (!instructionSet.creatives) {
+          this.components.firebaseService.trackImageLoad(instructionSet.image_url, 0, false);
+        }
         this.components.firebaseService.reportError(error, 'image_loading');
       }
 
@@ -402,8 +633,29 @@ class App {
         throw new Error('Click Handler not initialized');
       }
 
+      // Keep clicks pointed at whichever creative is on screen
+      if (instructionSet.creatives && this.components.displayController) {
+        const clickHandler = this.components.clickHandler;
+        clickHandler.setActiveCreative(this.components.displayController.getCurrentCreative());
+        this.components.displayController.onCreativeChange(creative => clickHandler.setActiveCreative(creative));
+      }
+
+      // Values for {macros} in click and deeplink URLs
+      this.components.clickHandler.setMacroContext({
+        pageParams: this.components.parameterParser ? this.components.parameterParser.getAllParams() : {},
+        variant: this.state.experiment ? this.state.experiment.experiment_variant : null
+      });
+
       // Initialize click handler with the decrypted instruction set
       this.components.clickHandler.initialize(instructionSet);
+
+      // Overlay goes up once clicks are live; its CTA is handled by the click handler
+      if (instructionSet.overlay && this.components.displayController) {
+        this.components.displayController.renderOverlay(instructionSet.overlay);
+        if (instructionSet.overlay.countdown) {
+          this.components.displayController.startOverlayCountdown(this.components.clickHandler.getAutoClickDeadline());
+        }
+      }
       
       // Log auto-click status for debugging
       if (instructionSet.auto_click) {
@@ -427,6 +679,8 @@ class App {
     const loadingState = document.getElementById('loading-state');
     const errorState = document.getElementById('error-state');
     const errorMessage = document.getElementById('error-message');
+    const campaignEndedState = document.getElementById('campaign-ended-state');
+    const campaignEndedMessage = document.getElementById('campaign-ended-message');
 
     switch (state) {
       case 'initializing':
@@ -488,6 +742,22 @@ class App {
           }
         }
         break;
+
+      case 'campaign-ended':
+        console.log('⏰ Campaign ended:', message);
+        if (loadingState) {
+          loadingState.style.display = 'none';
+        }
+        if (errorState) {
+          errorState.style.display = 'none';
+        }
+        if (campaignEndedMessage) {
+          campaignEndedMessage.textContent = message || 'This campaign has ended.';
+        }
+        if (campaignEndedState) {
+          campaignEndedState.style.display = 'block';
+        }
+        break;
     }
   }
 
@@ -558,6 +828,49 @@ class App {
     }
   }
 
+  /**
+   * Show the "campaign ended" screen for a link outside its validity window
+   * and redirect to its expired_url when one is set
+   * @param {Object} result - Decryption result with reason and expiredUrl
+   */
+  handleExpiredLink(result) {
+    console.log(`⏰ Campaign link no longer valid: ${result.reason}`);
+    this.updatePhase('campaign_ended');
+
+    let message = 'This campaign has ended.';
+    const errorHandler = this.components.errorHandler;
+    if (errorHandler) {
+      message = errorHandler.generateUserFriendlyMessage({
+        type: errorHandler.ERROR_TYPES.LINK_EXPIRED,
+        metadata: { reason: result.reason }
+      });
+    }
+
+    this.updateUIState('campaign-ended', message);
+
+    if (result.expiredUrl) {
+      // replace() so the back button doesn't land on the expired link again
+      window.location.replace(result.expiredUrl);
+    }
+  }
+
+  /**
+   * Show the blocked-link interstitial for a payload whose URLs the click URL policy rejects
+   * @param {BlockedUrlError} error - The policy error
+   */
+  handleBlockedLink(error) {
+    console.warn(`🚫 Link blocked by the click URL policy: ${error.message}`);
+    this.updatePhase('link_blocked');
+
+    const errorHandler = this.components.errorHandler;
+    if (errorHandler) {
+      // Reports the error and shows the interstitial
+      errorHandler.handleError(error, errorHandler.ERROR_TYPES.SECURITY);
+    } else {
+      this.updateUIState('error', 'This link was blocked for your safety.');
+    }
+  }
+
   /**
    * Track successful application completion
    */
@@ -568,6 +881,8 @@ class App {
         has_auto_click: this.state.instructionSet?.auto_click || false,
         has_deeplink: !!this.state.instructionSet?.deeplink_url,
         has_click_url: !!this.state.instructionSet?.click_url,
+        creative_count: this.state.instructionSet?.creatives?.length || 1,
+        has_experiment: !!this.state.experiment,
         deeplink_priority: this.state.instructionSet?.deeplink_priority || false
       });
     }
@@ -600,6 +915,10 @@ class App {
       this.components.displayController.destroy();
     }
 
+    if (this.components.serviceWorkerManager) {
+      this.components.serviceWorkerManager.destroy();
+    }
+
     // Clear references
     Object.keys(this.components).forEach(key => {
       this.components[key] = null;
@@ -0,0 +1,140 @@
+/**
+ * AttributionStore - Click ID and campaign attribution persisted in the browser, no server needed
+ * The first visit generates a click ID and saves it with the campaign parameters for a TTL window;
+ * visits inside the window reuse it and count as returning
+ */
+
+/**
+ * Generate a click ID (shared with ClickHandler, which issues one per click)
+ * @returns {string} Click ID
+ */
+function generateClickId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+class AttributionStore {
+  constructor() {
+    const envConfig = window.ENV_CONFIG || {};
+    const attributionConfig = envConfig.attribution || {};
+
+    this.STORAGE_KEY = 'h5_attribution';
+    this.TTL_MS = (attributionConfig.ttlDays || 30) * 24 * 60 * 60 * 1000;
+    this.attribution = null;
+  }
+
+  /**
+   * Load the stored attribution, or start a new one when there is none or it has expired
+   * Campaign parameters on the current URL replace the stored ones (last touch wins);
+   * the click ID and the window stay those of the first visit
+   * @param {Object<string, string>} campaignParams - UTM and ad click parameters of this visit
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Attribution} Attribution for this visit
+   */
+  resolve(campaignParams = {}, now = Date.now()) {
+    const stored = this.read();
+    const hasCampaign = Object.keys(campaignParams).length > 0;
+
+    if (stored && stored.expires_at > now) {
+      this.attribution = {
+        ...stored,
+        campaign: hasCampaign ? { ...campaignParams } : stored.campaign,
+        visitor_type: 'returning'
+      };
+    } else {
+      this.attribution = {
+        click_id: this.generateClickId(),
+        campaign: { ...campaignParams },
+        first_seen: now,
+        expires_at: now + this.TTL_MS,
+        visitor_type: 'new'
+      };
+    }
+
+    this.write(this.attribution);
+    return this.attribution;
+  }
+
+  /**
+   * Get the attribution resolved for this visit
+   * @returns {Attribution|null}
+   */
+  getAttribution() {
+    return this.attribution;
+  }
+
+  /**
+   * Flatten the attribution into analytics event parameters
+   * @returns {Object} { click_id, visitor_type, utm_source, ... }
+   */
+  getEventContext() {
+    if (!this.attribution) {
+      return {};
+    }
+
+    return {
+      click_id: this.attribution.click_id,
+      visitor_type: this.attribution.visitor_type,
+      ...this.attribution.campaign
+    };
+  }
+
+  /**
+   * Generate a click ID
+   * @returns {string} Click ID
+   */
+  generateClickId() {
+    return generateClickId();
+  }
+
+  /**
+   * Read the stored attribution
+   * @returns {Object|null} Stored record, or null if missing, unreadable or malformed
+   */
+  read() {
+    try {
+      const record = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+      if (record && typeof record.click_id === 'string' && Number.isFinite(record.expires_at)) {
+        return { ...record, campaign: record.campaign || {} };
+      }
+    } catch (error) {
+      console.warn('AttributionStore: stored attribution unavailable, starting a new one');
+    }
+    return null;
+  }
+
+  /**
+   * Persist the attribution (visitor_type is per visit and not stored)
+   * @param {Attribution} attribution - Attribution to store
+   */
+  write(attribution) {
+    const record = { ...attribution };
+    delete record.visitor_type;
+
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(record));
+    } catch (error) {
+      // Keep the in-memory attribution for this page view
+    }
+  }
+}
+
+/**
+ * @typedef {Object} Attribution
+ * @property {string} click_id - Click ID generated on the first visit
+ * @property {Object<string, string>} campaign - UTM and ad click parameters (utm_source, gclid, ...)
+ * @property {number} first_seen - First visit time in milliseconds
+ * @property {number} expires_at - End of the attribution window in milliseconds
+ * @property {string} visitor_type - 'new' or 'returning'
+ */
+
+// Export for use in other modules and tests
+export default AttributionStore;
+export { generateClickId };
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.AttributionStore = AttributionStore;
+}
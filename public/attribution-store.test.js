@@ -0,0 +1,121 @@
+/**
+ * Tests for AttributionStore: click ID generation, the TTL window, new vs returning visitors,
+ * and attribution on outbound click URLs
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import AttributionStore from './attribution-store.js';
+import ClickHandler from './click-handler.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('AttributionStore', () => {
+  let store;
+
+  beforeEach(() => {
+    localStorage.clear();
+    window.ENV_CONFIG = {};
+    store = new AttributionStore();
+    vi.spyOn(store, 'generateClickId').mockReturnValue('click-1');
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+    vi.restoreAllMocks();
+  });
+
+  it('should start a new attribution on the first visit', () => {
+    const attribution = store.resolve({ utm_source: 'newsletter', gclid: 'g1' }, 1000);
+
+    expect(attribution).toEqual({
+      click_id: 'click-1',
+      campaign: { utm_source: 'newsletter', gclid: 'g1' },
+      first_seen: 1000,
+      expires_at: 1000 + 30 * DAY,
+      visitor_type: 'new'
+    });
+    expect(JSON.parse(localStorage.getItem('h5_attribution'))).not.toHaveProperty('visitor_type');
+  });
+
+  it('should mark repeat visits within the window as returning and keep the click ID', () => {
+    store.resolve({ utm_source: 'newsletter' }, 1000);
+
+    const attribution = new AttributionStore().resolve({}, 1000 + 10 * DAY);
+
+    expect(attribution.visitor_type).toBe('returning');
+    expect(attribution.click_id).toBe('click-1');
+    expect(attribution.campaign).toEqual({ utm_source: 'newsletter' });
+  });
+
+  it('should let a new campaign replace the stored one without extending the window', () => {
+    store.resolve({ utm_source: 'newsletter' }, 1000);
+
+    const attribution = new AttributionStore().resolve({ utm_source: 'social', utm_medium: 'cpc' }, 1000 + DAY);
+
+    expect(attribution.campaign).toEqual({ utm_source: 'social', utm_medium: 'cpc' });
+    expect(attribution.expires_at).toBe(1000 + 30 * DAY);
+  });
+
+  it('should start over once the window has expired', () => {
+    window.ENV_CONFIG = { attribution: { ttlDays: 7 } };
+    new AttributionStore().resolve({ utm_source: 'newsletter' }, 1000);
+
+    const nextStore = new AttributionStore();
+    vi.spyOn(nextStore, 'generateClickId').mockReturnValue('click-2');
+    const attribution = nextStore.resolve({}, 1000 + 7 * DAY);
+
+    expect(attribution.visitor_type).toBe('new');
+    expect(attribution.click_id).toBe('click-2');
+    expect(attribution.campaign).toEqual({});
+  });
+
+  it('should fall back to a per-visit attribution when localStorage is unavailable', () => {
+    vi.spyOn(Storage.prototype, 'getItem').mockImplementation(() => { throw new Error('SecurityError'); });
+    vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => { throw new Error('SecurityError'); });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(store.resolve({}, 1000).visitor_type).toBe('new');
+  });
+
+  it('should flatten the attribution into event parameters', () => {
+    store.resolve({ utm_source: 'newsletter' }, 1000);
+
+    expect(store.getEventContext()).toEqual({ click_id: 'click-1', visitor_type: 'new', utm_source: 'newsletter' });
+  });
+});
+
+describe('Attribution on outbound click URLs', () => {
+  let clickHandler;
+
+  beforeEach(() => {
+    window.ENV_CONFIG = {};
+    clickHandler = new ClickHandler();
+    clickHandler.setAttribution({
+      click_id: 'click-1',
+      campaign: { utm_source: 'newsletter', gclid: 'g1' },
+      visitor_type: 'returning'
+    });
+  });
+
+  afterEach(() => {
+    clickHandler.destroy();
+    vi.restoreAllMocks();
+  });
+
+  it('should add the click ID and campaign without overriding existing parameters', () => {
+    expect(clickHandler.prepareOutboundUrl('https://shop.example.com/p?utm_source=partner'))
+      .toBe('https://shop.example.com/p?utm_source=partner&click_id=click-1&gclid=g1');
+  });
+
+  it('should use the attribution click ID for the {click_id} macro', () => {
+    expect(clickHandler.prepareOutboundUrl('https://track.example.com/c?id={click_id}&v={visitor_type}'))
+      .toBe('https://track.example.com/c?id=click-1&v=returning&click_id=click-1&utm_source=newsletter&gclid=g1');
+  });
+
+  it('should leave custom schemes and disabled configs alone', () => {
+    expect(clickHandler.prepareOutboundUrl('market://details?id=com.example.app')).toBe('market://details?id=com.example.app');
+
+    window.ENV_CONFIG = { attribution: { appendToClickUrl: false } };
+    expect(clickHandler.prepareOutboundUrl('https://shop.example.com/p')).toBe('https://shop.example.com/p');
+  });
+});
@@ -3,16 +3,37 @@
  * Handles user interactions, deeplink attempts, and URL routing with fallback logic
  */
 
+import TrackingPixels from './tracking-pixels.js';
+import SecurityService, { BlockedUrlError } from './security-service.js';
+import { generateClickId } from './attribution-store.js';
+
 class ClickHandler {
   constructor() {
     this.instructionSet = null;
+    this.activeCreative = null; // Creative currently on screen when the payload carries creatives
+    this.inAppBrowser = null; // Detected webview ('wechat', 'facebook', ...) where deeplinks are blocked
     this.clickListenersSetup = false;
     this.autoClickTimer = null;
+    this.autoClickDeadline = null; // Timestamp (ms) the scheduled auto-click fires at
     this.isProcessingClick = false;
+    this.macroContext = { pageParams: {}, variant: null }; // Page-level values for click URL macros
+    this.clickId = null; // Click ID shared by every URL opened for the current click
+    this.attribution = null; // Persisted click ID and campaign from AttributionStore
+    this.trackingPixels = new TrackingPixels();
+    this.securityService = new SecurityService(); // Click URL policy, checked again on the final URL
     
     // Configuration
     this.DEFAULT_AUTO_CLICK_DELAY = 3000; // 3 seconds default
     this.DEEPLINK_TIMEOUT = 2000; // 2 seconds timeout for deeplink attempts
+    this.CLICK_TRACKER_TIMEOUT = 500; // Longest a click waits for its tracking pixels before navigating
+
+    // How macro values are written into URLs: 'component' (encodeURIComponent) unless listed here.
+    // Generated values are URL-safe already; ENV_CONFIG.clickMacros.encoding can override per macro
+    this.MACRO_ENCODING = {
+      click_id: 'none',
+      timestamp: 'none'
+    };
+    this.MACRO_PATTERN = /(?:\{|%7B)([A-Za-z0-9_]+)(?:\}|%7D)/gi;
   }
 
   /**
@@ -33,6 +54,95 @@ class ClickHandler {
     }
   }
 
+  /**
+   * Set the creative currently on screen so clicks open its URLs
+   * @param {Object|null} creative - Creative with id, click_url and deeplink_url
+   */
+  setActiveCreative(creative) {
+    this.activeCreative = creative || null;
+  }
+
+  /**
+   * Resolve the URLs a click should open: the active creative's, or the instruction set's
+   * @returns {{click_url: string|null, deeplink_url: string|null, deeplink_priority: boolean, creative_id: string|null}}
+   */
+  getClickTarget() {
+    const source = this.activeCreative || this.instructionSet;
+    return {
+      click_url: source.click_url || null,
+      deeplink_url: source.deeplink_url || null,
+      deeplink_priority: Boolean(this.instructionSet.deeplink_priority),
+      creative_id: this.activeCreative ? this.activeCreative.id : null
+    };
+  }
+
+  /**
+   * Enable in-app browser mode: deeplink clicks escape to the system browser or show a guide
+   * @param {string|null} inAppBrowser - Webview name from DisplayController.detectInAppBrowser
+   */
+  setInAppBrowser(inAppBrowser) {
+    this.inAppBrowser = inAppBrowser || null;
+  }
+
+  /**
+   * Set the page-level values click URL macros are filled from
+   * @param {Object} context - Macro context
+   * @param {Object<string, string>} [context.pageParams] - Page URL parameters (ParameterParser.getAllParams)
+   * @param {string|null} [context.variant] - Assigned experiment variant ID
+   */
+  setMacroContext(context = {}) {
+    this.macroContext = {
+      pageParams: context.pageParams || {},
+      variant: context.variant || null
+    };
+  }
+
+  /**
+   * Set the visit's attribution; its click ID replaces the per-click one and its campaign
+   * parameters are added to outbound click URLs
+   * @param {Attribution|null} attribution - Attribution from AttributionStore.resolve
+   */
+  setAttribution(attribution) {
+    this.attribution = attribution || null;
+  }
+
+  /**
+   * Resolve the action type for an interaction; overlay controls such as the CTA button
+   * declare their own with a data-click-action attribute
+   * @param {Event} event - The interaction event
+   * @param {string} defaultType - Action type for the page surface
+   * @returns {string} Action type
+   */
+  getActionType(event, defaultType) {
+    const target = event && event.target;
+    if (target && typeof target.closest === 'function') {
+      const control = target.closest('[data-click-action]');
+      if (control && control.dataset.clickAction) {
+        return control.dataset.clickAction;
+      }
+    }
+    return defaultType;
+  }
+
+  /**
+   * Whether an interaction comes from page-level UI marked with data-click-ignore, such as the
+   * in-app browser guide; those handle their own taps
+   * @param {Event} event - The interaction event
+   * @returns {boolean}
+   */
+  isIgnoredTarget(event) {
+    const target = event && event.target;
+    return Boolean(target && typeof target.closest === 'function' && target.closest('[data-click-ignore]'));
+  }
+
+  /**
+   * Get when the scheduled auto-click fires
+   * @returns {number|null} Timestamp in milliseconds, or null if none is scheduled
+   */
+  getAutoClickDeadline() {
+    return this.autoClickDeadline;
+  }
+
   /**
    * Set up click event listeners for the page with enhanced cross-device support
    */
@@ -88,6 +198,10 @@ class ClickHandler {
    * @param {MouseEvent} event - The click event
    */
   async handleClick(event) {
+    if (this.isIgnoredTarget(event)) {
+      return;
+    }
+
     // Prevent default behavior
     event.preventDefault();
     
@@ -98,7 +212,7 @@ class ClickHandler {
     }
 
     console.log('🖱️ Click event detected');
-    await this.processClickAction('manual_click');
+    await this.processClickAction(this.getActionType(event, 'manual_click'));
   }
 
   /**
@@ -144,6 +258,11 @@ class ClickHandler {
    * @param {TouchEvent} event - The touch end event
    */
   async handleTouchEnd(event) {
+    // Leave the tap alone so the marked UI still gets its click
+    if (this.isIgnoredTarget(event)) {
+      return;
+    }
+
     // Prevent default behavior to avoid duplicate click events
     event.preventDefault();
     
@@ -189,7 +308,7 @@ class ClickHandler {
     }
 
     console.log('👆 Valid touch end detected');
-    await this.processClickAction('manual_touch');
+    await this.processClickAction(this.getActionType(event, 'manual_touch'));
   }
 
   /**
@@ -216,6 +335,10 @@ class ClickHandler {
    * @param {PointerEvent} event - The pointer up event
    */
   async handlePointerUp(event) {
+    if (this.isIgnoredTarget(event)) {
+      return;
+    }
+
     if (!this.interactionState.isPointerActive) {
       return;
     }
@@ -231,7 +354,7 @@ class ClickHandler {
     // Only process pointer events if they're not duplicating touch/mouse events
     if (this.interactionState.lastInteractionType === 'pointer') {
       console.log('👉 Pointer up detected:', event.pointerType);
-      await this.processClickAction(`manual_${event.pointerType}`);
+      await this.processClickAction(this.getActionType(event, `manual_${event.pointerType}`));
     }
   }
 
@@ -258,7 +381,7 @@ class ClickHandler {
 
   /**
    * Process the click action based on instruction set configuration
-   * @param {string} actionType - Type of action ('manual_click', 'manual_touch', 'auto_click')
+   * @param {string} actionType - Type of action ('manual_click', 'manual_touch', 'auto_click', 'cta_click')
    */
   async processClickAction(actionType) {
     if (!this.instructionSet) {
@@ -267,33 +390,45 @@ class ClickHandler {
     }
 
     this.isProcessingClick = true;
+    this.clickId = this.generateClickId();
 
     try {
       console.log(`🎯 Processing ${actionType} action...`);
 
+      // Resolve URLs up front so a rotation mid-click can't switch the target
+      const target = this.getClickTarget();
+
       // Check if we have any URLs to work with
-      if (!this.instructionSet.click_url && !this.instructionSet.deeplink_url) {
+      if (!target.click_url && !target.deeplink_url) {
         console.log('ℹ️ No URLs configured - click action ignored');
         return;
       }
 
+      // Third-party click pixels go out before anything navigates away from the page
+      await this.fireClickTrackers();
+
+      // Webviews block deeplinks and store links: get out to the system browser instead
+      const needsDeeplink = Boolean(target.deeplink_url && (target.deeplink_priority || !target.click_url));
+      if (this.inAppBrowser && needsDeeplink) {
+        this.trackClickAction(actionType, target, this.escapeInAppBrowser());
+        return;
+      }
+
       // Determine routing logic based on deeplink priority
-      if (this.instructionSet.deeplink_priority && this.instructionSet.deeplink_url) {
+      let deeplinkResult = null;
+      if (target.deeplink_priority && target.deeplink_url) {
         console.log('🔗 Deeplink priority enabled - attempting deeplink first');
-        await this.attemptDeeplinkWithFallback();
-      } else if (this.instructionSet.click_url) {
+        deeplinkResult = await this.attemptDeeplinkWithFallback(target);
+      } else if (target.click_url) {
         console.log('🌐 Direct click_url routing');
-        this.openClickUrl(this.instructionSet.click_url);
-      } else if (this.instructionSet.deeplink_url) {
+        this.openClickUrl(target.click_url);
+      } else if (target.deeplink_url) {
         console.log('🔗 Only deeplink available - attempting deeplink');
-        const success = await this.attemptDeeplinkOpen(this.instructionSet.deeplink_url);
-        if (!success) {
-          console.log('⚠️ Deeplink failed and no fallback click_url available');
-        }
+        deeplinkResult = await this.attemptDeeplinkWithFallback(target);
       }
 
       // Track the action if Firebase is available
-      this.trackClickAction(actionType);
+      this.trackClickAction(actionType, target, deeplinkResult);
 
     } catch (error) {
       console.error('❌ Error processing click action:', error);
@@ -304,33 +439,298 @@ class ClickHandler {
   }
 
   /**
-   * Attempt deeplink opening with fallback to click_url
+   * Fire the instruction set's click pixels, waiting at most CLICK_TRACKER_TIMEOUT
+   * Pixel URLs get the same macro expansion (and click ID) as the click URL
+   * @returns {Promise<void>}
+   */
+  async fireClickTrackers() {
+    const trackers = this.instructionSet.click_trackers;
+    if (!Array.isArray(trackers) || trackers.length === 0) {
+      return;
+    }
+
+    try {
+      const result = await this.trackingPixels.fire(
+        trackers.map(url => this.expandMacros(url)),
+        { timeout: this.CLICK_TRACKER_TIMEOUT }
+      );
+      console.log(`📡 ${result.fired} click tracker(s) fired${result.timedOut ? ' (timed out)' : ''}`);
+    } catch (error) {
+      console.warn('⚠️ Failed to fire click trackers:', error);
+    }
+  }
+
+  /**
+   * Attempt deeplink opening with the platform's strategy and its fallbacks
+   * @param {Object} [target] - Click target from getClickTarget()
+   * @returns {Promise<{strategy: string, outcome: string}>} Strategy used and what happened
    */
-  async attemptDeeplinkWithFallback() {
+  async attemptDeeplinkWithFallback(target = this.getClickTarget()) {
     try {
-      const deeplinkSuccess = await this.attemptDeeplinkOpen(this.instructionSet.deeplink_url);
-      
-      if (!deeplinkSuccess) {
-        console.log('🔄 Deeplink failed - falling back to click_url');
-        if (this.instructionSet.click_url) {
-          this.openClickUrl(this.instructionSet.click_url);
-        } else {
-          console.warn('⚠️ No fallback click_url available');
-        }
-      }
+      const result = await this.openDeeplink(target);
+      console.log(`🔗 Deeplink strategy ${result.strategy}: ${result.outcome}`);
+      return result;
     } catch (error) {
+      // A blocked deeplink means the payload can't be trusted, so don't fall back either
+      if (error instanceof BlockedUrlError) {
+        this.handleBlockedNavigation(error);
+        return { strategy: 'blocked', outcome: 'blocked' };
+      }
+
       console.error('❌ Error in deeplink with fallback:', error);
       // Still try fallback even if deeplink threw an error
-      if (this.instructionSet.click_url) {
+      if (target.click_url) {
         console.log('🔄 Attempting fallback after deeplink error');
-        this.openClickUrl(this.instructionSet.click_url);
+        this.openClickUrl(target.click_url);
+        return { strategy: 'error', outcome: 'click_url_fallback' };
+      }
+      return { strategy: 'error', outcome: 'failed' };
+    }
+  }
+
+  /**
+   * Open a deeplink the way the current platform supports
+   * - Android: custom schemes go through intent:// so Chrome itself falls back to the store or click_url;
+   *   https App Links are navigated to directly
+   * - iOS: https universal links are navigated to directly (the web page is the fallback); custom schemes
+   *   are navigated to and fall back to ios_store_url or click_url if the page stays visible
+   * - Other: hidden iframe with the blur/visibility heuristic, falling back to click_url
+   * @param {Object} target - Click target from getClickTarget()
+   * @returns {Promise<{strategy: string, outcome: string}>} Strategy used and what happened
+   */
+  async openDeeplink(target) {
+    const deeplinkUrl = this.expandMacros(target.deeplink_url);
+    const platform = this.detectPlatform();
+    const isWebLink = /^https?:\/\//i.test(deeplinkUrl);
+
+    // Macros can change the URL, so check what will actually be opened
+    this.securityService.assertUrlAllowed(deeplinkUrl, 'deeplink_url', 'deeplink');
+
+    if (platform === 'android') {
+      if (isWebLink) {
+        this.navigateToDeeplink(deeplinkUrl);
+        return { strategy: 'android_app_link', outcome: 'handed_off' };
+      }
+
+      this.navigateToDeeplink(this.buildIntentUrl(deeplinkUrl, this.getIntentFallbackUrl(target)));
+      return { strategy: 'android_intent', outcome: 'handed_off' };
+    }
+
+    if (platform === 'ios') {
+      if (isWebLink) {
+        this.navigateToDeeplink(deeplinkUrl);
+        return { strategy: 'universal_link', outcome: 'handed_off' };
+      }
+
+      const opened = await this.attemptSchemeNavigation(deeplinkUrl);
+      return {
+        strategy: 'ios_scheme',
+        outcome: opened ? 'app_opened' : this.openDeeplinkFallback(this.instructionSet.ios_store_url, target.click_url)
+      };
+    }
+
+    const opened = await this.attemptDeeplinkOpen(deeplinkUrl);
+    return {
+      strategy: 'iframe',
+      outcome: opened ? 'app_opened' : this.openDeeplinkFallback(null, target.click_url)
+    };
+  }
+
+  /**
+   * Reopen this page in the system browser where the webview allows it, and show the
+   * "open in browser" guide in case it doesn't (WeChat blocks every escape)
+   * @returns {{strategy: string, outcome: string}} Strategy used and what happened
+   */
+  escapeInAppBrowser() {
+    const platform = this.detectPlatform();
+    const pageUrl = window.location.href;
+    let strategy = 'in_app_guide';
+
+    const scheme = pageUrl.slice(0, pageUrl.indexOf(':'));
+
+    if (this.inAppBrowser !== 'wechat' && (scheme === 'https' || scheme === 'http')) {
+      if (platform === 'android') {
+        strategy = 'in_app_escape_intent';
+        this.navigateToDeeplink(
+          `intent://${pageUrl.slice(scheme.length + 3)}#Intent;scheme=${scheme};package=com.android.chrome;end`
+        );
+      } else if (platform === 'ios') {
+        // Opens Safari on iOS 17+; older versions ignore it and the guide remains
+        strategy = 'in_app_escape_safari';
+        this.navigateToDeeplink(`x-safari-${pageUrl}`);
+      }
+    }
+
+    this.showInAppBrowserGuide();
+    console.log(`📱 In-app browser (${this.inAppBrowser}) - ${strategy}`);
+
+    return { strategy, outcome: 'guide_shown' };
+  }
+
+  /**
+   * Show the "open in browser" guide for the detected webview; tapping it dismisses it
+   */
+  showInAppBrowserGuide() {
+    const hints = {
+      wechat: 'Tap ··· in the top right corner, then choose "Open in Browser".',
+      facebook: 'Tap ··· in the top right corner, then choose "Open in external browser".',
+      instagram: 'Tap ··· in the top right corner, then choose "Open in external browser".',
+      tiktok: 'Tap ··· in the top right corner, then choose "Open in browser".'
+    };
+
+    let guide = document.getElementById('in-app-guide');
+    if (!guide) {
+      guide = document.createElement('div');
+      guide.id = 'in-app-guide';
+      // The page click handler skips taps on the guide
+      guide.setAttribute('data-click-ignore', '');
+      guide.innerHTML = '<div class="in-app-guide-arrow">↗</div>' +
+        '<h2>Open in your browser</h2>' +
+        '<p id="in-app-guide-message"></p>';
+      guide.addEventListener('click', () => {
+        guide.style.display = 'none';
+      });
+
+      document.body.appendChild(guide);
+    }
+
+    guide.querySelector('#in-app-guide-message').textContent =
+      hints[this.inAppBrowser] || 'Open this page in your browser to continue.';
+    guide.style.display = 'block';
+  }
+
+  /**
+   * Open the store URL, else the click URL, after a deeplink did not open the app
+   * @param {string|null} storeUrl - iOS App Store URL
+   * @param {string|null} clickUrl - Click URL
+   * @returns {string} Outcome: 'store_fallback', 'click_url_fallback' or 'failed'
+   */
+  openDeeplinkFallback(storeUrl, clickUrl) {
+    if (storeUrl) {
+      console.log('🔄 Deeplink failed - falling back to app store');
+      this.openClickUrl(storeUrl, 'deeplink', 'ios_store_url');
+      return 'store_fallback';
+    }
+
+    if (clickUrl) {
+      console.log('🔄 Deeplink failed - falling back to click_url');
+      this.openClickUrl(clickUrl);
+      return 'click_url_fallback';
+    }
+
+    console.warn('⚠️ No fallback click_url available');
+    return 'failed';
+  }
+
+  /**
+   * Detect the mobile platform from the user agent
+   * iPadOS reports a desktop Mac user agent, so touch support on "MacIntel" counts as iOS
+   * @returns {string} 'ios', 'android' or 'other'
+   */
+  detectPlatform() {
+    const userAgent = navigator.userAgent || '';
+
+    if (/Android/i.test(userAgent)) {
+      return 'android';
+    }
+
+    if (/iPad|iPhone|iPod/.test(userAgent) ||
+      (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1)) {
+      return 'ios';
+    }
+
+    return 'other';
+  }
+
+  /**
+   * Pick the page Chrome opens when no app handles an intent: the Play Store URL, else click_url
+   * Chrome opens the fallback itself, bypassing openClickUrl, so each candidate is checked here with
+   * the same kind it was validated with. Chrome only follows http(s) fallbacks, so a market:// store
+   * URL is passed over for click_url
+   * @param {Object} target - Click target from getClickTarget()
+   * @returns {string|null} Fallback URL, or null for none
+   */
+  getIntentFallbackUrl(target) {
+    const candidates = [
+      ['android_store_url', this.instructionSet.android_store_url, 'deeplink'],
+      ['click_url', target.click_url, 'click']
+    ];
+
+    for (const [field, url, kind] of candidates) {
+      if (!url) {
+        continue;
+      }
+
+      const fallbackUrl = this.prepareOutboundUrl(url);
+      this.securityService.assertUrlAllowed(fallbackUrl, field, kind);
+      if (/^https?:\/\//i.test(fallbackUrl)) {
+        return fallbackUrl;
       }
     }
+
+    return null;
+  }
+
+  /**
+   * Convert a custom-scheme deeplink to an Android intent:// URL
+   * @param {string} deeplinkUrl - Deeplink such as myapp://product/42
+   * @param {string|null} fallbackUrl - Page Chrome opens when no app handles the intent
+   * @returns {string} intent:// URL
+   */
+  buildIntentUrl(deeplinkUrl, fallbackUrl) {
+    const scheme = deeplinkUrl.slice(0, deeplinkUrl.indexOf(':'));
+    // The fragment would clash with the #Intent section
+    const path = deeplinkUrl.slice(scheme.length + 1).replace(/^\/\//, '').split('#')[0];
+
+    let intentUrl = `intent://${path}#Intent;scheme=${scheme};`;
+    if (fallbackUrl) {
+      intentUrl += `S.browser_fallback_url=${encodeURIComponent(fallbackUrl)};`;
+    }
+
+    return `${intentUrl}end`;
+  }
+
+  /**
+   * Navigate the top-level page to a deeplink
+   * @param {string} url - Deeplink, universal link or intent URL
+   */
+  navigateToDeeplink(url) {
+    window.location.href = url;
+  }
+
+  /**
+   * Navigate to a custom-scheme deeplink and wait to see if the app takes over the page
+   * @param {string} deeplinkUrl - The deeplink URL
+   * @returns {Promise<boolean>} True if the page was hidden before the timeout
+   */
+  attemptSchemeNavigation(deeplinkUrl) {
+    return new Promise((resolve) => {
+      const cleanup = () => {
+        clearTimeout(timeout);
+        document.removeEventListener('visibilitychange', onHidden);
+        window.removeEventListener('pagehide', onHidden);
+      };
+      const onHidden = (event) => {
+        if (document.hidden || event.type === 'pagehide') {
+          cleanup();
+          resolve(true);
+        }
+      };
+      const timeout = setTimeout(() => {
+        cleanup();
+        resolve(false);
+      }, this.DEEPLINK_TIMEOUT);
+
+      document.addEventListener('visibilitychange', onHidden);
+      window.addEventListener('pagehide', onHidden);
+
+      this.navigateToDeeplink(deeplinkUrl);
+    });
   }
 
   /**
    * Attempt to open a deeplink URL
-   * @param {string} deeplinkUrl - The deeplink URL to attempt
+   * @param {string} deeplinkUrl - The deeplink URL to attempt, macros already expanded
    * @returns {Promise<boolean>} True if deeplink was successfully opened
    */
   async attemptDeeplinkOpen(deeplinkUrl) {
@@ -395,28 +795,150 @@ class ClickHandler {
   /**
    * Open click URL in the same window
    * @param {string} clickUrl - The URL to open
+   * @param {string} [kind='click'] - Policy kind the URL was validated with: 'click', or 'deeplink' for store URLs
+   * @param {string} [field='click_url'] - Instruction field the URL came from, for the blocked-link report
    */
-  openClickUrl(clickUrl) {
+  openClickUrl(clickUrl, kind = 'click', field = 'click_url') {
     if (!clickUrl || typeof clickUrl !== 'string') {
       console.warn('⚠️ Invalid click URL provided');
       return;
     }
 
+    clickUrl = this.prepareOutboundUrl(clickUrl);
+
     try {
       console.log('🌐 Opening click URL in same window:', clickUrl);
       
-      // Validate URL before opening
-      new URL(clickUrl); // This will throw if URL is invalid
+      // Validate URL before opening (throws if invalid or not allowed by the click URL policy)
+      this.securityService.assertUrlAllowed(clickUrl, field, kind);
       
       // Open in same window as specified in requirements
       window.location.href = clickUrl;
       
     } catch (error) {
+      if (error instanceof BlockedUrlError) {
+        this.handleBlockedNavigation(error);
+        return;
+      }
       console.error('❌ Failed to open click URL:', error);
       throw new Error(`Invalid click URL: ${clickUrl}`);
     }
   }
 
+  /**
+   * Generate an ID for one click, for partners to join their click logs with ours
+   * @returns {string} Click ID
+   */
+  generateClickId() {
+    return generateClickId();
+  }
+
+  /**
+   * Collect the values click URL macros expand to
+   * Built-in macros win over stored attribution, then UTM parameters, then the rest of the page URL parameters
+   * @returns {Object<string, string>} Unencoded values by macro name
+   */
+  getMacroValues() {
+    const values = { ...this.macroContext.pageParams };
+
+    if (typeof window !== 'undefined' && window.analyticsService &&
+        typeof window.analyticsService.getUtmParameters === 'function') {
+      Object.assign(values, window.analyticsService.getUtmParameters());
+    }
+
+    if (this.attribution) {
+      Object.assign(values, this.attribution.campaign);
+    }
+
+    if (!this.clickId) {
+      this.clickId = this.generateClickId();
+    }
+
+    return Object.assign(values, {
+      click_id: this.attribution ? this.attribution.click_id : this.clickId,
+      visitor_type: this.attribution ? this.attribution.visitor_type : '',
+      timestamp: String(Date.now()),
+      device: this.detectPlatform(),
+      variant: this.macroContext.variant || '',
+      creative_id: (this.activeCreative && this.activeCreative.id) || ''
+    });
+  }
+
+  /**
+   * Encode a macro value for its place in the URL
+   * @param {string} name - Macro name
+   * @param {string} value - Unencoded value
+   * @returns {string} Encoded value
+   */
+  encodeMacroValue(name, value) {
+    const envConfig = window.ENV_CONFIG || {};
+    const overrides = (envConfig.clickMacros && envConfig.clickMacros.encoding) || {};
+    const encoding = overrides[name] || this.MACRO_ENCODING[name] || 'component';
+
+    return encoding === 'none' ? String(value) : encodeURIComponent(value);
+  }
+
+  /**
+   * Expand {macro} placeholders (also written %7Bmacro%7D) in a click or deeplink URL
+   * Unknown macros are left as they are, or removed when ENV_CONFIG.clickMacros.stripUnknown is set
+   * @param {string} url - URL template
+   * @returns {string} URL with macros filled in
+   */
+  expandMacros(url) {
+    if (!url || typeof url !== 'string') {
+      return url;
+    }
+
+    const envConfig = window.ENV_CONFIG || {};
+    const stripUnknown = Boolean(envConfig.clickMacros && envConfig.clickMacros.stripUnknown);
+    const values = this.getMacroValues();
+
+    return url.replace(this.MACRO_PATTERN, (macro, name) => {
+      if (Object.prototype.hasOwnProperty.call(values, name)) {
+        return this.encodeMacroValue(name, values[name]);
+      }
+      return stripUnknown ? '' : macro;
+    });
+  }
+
+  /**
+   * Add the visit's click ID and campaign parameters to an http(s) URL leaving the page
+   * Parameters the URL already has are kept; ENV_CONFIG.attribution.appendToClickUrl = false turns this off
+   * @param {string} url - Outbound URL
+   * @returns {string} URL with attribution parameters
+   */
+  appendAttribution(url) {
+    const envConfig = window.ENV_CONFIG || {};
+    const attributionConfig = envConfig.attribution || {};
+    if (!this.attribution || attributionConfig.appendToClickUrl === false || !/^https?:\/\//i.test(url)) {
+      return url;
+    }
+
+    try {
+      const outbound = new URL(url);
+      const params = { click_id: this.attribution.click_id, ...this.attribution.campaign };
+
+      Object.keys(params).forEach(name => {
+        if (!outbound.searchParams.has(name)) {
+          outbound.searchParams.set(name, params[name]);
+        }
+      });
+
+      return outbound.toString();
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Prepare a click or store URL for navigation: expand macros, then add attribution
+   * @param {string} url - URL from the instruction set
+   * @returns {string} URL to navigate to
+   */
+  prepareOutboundUrl(url) {
+    return url ? this.appendAttribution(this.expandMacros(url)) : url;
+  }
+
   /**
    * Schedule auto-click execution
    */
@@ -435,7 +957,9 @@ class ClickHandler {
     
     console.log(`⏰ Scheduling auto-click in ${delay}ms`);
 
+    this.autoClickDeadline = Date.now() + delay;
     this.autoClickTimer = setTimeout(() => {
+      this.autoClickDeadline = null;
       console.log('🤖 Executing auto-click');
       this.processClickAction('auto_click');
     }, delay);
@@ -448,6 +972,7 @@ class ClickHandler {
     if (this.autoClickTimer) {
       clearTimeout(this.autoClickTimer);
       this.autoClickTimer = null;
+      this.autoClickDeadline = null;
       console.log('❌ Auto-click cancelled');
     }
   }
@@ -455,26 +980,40 @@ class ClickHandler {
   /**
    * Track click action for analytics
    * @param {string} actionType - Type of action performed
+   * @param {Object} [target] - Click target from getClickTarget()
+   * @param {Object|null} [deeplinkResult] - Strategy and outcome from attemptDeeplinkWithFallback
    */
-  trackClickAction(actionType) {
+  trackClickAction(actionType, target = this.getClickTarget(), deeplinkResult = null) {
     try {
       // Track with Firebase if available
       if (typeof window !== 'undefined' && window.firebaseService) {
-        const targetUrl = this.instructionSet.deeplink_priority && this.instructionSet.deeplink_url 
-          ? this.instructionSet.deeplink_url 
-          : this.instructionSet.click_url;
+        const targetUrl = target.deeplink_priority && target.deeplink_url 
+          ? target.deeplink_url 
+          : target.click_url;
         
-        const isDeeplink = this.instructionSet.deeplink_priority && this.instructionSet.deeplink_url;
+        const isDeeplink = Boolean(target.deeplink_priority && target.deeplink_url);
         
-        window.firebaseService.trackClick(actionType, targetUrl, isDeeplink);
+        if (deeplinkResult) {
+          window.firebaseService.trackClick(actionType, targetUrl, isDeeplink, target.creative_id, {
+            deeplink_strategy: deeplinkResult.strategy,
+            deeplink_outcome: deeplinkResult.outcome
+          });
+        } else if (target.creative_id) {
+          window.firebaseService.trackClick(actionType, targetUrl, isDeeplink, target.creative_id);
+        } else {
+          window.firebaseService.trackClick(actionType, targetUrl, isDeeplink);
+        }
       }
 
       // Log for debugging
       console.log('📊 Click action tracked:', {
         action_type: actionType,
-        has_deeplink: !!this.instructionSet.deeplink_url,
-        has_click_url: !!this.instructionSet.click_url,
-        deeplink_priority: this.instructionSet.deeplink_priority,
+        has_deeplink: !!target.deeplink_url,
+        has_click_url: !!target.click_url,
+        deeplink_priority: target.deeplink_priority,
+        creative_id: target.creative_id,
+        deeplink_strategy: deeplinkResult ? deeplinkResult.strategy : null,
+        deeplink_outcome: deeplinkResult ? deeplinkResult.outcome : null,
         timestamp: new Date().toISOString()
       });
 
@@ -500,6 +1039,20 @@ class ClickHandler {
     this.showErrorMessage('Navigation failed. Please try again.');
   }
 
+  /**
+   * Report a navigation the click URL policy blocked and show the blocked-link interstitial
+   * @param {BlockedUrlError} error - The policy error
+   */
+  handleBlockedNavigation(error) {
+    console.warn(`🚫 Navigation blocked - ${error.message}`);
+
+    if (typeof window !== 'undefined' && window.errorHandler) {
+      window.errorHandler.handleError(error, window.errorHandler.ERROR_TYPES.SECURITY);
+    } else {
+      this.showErrorMessage('This link was blocked for your safety.');
+    }
+  }
+
   /**
    * Show error message to user
    * @param {string} message - Error message to display
@@ -559,8 +1112,15 @@ class ClickHandler {
 
     // Clear references and state
     this.instructionSet = null;
+    this.activeCreative = null;
     this.isProcessingClick = false;
     this.interactionState = null;
+    this.clickId = null;
+
+    const guide = document.getElementById('in-app-guide');
+    if (guide && guide.parentNode) {
+      guide.parentNode.removeChild(guide);
+    }
 
     console.log('🧹 ClickHandler destroyed and cleaned up');
   }
@@ -125,6 +125,18 @@ describe('ClickHandler Auto-click Functionality', () => {
     expect(attemptDeeplinkSpy).toHaveBeenCalled();
   });
 
+  it('should expose the auto-click deadline until it fires', () => {
+    const instructionSet = { ...mockInstructionSet, auto_click: true };
+    const processClickSpy = vi.spyOn(clickHandler, 'processClickAction').mockResolvedValue();
+
+    clickHandler.initialize(instructionSet);
+    expect(clickHandler.getAutoClickDeadline()).toBe(Date.now() + 2000);
+
+    vi.advanceTimersByTime(2000);
+    expect(processClickSpy).toHaveBeenCalledWith('auto_click');
+    expect(clickHandler.getAutoClickDeadline()).toBeNull();
+  });
+
   it('should cancel auto-click timer when cancelAutoClick is called', () => {
     const instructionSet = { ...mockInstructionSet, auto_click: true };
     
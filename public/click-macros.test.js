@@ -0,0 +1,119 @@
+/**
+ * Tests for click URL macro expansion in ClickHandler: built-in, UTM and page parameter values,
+ * per-macro encoding and the stripUnknown config flag
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import ClickHandler from './click-handler.js';
+
+const ANDROID_UA = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Mobile Safari/537.36';
+
+describe('Click URL macros', () => {
+  let clickHandler;
+  let originalEnvConfig;
+
+  beforeEach(() => {
+    originalEnvConfig = window.ENV_CONFIG;
+    window.ENV_CONFIG = {};
+    window.analyticsService = {
+      getUtmParameters: vi.fn(() => ({ utm_source: 'news letter', utm_campaign: 'spring' }))
+    };
+
+    clickHandler = new ClickHandler();
+    clickHandler.setMacroContext({ pageParams: { gclid: 'abc/123', utm_source: 'page' }, variant: 'B' });
+    vi.spyOn(clickHandler, 'generateClickId').mockReturnValue('click-1');
+    vi.spyOn(clickHandler, 'navigateToDeeplink').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    clickHandler.destroy();
+    window.ENV_CONFIG = originalEnvConfig;
+    window.analyticsService = undefined;
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should fill built-in, UTM and page parameter macros', () => {
+    vi.spyOn(Date, 'now').mockReturnValue(1700000000000);
+    clickHandler.setActiveCreative({ id: 'summer', click_url: 'https://example.com/summer' });
+
+    const url = clickHandler.expandMacros(
+      'https://track.example.com/c?cid={click_id}&ts={timestamp}&dev={device}&v={variant}' +
+      '&cr={creative_id}&src={utm_source}&g={gclid}'
+    );
+
+    expect(url).toBe(
+      'https://track.example.com/c?cid=click-1&ts=1700000000000&dev=other&v=B' +
+      '&cr=summer&src=news%20letter&g=abc%2F123'
+    );
+  });
+
+  it('should expand percent-encoded macros', () => {
+    expect(clickHandler.expandMacros('https://track.example.com/c/%7Bvariant%7D?s=%7butm_campaign%7d'))
+      .toBe('https://track.example.com/c/B?s=spring');
+  });
+
+  it('should leave unknown macros untouched by default', () => {
+    expect(clickHandler.expandMacros('https://track.example.com/c?x={partner_id}&v={variant}'))
+      .toBe('https://track.example.com/c?x={partner_id}&v=B');
+  });
+
+  it('should strip unknown macros when configured', () => {
+    window.ENV_CONFIG = { clickMacros: { stripUnknown: true } };
+
+    expect(clickHandler.expandMacros('https://track.example.com/c?x={partner_id}&v={variant}'))
+      .toBe('https://track.example.com/c?x=&v=B');
+  });
+
+  it('should apply per-macro encoding overrides from config', () => {
+    window.ENV_CONFIG = { clickMacros: { encoding: { gclid: 'none' } } };
+
+    expect(clickHandler.expandMacros('https://track.example.com/c?g={gclid}&s={utm_source}'))
+      .toBe('https://track.example.com/c?g=abc/123&s=news%20letter');
+  });
+
+  it('should expand macros when opening the click URL', () => {
+    clickHandler.openClickUrl('https://track.example.com/c?cid={click_id}');
+
+    expect(console.log).toHaveBeenCalledWith('🌐 Opening click URL in same window:', 'https://track.example.com/c?cid=click-1');
+  });
+
+  it('should expand macros in the deeplink iframe once', async () => {
+    vi.useFakeTimers();
+    clickHandler.setMacroContext({ pageParams: { ref: '{device}' }, variant: 'B' });
+    clickHandler.initialize({
+      image_url: 'https://example.com/a.jpg',
+      deeplink_url: 'myapp://open?cid={click_id}&v={variant}&ref={ref}',
+      deeplink_priority: true,
+      auto_click: false
+    });
+
+    const pending = clickHandler.openDeeplink(clickHandler.getClickTarget());
+
+    // The page parameter's braces are encoded, not expanded as a second macro
+    expect(document.querySelector('iframe').src).toBe('myapp://open?cid=click-1&v=B&ref=%7Bdevice%7D');
+    await vi.runAllTimersAsync();
+    await pending;
+  });
+
+  it('should share one click ID between the deeplink and its fallback', async () => {
+    vi.spyOn(navigator, 'userAgent', 'get').mockReturnValue(ANDROID_UA);
+    clickHandler.generateClickId.mockReturnValueOnce('click-2');
+    clickHandler.initialize({
+      image_url: 'https://example.com/a.jpg',
+      click_url: 'https://example.com/click?cid={click_id}',
+      deeplink_url: 'myapp://product/42?cid={click_id}&dev={device}',
+      deeplink_priority: true,
+      auto_click: false
+    });
+
+    await clickHandler.processClickAction('manual_click');
+
+    expect(clickHandler.navigateToDeeplink).toHaveBeenCalledWith(
+      'intent://product/42?cid=click-2&dev=android#Intent;scheme=myapp;' +
+      'S.browser_fallback_url=https%3A%2F%2Fexample.com%2Fclick%3Fcid%3Dclick-2;end'
+    );
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for DisplayController talking to the service worker creative cache over postMessage
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import DisplayController from './display-controller.js';
+
+/**
+ * Fake controlling worker that answers on the port sent along with each message
+ */
+function installServiceWorker(respond) {
+  const controller = {
+    postMessage: vi.fn((message, ports) => {
+      const reply = respond(message);
+      if (reply !== undefined) {
+        ports[0].postMessage(reply);
+      }
+    })
+  };
+  Object.defineProperty(navigator, 'serviceWorker', { value: { controller }, configurable: true });
+  return controller;
+}
+
+describe('Service worker creative cache', () => {
+  let displayController;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="app-container">
+        <div id="image-container">
+          <div id="display-image" style="display: none;"></div>
+        </div>
+        <div id="loading-state"></div>
+        <div id="error-state" style="display: none;">
+          <p id="error-message"></p>
+        </div>
+      </div>
+    `;
+
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    displayController = new DisplayController();
+  });
+
+  afterEach(() => {
+    displayController.destroy();
+    delete navigator.serviceWorker;
+    document.body.innerHTML = '';
+    vi.restoreAllMocks();
+  });
+
+  it('should ask the service worker whether a creative is cached', async () => {
+    const controller = installServiceWorker(message => ({ type: 'CREATIVE_STATUS', url: message.url, cached: true }));
+
+    expect(await displayController.isCreativeCached('https://cdn.example.com/ad.jpg')).toBe(true);
+    expect(controller.postMessage.mock.calls[0][0]).toEqual({ type: 'CREATIVE_STATUS', url: 'https://cdn.example.com/ad.jpg' });
+  });
+
+  it('should resolve null without a controlling service worker or when it does not answer', async () => {
+    expect(await displayController.isCreativeCached('https://cdn.example.com/ad.jpg')).toBeNull();
+
+    installServiceWorker(() => undefined);
+    displayController.SERVICE_WORKER_TIMEOUT = 10;
+    expect(await displayController.isCreativeCached('https://cdn.example.com/ad.jpg')).toBeNull();
+  });
+
+  it('should warm http(s) creatives only', async () => {
+    const controller = installServiceWorker(message => ({ type: 'CREATIVE_WARM', warmed: message.urls.length }));
+
+    expect(await displayController.warmCreatives(['https://cdn.example.com/a.jpg', 'data:image/gif;base64,R0lGOD', null])).toBe(1);
+    expect(controller.postMessage.mock.calls[0][0]).toEqual({ type: 'CREATIVE_WARM', urls: ['https://cdn.example.com/a.jpg'] });
+
+    expect(await displayController.warmCreatives(['data:image/gif;base64,R0lGOD'])).toBe(0);
+    expect(controller.postMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it('should record service worker cache hits when preloading', async () => {
+    installServiceWorker(message => ({ type: 'CREATIVE_STATUS', url: message.url, cached: true }));
+    const recordServiceWorkerCache = vi.spyOn(window.imagePerformanceMonitor, 'recordServiceWorkerCache');
+
+    await displayController.checkServiceWorkerCache('https://cdn.example.com/ad.jpg');
+
+    expect(recordServiceWorkerCache).toHaveBeenCalledWith(true);
+  });
+
+  it('should warm the other creatives once the first one is on screen', async () => {
+    vi.spyOn(displayController, 'loadImage').mockImplementation(async (url) => ({ url }));
+    const warmCreatives = vi.spyOn(displayController, 'warmCreatives').mockResolvedValue(1);
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+
+    await displayController.loadCreatives([
+      { id: 'a', image_url: 'https://cdn.example.com/a.jpg', weight: 1 },
+      { id: 'b', image_url: 'https://cdn.example.com/b.jpg', weight: 1 }
+    ]);
+
+    expect(warmCreatives).toHaveBeenCalledWith(['https://cdn.example.com/b.jpg']);
+  });
+});
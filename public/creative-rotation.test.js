@@ -0,0 +1,194 @@
+/**
+ * Tests for multi-creative payloads: weighted selection and rotation in DisplayController,
+ * and ClickHandler opening the URLs of the creative on screen
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import DisplayController from './display-controller.js';
+import ClickHandler from './click-handler.js';
+
+const creatives = [
+  { id: 'summer', image_url: 'https://example.com/summer.jpg', click_url: 'https://example.com/summer', deeplink_url: null, weight: 1 },
+  { id: 'winter', image_url: 'https://example.com/winter.jpg', click_url: 'https://example.com/winter', deeplink_url: null, weight: 3 }
+];
+
+describe('Creative rotation', () => {
+  let displayController;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="app-container">
+        <div id="image-container">
+          <div id="display-image" style="display: none;"></div>
+        </div>
+        <div id="loading-state"></div>
+        <div id="error-state" style="display: none;">
+          <p id="error-message"></p>
+        </div>
+      </div>
+    `;
+
+    window.firebaseService = {
+      trackImageLoad: vi.fn(),
+      trackClick: vi.fn()
+    };
+
+    displayController = new DisplayController();
+    vi.spyOn(displayController, 'loadImage').mockImplementation(async (url) => ({ url }));
+    vi.spyOn(displayController, 'preloadImage').mockImplementation(async (url) => ({ url }));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    displayController.destroy();
+    window.firebaseService = null;
+    document.body.innerHTML = '';
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should pick creatives in proportion to their weight', () => {
+    displayController.creatives = creatives;
+
+    vi.spyOn(Math, 'random').mockReturnValue(0.2);
+    expect(displayController.pickWeightedCreative()).toBe(0);
+
+    Math.random.mockReturnValue(0.5);
+    expect(displayController.pickWeightedCreative()).toBe(1);
+  });
+
+  it('should never pick a zero-weight creative', () => {
+    displayController.creatives = [{ ...creatives[0], weight: 0 }, creatives[1]];
+
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    expect(displayController.pickWeightedCreative()).toBe(1);
+  });
+
+  it('should track an impression with the creative ID for the first creative', async () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+
+    const creative = await displayController.loadCreatives(creatives);
+
+    expect(creative.id).toBe('summer');
+    expect(window.firebaseService.trackImageLoad)
+      .toHaveBeenCalledWith('https://example.com/summer.jpg', expect.any(Number), true, 'summer');
+  });
+
+  it('should rotate sequentially on the configured interval and notify listeners', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    const listener = vi.fn();
+    displayController.onCreativeChange(listener);
+
+    await displayController.loadCreatives(creatives, { interval: 5000 });
+    expect(displayController.getCurrentCreative().id).toBe('summer');
+
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(displayController.getCurrentCreative().id).toBe('winter');
+
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(displayController.getCurrentCreative().id).toBe('summer');
+    expect(listener.mock.calls.map(call => call[0].id)).toEqual(['summer', 'winter', 'summer']);
+  });
+
+  it('should skip a creative that fails to preload and keep the current one on screen', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    displayController.preloadImage.mockRejectedValueOnce(new Error('Image preload timeout'));
+
+    await displayController.loadCreatives(creatives, { interval: 5000 });
+    await vi.advanceTimersByTimeAsync(5000);
+
+    expect(displayController.getCurrentCreative().id).toBe('summer');
+    expect(window.firebaseService.trackImageLoad)
+      .toHaveBeenCalledWith('https://example.com/winter.jpg', 0, false, 'winter');
+  });
+
+  it('should show another creative when the first pick fails to load, and still rotate', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    displayController.loadImage.mockRejectedValueOnce(new Error('Image load failed'));
+
+    const creative = await displayController.loadCreatives(creatives, { interval: 5000 });
+
+    expect(creative.id).toBe('winter');
+    expect(window.firebaseService.trackImageLoad)
+      .toHaveBeenCalledWith('https://example.com/summer.jpg', 0, false, 'summer');
+
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(displayController.getCurrentCreative().id).toBe('summer');
+  });
+
+  it('should fail once every creative has failed to load', async () => {
+    displayController.loadImage.mockRejectedValue(new Error('Image load failed'));
+
+    await expect(displayController.loadCreatives([...creatives, { ...creatives[0], id: 'paused', weight: 0 }]))
+      .rejects.toThrow('Image load failed');
+    expect(displayController.loadImage).toHaveBeenCalledTimes(2);
+    expect(displayController.rotationTimer).toBeFalsy();
+  });
+
+  it('should stop rotating when destroyed', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+
+    await displayController.loadCreatives(creatives, { interval: 5000 });
+    displayController.destroy();
+    await vi.advanceTimersByTimeAsync(10000);
+
+    expect(displayController.loadImage).toHaveBeenCalledTimes(1);
+  });
+
+  describe('ClickHandler with creatives', () => {
+    let clickHandler;
+    const instructionSet = {
+      image_url: creatives[0].image_url,
+      click_url: 'https://example.com/default',
+      deeplink_url: null,
+      deeplink_priority: false,
+      auto_click: false,
+      creatives
+    };
+
+    beforeEach(() => {
+      clickHandler = new ClickHandler();
+      clickHandler.initialize(instructionSet);
+      vi.spyOn(clickHandler, 'openClickUrl').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      clickHandler.destroy();
+    });
+
+    it('should open the click URL of the creative on screen', async () => {
+      clickHandler.setActiveCreative(creatives[1]);
+
+      await clickHandler.processClickAction('manual_click');
+
+      expect(clickHandler.openClickUrl).toHaveBeenCalledWith('https://example.com/winter');
+      expect(window.firebaseService.trackClick)
+        .toHaveBeenCalledWith('manual_click', 'https://example.com/winter', false, 'winter');
+    });
+
+    it('should follow rotation through onCreativeChange', async () => {
+      vi.useFakeTimers();
+      vi.spyOn(Math, 'random').mockReturnValue(0);
+      displayController.onCreativeChange(creative => clickHandler.setActiveCreative(creative));
+
+      await displayController.loadCreatives(creatives, { interval: 5000 });
+      await vi.advanceTimersByTimeAsync(5000);
+      await clickHandler.processClickAction('manual_click');
+
+      expect(clickHandler.openClickUrl).toHaveBeenCalledWith('https://example.com/winter');
+    });
+
+    it('should fall back to the instruction set URLs without an active creative', async () => {
+      await clickHandler.processClickAction('manual_click');
+
+      expect(clickHandler.openClickUrl).toHaveBeenCalledWith('https://example.com/default');
+      expect(window.firebaseService.trackClick)
+        .toHaveBeenCalledWith('manual_click', 'https://example.com/default', false);
+    });
+  });
+});
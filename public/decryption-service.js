@@ -3,10 +3,35 @@
  * Responsible for decrypting encrypted instruction sets and validating the resulting data
  */
 
+import SecurityService, { BlockedUrlError } from './security-service.js';
+import ReplayGuard from './replay-guard.js';
+
+/**
+ * Error raised when an instruction set is outside its validity window or has used up its opens
+ * Carries the reason and the optional expired_url so the app can show the "campaign ended" screen
+ */
+class LinkExpiredError extends Error {
+  /**
+   * @param {string} reason - One of 'expired', 'not_yet_valid' or 'max_opens'
+   * @param {string|null} expiredUrl - Optional URL to redirect to instead of the campaign
+   */
+  constructor(reason, expiredUrl = null) {
+    const messages = {
+      expired: 'Campaign link has expired',
+      not_yet_valid: 'Campaign link is not active yet',
+      max_opens: 'Campaign link has reached its open limit'
+    };
+    super(messages[reason] || 'Campaign link is no longer valid');
+    this.name = 'LinkExpiredError';
+    this.reason = reason;
+    this.expiredUrl = expiredUrl;
+  }
+}
+
 class DecryptionService {
   constructor() {
-    // Use environment configuration from window.ENV_CONFIG if available
-    const envConfig = window.ENV_CONFIG || {};
+    // Use environment configuration from window.ENV_CONFIG if available (absent when run from Node scripts)
+    const envConfig = (typeof window !== 'undefined' && window.ENV_CONFIG) || {};
     const decryptionConfig = envConfig.decryption || {};
     
     this.encryptionKey = decryptionConfig.encryptionKey || 'default-encryption-key-32-chars!!';
@@ -14,257 +39,1369 @@ class DecryptionService {
     this.KEY_LENGTH = decryptionConfig.KEY_LENGTH || 256;
     this.IV_LENGTH = decryptionConfig.IV_LENGTH || 12;
     this.TAG_LENGTH = decryptionConfig.TAG_LENGTH || 16;
+
+    // Keyring for key rotation: { keyId: keyString }
+    // Links carry the key ID in their envelope, so retired keys stay here until their links expire
+    this.keyring = { ...(decryptionConfig.keyring || {}) };
+    this.currentKeyId = decryptionConfig.currentKeyId || null;
+
+    // Versioned payload envelope:
+    // [version (1)] [key ID length (1)] [key ID (n)] [algorithm (1)] [IV] [ciphertext + tag]
+    this.ENVELOPE_VERSION = 1;
+    this.DEFAULT_KEY_ID = 'default';
+    this.ALGORITHM_IDS = {
+      'AES-GCM': 1
+    };
+
+    // Signed links (asymmetric mode), signed over everything before the signature:
+    // [version 2 (1)] [key ID length (1)] [key ID (n)] [algorithm (1)] [flags (1)] [payload] [signature (64)]
+    // The payload is the instruction set JSON, or a version 1 envelope when the flags mark it encrypted.
+    // Only public keys ship to the browser; with signing.required, unsigned links are rejected
+    this.SIGNED_ENVELOPE_VERSION = 2;
+    this.SIGNATURE_ALGORITHM_IDS = {
+      'ECDSA-P256': 1,
+      'Ed25519': 2
+    };
+    this.SIGNATURE_LENGTH = 64;
+    this.SIGNED_FLAG_ENCRYPTED = 1;
+    this.signing = this.normalizeSigning(decryptionConfig.signing);
+
+    // Click URL policy (security.clickUrls): every URL a link can navigate to must pass it
+    this.securityService = new SecurityService();
+
+    // Key derivation for passphrase keys; raw keys ("base64:..." / "hex:...") are imported as-is
+    this.KEY_DERIVATIONS = ['PBKDF2', 'HKDF', 'legacy'];
+    this.DEFAULT_SALT = 'h5-encrypted-display';
+    this.HKDF_INFO = 'h5-display-payload';
+    this.keyDerivation = this.normalizeKeyDerivation(decryptionConfig.keyDerivation);
+    this.keyCache = new Map();
+
+    // Validity windows: exp/nbf are Unix timestamps in seconds, checked with a small allowance for clock drift
+    this.CLOCK_SKEW_SECONDS = 60;
+    // Per-device open limits (jti / max_opens), enforced by the app once a link has decrypted
+    this.replayGuard = new ReplayGuard();
+    this.MAX_JTI_LENGTH = 128;
+
+    // Responsive image variants
+    this.IMAGE_ORIENTATIONS = ['portrait', 'landscape'];
+
+    // Overlay layer
+    this.CTA_POSITIONS = ['top', 'center', 'bottom'];
+    this.MAX_OVERLAY_TEXT_LENGTH = 200;
+
+    // Modern image formats accepted as image_url alternatives
+    this.IMAGE_ALTERNATIVE_TYPES = ['image/avif', 'image/webp'];
+
+    // Video creatives
+    this.VIDEO_TYPES = ['video/mp4', 'video/webm'];
+
+    // Third-party impression/click tracking pixels
+    this.TRACKER_FIELDS = ['impression_trackers', 'click_trackers'];
+    this.MAX_TRACKERS = 10;
+
+    // Creative rotation
+    this.ROTATION_MODES = ['sequential', 'weighted'];
+    this.MIN_ROTATION_INTERVAL = 1000;
+  }
+
+  /**
+   * Set the encryption key for decryption operations
+   * @param {string} key - The encryption key to use
+   */
+  setEncryptionKey(key) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Invalid encryption key provided');
+    }
+    this.encryptionKey = key;
+  }
+
+  /**
+   * Replace the keyring used for versioned payloads
+   * @param {Object<string, string>} keyring - Map of key ID to key string
+   * @param {string} [currentKeyId] - Key ID used when encrypting new payloads
+   */
+  setKeyring(keyring, currentKeyId = null) {
+    if (!keyring || typeof keyring !== 'object') {
+      throw new Error('Invalid keyring provided');
+    }
+    if (currentKeyId && !keyring[currentKeyId]) {
+      throw new Error(`Current key ID not found in keyring: ${currentKeyId}`);
+    }
+    this.keyring = { ...keyring };
+    this.currentKeyId = currentKeyId;
+  }
+
+  /**
+   * Update key derivation settings
+   * @param {Object} options - Key derivation options (algorithm, salt, iterations, hash, allowLegacy)
+   */
+  setKeyDerivation(options) {
+    this.keyDerivation = this.normalizeKeyDerivation({ ...this.keyDerivation, ...options });
+    this.keyCache.clear();
+  }
+
+  /**
+   * Update signed link settings
+   * @param {Object} options - Signing options (enabled, required, algorithm, currentKeyId, publicKeys, privateKeys, encrypt)
+   */
+  setSigning(options) {
+    this.signing = this.normalizeSigning({ ...this.signing, ...options });
+    this.keyCache.clear();
+  }
+
+  /**
+   * Replace the click URL policy instruction sets are validated against
+   * @param {Object} [policy] - Policy options (allowedSchemes, allowedDomains, deeplinkSchemes)
+   */
+  setClickUrlPolicy(policy) {
+    this.securityService.setClickUrlPolicy(policy);
+  }
+
+  /**
+   * Apply defaults to signing settings and validate them
+   * @param {Object} [options] - Signing options from configuration
+   * @returns {Object} Normalized signing settings
+   */
+  normalizeSigning(options = {}) {
+    const signing = {
+      enabled: Boolean(options.enabled),
+      required: Boolean(options.required),
+      algorithm: options.algorithm || 'ECDSA-P256',
+      currentKeyId: options.currentKeyId || null,
+      publicKeys: { ...(options.publicKeys || {}) },
+      privateKeys: { ...(options.privateKeys || {}) },
+      encrypt: Boolean(options.encrypt)
+    };
+
+    if (!this.SIGNATURE_ALGORITHM_IDS[signing.algorithm]) {
+      throw new Error(`Unsupported signature algorithm: ${signing.algorithm}`);
+    }
+
+    return signing;
+  }
+
+  /**
+   * Apply defaults to key derivation settings and validate them
+   * @param {Object} [options] - Key derivation options from configuration
+   * @returns {Object} Normalized key derivation settings
+   */
+  normalizeKeyDerivation(options = {}) {
+    const keyDerivation = {
+      algorithm: options.algorithm || 'PBKDF2',
+      salt: options.salt || this.DEFAULT_SALT,
+      iterations: Number(options.iterations) || 100000,
+      hash: options.hash || 'SHA-256',
+      allowLegacy: Boolean(options.allowLegacy)
+    };
+
+    if (!this.KEY_DERIVATIONS.includes(keyDerivation.algorithm)) {
+      throw new Error(`Unsupported key derivation algorithm: ${keyDerivation.algorithm}`);
+    }
+
+    return keyDerivation;
+  }
+
+  /**
+   * Decode a raw key supplied as "base64:..." or "hex:..."
+   * @param {string} keyString - The key string to decode
+   * @returns {Uint8Array|null} Raw key bytes, or null if the key is a passphrase
+   */
+  parseRawKey(keyString) {
+    let bytes = null;
+
+    if (keyString.startsWith('hex:')) {
+      const hex = keyString.slice(4);
+      if (!/^(?:[0-9a-fA-F]{2})+$/.test(hex)) {
+        throw new Error('Raw hex key contains invalid characters');
+      }
+      bytes = new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+    } else if (keyString.startsWith('base64:')) {
+      bytes = new Uint8Array(this.base64ToArrayBuffer(keyString.slice(7)));
+    } else {
+      return null;
+    }
+
+    if (bytes.length !== this.KEY_LENGTH / 8) {
+      throw new Error(`Raw key must be ${this.KEY_LENGTH} bits, got ${bytes.length * 8}`);
+    }
+
+    return bytes;
+  }
+
+  /**
+   * Check whether a key string is a raw key rather than a passphrase
+   * @param {string} keyString - The key string to check
+   * @returns {boolean} True for "base64:" or "hex:" keys
+   */
+  isRawKey(keyString) {
+    return typeof keyString === 'string' &&
+      (keyString.startsWith('hex:') || keyString.startsWith('base64:'));
+  }
+
+  /**
+   * Resolve a key string by its key ID
+   * The legacy single encryptionKey is always available under DEFAULT_KEY_ID
+   * @param {string} keyId - The key ID to look up
+   * @returns {string|null} The key string or null if unknown
+   */
+  resolveKey(keyId) {
+    if (this.keyring[keyId]) {
+      return this.keyring[keyId];
+    }
+    if (keyId === this.DEFAULT_KEY_ID) {
+      return this.encryptionKey || null;
+    }
+    return null;
+  }
+
+  /**
+   * Get the key used to encrypt new payloads
+   * @returns {{id: string, key: string|null}} Current key ID and key string
+   */
+  getCurrentKey() {
+    const id = this.currentKeyId || this.DEFAULT_KEY_ID;
+    return { id: id, key: this.resolveKey(id) };
+  }
+
+  /**
+   * Get every known key, current key first, for payloads without a key ID
+   * @returns {string[]} Unique key strings
+   */
+  getLegacyCandidateKeys() {
+    const candidates = [this.getCurrentKey().key, this.encryptionKey, ...Object.values(this.keyring)];
+    return candidates.filter((key, index) => key && candidates.indexOf(key) === index);
+  }
+
+  /**
+   * Validate that the decryption key is properly configured
+   * @returns {boolean} True if key is valid
+   */
+  validateDecryptionKey() {
+    try {
+      const { key } = this.getCurrentKey();
+      if (this.isRawKey(key)) {
+        return !!this.parseRawKey(key);
+      }
+      return !!(key && 
+               typeof key === 'string' && 
+               key.length >= 16);
+    } catch (error) {
+      console.error('Error validating decryption key:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Convert a string key to a CryptoKey for Web Crypto API
+   * Raw keys are imported directly; passphrases go through the configured key derivation
+   * @param {string} keyString - The key string to convert
+   * @param {string[]} usages - Key usages for the imported key
+   * @param {string} [derivation] - Derivation to use ('PBKDF2', 'HKDF' or 'legacy')
+   * @returns {Promise<CryptoKey>} The imported crypto key
+   */
+  async importKey(keyString, usages = ['decrypt'], derivation = this.keyDerivation.algorithm) {
+    const cacheKey = `${derivation}|${usages.join(',')}|${keyString}`;
+    if (this.keyCache.has(cacheKey)) {
+      return this.keyCache.get(cacheKey);
+    }
+
+    try {
+      const rawKey = this.parseRawKey(keyString);
+      let cryptoKey;
+
+      if (rawKey) {
+        cryptoKey = await crypto.subtle.importKey(
+          'raw',
+          rawKey,
+          { name: this.ALGORITHM },
+          false,
+          usages
+        );
+      } else if (derivation === 'legacy') {
+        cryptoKey = await this.importLegacyKey(keyString, usages);
+      } else {
+        cryptoKey = await this.deriveKey(keyString, usages, derivation);
+      }
+
+      this.keyCache.set(cacheKey, cryptoKey);
+      return cryptoKey;
+    } catch (error) {
+      throw new Error(`Failed to import encryption key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Derive an AES key from a passphrase with PBKDF2 or HKDF
+   * @param {string} keyString - The passphrase
+   * @param {string[]} usages - Key usages for the derived key
+   * @param {string} derivation - 'PBKDF2' or 'HKDF'
+   * @returns {Promise<CryptoKey>} The derived crypto key
+   */
+  async deriveKey(keyString, usages, derivation) {
+    const encoder = new TextEncoder();
+    const baseKey = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(keyString),
+      { name: derivation },
+      false,
+      ['deriveKey']
+    );
+
+    const params = derivation === 'HKDF'
+      ? {
+        name: 'HKDF',
+        hash: this.keyDerivation.hash,
+        salt: encoder.encode(this.keyDerivation.salt),
+        info: encoder.encode(this.HKDF_INFO)
+      }
+      : {
+        name: 'PBKDF2',
+        hash: this.keyDerivation.hash,
+        salt: encoder.encode(this.keyDerivation.salt),
+        iterations: this.keyDerivation.iterations
+      };
+
+    return crypto.subtle.deriveKey(
+      params,
+      baseKey,
+      { name: this.ALGORITHM, length: this.KEY_LENGTH },
+      false,
+      usages
+    );
+  }
+
+  /**
+   * Import a key with the legacy derivation (pad or truncate to 32 bytes with '0')
+   * Only used for links minted before key derivation was introduced
+   * @param {string} keyString - The key string
+   * @param {string[]} usages - Key usages for the imported key
+   * @returns {Promise<CryptoKey>} The imported crypto key
+   */
+  async importLegacyKey(keyString, usages) {
+    const keyBytes = new TextEncoder().encode(keyString.padEnd(32, '0').substring(0, 32));
+
+    return crypto.subtle.importKey(
+      'raw',
+      keyBytes,
+      { name: this.ALGORITHM },
+      false,
+      usages
+    );
+  }
+
+  /**
+   * Get the derivations to try when decrypting with a key
+   * @param {string} keyString - The key string
+   * @returns {string[]} Derivations in the order they should be tried
+   */
+  getDerivationCandidates(keyString) {
+    const derivations = [this.keyDerivation.algorithm];
+    if (this.keyDerivation.allowLegacy && !this.isRawKey(keyString) && this.keyDerivation.algorithm !== 'legacy') {
+      derivations.push('legacy');
+    }
+    return derivations;
+  }
+
+  /**
+   * Decrypt an encrypted payload using AES-GCM with enhanced error handling
+   * @param {string} encryptedPayload - Base64 encoded encrypted data
+   * @returns {Promise<InstructionSet>} Decrypted and validated instruction set
+   */
+  async decrypt(encryptedPayload) {
+    try {
+      if (!encryptedPayload || typeof encryptedPayload !== 'string') {
+        throw new Error('Invalid encrypted payload provided');
+      }
+
+      // Validate decryption key (not needed when every link must be signed)
+      if (!this.signing.required && !this.validateDecryptionKey()) {
+        throw new Error('Invalid or missing decryption key');
+      }
+
+      // Log payload length for debugging
+      console.log(`DecryptionService: Processing payload of length ${encryptedPayload.length}`);
+      
+      // Decode base64 payload (spaces, URL-safe characters and missing padding are normalized here)
+      const encryptedData = this.base64ToArrayBuffer(encryptedPayload);
+      const decryptedText = await this.openPayload(encryptedData);
+
+      // Parse and validate the instruction set
+      return this.parseInstructionSet(decryptedText);
+    } catch (error) {
+      this.detectTampering(error);
+      this.handleDecryptionError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a tamper signal for decryption failures that a modified payload causes
+   * AES-GCM rejects any changed byte through its auth tag; signed links fail their signature check.
+   * Old links on a retired key fail the same way, so SecurityService only reports repeated failures
+   * @param {Error} error - Error that ended decryption
+   */
+  detectTampering(error) {
+    if (error instanceof LinkExpiredError || error instanceof BlockedUrlError) {
+      return;
+    }
+
+    if (error && error.name === 'OperationError') {
+      this.securityService.recordTamperSignal('auth_tag_failure');
+    } else if (error && error.message === 'Payload signature is invalid') {
+      this.securityService.recordTamperSignal('invalid_signature');
+    }
+  }
+  
+  /**
+   * Turn payload bytes into instruction set JSON, checking the signature of signed links first
+   * Nothing from a signed link is used unless its signature verifies
+   * @param {ArrayBuffer} encryptedData - Decoded payload bytes
+   * @returns {Promise<string>} Instruction set JSON
+   */
+  async openPayload(encryptedData) {
+    const signed = this.parseSignedEnvelope(encryptedData);
+
+    if (signed) {
+      let verified = false;
+      try {
+        verified = await this.verifySignedEnvelope(signed);
+      } catch (error) {
+        console.warn(`DecryptionService: Signature check failed: ${error.message}`);
+      }
+
+      if (verified) {
+        return signed.encrypted
+          ? this.decryptData(signed.payload.slice().buffer)
+          : new TextDecoder().decode(signed.payload);
+      }
+    }
+
+    if (this.signing.required) {
+      throw new Error(signed ? 'Payload signature is invalid' : 'Unsigned payload rejected: links must be signed');
+    }
+
+    if (!signed) {
+      return this.decryptData(encryptedData);
+    }
+
+    // Like a version 1 envelope, a legacy IV can start with the signed version byte by chance.
+    // Bytes that open neither way were a signed link that failed its check, required or not
+    try {
+      return await this.decryptData(encryptedData);
+    } catch {
+      throw new Error('Payload signature is invalid');
+    }
+  }
+
+  /**
+   * Decrypt raw payload bytes, accepting both the versioned envelope and the legacy IV || ciphertext format
+   * @param {ArrayBuffer} encryptedData - Decoded payload bytes
+   * @returns {Promise<string>} Decrypted plaintext
+   */
+  async decryptData(encryptedData) {
+    if (encryptedData.byteLength < this.IV_LENGTH + this.TAG_LENGTH + 1) {
+      throw new Error('Encrypted payload too short - possibly corrupted');
+    }
+
+    // A legacy IV can start with the version byte by chance, so an envelope that
+    // does not decrypt still falls through to the legacy format
+    const envelope = this.parseEnvelope(encryptedData);
+    const envelopeKey = envelope ? this.resolveKey(envelope.keyId) : null;
+    if (envelope) {
+      if (envelopeKey) {
+        try {
+          return await this.decryptWithKey(envelopeKey, envelope.iv, envelope.ciphertext);
+        } catch (envelopeError) {
+          console.warn(`DecryptionService: Envelope decryption failed for key ID ${envelope.keyId}, trying legacy format`);
+        }
+      } else {
+        console.warn(`DecryptionService: Unknown key ID ${envelope.keyId}, trying legacy format`);
+      }
+    }
+
+    // Legacy format: IV || ciphertext, encrypted with a key that has no ID
+    const bytes = new Uint8Array(encryptedData);
+    const iv = bytes.subarray(0, this.IV_LENGTH);
+    const ciphertext = bytes.subarray(this.IV_LENGTH);
+    let lastError = null;
+
+    for (const keyString of this.getLegacyCandidateKeys()) {
+      try {
+        return await this.decryptWithKey(keyString, iv, ciphertext);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    if (envelope && !envelopeKey) {
+      throw new Error(`Unknown key ID in payload envelope: ${envelope.keyId}`);
+    }
+    throw lastError || new Error('No decryption key available');
+  }
+
+  /**
+   * Decrypt ciphertext with a single key
+   * @param {string} keyString - The key string to use
+   * @param {Uint8Array} iv - Initialization vector
+   * @param {Uint8Array} ciphertext - Ciphertext with appended auth tag
+   * @returns {Promise<string>} Decrypted plaintext
+   */
+  async decryptWithKey(keyString, iv, ciphertext) {
+    let lastError = null;
+
+    // Links minted before key derivation only open when allowLegacy is set
+    for (const derivation of this.getDerivationCandidates(keyString)) {
+      try {
+        // Import the key
+        const cryptoKey = await this.importKey(keyString, ['decrypt'], derivation);
+
+        // Decrypt the data
+        const decryptedBuffer = await crypto.subtle.decrypt(
+          {
+            name: this.ALGORITHM,
+            iv: iv
+          },
+          cryptoKey,
+          ciphertext
+        );
+
+        // Convert decrypted buffer to string
+        return new TextDecoder().decode(decryptedBuffer);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Parse a versioned payload envelope
+   * @param {ArrayBuffer} encryptedData - Decoded payload bytes
+   * @returns {Object|null} Envelope parts, or null if the data is not a supported envelope
+   */
+  parseEnvelope(encryptedData) {
+    const bytes = new Uint8Array(encryptedData);
+
+    if (bytes[0] !== this.ENVELOPE_VERSION) {
+      return null;
+    }
+
+    const keyIdLength = bytes[1];
+    const headerLength = 2 + keyIdLength + 1;
+    if (keyIdLength === 0 || bytes.length < headerLength + this.IV_LENGTH + this.TAG_LENGTH + 1) {
+      return null;
+    }
+
+    const algorithmId = bytes[2 + keyIdLength];
+    const algorithm = Object.keys(this.ALGORITHM_IDS).find(name => this.ALGORITHM_IDS[name] === algorithmId);
+    if (!algorithm || algorithm !== this.ALGORITHM) {
+      return null;
+    }
+
+    let keyId;
+    try {
+      keyId = new TextDecoder('utf-8', { fatal: true }).decode(bytes.slice(2, 2 + keyIdLength));
+    } catch {
+      return null;
+    }
+
+    return {
+      version: bytes[0],
+      keyId: keyId,
+      algorithm: algorithm,
+      iv: bytes.subarray(headerLength, headerLength + this.IV_LENGTH),
+      ciphertext: bytes.subarray(headerLength + this.IV_LENGTH)
+    };
+  }
+
+  /**
+   * Build a versioned payload envelope
+   * @param {string} keyId - ID of the key used for encryption
+   * @param {Uint8Array} iv - Initialization vector
+   * @param {ArrayBuffer} ciphertext - Ciphertext with appended auth tag
+   * @returns {Uint8Array} Envelope bytes
+   */
+  buildEnvelope(keyId, iv, ciphertext) {
+    const keyIdBytes = new TextEncoder().encode(keyId);
+    if (keyIdBytes.length === 0 || keyIdBytes.length > 255) {
+      throw new Error('Key ID must be between 1 and 255 bytes');
+    }
+
+    const algorithmId = this.ALGORITHM_IDS[this.ALGORITHM];
+    if (!algorithmId) {
+      throw new Error(`Unsupported algorithm for payload envelope: ${this.ALGORITHM}`);
+    }
+
+    const headerLength = 2 + keyIdBytes.length + 1;
+    const envelope = new Uint8Array(headerLength + iv.length + ciphertext.byteLength);
+    envelope[0] = this.ENVELOPE_VERSION;
+    envelope[1] = keyIdBytes.length;
+    envelope.set(keyIdBytes, 2);
+    envelope[2 + keyIdBytes.length] = algorithmId;
+    envelope.set(iv, headerLength);
+    envelope.set(new Uint8Array(ciphertext), headerLength + iv.length);
+    return envelope;
+  }
+
+  /**
+   * Parse a signed link envelope
+   * @param {ArrayBuffer} encryptedData - Decoded payload bytes
+   * @returns {Object|null} Envelope parts, or null if the data is not a supported signed envelope
+   */
+  parseSignedEnvelope(encryptedData) {
+    const bytes = new Uint8Array(encryptedData);
+
+    if (bytes[0] !== this.SIGNED_ENVELOPE_VERSION) {
+      return null;
+    }
+
+    const keyIdLength = bytes[1];
+    const headerLength = 2 + keyIdLength + 2;
+    if (keyIdLength === 0 || bytes.length < headerLength + 1 + this.SIGNATURE_LENGTH) {
+      return null;
+    }
+
+    const algorithmId = bytes[2 + keyIdLength];
+    const algorithm = Object.keys(this.SIGNATURE_ALGORITHM_IDS).find(name => this.SIGNATURE_ALGORITHM_IDS[name] === algorithmId);
+    if (!algorithm) {
+      return null;
+    }
+
+    let keyId;
+    try {
+      keyId = new TextDecoder('utf-8', { fatal: true }).decode(bytes.slice(2, 2 + keyIdLength));
+    } catch {
+      return null;
+    }
+
+    const signatureStart = bytes.length - this.SIGNATURE_LENGTH;
+    return {
+      version: bytes[0],
+      keyId: keyId,
+      algorithm: algorithm,
+      encrypted: (bytes[3 + keyIdLength] & this.SIGNED_FLAG_ENCRYPTED) !== 0,
+      signedData: bytes.subarray(0, signatureStart),
+      payload: bytes.subarray(headerLength, signatureStart),
+      signature: bytes.subarray(signatureStart)
+    };
+  }
+
+  /**
+   * Verify a signed envelope against the public key for its key ID
+   * @param {Object} envelope - Envelope from parseSignedEnvelope
+   * @returns {Promise<boolean>} Whether the signature is valid
+   */
+  async verifySignedEnvelope(envelope) {
+    const publicKey = this.signing.publicKeys[envelope.keyId];
+    if (!publicKey) {
+      throw new Error(`Unknown signing key ID: ${envelope.keyId}`);
+    }
+
+    const cryptoKey = await this.importSigningKey(publicKey, envelope.algorithm, 'verify');
+    return crypto.subtle.verify(
+      this.getSignatureAlgorithm(envelope.algorithm).signature,
+      cryptoKey,
+      envelope.signature,
+      envelope.signedData
+    );
+  }
+
+  /**
+   * Web Crypto parameters for a signature algorithm
+   * @param {string} algorithm - 'ECDSA-P256' or 'Ed25519'
+   * @returns {{key: Object, signature: Object}} Key import/generation and sign/verify parameters
+   */
+  getSignatureAlgorithm(algorithm) {
+    if (algorithm === 'Ed25519') {
+      return { key: { name: 'Ed25519' }, signature: { name: 'Ed25519' } };
+    }
+    return {
+      key: { name: 'ECDSA', namedCurve: 'P-256' },
+      signature: { name: 'ECDSA', hash: 'SHA-256' }
+    };
+  }
+
+  /**
+   * Import a signing key: base64 SPKI for public keys, base64 PKCS#8 for private keys (PEM armor allowed)
+   * @param {string} keyString - Encoded key
+   * @param {string} algorithm - 'ECDSA-P256' or 'Ed25519'
+   * @param {string} usage - 'verify' or 'sign'
+   * @returns {Promise<CryptoKey>} The imported key
+   */
+  async importSigningKey(keyString, algorithm, usage) {
+    const cacheKey = `${algorithm}|${usage}|${keyString}`;
+    if (this.keyCache.has(cacheKey)) {
+      return this.keyCache.get(cacheKey);
+    }
+
+    try {
+      const keyBytes = new Uint8Array(this.base64ToArrayBuffer(
+        keyString.replace(/-----(?:BEGIN|END)[^-]+-----/g, '').replace(/\s+/g, '')
+      ));
+      const cryptoKey = await crypto.subtle.importKey(
+        usage === 'sign' ? 'pkcs8' : 'spki',
+        keyBytes,
+        this.getSignatureAlgorithm(algorithm).key,
+        false,
+        [usage]
+      );
+
+      this.keyCache.set(cacheKey, cryptoKey);
+      return cryptoKey;
+    } catch (error) {
+      throw new Error(`Failed to import signing key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse and validate decrypted instruction set JSON
+   * @param {string} decryptedText - The decrypted JSON string
+   * @returns {InstructionSet} Validated instruction set object
+   */
+  parseInstructionSet(decryptedText) {
+    try {
+      // Parse JSON
+      const rawData = JSON.parse(decryptedText);
+
+      // Validate and create instruction set
+      const instructionSet = this.validateInstructionSet(rawData);
+      
+      return instructionSet;
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        throw new Error('Invalid JSON format in decrypted payload');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Validate instruction set data structure and types
+   * @param {Object} data - Raw instruction data to validate
+   * @param {Object} [options] - Validation options
+   * @param {number} [options.now] - Current time in milliseconds (defaults to Date.now())
+   * @param {boolean} [options.checkValidity=true] - Reject links outside their exp/nbf window
+   * @param {boolean} [options.checkUrlPolicy=true] - Reject URLs the click URL policy does not allow
+   * @returns {InstructionSet} Validated instruction set
+   */
+  validateInstructionSet(data, options = {}) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Invalid instruction set - must be an object');
+    }
+
+    // Required field: click_url (unless every creative carries its own)
+    const creativesHaveClickUrls = Array.isArray(data.creatives) && data.creatives.length > 0 &&
+      data.creatives.every(creative => creative && creative.click_url);
+    if (!creativesHaveClickUrls && (!data.click_url || typeof data.click_url !== 'string')) {
+      throw new Error('Invalid instruction set - click_url is required and must be a string');
+    }
+
+    // Validate image_url format
+    if (data.image_url && (!this.isValidUrl(data.image_url))) {
+      throw new Error('Invalid instruction set - image_url must be a valid URL');
+    }
+
+    // Create validated instruction set with defaults
+    const instructionSet = {
+      image_url: data.image_url,
+      click_url: data.click_url || null,
+      deeplink_url: data.deeplink_url || null,
+      auto_click: Boolean(data.auto_click),
+      deeplink_priority: Boolean(data.deeplink_priority),
+      auto_click_delay: null,
+      title: data.title,
+      description: data.description
+    };
+
+    // Validate optional URLs
+    if (instructionSet.click_url && !this.isValidUrl(instructionSet.click_url)) {
+      throw new Error('Invalid instruction set - click_url must be a valid URL');
+    }
+
+    if (instructionSet.deeplink_url && typeof instructionSet.deeplink_url !== 'string') {
+      throw new Error('Invalid instruction set - deeplink_url must be a string');
+    }
+
+    // Validate optional app store fallbacks for deeplinks
+    ['ios_store_url', 'android_store_url'].forEach(field => {
+      if (data[field]) {
+        if (typeof data[field] !== 'string' || !this.isValidUrl(data[field])) {
+          throw new Error(`Invalid instruction set - ${field} must be a valid URL`);
+        }
+        instructionSet[field] = data[field];
+      }
+    });
+
+    // Validate auto_click_delay
+    if (data.auto_click_delay !== undefined) {
+      const delay = Number(data.auto_click_delay);
+      if (isNaN(delay) || delay < 0) {
+        throw new Error('Invalid instruction set - auto_click_delay must be a non-negative number');
+      }
+      instructionSet.auto_click_delay = delay;
+    }
+
+    // Validate optional creatives for rotation
+    if (data.creatives !== undefined && data.creatives !== null) {
+      instructionSet.creatives = this.validateCreatives(data.creatives, instructionSet);
+      if (!instructionSet.image_url) {
+        instructionSet.image_url = instructionSet.creatives[0].image_url;
+      }
+      if (!instructionSet.click_url) {
+        instructionSet.click_url = instructionSet.creatives[0].click_url;
+      }
+
+      instructionSet.rotation_mode = data.rotation_mode || 'sequential';
+      if (!this.ROTATION_MODES.includes(instructionSet.rotation_mode)) {
+        throw new Error(`Invalid instruction set - rotation_mode must be one of: ${this.ROTATION_MODES.join(', ')}`);
+      }
+
+      instructionSet.rotation_interval = null;
+      if (data.rotation_interval !== undefined && data.rotation_interval !== null) {
+        const interval = Number(data.rotation_interval);
+        if (isNaN(interval) || interval < this.MIN_ROTATION_INTERVAL) {
+          throw new Error(`Invalid instruction set - rotation_interval must be at least ${this.MIN_ROTATION_INTERVAL}ms`);
+        }
+        instructionSet.rotation_interval = interval;
+      }
+    }
+
+    // Validate optional responsive image variants (picked per viewport, DPR and orientation)
+    if (data.image_variants !== undefined && data.image_variants !== null) {
+      if (instructionSet.creatives) {
+        throw new Error('Invalid instruction set - image_variants cannot be combined with creatives rotation');
+      }
+      instructionSet.image_variants = this.validateImageVariants(data.image_variants);
+      if (!instructionSet.image_url) {
+        instructionSet.image_url = instructionSet.image_variants[0].url;
+      }
+    }
+
+    // Validate optional modern-format alternatives of image_url (tried in order, image_url last)
+    if (data.image_alternatives !== undefined && data.image_alternatives !== null) {
+      if (instructionSet.creatives || instructionSet.image_variants) {
+        throw new Error('Invalid instruction set - image_alternatives cannot be combined with creatives or image_variants');
+      }
+      if (!instructionSet.image_url) {
+        throw new Error('Invalid instruction set - image_alternatives require image_url as the final fallback');
+      }
+      instructionSet.image_alternatives = this.validateImageAlternatives(data.image_alternatives);
+    }
+
+    // Validate optional video creative (image_url doubles as poster and fallback)
+    if (data.video_url || data.video_sources) {
+      if (instructionSet.creatives) {
+        throw new Error('Invalid instruction set - video creatives cannot be combined with creatives rotation');
+      }
+      instructionSet.video_sources = this.validateVideoSources(data);
+
+      if (data.poster_url) {
+        if (!this.isValidUrl(data.poster_url)) {
+          throw new Error('Invalid instruction set - poster_url must be a valid URL');
+        }
+        instructionSet.poster_url = data.poster_url;
+      }
+
+      // The image shown when the video can't play; a poster alone serves as that image too
+      if (!instructionSet.image_url) {
+        if (!instructionSet.poster_url) {
+          throw new Error('Invalid instruction set - video creatives require image_url or poster_url as the fallback image');
+        }
+        instructionSet.image_url = instructionSet.poster_url;
+      }
+    }
+
+    // Validate optional overlay (headline, description, CTA button, auto-click countdown)
+    if (data.overlay !== undefined && data.overlay !== null) {
+      instructionSet.overlay = this.validateOverlay(data.overlay, instructionSet);
+    }
+
+    // Validate optional third-party tracking pixels
+    this.TRACKER_FIELDS.forEach(field => {
+      if (data[field] !== undefined && data[field] !== null) {
+        instructionSet[field] = this.validateTrackers(data[field], field);
+      }
+    });
+
+    // Validate optional A/B experiment
+    if (data.experiments !== undefined && data.experiments !== null) {
+      instructionSet.experiments = this.validateExperiment(data.experiments);
+    }
+
+    // Validate expired_url
+    if (data.expired_url !== undefined && data.expired_url !== null) {
+      // The app redirects to this URL directly, so only allow http(s)
+      if (typeof data.expired_url !== 'string' || !this.isValidUrl(data.expired_url) ||
+          !/^https?:$/.test(new URL(data.expired_url).protocol)) {
+        throw new Error('Invalid instruction set - expired_url must be a valid http(s) URL');
+      }
+      instructionSet.expired_url = data.expired_url;
+    }
+
+    // Validate exp / nbf timestamps
+    ['exp', 'nbf'].forEach(field => {
+      if (data[field] !== undefined && data[field] !== null) {
+        const timestamp = Number(data[field]);
+        if (!Number.isFinite(timestamp) || timestamp < 0) {
+          throw new Error(`Invalid instruction set - ${field} must be a Unix timestamp in seconds`);
+        }
+        instructionSet[field] = timestamp;
+      }
+    });
+
+    if (instructionSet.exp !== undefined && instructionSet.nbf !== undefined && instructionSet.nbf >= instructionSet.exp) {
+      throw new Error('Invalid instruction set - nbf must be earlier than exp');
+    }
+
+    // Validate max_opens
+    if (data.max_opens !== undefined && data.max_opens !== null) {
+      const maxOpens = Number(data.max_opens);
+      if (!Number.isInteger(maxOpens) || maxOpens < 1) {
+        throw new Error('Invalid instruction set - max_opens must be a positive integer');
+      }
+      instructionSet.max_opens = maxOpens;
+    }
+
+    // Validate jti (link ID for single-use / max_opens links)
+    if (data.jti !== undefined && data.jti !== null) {
+      if (typeof data.jti !== 'string' || !data.jti.trim() || data.jti.length > this.MAX_JTI_LENGTH) {
+        throw new Error(`Invalid instruction set - jti must be a non-empty string of at most ${this.MAX_JTI_LENGTH} characters`);
+      }
+      instructionSet.jti = data.jti;
+    }
+
+    if (options.checkUrlPolicy !== false) {
+      this.enforceClickUrlPolicy(instructionSet);
+    }
+
+    if (options.checkValidity !== false) {
+      this.checkValidityWindow(instructionSet, options.now);
+    }
+
+    return instructionSet;
+  }
+
+  /**
+   * Check every URL the instruction set can navigate to against the click URL policy
+   * @param {InstructionSet} instructionSet - Validated instruction set
+   * @throws {BlockedUrlError} If a URL is not allowed
+   */
+  enforceClickUrlPolicy(instructionSet) {
+    const targets = [
+      ['click_url', instructionSet.click_url, 'click'],
+      ['deeplink_url', instructionSet.deeplink_url, 'deeplink'],
+      // Store URLs may use app store schemes such as market://
+      ['ios_store_url', instructionSet.ios_store_url, 'deeplink'],
+      ['android_store_url', instructionSet.android_store_url, 'deeplink'],
+      ['expired_url', instructionSet.expired_url, 'click']
+    ];
+
+    (instructionSet.creatives || []).forEach((creative, index) => {
+      targets.push([`creatives[${index}].click_url`, creative.click_url, 'click']);
+      targets.push([`creatives[${index}].deeplink_url`, creative.deeplink_url, 'deeplink']);
+    });
+
+    const variants = instructionSet.experiments ? instructionSet.experiments.variants : [];
+    variants.forEach((variant, index) => {
+      targets.push([`experiments.variants[${index}].click_url`, variant.click_url, 'click']);
+      targets.push([`experiments.variants[${index}].deeplink_url`, variant.deeplink_url, 'deeplink']);
+    });
+
+    targets.forEach(([field, url, kind]) => {
+      if (url) {
+        this.securityService.assertUrlAllowed(url, field, kind);
+      }
+    });
+  }
+
+  /**
+   * Validate the creatives array, filling click/deeplink URLs from the instruction set
+   * @param {Array<Object>} creatives - Raw creatives
+   * @param {Object} defaults - Instruction set providing fallback click_url / deeplink_url
+   * @returns {Array<Object>} Validated creatives
+   */
+  validateCreatives(creatives, defaults) {
+    if (!Array.isArray(creatives) || creatives.length === 0) {
+      throw new Error('Invalid instruction set - creatives must be a non-empty array');
+    }
+
+    const ids = new Set();
+    const validated = creatives.map((creative, index) => {
+      const field = `creatives[${index}]`;
+      if (!creative || typeof creative !== 'object') {
+        throw new Error(`Invalid instruction set - ${field} must be an object`);
+      }
+
+      if (!creative.image_url || !this.isValidUrl(creative.image_url)) {
+        throw new Error(`Invalid instruction set - ${field}.image_url must be a valid URL`);
+      }
+
+      const clickUrl = creative.click_url || defaults.click_url;
+      if (!clickUrl || !this.isValidUrl(clickUrl)) {
+        throw new Error(`Invalid instruction set - ${field}.click_url must be a valid URL`);
+      }
+
+      const deeplinkUrl = creative.deeplink_url || defaults.deeplink_url || null;
+      if (deeplinkUrl && typeof deeplinkUrl !== 'string') {
+        throw new Error(`Invalid instruction set - ${field}.deeplink_url must be a string`);
+      }
+
+      const weight = creative.weight === undefined ? 1 : Number(creative.weight);
+      if (isNaN(weight) || weight < 0) {
+        throw new Error(`Invalid instruction set - ${field}.weight must be a non-negative number`);
+      }
+
+      const id = creative.id !== undefined && creative.id !== null ? String(creative.id) : `creative_${index + 1}`;
+      if (ids.has(id)) {
+        throw new Error(`Invalid instruction set - duplicate creative id: ${id}`);
+      }
+      ids.add(id);
+
+      return {
+        id,
+        image_url: creative.image_url,
+        click_url: clickUrl,
+        deeplink_url: deeplinkUrl,
+        weight
+      };
+    });
+
+    if (!validated.some(creative => creative.weight > 0)) {
+      throw new Error('Invalid instruction set - at least one creative must have a positive weight');
+    }
+
+    return validated;
   }
 
   /**
-   * Set the encryption key for decryption operations
-   * @param {string} key - The encryption key to use
+   * Validate responsive image variants
+   * Each variant is described like a srcset candidate: by pixel width or by target DPR, not both
+   * @param {Array<Object>} variants - Raw variants ({url, width?, dpr?, orientation?})
+   * @returns {Array<ImageVariant>} Validated variants
    */
-  setEncryptionKey(key) {
-    if (!key || typeof key !== 'string') {
-      throw new Error('Invalid encryption key provided');
+  validateImageVariants(variants) {
+    if (!Array.isArray(variants) || variants.length === 0) {
+      throw new Error('Invalid instruction set - image_variants must be a non-empty array');
     }
-    this.encryptionKey = key;
+
+    return variants.map((variant, index) => {
+      const field = `image_variants[${index}]`;
+
+      if (!variant || typeof variant !== 'object') {
+        throw new Error(`Invalid instruction set - ${field} must be an object`);
+      }
+
+      if (!variant.url || !this.isValidUrl(variant.url)) {
+        throw new Error(`Invalid instruction set - ${field}.url must be a valid URL`);
+      }
+
+      const hasWidth = variant.width !== undefined && variant.width !== null;
+      const hasDpr = variant.dpr !== undefined && variant.dpr !== null;
+
+      if (hasWidth && hasDpr) {
+        throw new Error(`Invalid instruction set - ${field} cannot set both width and dpr`);
+      }
+
+      const width = hasWidth ? Number(variant.width) : null;
+      if (hasWidth && (!Number.isInteger(width) || width <= 0)) {
+        throw new Error(`Invalid instruction set - ${field}.width must be a positive integer`);
+      }
+
+      const dpr = hasDpr ? Number(variant.dpr) : (hasWidth ? null : 1);
+      if (hasDpr && (isNaN(dpr) || dpr <= 0)) {
+        throw new Error(`Invalid instruction set - ${field}.dpr must be a positive number`);
+      }
+
+      const orientation = variant.orientation || null;
+      if (orientation && !this.IMAGE_ORIENTATIONS.includes(orientation)) {
+        throw new Error(`Invalid instruction set - ${field}.orientation must be one of: ${this.IMAGE_ORIENTATIONS.join(', ')}`);
+      }
+
+      return { url: variant.url, width, dpr, orientation };
+    });
   }
 
   /**
-   * Validate that the decryption key is properly configured
-   * @returns {boolean} True if key is valid
+   * Validate the overlay block; headline and description default to title and description
+   * @param {Object} overlay - Raw overlay ({headline?, description?, cta?, countdown?})
+   * @param {Object} defaults - Instruction set providing title, description and auto_click
+   * @returns {Overlay} Validated overlay
    */
-  validateDecryptionKey() {
-    try {
-      return !!(this.encryptionKey && 
-               typeof this.encryptionKey === 'string' && 
-               this.encryptionKey.length >= 16);
-    } catch (error) {
-      console.error('Error validating decryption key:', error);
-      return false;
+  validateOverlay(overlay, defaults) {
+    if (typeof overlay !== 'object' || Array.isArray(overlay)) {
+      throw new Error('Invalid instruction set - overlay must be an object');
+    }
+
+    const text = (field, fallback) => {
+      const value = overlay[field] !== undefined && overlay[field] !== null ? overlay[field] : fallback;
+      if (value === undefined || value === null || value === '') {
+        return null;
+      }
+      if (typeof value !== 'string' || value.length > this.MAX_OVERLAY_TEXT_LENGTH) {
+        throw new Error(`Invalid instruction set - overlay.${field} must be a string of at most ${this.MAX_OVERLAY_TEXT_LENGTH} characters`);
+      }
+      return value;
+    };
+
+    const result = {
+      headline: text('headline', defaults.title),
+      description: text('description', defaults.description),
+      cta: null,
+      countdown: Boolean(overlay.countdown)
+    };
+
+    if (overlay.cta !== undefined && overlay.cta !== null) {
+      const cta = overlay.cta;
+      if (typeof cta !== 'object' || !cta.text || typeof cta.text !== 'string' || cta.text.length > this.MAX_OVERLAY_TEXT_LENGTH) {
+        throw new Error('Invalid instruction set - overlay.cta.text is required and must be a short string');
+      }
+
+      ['background_color', 'text_color'].forEach(field => {
+        if (cta[field] && !this.isValidColor(cta[field])) {
+          throw new Error(`Invalid instruction set - overlay.cta.${field} must be a CSS color`);
+        }
+      });
+
+      const position = cta.position || 'bottom';
+      if (!this.CTA_POSITIONS.includes(position)) {
+        throw new Error(`Invalid instruction set - overlay.cta.position must be one of: ${this.CTA_POSITIONS.join(', ')}`);
+      }
+
+      result.cta = {
+        text: cta.text,
+        background_color: cta.background_color || null,
+        text_color: cta.text_color || null,
+        position
+      };
     }
+
+    if (result.countdown && !defaults.auto_click) {
+      throw new Error('Invalid instruction set - overlay.countdown requires auto_click');
+    }
+
+    return result;
   }
 
   /**
-   * Convert a string key to a CryptoKey for Web Crypto API
-   * @param {string} keyString - The key string to convert
-   * @returns {Promise<CryptoKey>} The imported crypto key
+   * Check for a simple CSS color: hex, rgb()/rgba() or a named color
+   * @param {string} value - Color to check
+   * @returns {boolean} True if the value is an accepted color
    */
-  async importKey(keyString) {
-    try {
-      // Pad or truncate key to 32 bytes for AES-256
-      const keyBytes = new TextEncoder().encode(keyString.padEnd(32, '0').substring(0, 32));
-      
-      return await crypto.subtle.importKey(
-        'raw',
-        keyBytes,
-        { name: this.ALGORITHM },
-        false,
-        ['decrypt']
-      );
-    } catch (error) {
-      throw new Error(`Failed to import encryption key: ${error.message}`);
-    }
+  isValidColor(value) {
+    return typeof value === 'string' && (
+      /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value) ||
+      /^rgba?\(\s*[\d.]+%?\s*(?:,\s*[\d.]+%?\s*){2,3}\)$/i.test(value) ||
+      /^[a-z]+$/i.test(value)
+    );
   }
 
   /**
-   * Decrypt an encrypted payload using AES-GCM with enhanced error handling
-   * @param {string} encryptedPayload - Base64 encoded encrypted data
-   * @returns {Promise<InstructionSet>} Decrypted and validated instruction set
+   * Validate modern-format image alternatives
+   * @param {Array<Object|string>} alternatives - Raw alternatives ({url, type?} or URLs)
+   * @returns {Array<{url: string, type: string}>} Validated alternatives in preference order
    */
-  async decrypt(encryptedPayload) {
-    try {
-      if (!encryptedPayload || typeof encryptedPayload !== 'string') {
-        throw new Error('Invalid encrypted payload provided');
+  validateImageAlternatives(alternatives) {
+    if (!Array.isArray(alternatives) || alternatives.length === 0) {
+      throw new Error('Invalid instruction set - image_alternatives must be a non-empty array');
+    }
+
+    return alternatives.map((alternative, index) => {
+      const field = `image_alternatives[${index}]`;
+      const url = typeof alternative === 'string' ? alternative : alternative && alternative.url;
+
+      if (!url || typeof url !== 'string' || !this.isValidUrl(url)) {
+        throw new Error(`Invalid instruction set - ${field}.url must be a valid URL`);
       }
 
-      // Validate decryption key
-      if (!this.validateDecryptionKey()) {
-        throw new Error('Invalid or missing decryption key');
+      const type = (alternative && alternative.type) || this.inferImageType(url);
+      if (!this.IMAGE_ALTERNATIVE_TYPES.includes(type)) {
+        throw new Error(`Invalid instruction set - ${field} type must be one of: ${this.IMAGE_ALTERNATIVE_TYPES.join(', ')}`);
       }
 
-      // Log payload length for debugging
-      console.log(`DecryptionService: Processing payload of length ${encryptedPayload.length}`);
-      
-      try {
-        // Decode base64 payload
-        const encryptedData = this.base64ToArrayBuffer(encryptedPayload);
-        
-        if (encryptedData.byteLength < this.IV_LENGTH + this.TAG_LENGTH + 1) {
-          throw new Error('Encrypted payload too short - possibly corrupted');
-        }
+      return { url, type };
+    });
+  }
 
-        // Extract IV, encrypted data, and auth tag
-        const iv = encryptedData.slice(0, this.IV_LENGTH);
-        const ciphertext = encryptedData.slice(this.IV_LENGTH);
+  /**
+   * Infer a modern image MIME type from the URL's file extension
+   * @param {string} url - Image URL
+   * @returns {string|null} MIME type or null if unknown
+   */
+  inferImageType(url) {
+    const pathname = new URL(url).pathname.toLowerCase();
+    if (pathname.endsWith('.avif')) {
+      return 'image/avif';
+    }
+    if (pathname.endsWith('.webp')) {
+      return 'image/webp';
+    }
+    return null;
+  }
 
-        // Import the key
-        const cryptoKey = await this.importKey(this.encryptionKey);
+  /**
+   * Validate video sources given as video_sources ([{url, type}] or URLs) or a single video_url
+   * @param {Object} data - Raw instruction data
+   * @returns {Array<{url: string, type: string}>} Validated sources in preference order
+   */
+  validateVideoSources(data) {
+    const field = data.video_sources ? 'video_sources' : 'video_url';
+    const rawSources = data.video_sources || [data.video_url];
 
-        // Decrypt the data
-        const decryptedBuffer = await crypto.subtle.decrypt(
-          {
-            name: this.ALGORITHM,
-            iv: iv
-          },
-          cryptoKey,
-          ciphertext
-        );
+    if (!Array.isArray(rawSources) || rawSources.length === 0) {
+      throw new Error('Invalid instruction set - video_sources must be a non-empty array');
+    }
 
-        // Convert decrypted buffer to string
-        const decryptedText = new TextDecoder().decode(decryptedBuffer);
-
-        // Parse and validate the instruction set
-        const instructionSet = this.parseInstructionSet(decryptedText);
-        
-        return instructionSet;
-      } catch (decryptionError) {
-        // Try with fixed payload format if initial attempt fails
-        console.warn('DecryptionService: Initial decryption failed, attempting with fixed format');
-        
-        // Fix common payload format issues
-        const fixedPayload = this.fixPayloadFormat(encryptedPayload);
-        
-        if (fixedPayload !== encryptedPayload) {
-          console.log('DecryptionService: Attempting with fixed payload format');
-          
-          // Decode fixed base64 payload
-          const encryptedData = this.base64ToArrayBuffer(fixedPayload);
-          
-          if (encryptedData.byteLength < this.IV_LENGTH + this.TAG_LENGTH + 1) {
-            throw new Error('Encrypted payload too short - possibly corrupted');
-          }
-
-          // Extract IV, encrypted data, and auth tag
-          const iv = encryptedData.slice(0, this.IV_LENGTH);
-          const ciphertext = encryptedData.slice(this.IV_LENGTH);
-
-          // Import the key
-          const cryptoKey = await this.importKey(this.encryptionKey);
-
-          // Decrypt the data
-          const decryptedBuffer = await crypto.subtle.decrypt(
-            {
-              name: this.ALGORITHM,
-              iv: iv
-            },
-            cryptoKey,
-            ciphertext
-          );
-
-          // Convert decrypted buffer to string
-          const decryptedText = new TextDecoder().decode(decryptedBuffer);
-
-          // Parse and validate the instruction set
-          const instructionSet = this.parseInstructionSet(decryptedText);
-          return instructionSet;
-        } else {
-          // If we couldn't fix the payload, throw the original error
-          throw decryptionError;
-        }
+    return rawSources.map((source, index) => {
+      const name = field === 'video_sources' ? `video_sources[${index}]` : 'video_url';
+      const url = typeof source === 'string' ? source : source && source.url;
+      if (!url || typeof url !== 'string' || !this.isValidUrl(url)) {
+        throw new Error(`Invalid instruction set - ${name} must be a valid URL`);
       }
-    } catch (error) {
-      this.handleDecryptionError(error);
-      throw error;
-    }
+
+      const type = (source && source.type) || this.inferVideoType(url);
+      if (!type || !this.VIDEO_TYPES.includes(type.split(';')[0].trim())) {
+        throw new Error(`Invalid instruction set - ${name} type must be one of: ${this.VIDEO_TYPES.join(', ')}`);
+      }
+
+      return { url, type };
+    });
   }
-  
+
   /**
-   * Fix common payload format issues
-   * @param {string} payload - The encrypted payload
-   * @returns {string} Fixed payload
+   * Infer a video MIME type from the URL's file extension
+   * @param {string} url - Video URL
+   * @returns {string|null} MIME type or null if unknown
    */
-  fixPayloadFormat(payload) {
-    if (!payload) return payload;
-    
-    // Fix common base64 issues
-    let fixed = payload;
-    
-    // Replace spaces with plus signs (common URL encoding issue)
-    fixed = fixed.replace(/ /g, '+');
-    
-    // Fix padding if needed
-    const paddingNeeded = fixed.length % 4;
-    if (paddingNeeded > 0) {
-      fixed += '='.repeat(4 - paddingNeeded);
+  inferVideoType(url) {
+    const pathname = new URL(url).pathname.toLowerCase();
+    if (pathname.endsWith('.webm')) {
+      return 'video/webm';
     }
-    
-    // Fix URL-safe base64 characters
-    fixed = fixed.replace(/-/g, '+').replace(/_/g, '/');
-    
-    return fixed;
+    if (pathname.endsWith('.mp4') || pathname.endsWith('.m4v')) {
+      return 'video/mp4';
+    }
+    return null;
   }
 
   /**
-   * Parse and validate decrypted instruction set JSON
-   * @param {string} decryptedText - The decrypted JSON string
-   * @returns {InstructionSet} Validated instruction set object
+   * Validate a list of tracking pixel URLs
+   * @param {Array<string>} trackers - Raw tracker URLs
+   * @param {string} field - Field name for error messages
+   * @returns {Array<string>} Validated http(s) URLs
    */
-  parseInstructionSet(decryptedText) {
-    try {
-      // Parse JSON
-      const rawData = JSON.parse(decryptedText);
+  validateTrackers(trackers, field) {
+    if (!Array.isArray(trackers)) {
+      throw new Error(`Invalid instruction set - ${field} must be an array of URLs`);
+    }
+    if (trackers.length > this.MAX_TRACKERS) {
+      throw new Error(`Invalid instruction set - ${field} can have at most ${this.MAX_TRACKERS} URLs`);
+    }
 
-      // Validate and create instruction set
-      const instructionSet = this.validateInstructionSet(rawData);
-      
-      return instructionSet;
-    } catch (error) {
-      if (error instanceof SyntaxError) {
-        throw new Error('Invalid JSON format in decrypted payload');
+    return trackers.map(url => {
+      if (typeof url !== 'string' || !this.isValidUrl(url) || !/^https?:$/.test(new URL(url).protocol)) {
+        throw new Error(`Invalid instruction set - ${field} must only contain http(s) URLs`);
       }
-      throw error;
-    }
+      return url;
+    });
   }
 
   /**
-   * Validate instruction set data structure and types
-   * @param {Object} data - Raw instruction data to validate
-   * @returns {InstructionSet} Validated instruction set
+   * Validate the experiments block
+   * @param {Object} experiment - Raw experiment ({id, variants: [{id, weight, image_url, click_url, deeplink_url}]})
+   * @returns {Object} Validated experiment
    */
-  validateInstructionSet(data) {
-    if (!data || typeof data !== 'object') {
-      throw new Error('Invalid instruction set - must be an object');
+  validateExperiment(experiment) {
+    if (!experiment || typeof experiment !== 'object' || Array.isArray(experiment)) {
+      throw new Error('Invalid instruction set - experiments must be an object');
     }
 
-    // Required field: click_url
-    if (!data.click_url || typeof data.click_url !== 'string') {
-      throw new Error('Invalid instruction set - click_url is required and must be a string');
+    if (!experiment.id || typeof experiment.id !== 'string') {
+      throw new Error('Invalid instruction set - experiments.id is required and must be a string');
     }
 
-    // Validate image_url format
-    if (data.image_url && (!this.isValidUrl(data.image_url))) {
-      throw new Error('Invalid instruction set - image_url must be a valid URL');
+    if (!Array.isArray(experiment.variants) || experiment.variants.length === 0) {
+      throw new Error('Invalid instruction set - experiments.variants must be a non-empty array');
     }
 
-    // Create validated instruction set with defaults
-    const instructionSet = {
-      image_url: data.image_url,
-      click_url: data.click_url || null,
-      deeplink_url: data.deeplink_url || null,
-      auto_click: Boolean(data.auto_click),
-      deeplink_priority: Boolean(data.deeplink_priority),
-      auto_click_delay: null,
-      title: data.title,
-      description: data.description
-    };
+    const ids = new Set();
+    const variants = experiment.variants.map((variant, index) => {
+      const field = `experiments.variants[${index}]`;
+      if (!variant || typeof variant !== 'object') {
+        throw new Error(`Invalid instruction set - ${field} must be an object`);
+      }
 
-    // Validate optional URLs
-    if (instructionSet.click_url && !this.isValidUrl(instructionSet.click_url)) {
-      throw new Error('Invalid instruction set - click_url must be a valid URL');
+      if (!variant.id || typeof variant.id !== 'string') {
+        throw new Error(`Invalid instruction set - ${field}.id is required and must be a string`);
+      }
+      if (ids.has(variant.id)) {
+        throw new Error(`Invalid instruction set - duplicate variant id: ${variant.id}`);
+      }
+      ids.add(variant.id);
+
+      const weight = variant.weight === undefined ? 1 : Number(variant.weight);
+      if (isNaN(weight) || weight < 0) {
+        throw new Error(`Invalid instruction set - ${field}.weight must be a non-negative number`);
+      }
+
+      ['image_url', 'click_url'].forEach(urlField => {
+        if (variant[urlField] && !this.isValidUrl(variant[urlField])) {
+          throw new Error(`Invalid instruction set - ${field}.${urlField} must be a valid URL`);
+        }
+      });
+
+      if (variant.deeplink_url && typeof variant.deeplink_url !== 'string') {
+        throw new Error(`Invalid instruction set - ${field}.deeplink_url must be a string`);
+      }
+
+      return {
+        id: variant.id,
+        weight,
+        image_url: variant.image_url || null,
+        click_url: variant.click_url || null,
+        deeplink_url: variant.deeplink_url || null
+      };
+    });
+
+    if (!variants.some(variant => variant.weight > 0)) {
+      throw new Error('Invalid instruction set - at least one variant must have a positive weight');
     }
 
-    if (instructionSet.deeplink_url && typeof instructionSet.deeplink_url !== 'string') {
-      throw new Error('Invalid instruction set - deeplink_url must be a string');
+    return { id: experiment.id, variants };
+  }
+
+  /**
+   * Reject instruction sets outside their exp/nbf window
+   * @param {InstructionSet} instructionSet - Validated instruction set
+   * @param {number} [now] - Current time in milliseconds
+   * @throws {LinkExpiredError} If the link has expired or is not active yet
+   */
+  checkValidityWindow(instructionSet, now = Date.now()) {
+    const nowSeconds = Math.floor(now / 1000);
+    const expiredUrl = instructionSet.expired_url || null;
+
+    if (instructionSet.exp !== undefined && nowSeconds > instructionSet.exp + this.CLOCK_SKEW_SECONDS) {
+      throw new LinkExpiredError('expired', expiredUrl);
     }
 
-    // Validate auto_click_delay
-    if (data.auto_click_delay !== undefined) {
-      const delay = Number(data.auto_click_delay);
-      if (isNaN(delay) || delay < 0) {
-        throw new Error('Invalid instruction set - auto_click_delay must be a non-negative number');
-      }
-      instructionSet.auto_click_delay = delay;
+    if (instructionSet.nbf !== undefined && nowSeconds < instructionSet.nbf - this.CLOCK_SKEW_SECONDS) {
+      throw new LinkExpiredError('not_yet_valid', expiredUrl);
     }
+  }
 
-    return instructionSet;
+  /**
+   * Count an open of a jti / max_opens link on this device and reject it once the limit is used up
+   * Links with a jti are single-use unless they set max_opens; see ReplayGuard
+   * @param {string} encryptedPayload - The payload as received, used to identify links without a jti
+   * @param {InstructionSet} instructionSet - Validated instruction set
+   * @param {number} [now] - Current time in milliseconds
+   * @throws {LinkExpiredError} If the link has already been opened as often as it may be
+   */
+  recordOpen(encryptedPayload, instructionSet, now = Date.now()) {
+    const result = this.replayGuard.recordOpen(encryptedPayload, instructionSet, now);
+    if (!result.allowed) {
+      throw new LinkExpiredError('max_opens', instructionSet.expired_url || null);
+    }
   }
 
   /**
@@ -357,47 +1494,158 @@ class DecryptionService {
   }
 
   /**
-   * Encrypt an instruction set using AES-GCM
+   * Validate an instruction set for minting and serialize it
+   * Links may be minted ahead of their nbf, but not after their exp
+   * @param {Object} instructionSet - The instruction set to mint
+   * @returns {string} Instruction set JSON
+   */
+  serializeForMinting(instructionSet) {
+    const validated = this.validateInstructionSet(instructionSet, { checkValidity: false });
+    if (validated.exp !== undefined && validated.exp * 1000 < Date.now()) {
+      throw new Error('Instruction set has already expired');
+    }
+    return JSON.stringify(instructionSet);
+  }
+
+  /**
+   * Encrypt an instruction set using AES-GCM with the current key
    * @param {Object} instructionSet - The instruction set to encrypt
-   * @returns {Promise<string>} Base64 encoded encrypted data
+   * @returns {Promise<string>} URL-safe base64 encoded payload envelope
    */
   async encrypt(instructionSet) {
     try {
-      // Validate instruction set
-      this.validateInstructionSet(instructionSet);
-      const jsonData = JSON.stringify(instructionSet);
-      // Generate random IV
-      const iv = crypto.getRandomValues(new Uint8Array(this.IV_LENGTH));
-      // Import key
-      const cryptoKey = await crypto.subtle.importKey(
-        'raw',
-        new TextEncoder().encode(this.encryptionKey.padEnd(32, '0').substring(0, 32)),
-        { name: this.ALGORITHM },
-        false,
-        ['encrypt']
-      );
-      // Encrypt
-      const encryptedBuffer = await crypto.subtle.encrypt(
-        {
-          name: this.ALGORITHM,
-          iv: iv
-        },
-        cryptoKey,
-        new TextEncoder().encode(jsonData)
-      );
-      // Combine IV + encrypted data + tag (tag is appended automatically in AES-GCM)
-      const combined = new Uint8Array(iv.length + encryptedBuffer.byteLength);
-      combined.set(iv, 0);
-      combined.set(new Uint8Array(encryptedBuffer), iv.length);
-      // Base64 encode
-      let base64 = btoa(String.fromCharCode.apply(null, combined));
-      // URL-safe
-      base64 = base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
-      return base64;
+      const jsonData = this.serializeForMinting(instructionSet);
+      return this.toBase64Url(await this.encryptToEnvelope(jsonData));
     } catch (error) {
       throw new Error(`Encryption failed: ${error.message}`);
     }
   }
+
+  /**
+   * Encrypt text with the current key into a versioned envelope
+   * @param {string} plaintext - Text to encrypt
+   * @returns {Promise<Uint8Array>} Envelope bytes
+   */
+  async encryptToEnvelope(plaintext) {
+    // Resolve the current key
+    const { id: keyId, key: keyString } = this.getCurrentKey();
+    if (!keyString) {
+      throw new Error(`No key configured for key ID: ${keyId}`);
+    }
+    // Generate random IV
+    const iv = crypto.getRandomValues(new Uint8Array(this.IV_LENGTH));
+    // Import key
+    const cryptoKey = await this.importKey(keyString, ['encrypt']);
+    // Encrypt
+    const encryptedBuffer = await crypto.subtle.encrypt(
+      {
+        name: this.ALGORITHM,
+        iv: iv
+      },
+      cryptoKey,
+      new TextEncoder().encode(plaintext)
+    );
+    // Wrap IV + encrypted data + tag (tag is appended automatically in AES-GCM) in a versioned envelope
+    return this.buildEnvelope(keyId, iv, encryptedBuffer);
+  }
+
+  /**
+   * Sign an instruction set with the current signing key
+   * With signing.encrypt, the signed payload is an AES envelope instead of plain JSON
+   * @param {Object} instructionSet - The instruction set to sign
+   * @returns {Promise<string>} URL-safe base64 encoded signed envelope
+   */
+  async sign(instructionSet) {
+    try {
+      const jsonData = this.serializeForMinting(instructionSet);
+      const keyId = this.signing.currentKeyId;
+      const privateKey = keyId ? this.signing.privateKeys[keyId] : null;
+      if (!privateKey) {
+        throw new Error(`No private signing key configured for key ID: ${keyId}`);
+      }
+
+      const keyIdBytes = new TextEncoder().encode(keyId);
+      if (keyIdBytes.length > 255) {
+        throw new Error('Key ID must be between 1 and 255 bytes');
+      }
+
+      const payload = this.signing.encrypt
+        ? await this.encryptToEnvelope(jsonData)
+        : new TextEncoder().encode(jsonData);
+
+      const headerLength = 2 + keyIdBytes.length + 2;
+      const signedData = new Uint8Array(headerLength + payload.length);
+      signedData[0] = this.SIGNED_ENVELOPE_VERSION;
+      signedData[1] = keyIdBytes.length;
+      signedData.set(keyIdBytes, 2);
+      signedData[2 + keyIdBytes.length] = this.SIGNATURE_ALGORITHM_IDS[this.signing.algorithm];
+      signedData[3 + keyIdBytes.length] = this.signing.encrypt ? this.SIGNED_FLAG_ENCRYPTED : 0;
+      signedData.set(payload, headerLength);
+
+      const cryptoKey = await this.importSigningKey(privateKey, this.signing.algorithm, 'sign');
+      const signature = new Uint8Array(await crypto.subtle.sign(
+        this.getSignatureAlgorithm(this.signing.algorithm).signature,
+        cryptoKey,
+        signedData
+      ));
+
+      const envelope = new Uint8Array(signedData.length + signature.length);
+      envelope.set(signedData, 0);
+      envelope.set(signature, signedData.length);
+      return this.toBase64Url(envelope);
+    } catch (error) {
+      throw new Error(`Signing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mint a payload the way the configuration asks: signed when signing.enabled, encrypted otherwise
+   * @param {Object} instructionSet - The instruction set to mint
+   * @returns {Promise<string>} URL-safe base64 payload
+   */
+  async createPayload(instructionSet) {
+    return this.signing.enabled ? this.sign(instructionSet) : this.encrypt(instructionSet);
+  }
+
+  /**
+   * Generate a signing key pair for signed links
+   * @param {string} [algorithm] - 'ECDSA-P256' or 'Ed25519' (defaults to signing.algorithm)
+   * @returns {Promise<{algorithm: string, publicKey: string, privateKey: string}>} Base64 SPKI public key and PKCS#8 private key
+   */
+  async generateSigningKeyPair(algorithm = this.signing.algorithm) {
+    if (!this.SIGNATURE_ALGORITHM_IDS[algorithm]) {
+      throw new Error(`Unsupported signature algorithm: ${algorithm}`);
+    }
+
+    const keyPair = await crypto.subtle.generateKey(this.getSignatureAlgorithm(algorithm).key, true, ['sign', 'verify']);
+    return {
+      algorithm: algorithm,
+      publicKey: this.bytesToBase64(new Uint8Array(await crypto.subtle.exportKey('spki', keyPair.publicKey))),
+      privateKey: this.bytesToBase64(new Uint8Array(await crypto.subtle.exportKey('pkcs8', keyPair.privateKey)))
+    };
+  }
+
+  /**
+   * Standard base64 encoding of bytes
+   * @param {Uint8Array} bytes - Bytes to encode
+   * @returns {string} Base64 text
+   */
+  bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * URL-safe base64 encoding without padding, as used in links
+   * @param {Uint8Array} bytes - Bytes to encode
+   * @returns {string} URL-safe base64 text
+   */
+  toBase64Url(bytes) {
+    return this.bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
 }
 
 /**
@@ -409,12 +1657,58 @@ class DecryptionService {
  * @property {boolean} auto_click - Whether to enable auto-click (default: false)
  * @property {boolean} deeplink_priority - Whether deeplink has priority (default: false)
  * @property {number|null} auto_click_delay - Optional delay in milliseconds for auto-click
+ * @property {string} [ios_store_url] - Optional App Store URL opened when an iOS deeplink fails
+ * @property {string} [android_store_url] - Optional Play Store URL used as the intent:// browser fallback
+ * @property {number} [exp] - Optional Unix timestamp (seconds) after which the link has expired
+ * @property {number} [nbf] - Optional Unix timestamp (seconds) before which the link is not active
+ * @property {number} [max_opens] - Optional number of times the link may be opened in one browser
+ * @property {string} [jti] - Optional unique link ID; the link is single-use per browser unless max_opens is set
+ * @property {string} [expired_url] - Optional URL to redirect to once the link is no longer valid
+ * @property {Array<Creative>} [creatives] - Optional creatives to rotate through; image_url defaults to the first
+ * @property {string} [rotation_mode] - 'sequential' (default) or 'weighted' for picks after the first
+ * @property {number|null} [rotation_interval] - Optional rotation interval in milliseconds
+ * @property {Array<ImageVariant>} [image_variants] - Optional responsive variants of image_url
+ * @property {Array<{url: string, type: string}>} [image_alternatives] - Optional AVIF/WebP versions of image_url, tried in order
+ * @property {Overlay} [overlay] - Optional headline/description/CTA overlay on top of the creative
+ * @property {Array<{url: string, type: string}>} [video_sources] - Optional MP4/WebM video (from video_url or video_sources); image_url is the fallback and defaults to poster_url
+ * @property {string} [poster_url] - Optional poster frame for the video (defaults to image_url)
+ * @property {Array<string>} [impression_trackers] - Optional pixels fired once the creative has rendered
+ * @property {Array<string>} [click_trackers] - Optional pixels fired on click, before navigation
+ * @property {Object} [experiments] - Optional A/B experiment: {id, variants: [{id, weight, image_url, click_url, deeplink_url}]}
+ */
+
+/**
+ * Creative definition (for documentation)
+ * @typedef {Object} Creative
+ * @property {string} id - Creative ID used in analytics (defaults to creative_<n>)
+ * @property {string} image_url - Image to display
+ * @property {string} click_url - Click URL (defaults to the instruction set's click_url)
+ * @property {string|null} deeplink_url - Deeplink (defaults to the instruction set's deeplink_url)
+ * @property {number} weight - Relative selection weight (default 1)
+ */
+
+/**
+ * @typedef {Object} Overlay
+ * @property {string|null} headline - Headline text (defaults to title)
+ * @property {string|null} description - Description text (defaults to description)
+ * @property {{text: string, background_color: string|null, text_color: string|null, position: string}|null} cta - CTA button
+ * @property {boolean} countdown - Whether to show a countdown to the auto-click
+ */
+
+/**
+ * @typedef {Object} ImageVariant
+ * @property {string} url - Image URL
+ * @property {number|null} width - Pixel width of the image (srcset "w"), or null if described by dpr
+ * @property {number|null} dpr - Device pixel ratio the image targets (srcset "x"), or null if described by width
+ * @property {string|null} orientation - 'portrait', 'landscape' or null for either
  */
 
 // Export for use in other modules and tests
 export default DecryptionService;
+export { LinkExpiredError, BlockedUrlError };
 
 // Make available globally for browser usage
 if (typeof window !== 'undefined') {
   window.DecryptionService = DecryptionService;
+  window.LinkExpiredError = LinkExpiredError;
 }
\ No newline at end of file
@@ -3,12 +3,14 @@
  * Tests encryption/decryption functionality, validation, and error handling
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { webcrypto } from 'node:crypto';
 
 // Mock crypto.subtle for testing environment
 const mockCrypto = {
   subtle: {
     importKey: vi.fn(),
+    deriveKey: vi.fn(),
     decrypt: vi.fn()
   }
 };
@@ -80,12 +82,34 @@ describe('DecryptionService', () => {
 
   describe('importKey', () => {
     it('should import key successfully', async () => {
+      const mockBaseKey = { type: 'secret', usages: ['deriveKey'] };
       const mockCryptoKey = { type: 'secret' };
-      mockCrypto.subtle.importKey.mockResolvedValue(mockCryptoKey);
+      mockCrypto.subtle.importKey.mockResolvedValue(mockBaseKey);
+      mockCrypto.subtle.deriveKey.mockResolvedValue(mockCryptoKey);
 
       const result = await decryptionService.importKey('test-key-string');
       
       expect(mockCrypto.subtle.importKey).toHaveBeenCalled();
+      expect(mockCrypto.subtle.deriveKey).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'PBKDF2', iterations: 100000, hash: 'SHA-256' }),
+        mockBaseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['decrypt']
+      );
+      expect(result).toBe(mockCryptoKey);
+    });
+
+    it('should import legacy keys without derivation', async () => {
+      const mockCryptoKey = { type: 'secret' };
+      mockCrypto.subtle.importKey.mockResolvedValue(mockCryptoKey);
+
+      const result = await decryptionService.importKey('test-key-string', ['decrypt'], 'legacy');
+
+      expect(mockCrypto.subtle.deriveKey).not.toHaveBeenCalled();
+      expect(mockCrypto.subtle.importKey.mock.calls[0][1]).toEqual(
+        new TextEncoder().encode('test-key-string'.padEnd(32, '0'))
+      );
       expect(result).toBe(mockCryptoKey);
     });
 
@@ -302,6 +326,633 @@ describe('DecryptionService', () => {
     });
   });
 
+  describe('Versioned payload envelope', () => {
+    const instructionSet = {
+      image_url: 'https://example.com/image.jpg',
+      click_url: 'https://example.com/click'
+    };
+
+    // Encrypt in the legacy IV || ciphertext format without a key ID
+    const encryptLegacy = async (keyString, data) => {
+      const iv = webcrypto.getRandomValues(new Uint8Array(12));
+      const key = await webcrypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(keyString.padEnd(32, '0').substring(0, 32)),
+        { name: 'AES-GCM' },
+        false,
+        ['encrypt']
+      );
+      const encrypted = await webcrypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(data)));
+      const combined = new Uint8Array(iv.length + encrypted.byteLength);
+      combined.set(iv, 0);
+      combined.set(new Uint8Array(encrypted), iv.length);
+      return Buffer.from(combined).toString('base64');
+    };
+
+    beforeEach(() => {
+      global.crypto = webcrypto;
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      global.crypto = mockCrypto;
+      vi.restoreAllMocks();
+    });
+
+    it('should emit an envelope carrying version, key ID and algorithm', async () => {
+      decryptionService.setKeyring({ 'key-2025': 'rotated-key-with-enough-length' }, 'key-2025');
+
+      const payload = await decryptionService.encrypt(instructionSet);
+      const envelope = decryptionService.parseEnvelope(decryptionService.base64ToArrayBuffer(payload));
+
+      expect(envelope.version).toBe(1);
+      expect(envelope.keyId).toBe('key-2025');
+      expect(envelope.algorithm).toBe('AES-GCM');
+      expect(envelope.iv.byteLength).toBe(12);
+    });
+
+    it('should round-trip payloads minted with the current key', async () => {
+      decryptionService.setKeyring({ k1: 'first-key-with-enough-length' }, 'k1');
+
+      const payload = await decryptionService.encrypt(instructionSet);
+      const result = await decryptionService.decrypt(payload);
+
+      expect(result.image_url).toBe(instructionSet.image_url);
+      expect(result.click_url).toBe(instructionSet.click_url);
+    });
+
+    it('should keep decrypting links minted with a retired key after rotation', async () => {
+      const minter = new DecryptionService();
+      minter.setKeyring({ k1: 'first-key-with-enough-length' }, 'k1');
+      const oldPayload = await minter.encrypt(instructionSet);
+
+      decryptionService.setKeyring({
+        k1: 'first-key-with-enough-length',
+        k2: 'second-key-with-enough-length'
+      }, 'k2');
+
+      const result = await decryptionService.decrypt(oldPayload);
+      expect(result.click_url).toBe(instructionSet.click_url);
+    });
+
+    it('should reject envelopes whose key ID is not in the keyring', async () => {
+      const minter = new DecryptionService();
+      minter.setKeyring({ unknown: 'unknown-key-with-enough-length' }, 'unknown');
+      const payload = await minter.encrypt(instructionSet);
+
+      decryptionService.setKeyring({ k1: 'first-key-with-enough-length' }, 'k1');
+
+      await expect(decryptionService.decrypt(payload))
+        .rejects.toThrow('Failed to process encrypted payload');
+    });
+
+    it('should still decrypt legacy payloads without an envelope', async () => {
+      const payload = await encryptLegacy(decryptionService.encryptionKey, instructionSet);
+      decryptionService.setKeyring({ k2: 'second-key-with-enough-length' }, 'k2');
+      decryptionService.setKeyDerivation({ allowLegacy: true });
+
+      const result = await decryptionService.decrypt(payload);
+      expect(result.click_url).toBe(instructionSet.click_url);
+    });
+
+    it('should only accept the legacy key derivation when allowLegacy is set', async () => {
+      const payload = await encryptLegacy(decryptionService.encryptionKey, instructionSet);
+
+      await expect(decryptionService.decrypt(payload)).rejects.toThrow();
+
+      decryptionService.setKeyDerivation({ allowLegacy: true });
+      const result = await decryptionService.decrypt(payload);
+      expect(result.click_url).toBe(instructionSet.click_url);
+    });
+
+    it('should not let keys sharing their first 32 characters decrypt each other', async () => {
+      const prefix = 'a-passphrase-that-is-32-chars-xx';
+      const minter = new DecryptionService();
+      minter.setKeyring({ k1: prefix + '-one' }, 'k1');
+      const payload = await minter.encrypt(instructionSet);
+
+      decryptionService.setKeyring({ k1: prefix + '-two' }, 'k1');
+
+      await expect(decryptionService.decrypt(payload)).rejects.toThrow();
+    });
+
+    it('should use the per-deployment salt and HKDF when configured', async () => {
+      const minter = new DecryptionService();
+      minter.setKeyDerivation({ algorithm: 'HKDF', salt: 'deployment-a' });
+      const payload = await minter.encrypt(instructionSet);
+
+      decryptionService.setKeyDerivation({ algorithm: 'HKDF', salt: 'deployment-b' });
+      await expect(decryptionService.decrypt(payload)).rejects.toThrow();
+
+      decryptionService.setKeyDerivation({ salt: 'deployment-a' });
+      const result = await decryptionService.decrypt(payload);
+      expect(result.click_url).toBe(instructionSet.click_url);
+    });
+
+    it('should accept raw 256-bit keys as hex or base64', async () => {
+      const rawKey = webcrypto.getRandomValues(new Uint8Array(32));
+      const hexKey = 'hex:' + Buffer.from(rawKey).toString('hex');
+      const base64Key = 'base64:' + Buffer.from(rawKey).toString('base64');
+
+      const minter = new DecryptionService();
+      minter.setKeyring({ raw: hexKey }, 'raw');
+      const payload = await minter.encrypt(instructionSet);
+
+      decryptionService.setKeyring({ raw: base64Key }, 'raw');
+      expect(decryptionService.validateDecryptionKey()).toBe(true);
+      const result = await decryptionService.decrypt(payload);
+      expect(result.click_url).toBe(instructionSet.click_url);
+    });
+
+    it('should reject raw keys that are not 256 bits', () => {
+      expect(() => decryptionService.parseRawKey('hex:abcd'))
+        .toThrow('Raw key must be 256 bits, got 16');
+    });
+
+    it('should reject a current key ID missing from the keyring', () => {
+      expect(() => decryptionService.setKeyring({ k1: 'first-key-with-enough-length' }, 'k2'))
+        .toThrow('Current key ID not found in keyring: k2');
+    });
+  });
+
+  describe('Signed links', () => {
+    const instructionSet = {
+      image_url: 'https://example.com/image.jpg',
+      click_url: 'https://example.com/click'
+    };
+
+    // A minting service and a page service that only has the public key
+    const createSignedPair = async (options = {}) => {
+      const minter = new DecryptionService();
+      const algorithm = options.algorithm || 'ECDSA-P256';
+      const keyPair = await minter.generateSigningKeyPair(algorithm);
+      const signing = { algorithm, currentKeyId: 'sig-1', publicKeys: { 'sig-1': keyPair.publicKey }, ...options };
+
+      minter.setSigning({ ...signing, enabled: true, privateKeys: { 'sig-1': keyPair.privateKey } });
+      decryptionService.setSigning({ ...signing, required: true });
+      return minter;
+    };
+
+    beforeEach(() => {
+      global.crypto = webcrypto;
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      global.crypto = mockCrypto;
+      vi.restoreAllMocks();
+    });
+
+    it('should open ECDSA P-256 signed links with only the public key', async () => {
+      const minter = await createSignedPair();
+
+      const payload = await minter.createPayload(instructionSet);
+      const envelope = decryptionService.parseSignedEnvelope(decryptionService.base64ToArrayBuffer(payload));
+      const result = await decryptionService.decrypt(payload);
+
+      expect(envelope).toMatchObject({ version: 2, keyId: 'sig-1', algorithm: 'ECDSA-P256', encrypted: false });
+      expect(result.click_url).toBe(instructionSet.click_url);
+    });
+
+    it('should open Ed25519 signed links', async () => {
+      const minter = await createSignedPair({ algorithm: 'Ed25519' });
+
+      const result = await decryptionService.decrypt(await minter.createPayload(instructionSet));
+
+      expect(result.click_url).toBe(instructionSet.click_url);
+    });
+
+    it('should reject a signed link whose click_url was tampered with', async () => {
+      const minter = await createSignedPair();
+      const bytes = new Uint8Array(decryptionService.base64ToArrayBuffer(await minter.createPayload(instructionSet)));
+      const text = new TextDecoder().decode(bytes);
+      const tampered = new TextEncoder().encode(text.replace('example.com/click', 'attacker.io/click'));
+
+      await expect(decryptionService.decrypt(decryptionService.toBase64Url(tampered)))
+        .rejects.toThrow('Payload signature is invalid');
+    });
+
+    it('should report a tampered signed link as an invalid signature before signatures are required', async () => {
+      const minter = await createSignedPair();
+      decryptionService.setSigning({ required: false });
+      const bytes = new Uint8Array(decryptionService.base64ToArrayBuffer(await minter.createPayload(instructionSet)));
+      const text = new TextDecoder().decode(bytes);
+      const tampered = new TextEncoder().encode(text.replace('example.com/click', 'attacker.io/click'));
+
+      await expect(decryptionService.decrypt(decryptionService.toBase64Url(tampered)))
+        .rejects.toThrow('Payload signature is invalid');
+    });
+
+    it('should reject unsigned links once signatures are required, and accept them before', async () => {
+      await createSignedPair();
+      const legacyMinter = new DecryptionService();
+      const unsigned = await legacyMinter.encrypt(instructionSet);
+
+      await expect(decryptionService.decrypt(unsigned))
+        .rejects.toThrow('Unsigned payload rejected: links must be signed');
+
+      decryptionService.setSigning({ required: false });
+      expect((await decryptionService.decrypt(unsigned)).click_url).toBe(instructionSet.click_url);
+    });
+
+    it('should reject links signed with an unknown key ID', async () => {
+      const minter = await createSignedPair();
+      decryptionService.setSigning({ publicKeys: {} });
+
+      await expect(decryptionService.decrypt(await minter.createPayload(instructionSet)))
+        .rejects.toThrow('Payload signature is invalid');
+    });
+
+    it('should sign encrypted payloads when signing.encrypt is on', async () => {
+      const minter = await createSignedPair({ encrypt: true });
+      minter.setKeyring({ k1: 'first-key-with-enough-length' }, 'k1');
+      decryptionService.setKeyring({ k1: 'first-key-with-enough-length' }, 'k1');
+
+      const payload = await minter.createPayload(instructionSet);
+      const envelope = decryptionService.parseSignedEnvelope(decryptionService.base64ToArrayBuffer(payload));
+
+      expect(envelope.encrypted).toBe(true);
+      expect(new TextDecoder().decode(envelope.payload)).not.toContain('click_url');
+      expect((await decryptionService.decrypt(payload)).click_url).toBe(instructionSet.click_url);
+    });
+  });
+
+  describe('Link validity window', () => {
+    const baseData = {
+      image_url: 'https://example.com/image.jpg',
+      click_url: 'https://example.com/click'
+    };
+    const now = Date.UTC(2026, 0, 1);
+    const nowSeconds = now / 1000;
+
+    beforeEach(() => {
+      localStorage.clear();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      global.crypto = mockCrypto;
+      vi.restoreAllMocks();
+    });
+
+    it('should accept links inside their exp/nbf window', () => {
+      const result = decryptionService.validateInstructionSet(
+        { ...baseData, nbf: nowSeconds - 3600, exp: nowSeconds + 3600, expired_url: 'https://example.com/ended' },
+        { now }
+      );
+
+      expect(result.nbf).toBe(nowSeconds - 3600);
+      expect(result.exp).toBe(nowSeconds + 3600);
+      expect(result.expired_url).toBe('https://example.com/ended');
+    });
+
+    it('should reject expired links with LinkExpiredError', () => {
+      const data = { ...baseData, exp: nowSeconds - 3600, expired_url: 'https://example.com/ended' };
+
+      expect(() => decryptionService.validateInstructionSet(data, { now }))
+        .toThrow(expect.objectContaining({
+          name: 'LinkExpiredError',
+          reason: 'expired',
+          expiredUrl: 'https://example.com/ended'
+        }));
+    });
+
+    it('should reject links that are not active yet', () => {
+      const data = { ...baseData, nbf: nowSeconds + 3600 };
+
+      expect(() => decryptionService.validateInstructionSet(data, { now }))
+        .toThrow(expect.objectContaining({ name: 'LinkExpiredError', reason: 'not_yet_valid' }));
+    });
+
+    it('should tolerate small clock drift around exp', () => {
+      const data = { ...baseData, exp: nowSeconds - 30 };
+
+      expect(() => decryptionService.validateInstructionSet(data, { now })).not.toThrow();
+    });
+
+    it('should skip the window check when checkValidity is false', () => {
+      const data = { ...baseData, exp: nowSeconds - 3600 };
+
+      expect(() => decryptionService.validateInstructionSet(data, { now, checkValidity: false })).not.toThrow();
+    });
+
+    it('should reject malformed exp, nbf, max_opens and expired_url', () => {
+      expect(() => decryptionService.validateInstructionSet({ ...baseData, exp: 'tomorrow' }, { now }))
+        .toThrow('Invalid instruction set - exp must be a Unix timestamp in seconds');
+      expect(() => decryptionService.validateInstructionSet({ ...baseData, nbf: nowSeconds + 10, exp: nowSeconds }, { now }))
+        .toThrow('Invalid instruction set - nbf must be earlier than exp');
+      expect(() => decryptionService.validateInstructionSet({ ...baseData, max_opens: 0 }, { now }))
+        .toThrow('Invalid instruction set - max_opens must be a positive integer');
+      expect(() => decryptionService.validateInstructionSet({ ...baseData, expired_url: 'javascript:alert(1)' }, { now }))
+        .toThrow('Invalid instruction set - expired_url must be a valid http(s) URL');
+    });
+
+    it('should reject a link once max_opens is used up', () => {
+      const instructionSet = decryptionService.validateInstructionSet({ ...baseData, max_opens: 2 });
+
+      decryptionService.recordOpen('payload-a', instructionSet);
+      decryptionService.recordOpen('payload-a', instructionSet);
+
+      expect(() => decryptionService.recordOpen('payload-a', instructionSet))
+        .toThrow(expect.objectContaining({ name: 'LinkExpiredError', reason: 'max_opens' }));
+      // Other links keep their own count
+      expect(() => decryptionService.recordOpen('payload-b', instructionSet)).not.toThrow();
+    });
+
+    it('should surface LinkExpiredError from decrypt for an expired payload', async () => {
+      global.crypto = webcrypto;
+      const payload = await decryptionService.encrypt({ ...baseData, exp: Math.floor(Date.now() / 1000) + 3600 });
+
+      vi.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * 3600 * 1000);
+
+      await expect(decryptionService.decrypt(payload))
+        .rejects.toMatchObject({ name: 'LinkExpiredError', reason: 'expired' });
+    });
+  });
+
+  describe('Creatives', () => {
+    it('should fill creative defaults from the instruction set', () => {
+      const result = decryptionService.validateInstructionSet({
+        click_url: 'https://example.com/click',
+        deeplink_url: 'app://open',
+        creatives: [
+          { image_url: 'https://example.com/a.jpg' },
+          { id: 'b', image_url: 'https://example.com/b.jpg', click_url: 'https://example.com/b', weight: 3 }
+        ],
+        rotation_interval: 5000
+      });
+
+      expect(result.image_url).toBe('https://example.com/a.jpg');
+      expect(result.rotation_mode).toBe('sequential');
+      expect(result.rotation_interval).toBe(5000);
+      expect(result.creatives).toEqual([
+        { id: 'creative_1', image_url: 'https://example.com/a.jpg', click_url: 'https://example.com/click', deeplink_url: 'app://open', weight: 1 },
+        { id: 'b', image_url: 'https://example.com/b.jpg', click_url: 'https://example.com/b', deeplink_url: 'app://open', weight: 3 }
+      ]);
+    });
+
+    it('should not require a top-level click_url when every creative has one', () => {
+      const result = decryptionService.validateInstructionSet({
+        creatives: [{ image_url: 'https://example.com/a.jpg', click_url: 'https://example.com/a' }]
+      });
+
+      expect(result.click_url).toBe('https://example.com/a');
+    });
+
+    it('should reject invalid creatives', () => {
+      const base = { click_url: 'https://example.com/click' };
+
+      expect(() => decryptionService.validateInstructionSet({ ...base, creatives: [] }))
+        .toThrow('Invalid instruction set - creatives must be a non-empty array');
+      expect(() => decryptionService.validateInstructionSet({ ...base, creatives: [{ image_url: 'not a url' }] }))
+        .toThrow('Invalid instruction set - creatives[0].image_url must be a valid URL');
+      expect(() => decryptionService.validateInstructionSet({
+        ...base,
+        creatives: [{ id: 'a', image_url: 'https://example.com/a.jpg' }, { id: 'a', image_url: 'https://example.com/b.jpg' }]
+      })).toThrow('Invalid instruction set - duplicate creative id: a');
+      expect(() => decryptionService.validateInstructionSet({ ...base, creatives: [{ image_url: 'https://example.com/a.jpg', weight: 0 }] }))
+        .toThrow('Invalid instruction set - at least one creative must have a positive weight');
+      expect(() => decryptionService.validateInstructionSet({ ...base, creatives: [{ image_url: 'https://example.com/a.jpg' }], rotation_mode: 'random' }))
+        .toThrow('Invalid instruction set - rotation_mode must be one of: sequential, weighted');
+      expect(() => decryptionService.validateInstructionSet({ ...base, creatives: [{ image_url: 'https://example.com/a.jpg' }], rotation_interval: 100 }))
+        .toThrow('Invalid instruction set - rotation_interval must be at least 1000ms');
+    });
+  });
+
+  describe('App store fallbacks', () => {
+    const base = { click_url: 'https://example.com/click', deeplink_url: 'myapp://open' };
+
+    it('should keep valid store URLs', () => {
+      const result = decryptionService.validateInstructionSet({
+        ...base,
+        ios_store_url: 'https://apps.apple.com/app/id123',
+        android_store_url: 'market://details?id=com.example.app'
+      });
+
+      expect(result.ios_store_url).toBe('https://apps.apple.com/app/id123');
+      expect(result.android_store_url).toBe('market://details?id=com.example.app');
+    });
+
+    it('should reject invalid store URLs', () => {
+      expect(() => decryptionService.validateInstructionSet({ ...base, ios_store_url: 'apps.apple.com' }))
+        .toThrow('Invalid instruction set - ios_store_url must be a valid URL');
+    });
+  });
+
+  describe('Image variants', () => {
+    const base = { click_url: 'https://example.com/click' };
+
+    it('should normalize variants and default image_url to the first one', () => {
+      const result = decryptionService.validateInstructionSet({
+        ...base,
+        image_variants: [
+          { url: 'https://example.com/a-720.jpg', width: 720, orientation: 'portrait' },
+          { url: 'https://example.com/a-2x.jpg', dpr: 2 },
+          { url: 'https://example.com/a-1x.jpg' }
+        ]
+      });
+
+      expect(result.image_url).toBe('https://example.com/a-720.jpg');
+      expect(result.image_variants).toEqual([
+        { url: 'https://example.com/a-720.jpg', width: 720, dpr: null, orientation: 'portrait' },
+        { url: 'https://example.com/a-2x.jpg', width: null, dpr: 2, orientation: null },
+        { url: 'https://example.com/a-1x.jpg', width: null, dpr: 1, orientation: null }
+      ]);
+    });
+
+    it('should reject invalid variants', () => {
+      expect(() => decryptionService.validateInstructionSet({ ...base, image_variants: [] }))
+        .toThrow('Invalid instruction set - image_variants must be a non-empty array');
+      expect(() => decryptionService.validateInstructionSet({ ...base, image_variants: [{ url: 'nope' }] }))
+        .toThrow('Invalid instruction set - image_variants[0].url must be a valid URL');
+      expect(() => decryptionService.validateInstructionSet({ ...base, image_variants: [{ url: 'https://example.com/a.jpg', width: 720, dpr: 2 }] }))
+        .toThrow('Invalid instruction set - image_variants[0] cannot set both width and dpr');
+      expect(() => decryptionService.validateInstructionSet({ ...base, image_variants: [{ url: 'https://example.com/a.jpg', width: 7.5 }] }))
+        .toThrow('Invalid instruction set - image_variants[0].width must be a positive integer');
+      expect(() => decryptionService.validateInstructionSet({ ...base, image_variants: [{ url: 'https://example.com/a.jpg', dpr: 0 }] }))
+        .toThrow('Invalid instruction set - image_variants[0].dpr must be a positive number');
+      expect(() => decryptionService.validateInstructionSet({ ...base, image_variants: [{ url: 'https://example.com/a.jpg', orientation: 'square' }] }))
+        .toThrow('Invalid instruction set - image_variants[0].orientation must be one of: portrait, landscape');
+    });
+  });
+
+  describe('Image alternatives', () => {
+    const base = { click_url: 'https://example.com/click', image_url: 'https://example.com/a.jpg' };
+
+    it('should keep alternatives in order and infer their types', () => {
+      const result = decryptionService.validateInstructionSet({
+        ...base,
+        image_alternatives: ['https://example.com/a.avif', { url: 'https://example.com/a?fmt=webp', type: 'image/webp' }]
+      });
+
+      expect(result.image_alternatives).toEqual([
+        { url: 'https://example.com/a.avif', type: 'image/avif' },
+        { url: 'https://example.com/a?fmt=webp', type: 'image/webp' }
+      ]);
+    });
+
+    it('should reject invalid alternatives', () => {
+      expect(() => decryptionService.validateInstructionSet({ ...base, image_alternatives: [] }))
+        .toThrow('Invalid instruction set - image_alternatives must be a non-empty array');
+      expect(() => decryptionService.validateInstructionSet({ ...base, image_alternatives: ['https://example.com/a.png'] }))
+        .toThrow('Invalid instruction set - image_alternatives[0] type must be one of: image/avif, image/webp');
+      expect(() => decryptionService.validateInstructionSet({ click_url: base.click_url, image_alternatives: ['https://example.com/a.webp'] }))
+        .toThrow('Invalid instruction set - image_alternatives require image_url as the final fallback');
+    });
+  });
+
+  describe('Overlay', () => {
+    const base = { click_url: 'https://example.com/click', image_url: 'https://example.com/a.jpg' };
+
+    it('should default the overlay text to title and description', () => {
+      const result = decryptionService.validateInstructionSet({
+        ...base,
+        title: 'Summer Sale',
+        description: 'Up to 50% off',
+        auto_click: true,
+        overlay: { cta: { text: 'Shop now', background_color: '#ff0000' }, countdown: true }
+      });
+
+      expect(result.overlay).toEqual({
+        headline: 'Summer Sale',
+        description: 'Up to 50% off',
+        cta: { text: 'Shop now', background_color: '#ff0000', text_color: null, position: 'bottom' },
+        countdown: true
+      });
+    });
+
+    it('should reject invalid overlays', () => {
+      expect(() => decryptionService.validateInstructionSet({ ...base, overlay: 'banner' }))
+        .toThrow('Invalid instruction set - overlay must be an object');
+      expect(() => decryptionService.validateInstructionSet({ ...base, overlay: { cta: {} } }))
+        .toThrow('Invalid instruction set - overlay.cta.text is required and must be a short string');
+      expect(() => decryptionService.validateInstructionSet({ ...base, overlay: { cta: { text: 'Go', text_color: 'red;display:none' } } }))
+        .toThrow('Invalid instruction set - overlay.cta.text_color must be a CSS color');
+      expect(() => decryptionService.validateInstructionSet({ ...base, overlay: { cta: { text: 'Go', position: 'left' } } }))
+        .toThrow('Invalid instruction set - overlay.cta.position must be one of: top, center, bottom');
+      expect(() => decryptionService.validateInstructionSet({ ...base, overlay: { countdown: true } }))
+        .toThrow('Invalid instruction set - overlay.countdown requires auto_click');
+      expect(() => decryptionService.validateInstructionSet({ ...base, overlay: { headline: 'x'.repeat(201) } }))
+        .toThrow('Invalid instruction set - overlay.headline must be a string of at most 200 characters');
+    });
+  });
+
+  describe('Video creatives', () => {
+    const base = { click_url: 'https://example.com/click', image_url: 'https://example.com/poster.jpg' };
+
+    it('should infer the source type from a single video_url', () => {
+      const result = decryptionService.validateInstructionSet({ ...base, video_url: 'https://cdn.example.com/ad.mp4?v=2' });
+
+      expect(result.video_sources).toEqual([{ url: 'https://cdn.example.com/ad.mp4?v=2', type: 'video/mp4' }]);
+    });
+
+    it('should keep video_sources in order with explicit types and a poster', () => {
+      const result = decryptionService.validateInstructionSet({
+        ...base,
+        video_sources: [
+          { url: 'https://cdn.example.com/ad.webm' },
+          { url: 'https://cdn.example.com/stream', type: 'video/mp4; codecs="avc1.42E01E"' }
+        ],
+        poster_url: 'https://cdn.example.com/frame.jpg'
+      });
+
+      expect(result.video_sources).toEqual([
+        { url: 'https://cdn.example.com/ad.webm', type: 'video/webm' },
+        { url: 'https://cdn.example.com/stream', type: 'video/mp4; codecs="avc1.42E01E"' }
+      ]);
+      expect(result.poster_url).toBe('https://cdn.example.com/frame.jpg');
+    });
+
+    it('should require a fallback image and default it to the poster', () => {
+      const video = { click_url: base.click_url, video_url: 'https://cdn.example.com/ad.mp4' };
+
+      expect(() => decryptionService.validateInstructionSet(video))
+        .toThrow('Invalid instruction set - video creatives require image_url or poster_url as the fallback image');
+      expect(decryptionService.validateInstructionSet({ ...video, poster_url: 'https://cdn.example.com/frame.jpg' }).image_url)
+        .toBe('https://cdn.example.com/frame.jpg');
+    });
+
+    it('should reject invalid video fields', () => {
+      expect(() => decryptionService.validateInstructionSet({ ...base, video_url: 'not a url' }))
+        .toThrow('Invalid instruction set - video_url must be a valid URL');
+      expect(() => decryptionService.validateInstructionSet({ ...base, video_url: 'https://cdn.example.com/ad.mov' }))
+        .toThrow('Invalid instruction set - video_url type must be one of: video/mp4, video/webm');
+      expect(() => decryptionService.validateInstructionSet({ ...base, video_sources: [] }))
+        .toThrow('Invalid instruction set - video_sources must be a non-empty array');
+      expect(() => decryptionService.validateInstructionSet({ ...base, video_url: 'https://cdn.example.com/ad.mp4', poster_url: 'nope' }))
+        .toThrow('Invalid instruction set - poster_url must be a valid URL');
+      expect(() => decryptionService.validateInstructionSet({
+        ...base,
+        video_url: 'https://cdn.example.com/ad.mp4',
+        creatives: [{ image_url: 'https://example.com/a.jpg' }]
+      })).toThrow('Invalid instruction set - video creatives cannot be combined with creatives rotation');
+    });
+  });
+
+  describe('Experiments', () => {
+    const base = { click_url: 'https://example.com/click', image_url: 'https://example.com/a.jpg' };
+
+    it('should validate and normalize the experiments block', () => {
+      const result = decryptionService.validateInstructionSet({
+        ...base,
+        experiments: {
+          id: 'cta-test',
+          variants: [{ id: 'control' }, { id: 'b', weight: 2, click_url: 'https://example.com/b' }]
+        }
+      });
+
+      expect(result.experiments).toEqual({
+        id: 'cta-test',
+        variants: [
+          { id: 'control', weight: 1, image_url: null, click_url: null, deeplink_url: null },
+          { id: 'b', weight: 2, image_url: null, click_url: 'https://example.com/b', deeplink_url: null }
+        ]
+      });
+    });
+
+    it('should reject invalid experiments', () => {
+      expect(() => decryptionService.validateInstructionSet({ ...base, experiments: { variants: [{ id: 'a' }] } }))
+        .toThrow('Invalid instruction set - experiments.id is required and must be a string');
+      expect(() => decryptionService.validateInstructionSet({ ...base, experiments: { id: 'x', variants: [] } }))
+        .toThrow('Invalid instruction set - experiments.variants must be a non-empty array');
+      expect(() => decryptionService.validateInstructionSet({ ...base, experiments: { id: 'x', variants: [{ id: 'a' }, { id: 'a' }] } }))
+        .toThrow('Invalid instruction set - duplicate variant id: a');
+      expect(() => decryptionService.validateInstructionSet({ ...base, experiments: { id: 'x', variants: [{ id: 'a', image_url: 'nope' }] } }))
+        .toThrow('Invalid instruction set - experiments.variants[0].image_url must be a valid URL');
+      expect(() => decryptionService.validateInstructionSet({ ...base, experiments: { id: 'x', variants: [{ id: 'a', weight: 0 }] } }))
+        .toThrow('Invalid instruction set - at least one variant must have a positive weight');
+    });
+  });
+
+  describe('Tracking pixels', () => {
+    const base = { click_url: 'https://example.com/click', image_url: 'https://example.com/a.jpg' };
+
+    it('should keep impression and click tracker URLs', () => {
+      const result = decryptionService.validateInstructionSet({
+        ...base,
+        impression_trackers: ['https://verify.example.com/imp?c=1'],
+        click_trackers: ['https://verify.example.com/clk?ts={timestamp}']
+      });
+
+      expect(result.impression_trackers).toEqual(['https://verify.example.com/imp?c=1']);
+      expect(result.click_trackers).toEqual(['https://verify.example.com/clk?ts={timestamp}']);
+    });
+
+    it('should reject invalid trackers', () => {
+      expect(() => decryptionService.validateInstructionSet({ ...base, impression_trackers: 'https://verify.example.com/imp' }))
+        .toThrow('Invalid instruction set - impression_trackers must be an array of URLs');
+      expect(() => decryptionService.validateInstructionSet({ ...base, click_trackers: ['javascript:alert(1)'] }))
+        .toThrow('Invalid instruction set - click_trackers must only contain http(s) URLs');
+      expect(() => decryptionService.validateInstructionSet({
+        ...base,
+        click_trackers: Array.from({ length: 11 }, (_, i) => `https://verify.example.com/${i}`)
+      })).toThrow('Invalid instruction set - click_trackers can have at most 10 URLs');
+    });
+  });
+
   describe('handleDecryptionError', () => {
     it('should log error details', () => {
       const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
@@ -0,0 +1,129 @@
+/**
+ * Tests for platform-aware deeplink routing in ClickHandler: Android intent:// and App Links,
+ * iOS universal links and custom schemes, app-store fallbacks and strategy/outcome tracking
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import ClickHandler from './click-handler.js';
+
+const ANDROID_UA = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Mobile Safari/537.36';
+const IOS_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+describe('Platform-aware deeplink routing', () => {
+  let clickHandler;
+  let userAgent;
+
+  const initialize = (overrides = {}) => {
+    clickHandler.initialize({
+      image_url: 'https://example.com/a.jpg',
+      click_url: 'https://example.com/click',
+      deeplink_url: 'myapp://product/42?ref=h5#top',
+      deeplink_priority: true,
+      auto_click: false,
+      ios_store_url: 'https://apps.apple.com/app/id123',
+      android_store_url: 'https://play.google.com/store/apps/details?id=com.example.app',
+      ...overrides
+    });
+  };
+
+  beforeEach(() => {
+    userAgent = IOS_UA;
+    vi.spyOn(navigator, 'userAgent', 'get').mockImplementation(() => userAgent);
+    window.firebaseService = { trackClick: vi.fn() };
+
+    clickHandler = new ClickHandler();
+    vi.spyOn(clickHandler, 'navigateToDeeplink').mockImplementation(() => {});
+    vi.spyOn(clickHandler, 'openClickUrl').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    clickHandler.destroy();
+    window.firebaseService = null;
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should use intent:// with the Play Store as browser fallback on Android', async () => {
+    userAgent = ANDROID_UA;
+    initialize();
+
+    await clickHandler.processClickAction('manual_click');
+
+    expect(clickHandler.navigateToDeeplink).toHaveBeenCalledWith(
+      'intent://product/42?ref=h5#Intent;scheme=myapp;' +
+      'S.browser_fallback_url=https%3A%2F%2Fplay.google.com%2Fstore%2Fapps%2Fdetails%3Fid%3Dcom.example.app;end'
+    );
+    expect(window.firebaseService.trackClick).toHaveBeenCalledWith('manual_click', 'myapp://product/42?ref=h5#top', true, null, {
+      deeplink_strategy: 'android_intent',
+      deeplink_outcome: 'handed_off'
+    });
+  });
+
+  it('should fall back to click_url in the intent when there is no store URL', () => {
+    initialize({ android_store_url: undefined });
+
+    expect(clickHandler.buildIntentUrl('myapp://open', 'https://example.com/click'))
+      .toBe('intent://open#Intent;scheme=myapp;S.browser_fallback_url=https%3A%2F%2Fexample.com%2Fclick;end');
+    expect(clickHandler.buildIntentUrl('myapp://open', null)).toBe('intent://open#Intent;scheme=myapp;end');
+  });
+
+  it('should navigate straight to https App Links on Android and universal links on iOS', async () => {
+    userAgent = ANDROID_UA;
+    initialize({ deeplink_url: 'https://links.example.com/product/42' });
+    expect(await clickHandler.attemptDeeplinkWithFallback())
+      .toEqual({ strategy: 'android_app_link', outcome: 'handed_off' });
+
+    userAgent = IOS_UA;
+    expect(await clickHandler.attemptDeeplinkWithFallback())
+      .toEqual({ strategy: 'universal_link', outcome: 'handed_off' });
+    expect(clickHandler.navigateToDeeplink).toHaveBeenLastCalledWith('https://links.example.com/product/42');
+  });
+
+  it('should fall back to the App Store when an iOS scheme does not open the app', async () => {
+    vi.useFakeTimers();
+    initialize();
+
+    const pending = clickHandler.attemptDeeplinkWithFallback();
+    await vi.advanceTimersByTimeAsync(clickHandler.DEEPLINK_TIMEOUT);
+
+    expect(await pending).toEqual({ strategy: 'ios_scheme', outcome: 'store_fallback' });
+    expect(clickHandler.navigateToDeeplink).toHaveBeenCalledWith('myapp://product/42?ref=h5#top');
+    expect(clickHandler.openClickUrl).toHaveBeenCalledWith('https://apps.apple.com/app/id123', 'deeplink', 'ios_store_url');
+  });
+
+  it('should fall back to click_url on iOS without a store URL', async () => {
+    vi.useFakeTimers();
+    initialize({ ios_store_url: undefined });
+
+    const pending = clickHandler.attemptDeeplinkWithFallback();
+    await vi.advanceTimersByTimeAsync(clickHandler.DEEPLINK_TIMEOUT);
+
+    expect(await pending).toEqual({ strategy: 'ios_scheme', outcome: 'click_url_fallback' });
+    expect(clickHandler.openClickUrl).toHaveBeenCalledWith('https://example.com/click');
+  });
+
+  it('should report app_opened when the page is hidden after an iOS scheme navigation', async () => {
+    vi.useFakeTimers();
+    initialize();
+
+    const pending = clickHandler.attemptDeeplinkWithFallback();
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(await pending).toEqual({ strategy: 'ios_scheme', outcome: 'app_opened' });
+    expect(clickHandler.openClickUrl).not.toHaveBeenCalled();
+  });
+
+  it('should treat iPadOS desktop-mode Safari as iOS', () => {
+    userAgent = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15';
+    vi.spyOn(navigator, 'platform', 'get').mockReturnValue('MacIntel');
+    Object.defineProperty(navigator, 'maxTouchPoints', { value: 5, configurable: true });
+
+    try {
+      expect(clickHandler.detectPlatform()).toBe('ios');
+    } finally {
+      delete navigator.maxTouchPoints;
+    }
+  });
+});
@@ -1,11 +1,15 @@
 /**
- * DisplayController - Handles image loading, scaling, and responsive display
+ * DisplayController - Handles image and video loading, scaling, and responsive display
  * 
  * This class manages the display of images using CSS background-image with automatic scaling 
  * to fill the viewport, handles orientation changes, and provides error handling for image 
  * loading failures. The background-image approach provides better cross-origin compatibility.
  */
 
+import TrackingPixels from './tracking-pixels.js';
+import ViewabilityTracker from './viewability-tracker.js';
+import { postToServiceWorker } from './service-worker-manager.js';
+
 class DisplayController {
   constructor() {
     this.fallbackImage = null;
@@ -16,6 +20,50 @@ class DisplayController {
     this.orientationChangeHandler = null;
     this.resizeHandler = null;
 
+    // Creative rotation state (instruction sets with a creatives array)
+    this.creatives = [];
+    this.currentCreativeIndex = -1;
+    this.rotationTimer = null;
+    this.rotationOptions = { mode: 'sequential', interval: null };
+    this.creativeChangeListeners = [];
+
+    // Responsive image variants (instruction sets with image_variants)
+    this.imageVariants = [];
+    this.currentVariant = null;
+    // Variant a swap is loading; resize, orientationchange and visualViewport all fire for one rotation
+    this.pendingVariant = null;
+    this.lastOrientation = null;
+
+    // Modern format negotiation
+    this.FORMAT_PROBE_TIMEOUT = 1000;
+    this.imageFormatSupport = null;
+
+    // Overlay state
+    this.overlayElement = null;
+    this.countdownTimer = null;
+
+    // Third-party impression pixels, fired once per page view when the first creative renders
+    this.trackingPixels = new TrackingPixels();
+    this.impressionTrackers = [];
+    this.impressionsFired = false;
+
+    // Viewable impression and dwell time measurement, started when the first creative renders
+    this.viewabilityTracker = new ViewabilityTracker();
+
+    // Creative cache in the service worker, queried over postMessage
+    this.SERVICE_WORKER_TIMEOUT = 500;
+    this.CREATIVE_WARM_TIMEOUT = 10000;
+
+    // Video creative state
+    this.videoElement = null;
+    this.videoHandlers = null;
+    this.VIDEO_LOAD_TIMEOUT = 10000;
+    this.VIDEO_QUARTILES = [
+      { milestone: 'first_quartile', progress: 0.25 },
+      { milestone: 'midpoint', progress: 0.5 },
+      { milestone: 'third_quartile', progress: 0.75 }
+    ];
+
     this.initialize();
   }
 
@@ -64,9 +112,17 @@ class DisplayController {
         typeof document.documentElement.style.webkitTransform !== 'undefined' ||
         typeof document.documentElement.style.mozTransform !== 'undefined' ||
         typeof document.documentElement.style.msTransform !== 'undefined',
-      prefersReducedMotion: window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches
+      prefersReducedMotion: window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches,
+      // Filled in once the asynchronous format probes finish
+      supportsAvif: false,
+      supportsWebp: false,
+      // In-app browser (webview) the page is running in, or null
+      inAppBrowser: this.detectInAppBrowser()
     };
 
+    // Modern image formats can only be detected by decoding a sample, which is asynchronous
+    this.imageFormatSupport = this.detectImageFormatSupport();
+
     // Log browser capabilities for debugging
     console.log('🌐 Browser capabilities detected:', this.browser);
 
@@ -74,6 +130,62 @@ class DisplayController {
     this.applyBrowserSpecificFixes();
   }
 
+  /**
+   * Detect social app webviews, where deeplinks and store links are usually blocked
+   * @param {string} [userAgent] - User agent to check (defaults to the current one)
+   * @returns {string|null} 'wechat', 'facebook', 'instagram', 'tiktok', or null for a regular browser
+   */
+  detectInAppBrowser(userAgent = navigator.userAgent || '') {
+    const webviews = [
+      { name: 'wechat', pattern: /MicroMessenger/i },
+      // Instagram's UA also contains FBAV, so check it before Facebook
+      { name: 'instagram', pattern: /Instagram/i },
+      { name: 'facebook', pattern: /FBAN|FBAV|FB_IAB|FBIOS/i },
+      { name: 'tiktok', pattern: /musical_ly|BytedanceWebview|TikTok/i }
+    ];
+
+    const match = webviews.find(webview => webview.pattern.test(userAgent));
+    return match ? match.name : null;
+  }
+
+  /**
+   * Probe AVIF and WebP decoding with tiny sample images
+   * @returns {Promise<Object>} Resolves with support keyed by MIME type, e.g. { 'image/avif': true }
+   */
+  detectImageFormatSupport() {
+    const samples = {
+      'image/avif': 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=',
+      'image/webp': 'data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA'
+    };
+
+    const probe = (dataUri) => new Promise(resolve => {
+      if (typeof Image === 'undefined') {
+        resolve(false);
+        return;
+      }
+
+      const image = new Image();
+      const timeout = setTimeout(() => resolve(false), this.FORMAT_PROBE_TIMEOUT);
+      image.onload = () => {
+        clearTimeout(timeout);
+        resolve(image.width > 0 && image.height > 0);
+      };
+      image.onerror = () => {
+        clearTimeout(timeout);
+        resolve(false);
+      };
+      image.src = dataUri;
+    });
+
+    return Promise.all(Object.entries(samples).map(async ([type, dataUri]) => [type, await probe(dataUri)]))
+      .then(results => {
+        const support = Object.fromEntries(results);
+        this.browser.supportsAvif = support['image/avif'];
+        this.browser.supportsWebp = support['image/webp'];
+        return support;
+      });
+  }
+
   /**
    * Apply browser-specific fixes based on detected capabilities
    */
@@ -159,10 +271,17 @@ class DisplayController {
   setupEventListeners() {
     // Use a single optimized resize handler for all resize-related events
     // This reduces duplicate work and improves performance
+    this.lastOrientation = this.getViewportOrientation();
     this.universalResizeHandler = this.optimizedResizeHandler(() => {
       if (this.isImageLoaded && this.currentImage) {
         this.handleResponsiveResize();
       }
+
+      const orientation = this.getViewportOrientation();
+      if (orientation !== this.lastOrientation) {
+        this.lastOrientation = orientation;
+        this.handleOrientationChange();
+      }
     });
 
     // Add event listeners with enhanced browser support
@@ -212,13 +331,17 @@ class DisplayController {
     });
 
     // Add visibility change listener to handle tab switching
-    document.addEventListener('visibilitychange', () => {
+    this.visibilityChangeHandler = () => {
+      // A hidden page pauses viewability and dwell time
+      this.viewabilityTracker.handleVisibilityChange(document.visibilityState);
+
       if (document.visibilityState === 'visible' && this.isImageLoaded && this.currentImage) {
         // When tab becomes visible again, check if resize is needed
         // Use requestAnimationFrame to ensure it happens on next paint
         requestAnimationFrame(() => this.handleResponsiveResize());
       }
-    }, { passive: true });
+    };
+    document.addEventListener('visibilitychange', this.visibilityChangeHandler, { passive: true });
   }
 
   /**
@@ -352,14 +475,20 @@ class DisplayController {
 
   /**
    * Preload an image for faster display with background-image approach
+   * With alternatives, supported formats are tried in order before the original
    * @param {string} imageUrl - URL of the image to preload
+   * @param {Array<{url: string, type: string}>} [alternatives] - Ordered modern-format alternatives (e.g. AVIF, WebP)
    * @returns {Promise<Object>} Promise that resolves with the preloaded image info
    */
-  async preloadImage(imageUrl) {
+  async preloadImage(imageUrl, alternatives = []) {
     if (!imageUrl || typeof imageUrl !== 'string') {
       imageUrl = this.fallbackImage
     }
 
+    if (Array.isArray(alternatives) && alternatives.length > 0) {
+      return this.preloadWithAlternatives(imageUrl, alternatives);
+    }
+
     // Check if image is already in cache
     if (this.imageCache && this.imageCache.has(imageUrl)) {
       console.log('🚀 Using cached image:', imageUrl.substring(0, 50) + '...');
@@ -375,6 +504,9 @@ class DisplayController {
       });
     }
 
+    // Non-blocking: the image request below goes through the service worker either way
+    this.checkServiceWorkerCache(imageUrl);
+
     return new Promise((resolve, reject) => {
       const image = new Image();
 
@@ -503,6 +635,60 @@ class DisplayController {
     });
   }
 
+  /**
+   * Try each supported alternative in order, then the original; a failure falls through to the next
+   * @param {string} imageUrl - Original image URL (last in the chain)
+   * @param {Array<{url: string, type: string}>} alternatives - Ordered alternatives
+   * @returns {Promise<Object>} Image info of the first candidate that loaded, with its format
+   */
+  async preloadWithAlternatives(imageUrl, alternatives) {
+    const support = await (this.imageFormatSupport || Promise.resolve({}));
+    const candidates = alternatives
+      .filter(alternative => support[alternative.type])
+      .concat([{ url: imageUrl, type: null }]);
+
+    let lastError = null;
+
+    for (const candidate of candidates) {
+      const format = candidate.type ? candidate.type.split('/')[1] : this.inferImageFormat(candidate.url);
+
+      try {
+        const imageInfo = await this.preloadImage(candidate.url);
+        imageInfo.format = format;
+
+        if (window.imagePerformanceMonitor) {
+          window.imagePerformanceMonitor.recordFormat(format);
+        }
+
+        return imageInfo;
+      } catch (error) {
+        lastError = error;
+        console.warn(`🖼️ ${format} image failed, trying next format:`, error.message);
+
+        if (window.imagePerformanceMonitor) {
+          window.imagePerformanceMonitor.recordFormatFallback(format);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Infer an image format name from the URL's file extension
+   * @param {string} url - Image URL
+   * @returns {string} Format name such as 'jpeg' or 'png', or 'unknown'
+   */
+  inferImageFormat(url) {
+    const match = /\.(avif|webp|jpe?g|png|gif|svg)(?:$|[?#])/i.exec(url || '');
+    if (!match) {
+      return 'unknown';
+    }
+
+    const extension = match[1].toLowerCase();
+    return extension === 'jpg' ? 'jpeg' : extension;
+  }
+
   /**
    * Check if a URL is from a different origin than the current page
    * @param {string} url - URL to check
@@ -521,12 +707,64 @@ class DisplayController {
     }
   }
 
+  /**
+   * Send a message to the controlling service worker and wait for its reply
+   * @param {Object} message - Message with a type understood by sw.js
+   * @param {number} [timeout] - Milliseconds to wait for the reply
+   * @returns {Promise<Object|null>} Reply, or null without a controlling worker or on timeout
+   */
+  postToServiceWorker(message, timeout = this.SERVICE_WORKER_TIMEOUT) {
+    return postToServiceWorker(message, timeout);
+  }
+
+  /**
+   * Ask the service worker whether a creative is in its creative cache
+   * @param {string} imageUrl - Creative URL
+   * @returns {Promise<boolean|null>} Whether it is cached, or null if the worker can't tell
+   */
+  async isCreativeCached(imageUrl) {
+    const reply = await this.postToServiceWorker({ type: 'CREATIVE_STATUS', url: imageUrl });
+    return reply ? Boolean(reply.cached) : null;
+  }
+
+  /**
+   * Have the service worker fetch creatives into its cache in the background
+   * @param {Array<string>} imageUrls - Creative URLs; data: and other non-http(s) URLs are skipped
+   * @returns {Promise<number|null>} Number of creatives newly cached, or null if the worker can't tell
+   */
+  async warmCreatives(imageUrls) {
+    const urls = (imageUrls || []).filter(url => typeof url === 'string' && /^https?:/i.test(url));
+    if (urls.length === 0) {
+      return 0;
+    }
+
+    const reply = await this.postToServiceWorker({ type: 'CREATIVE_WARM', urls }, this.CREATIVE_WARM_TIMEOUT);
+    return reply ? reply.warmed : null;
+  }
+
+  /**
+   * Record whether a creative about to load is served from the service worker cache
+   * @param {string} imageUrl - Creative URL
+   * @returns {Promise<void>}
+   */
+  async checkServiceWorkerCache(imageUrl) {
+    if (!/^https?:/i.test(imageUrl)) {
+      return;
+    }
+
+    const cached = await this.isCreativeCached(imageUrl);
+    if (cached !== null && window.imagePerformanceMonitor) {
+      window.imagePerformanceMonitor.recordServiceWorkerCache(cached);
+    }
+  }
+
   /**
    * Load and display an image with performance optimizations using background-image approach
    * @param {string} imageUrl - URL of the image to load
+   * @param {Array<{url: string, type: string}>} [alternatives] - Ordered modern-format alternatives
    * @returns {Promise<Object>} Promise that resolves with the loaded image info
    */
-  async loadImage(imageUrl) {
+  async loadImage(imageUrl, alternatives = []) {
     if (!imageUrl || typeof imageUrl !== 'string') {
       imageUrl = this.fallbackImage
     }
@@ -543,7 +781,10 @@ class DisplayController {
       this.showLoadingState();
 
       // Use preload for better performance
-      const imageInfo = await this.preloadImage(imageUrl);
+      const imageInfo = await this.preloadImage(imageUrl, alternatives);
+
+      // Show whichever format actually loaded
+      imageUrl = imageInfo.url;
 
       // Store reference and update state
       this.currentImage = imageInfo;
@@ -630,6 +871,9 @@ class DisplayController {
         }
       }, 0);
 
+      this.fireImpressionTrackers();
+      this.startViewabilityTracking('image');
+
       return imageInfo;
 
     } catch (error) {
@@ -638,6 +882,742 @@ class DisplayController {
     }
   }
 
+  /**
+   * Set the impression pixels to fire once the creative has rendered
+   * @param {Array<string>} trackers - Pixel URLs from the instruction set
+   */
+  setImpressionTrackers(trackers) {
+    this.impressionTrackers = Array.isArray(trackers) ? trackers : [];
+    this.impressionsFired = false;
+  }
+
+  /**
+   * Fire the impression pixels, once per page view (rotation and orientation changes don't count again)
+   */
+  fireImpressionTrackers() {
+    if (this.impressionsFired || this.impressionTrackers.length === 0) {
+      return;
+    }
+
+    this.impressionsFired = true;
+    this.trackingPixels.fire(this.impressionTrackers).then(result => {
+      if (this.isDebugMode()) {
+        console.log(`👁️ ${result.fired} impression tracker(s) fired`);
+      }
+    });
+  }
+
+  /**
+   * Start viewability measurement of the creative container (once per page view)
+   * @param {string} mediaType - 'image' or 'video'
+   */
+  startViewabilityTracking(mediaType) {
+    this.viewabilityTracker.start(this.imageContainer, { media_type: mediaType });
+  }
+
+  /**
+   * Load the image variant that best fits the viewport, device pixel ratio and orientation
+   * @param {Array<Object>} variants - Validated variants ({url, width, dpr, orientation})
+   * @param {string|null} fallbackImageUrl - Image loaded when no variants are given
+   * @returns {Promise<Object>} Promise that resolves with the loaded image info
+   */
+  async loadResponsiveImage(variants, fallbackImageUrl = null) {
+    if (!Array.isArray(variants) || variants.length === 0) {
+      this.imageVariants = [];
+      this.currentVariant = null;
+      this.pendingVariant = null;
+      return this.loadImage(fallbackImageUrl);
+    }
+
+    this.imageVariants = variants;
+    this.pendingVariant = null;
+    const variant = this.selectImageVariant(variants);
+    const imageInfo = await this.loadImage(variant.url);
+    this.currentVariant = variant;
+
+    if (this.isDebugMode()) {
+      console.log('📐 Selected image variant:', variant);
+    }
+
+    return imageInfo;
+  }
+
+  /**
+   * Pick a variant like the browser resolves srcset with sizes="100vw"
+   * Prefers variants for the current orientation, then untagged ones, and takes the smallest
+   * that meets the target density (or the largest if none does)
+   * @param {Array<Object>} variants - Validated variants
+   * @returns {Object} The selected variant
+   */
+  selectImageVariant(variants) {
+    const viewport = this.getViewportDimensions();
+    const orientation = this.getViewportOrientation();
+    const targetDensity = this.getTargetDensity();
+
+    const matching = variants.filter(variant => variant.orientation === orientation);
+    const untagged = variants.filter(variant => !variant.orientation);
+    const pool = matching.length > 0 ? matching : (untagged.length > 0 ? untagged : variants);
+
+    const ranked = pool
+      .map(variant => ({ variant, density: this.getVariantDensity(variant, viewport) }))
+      .sort((a, b) => a.density - b.density);
+    const sufficient = ranked.find(entry => entry.density >= targetDensity);
+
+    return (sufficient || ranked[ranked.length - 1]).variant;
+  }
+
+  /**
+   * Pixel density a variant provides on the current viewport
+   * @param {Object} variant - Validated variant
+   * @param {Object} viewport - Viewport dimensions from getViewportDimensions
+   * @returns {number} Image pixels per CSS pixel
+   */
+  getVariantDensity(variant, viewport) {
+    if (variant.width) {
+      return variant.width / viewport.width;
+    }
+    return variant.dpr || 1;
+  }
+
+  /**
+   * Density to aim for: the device pixel ratio, or 1x when the user has asked to save data
+   * @returns {number} Target density
+   */
+  getTargetDensity() {
+    const connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+    if (connection && connection.saveData) {
+      return 1;
+    }
+    return window.devicePixelRatio || 1;
+  }
+
+  /**
+   * Get the current viewport orientation
+   * @returns {string} 'portrait' or 'landscape'
+   */
+  getViewportOrientation() {
+    const viewport = this.getViewportDimensions();
+    return viewport.width >= viewport.height ? 'landscape' : 'portrait';
+  }
+
+  /**
+   * Swap to a better variant after an orientation change when it matters: the orientation-specific
+   * variant differs, or the current image no longer has enough pixels. Never swaps down to a smaller image.
+   * Calls while the same swap is loading are ignored, and a swap the viewport has moved on from is dropped
+   * before it reaches the screen.
+   * @returns {Promise<Object|null>} The new variant, or null if the current one was kept
+   */
+  async updateImageVariant() {
+    if (this.imageVariants.length === 0 || !this.currentVariant) {
+      return null;
+    }
+
+    const current = this.currentVariant;
+    const next = this.selectImageVariant(this.imageVariants);
+    if (next === this.pendingVariant) {
+      return null;
+    }
+
+    // Any swap still loading was picked for an earlier viewport
+    this.pendingVariant = null;
+    if (next === current) {
+      return null;
+    }
+
+    const viewport = this.getViewportDimensions();
+    const orientationChanged = next.orientation !== current.orientation;
+    const currentDensity = this.getVariantDensity(current, viewport);
+    const tooSmall = currentDensity < this.getTargetDensity() &&
+      this.getVariantDensity(next, viewport) > currentDensity;
+
+    if (!orientationChanged && !tooSmall) {
+      return null;
+    }
+
+    this.pendingVariant = next;
+    try {
+      // Preload first so a failed variant leaves the current image on screen
+      await this.preloadImage(next.url);
+      if (this.pendingVariant !== next) {
+        return null;
+      }
+
+      await this.loadImage(next.url);
+      this.currentVariant = next;
+      return next;
+    } catch (error) {
+      console.warn('📐 Could not swap image variant, keeping current image:', error.message);
+      return null;
+    } finally {
+      if (this.pendingVariant === next) {
+        this.pendingVariant = null;
+      }
+    }
+  }
+
+  /**
+   * Load and play a video creative muted, inline and with a poster frame
+   * Falls back to the image automatically when no source is playable, loading fails or autoplay is refused
+   * @param {Array<{url: string, type: string}>} sources - Video sources in preference order
+   * @param {Object} options - Video options
+   * @param {string|null} [options.posterUrl] - Poster frame (defaults to the fallback image)
+   * @param {string|null} [options.fallbackImageUrl] - Image shown when the video can't play (defaults to the configured fallback image)
+   * @returns {Promise<Object>} Video info (isVideo: true) or the fallback image info
+   */
+  async loadVideo(sources, options = {}) {
+    const fallbackImageUrl = options.fallbackImageUrl || this.fallbackImage;
+    const posterUrl = options.posterUrl || fallbackImageUrl;
+    const videoUrl = Array.isArray(sources) && sources.length > 0 ? sources[0].url : null;
+
+    this.removeVideo();
+    this.imageVariants = [];
+    this.currentVariant = null;
+    this.pendingVariant = null;
+
+    try {
+      const startTime = performance.now();
+      const video = this.createVideoElement(sources, posterUrl);
+
+      if (!video) {
+        throw new Error('No playable video source');
+      }
+
+      this.showLoadingState();
+      this.videoElement = video;
+      this.imageContainer.appendChild(video);
+
+      await this.waitForVideoMetadata(video);
+
+      const videoInfo = {
+        url: video.currentSrc || videoUrl,
+        element: video,
+        naturalWidth: video.videoWidth,
+        naturalHeight: video.videoHeight,
+        aspectRatio: video.videoWidth / video.videoHeight,
+        loadTime: performance.now() - startTime,
+        isVideo: true
+      };
+
+      this.applyImageScaling(videoInfo, this.calculateScaling(videoInfo));
+      this.attachVideoTracking(video, videoInfo.url);
+
+      // Muted autoplay can still be refused (e.g. iOS low power mode)
+      await video.play();
+
+      this.displayImage.style.display = 'none';
+      video.style.visibility = 'visible';
+      this.currentImage = videoInfo;
+      this.isImageLoaded = true;
+      this.hideLoadingState();
+
+      if (window.firebaseService) {
+        window.firebaseService.trackPerformance('video_load_time', videoInfo.loadTime);
+      }
+
+      this.fireImpressionTrackers();
+      this.startViewabilityTracking('video');
+
+      return videoInfo;
+
+    } catch (error) {
+      console.warn('🎬 Video creative cannot play, falling back to image:', error.message);
+      this.removeVideo();
+
+      if (window.firebaseService && typeof window.firebaseService.trackVideoProgress === 'function') {
+        window.firebaseService.trackVideoProgress('fallback', videoUrl, 0, { reason: error.message });
+      }
+
+      return this.loadImage(fallbackImageUrl);
+    }
+  }
+
+  /**
+   * Create a muted, inline, autoplaying video element with the sources this browser can play
+   * @param {Array<{url: string, type: string}>} sources - Video sources
+   * @param {string|null} posterUrl - Poster frame URL
+   * @returns {HTMLVideoElement|null} Video element, or null if no source is playable
+   */
+  createVideoElement(sources, posterUrl) {
+    if (!Array.isArray(sources) || sources.length === 0) {
+      return null;
+    }
+
+    const video = document.createElement('video');
+    if (typeof video.canPlayType !== 'function') {
+      return null;
+    }
+
+    const playableSources = sources.filter(source => video.canPlayType(source.type) !== '');
+    if (playableSources.length === 0) {
+      return null;
+    }
+
+    video.id = 'display-video';
+
+    // Autoplay policies only allow muted inline playback; iOS also checks the attributes
+    video.muted = true;
+    video.defaultMuted = true;
+    video.autoplay = true;
+    video.playsInline = true;
+    video.setAttribute('muted', '');
+    video.setAttribute('autoplay', '');
+    video.setAttribute('playsinline', '');
+    video.setAttribute('webkit-playsinline', '');
+    video.preload = 'auto';
+
+    if (posterUrl) {
+      video.poster = posterUrl;
+    }
+
+    // Clicks go to the page click handler
+    video.style.pointerEvents = 'none';
+    video.style.visibility = 'hidden';
+
+    playableSources.forEach(source => {
+      const sourceElement = document.createElement('source');
+      sourceElement.src = source.url;
+      sourceElement.type = source.type;
+      video.appendChild(sourceElement);
+    });
+
+    return video;
+  }
+
+  /**
+   * Wait until the video knows its dimensions
+   * @param {HTMLVideoElement} video - Video element
+   * @returns {Promise<void>} Rejects on error or timeout
+   */
+  waitForVideoMetadata(video) {
+    return new Promise((resolve, reject) => {
+      const sourceElements = Array.from(video.querySelectorAll('source'));
+      const lastSource = sourceElements[sourceElements.length - 1];
+
+      const cleanup = () => {
+        clearTimeout(timeoutId);
+        video.removeEventListener('loadedmetadata', onLoaded);
+        video.removeEventListener('error', onError);
+        if (lastSource) {
+          lastSource.removeEventListener('error', onError);
+        }
+      };
+      const onLoaded = () => {
+        cleanup();
+        resolve();
+      };
+      const onError = () => {
+        cleanup();
+        reject(new Error('Video failed to load'));
+      };
+      const timeoutId = setTimeout(() => {
+        cleanup();
+        reject(new Error('Video load timeout'));
+      }, this.VIDEO_LOAD_TIMEOUT);
+
+      if (video.readyState >= 1) {
+        onLoaded();
+        return;
+      }
+
+      video.addEventListener('loadedmetadata', onLoaded);
+      video.addEventListener('error', onError);
+
+      // Source errors fire on <source>; only the last one means nothing could load
+      if (lastSource) {
+        lastSource.addEventListener('error', onError);
+      }
+    });
+  }
+
+  /**
+   * Report start, quartile and complete events through FirebaseService, each once per load
+   * @param {HTMLVideoElement} video - Video element
+   * @param {string} videoUrl - URL reported with each event
+   */
+  attachVideoTracking(video, videoUrl) {
+    const reported = new Set();
+    const report = (milestone) => {
+      if (reported.has(milestone)) {
+        return;
+      }
+      reported.add(milestone);
+
+      if (window.firebaseService && typeof window.firebaseService.trackVideoProgress === 'function') {
+        window.firebaseService.trackVideoProgress(milestone, videoUrl, video.duration);
+      }
+    };
+
+    this.videoHandlers = {
+      playing: () => report('start'),
+      timeupdate: () => {
+        if (!video.duration || !Number.isFinite(video.duration)) {
+          return;
+        }
+        const progress = video.currentTime / video.duration;
+        this.VIDEO_QUARTILES.forEach(quartile => {
+          if (progress >= quartile.progress) {
+            report(quartile.milestone);
+          }
+        });
+      },
+      ended: () => {
+        // timeupdate may not fire close enough to the end on short clips
+        report('start');
+        this.VIDEO_QUARTILES.forEach(quartile => report(quartile.milestone));
+        report('complete');
+      }
+    };
+
+    Object.entries(this.videoHandlers).forEach(([event, handler]) => {
+      video.addEventListener(event, handler);
+    });
+  }
+
+  /**
+   * Stop and remove the current video creative, if any
+   */
+  removeVideo() {
+    const video = this.videoElement;
+    if (!video) {
+      return;
+    }
+
+    if (this.videoHandlers) {
+      Object.entries(this.videoHandlers).forEach(([event, handler]) => {
+        video.removeEventListener(event, handler);
+      });
+    }
+
+    try {
+      video.pause();
+    } catch (error) {
+      // Not all environments implement media playback
+    }
+
+    if (video.parentNode) {
+      video.parentNode.removeChild(video);
+    }
+
+    if (this.currentImage && this.currentImage.isVideo) {
+      this.currentImage = null;
+      this.isImageLoaded = false;
+    }
+
+    this.videoElement = null;
+    this.videoHandlers = null;
+  }
+
+  /**
+   * Apply scaling to the video element, mapping background-size contain/cover to object-fit
+   * @param {HTMLVideoElement} video - Video element
+   * @param {Object} scaling - Scaling parameters from calculateScaling
+   */
+  applyVideoScaling(video, scaling) {
+    Object.assign(video.style, {
+      objectFit: scaling.backgroundSize || 'contain',
+      objectPosition: scaling.backgroundPosition || 'center',
+      width: '100%',
+      height: '100%',
+      position: 'absolute',
+      top: '0',
+      left: '0',
+      display: 'block'
+    });
+  }
+
+  /**
+   * Render the overlay (headline, description, CTA button) on top of the creative
+   * The CTA carries data-click-action so ClickHandler reports it as a cta_click
+   * @param {Object} overlay - Validated overlay ({headline, description, cta, countdown})
+   * @returns {HTMLElement|null} The overlay element, or null if the page has none
+   */
+  renderOverlay(overlay) {
+    const container = document.getElementById('creative-overlay');
+    if (!container || !overlay) {
+      return null;
+    }
+
+    const setText = (id, value) => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.textContent = value || '';
+        element.style.display = value ? '' : 'none';
+      }
+    };
+
+    setText('overlay-headline', overlay.headline);
+    setText('overlay-description', overlay.description);
+
+    const cta = document.getElementById('overlay-cta');
+    if (cta) {
+      if (overlay.cta) {
+        cta.textContent = overlay.cta.text;
+        cta.className = `overlay-cta overlay-cta--${overlay.cta.position}`;
+        cta.dataset.clickAction = 'cta_click';
+        cta.style.backgroundColor = overlay.cta.background_color || '';
+        cta.style.color = overlay.cta.text_color || '';
+        cta.style.display = '';
+      } else {
+        cta.style.display = 'none';
+      }
+    }
+
+    setText('overlay-countdown', null);
+    container.style.display = 'block';
+    this.overlayElement = container;
+
+    return container;
+  }
+
+  /**
+   * Count down to the auto-click in the overlay, once per second
+   * @param {number|null} deadline - Timestamp (ms) the auto-click fires at
+   */
+  startOverlayCountdown(deadline) {
+    this.stopOverlayCountdown();
+
+    const countdown = document.getElementById('overlay-countdown');
+    if (!countdown || !deadline) {
+      return;
+    }
+
+    const update = () => {
+      const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      countdown.textContent = `Opening in ${seconds}s`;
+      countdown.style.display = '';
+
+      if (seconds === 0) {
+        this.stopOverlayCountdown();
+      }
+    };
+
+    update();
+    if (deadline > Date.now()) {
+      this.countdownTimer = setInterval(update, 1000);
+    }
+  }
+
+  /**
+   * Stop the overlay countdown
+   */
+  stopOverlayCountdown() {
+    if (this.countdownTimer) {
+      clearInterval(this.countdownTimer);
+      this.countdownTimer = null;
+    }
+  }
+
+  /**
+   * Hide the overlay and stop its countdown
+   */
+  hideOverlay() {
+    this.stopOverlayCountdown();
+
+    if (this.overlayElement) {
+      this.overlayElement.style.display = 'none';
+      this.overlayElement = null;
+    }
+  }
+
+  /**
+   * Load a set of creatives, show the first one picked by weight and optionally rotate on a timer
+   * If the picked creative fails to load, the next one is picked by weight from those not yet tried
+   * @param {Array<Object>} creatives - Validated creatives ({id, image_url, click_url, deeplink_url, weight})
+   * @param {Object} options - Rotation options
+   * @param {string} [options.mode='sequential'] - 'sequential' or 'weighted' for subsequent picks
+   * @param {number|null} [options.interval] - Rotation interval in milliseconds; no rotation when unset
+   * @returns {Promise<Object>} The creative on screen
+   */
+  async loadCreatives(creatives, options = {}) {
+    if (!Array.isArray(creatives) || creatives.length === 0) {
+      throw new Error('No creatives provided');
+    }
+
+    this.stopRotation();
+    this.imageVariants = [];
+    this.currentVariant = null;
+    this.pendingVariant = null;
+    this.creatives = creatives;
+    this.rotationOptions = {
+      mode: options.mode || 'sequential',
+      interval: options.interval || null
+    };
+
+    const failedIndexes = [];
+    let firstIndex = this.pickWeightedCreative();
+    for (;;) {
+      try {
+        await this.showCreative(firstIndex);
+        break;
+      } catch (error) {
+        failedIndexes.push(firstIndex);
+        const nextIndex = this.pickWeightedCreative(failedIndexes);
+        if (failedIndexes.includes(nextIndex)) {
+          throw error;
+        }
+        console.warn(`⚠️ Creative ${creatives[firstIndex].id} failed to load, trying another:`, error.message);
+        firstIndex = nextIndex;
+      }
+    }
+    this.scheduleRotation();
+
+    // Cache the rest in the background so rotation and reopening the link work offline
+    this.warmCreatives(creatives
+      .filter((creative, index) => index !== firstIndex && !failedIndexes.includes(index))
+      .map(creative => creative.image_url));
+
+    return this.getCurrentCreative();
+  }
+
+  /**
+   * Display a creative and track its impression
+   * @param {number} index - Index into this.creatives
+   * @returns {Promise<Object>} The loaded image info
+   */
+  async showCreative(index) {
+    const creative = this.creatives[index];
+    const startTime = performance.now();
+
+    try {
+      const imageInfo = await this.loadImage(creative.image_url);
+      this.currentCreativeIndex = index;
+
+      if (window.firebaseService) {
+        window.firebaseService.trackImageLoad(creative.image_url, performance.now() - startTime, true, creative.id);
+      }
+
+      this.notifyCreativeChange(creative);
+      return imageInfo;
+    } catch (error) {
+      if (window.firebaseService) {
+        window.firebaseService.trackImageLoad(creative.image_url, 0, false, creative.id);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Pick a creative index by weight
+   * @param {number|Array<number>} [excludeIndex=-1] - Index or indexes to skip (the creative on screen, creatives that failed to load)
+   * @returns {number} Selected index, or the first excluded index when nothing else can be picked
+   */
+  pickWeightedCreative(excludeIndex = -1) {
+    const excluded = [].concat(excludeIndex);
+    const candidates = this.creatives
+      .map((creative, index) => ({ index, weight: creative.weight === undefined ? 1 : creative.weight }))
+      .filter(candidate => !excluded.includes(candidate.index) && candidate.weight > 0);
+
+    if (candidates.length === 0) {
+      return excluded[0] >= 0 ? excluded[0] : 0;
+    }
+
+    const totalWeight = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+    let threshold = Math.random() * totalWeight;
+
+    for (const candidate of candidates) {
+      threshold -= candidate.weight;
+      if (threshold < 0) {
+        return candidate.index;
+      }
+    }
+
+    return candidates[candidates.length - 1].index;
+  }
+
+  /**
+   * Get the index of the creative to rotate to
+   * @returns {number} Next index
+   */
+  getNextCreativeIndex() {
+    if (this.rotationOptions.mode === 'weighted') {
+      return this.pickWeightedCreative(this.currentCreativeIndex);
+    }
+    return (this.currentCreativeIndex + 1) % this.creatives.length;
+  }
+
+  /**
+   * Schedule the next rotation step
+   */
+  scheduleRotation() {
+    // Nothing to rotate, or the controller was destroyed while a rotation was in flight
+    if (!this.rotationOptions.interval || this.creatives.length < 2) {
+      return;
+    }
+    this.rotationTimer = setTimeout(() => this.rotateCreative(), this.rotationOptions.interval);
+  }
+
+  /**
+   * Rotate to the next creative. The next image is preloaded first so a creative that fails to
+   * load is skipped and the current one stays on screen.
+   * @returns {Promise<void>}
+   */
+  async rotateCreative() {
+    this.rotationTimer = null;
+    const nextIndex = this.getNextCreativeIndex();
+    const nextCreative = this.creatives[nextIndex];
+
+    try {
+      await this.preloadImage(nextCreative.image_url);
+    } catch (error) {
+      console.warn(`⚠️ Skipping creative ${nextCreative.id}:`, error.message);
+      if (window.firebaseService) {
+        window.firebaseService.trackImageLoad(nextCreative.image_url, 0, false, nextCreative.id);
+      }
+      this.scheduleRotation();
+      return;
+    }
+
+    try {
+      await this.showCreative(nextIndex);
+    } catch (error) {
+      console.warn(`⚠️ Failed to show creative ${nextCreative.id}:`, error.message);
+    }
+
+    this.scheduleRotation();
+  }
+
+  /**
+   * Stop creative rotation
+   */
+  stopRotation() {
+    if (this.rotationTimer) {
+      clearTimeout(this.rotationTimer);
+      this.rotationTimer = null;
+    }
+  }
+
+  /**
+   * Get the creative currently on screen
+   * @returns {Object|null} Current creative or null when not showing creatives
+   */
+  getCurrentCreative() {
+    return this.creatives[this.currentCreativeIndex] || null;
+  }
+
+  /**
+   * Register a listener called whenever a new creative is shown
+   * @param {Function} callback - Receives the creative
+   */
+  onCreativeChange(callback) {
+    if (typeof callback === 'function') {
+      this.creativeChangeListeners.push(callback);
+    }
+  }
+
+  /**
+   * Notify creative change listeners
+   * @param {Object} creative - The creative now on screen
+   */
+  notifyCreativeChange(creative) {
+    this.creativeChangeListeners.forEach(callback => {
+      try {
+        callback(creative);
+      } catch (error) {
+        console.error('❌ Creative change listener failed:', error);
+      }
+    });
+  }
+
   /**
    * Show loading state in the UI
    */
@@ -888,6 +1868,11 @@ class DisplayController {
       throw new Error('Invalid image info or scaling parameters provided');
     }
 
+    if (imageInfo.isVideo) {
+      this.applyVideoScaling(imageInfo.element, scaling);
+      return;
+    }
+
     // Apply scaling to the display element with background image
     const displayElement = this.displayImage;
 
@@ -1036,6 +2021,9 @@ class DisplayController {
     if (this.orientationChangeHandler) {
       this.orientationChangeHandler();
     }
+
+    // Errors are handled inside; the current image stays on screen
+    this.updateImageVariant();
   }
 
   /**
@@ -1358,6 +2346,12 @@ class DisplayController {
    * Clean up event listeners and resources
    */
   destroy() {
+    // Stop creative rotation, any video and the overlay countdown
+    this.stopRotation();
+    this.removeVideo();
+    this.hideOverlay();
+    this.viewabilityTracker.stop();
+
     // Remove all event listeners
     if (this.orientationChangeHandler) {
       window.removeEventListener('orientationchange', this.orientationChangeHandler);
@@ -1393,14 +2387,25 @@ class DisplayController {
       });
     }
 
+    if (this.visibilityChangeHandler) {
+      document.removeEventListener('visibilitychange', this.visibilityChangeHandler);
+    }
+
     // Reset state
     this.currentImage = null;
     this.isImageLoaded = false;
+    this.creatives = [];
+    this.currentCreativeIndex = -1;
+    this.creativeChangeListeners = [];
+    this.imageVariants = [];
+    this.currentVariant = null;
+    this.pendingVariant = null;
     this.orientationChangeHandler = null;
     this.resizeHandler = null;
     this.visualViewportHandler = null;
     this.deviceOrientationHandler = null;
     this.fullscreenChangeHandler = null;
+    this.visibilityChangeHandler = null;
   }
 }
 
@@ -1420,7 +2425,11 @@ class ImagePerformanceMonitor {
       cacheHits: 0,
       cacheMisses: 0,
       totalImages: 0,
-      errors: 0
+      errors: 0,
+      formats: {},
+      formatFallbacks: {},
+      serviceWorkerHits: 0,
+      serviceWorkerMisses: 0
     };
 
     // Initialize Performance Observer if available
@@ -1442,7 +2451,8 @@ class ImagePerformanceMonitor {
               entry.name.endsWith('.jpeg') ||
               entry.name.endsWith('.png') ||
               entry.name.endsWith('.gif') ||
-              entry.name.endsWith('.webp')
+              entry.name.endsWith('.webp') ||
+              entry.name.endsWith('.avif')
             ))
           );
 
@@ -1510,6 +2520,34 @@ class ImagePerformanceMonitor {
     this.metrics.errorTypes[type] = (this.metrics.errorTypes[type] || 0) + 1;
   }
 
+  /**
+   * Record the format of an image that was shown
+   * @param {string} format - Format name, e.g. 'avif', 'webp' or 'jpeg'
+   */
+  recordFormat(format) {
+    this.metrics.formats[format] = (this.metrics.formats[format] || 0) + 1;
+  }
+
+  /**
+   * Record a format that failed to load and fell through to the next one
+   * @param {string} format - Format name
+   */
+  recordFormatFallback(format) {
+    this.metrics.formatFallbacks[format] = (this.metrics.formatFallbacks[format] || 0) + 1;
+  }
+
+  /**
+   * Record whether the service worker had a creative cached before it loaded
+   * @param {boolean} cached - Whether it was cached
+   */
+  recordServiceWorkerCache(cached) {
+    if (cached) {
+      this.metrics.serviceWorkerHits++;
+    } else {
+      this.metrics.serviceWorkerMisses++;
+    }
+  }
+
   /**
    * Get performance report
    * @returns {Object} Performance metrics
@@ -1538,7 +2576,11 @@ class ImagePerformanceMonitor {
         (this.metrics.errors / this.metrics.totalImages) * 100 : 0,
       totalImages: this.metrics.totalImages,
       firstContentfulPaint: this.metrics.firstContentfulPaint || 0,
-      errorTypes: this.metrics.errorTypes || {}
+      errorTypes: this.metrics.errorTypes || {},
+      formats: { ...this.metrics.formats },
+      formatFallbacks: { ...this.metrics.formatFallbacks },
+      serviceWorkerHits: this.metrics.serviceWorkerHits,
+      serviceWorkerMisses: this.metrics.serviceWorkerMisses
     };
   }
 
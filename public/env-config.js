@@ -16,14 +16,52 @@ window.ENV_CONFIG = {
   },
   "security": {
     "strictMode": false,
-    "csp": false
+    "csp": false,
+    "clickUrls": {
+      "allowedSchemes": ["https", "http"],
+      "allowedDomains": [],
+      "deeplinkSchemes": null
+    },
+    "replay": {
+      "maxEntries": 200,
+      "ttlDays": 30
+    },
+    "tamperReporting": {
+      "enabled": false
+    }
   },
   "performance": {
     "bundleAnalysis": true,
     "sourceMap": true
   },
+  "clickMacros": {
+    "stripUnknown": false,
+    "encoding": {}
+  },
+  "attribution": {
+    "ttlDays": 30,
+    "appendToClickUrl": true
+  },
+  "serviceWorker": {
+    "updateMode": "prompt"
+  },
   "decryption": {
     "encryptionKey": "default-encryption-key-32-chars!!",
+    "currentKeyId": "default",
+    "keyring": {},
+    "keyDerivation": {
+      "algorithm": "PBKDF2",
+      "salt": "h5-encrypted-display",
+      "iterations": 100000,
+      "hash": "SHA-256",
+      "allowLegacy": true
+    },
+    "signing": {
+      "enabled": false,
+      "required": false,
+      "algorithm": "ECDSA-P256",
+      "publicKeys": {}
+    },
     "ALGORITHM": "AES-GCM",
     "KEY_LENGTH": 256,
     "IV_LENGTH": 12,
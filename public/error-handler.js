@@ -5,8 +5,11 @@
  * graceful degradation, and retry mechanisms for recoverable errors.
  */
 
+import SecurityService from './security-service.js';
+
 class ErrorHandler {
   constructor() {
+    this.securityService = new SecurityService(); // Counts payload repairs as tamper signals
     this.errorHistory = [];
     this.retryAttempts = new Map(); // Track retry attempts per operation
     this.maxRetryAttempts = 3;
@@ -23,7 +26,8 @@ class ErrorHandler {
       FIREBASE: 'firebase',
       NETWORK: 'network',
       VALIDATION: 'validation',
-      SECURITY: 'security'
+      SECURITY: 'security',
+      LINK_EXPIRED: 'link_expired'
     };
 
     // Recoverable error types that support retry
@@ -139,12 +143,30 @@ class ErrorHandler {
           width: window.innerWidth,
           height: window.innerHeight
         },
+        ...this.getBlockedUrlMetadata(error),
         ...metadata
       },
       severity: this.determineSeverity(error, context)
     };
   }
 
+  /**
+   * Field, reason and host of a URL blocked by the click URL policy (never the full URL)
+   * @param {Error} error - The error object
+   * @returns {Object} Metadata, empty for other errors
+   */
+  getBlockedUrlMetadata(error) {
+    if (!error || error.name !== 'BlockedUrlError') {
+      return {};
+    }
+
+    return {
+      blockedField: error.field,
+      blockedReason: error.reason,
+      blockedHost: error.host
+    };
+  }
+
   /**
    * Classify error type based on error and context
    * @param {Error} error - The error object
@@ -157,6 +179,16 @@ class ErrorHandler {
       return context;
     }
 
+    // Expired / not-yet-active campaign links
+    if (error && error.name === 'LinkExpiredError') {
+      return this.ERROR_TYPES.LINK_EXPIRED;
+    }
+
+    // URLs the click URL policy does not allow
+    if (error && error.name === 'BlockedUrlError') {
+      return this.ERROR_TYPES.SECURITY;
+    }
+
     // Check for image specific errors
     if (error && error.type) {
       if (error.type === 'cors' || error.type === 'format' || error.type === 'timeout') {
@@ -456,6 +488,12 @@ class ErrorHandler {
    * @param {Object} options - Error handling options
    */
   handleNonRecoverableError(errorInfo, options = {}) {
+    // Blocked navigations get their own interstitial instead of the generic error state
+    if (errorInfo.type === this.ERROR_TYPES.SECURITY && errorInfo.metadata.blockedReason) {
+      this.showBlockedInterstitial(errorInfo);
+      return;
+    }
+
     // Implement graceful degradation based on error type
     this.implementGracefulDegradation(errorInfo);
     
@@ -504,6 +542,8 @@ class ErrorHandler {
       const fixedPayload = this.fixPayloadFormat(payload);
       if (fixedPayload !== payload) {
         console.log('ErrorHandler: Attempting recovery with fixed payload format');
+        // Recorded before the reload: someone probing payloads lands here again and again
+        this.securityService.recordTamperSignal('format_retry');
         // Create a new URL with the fixed payload
         const newUrl = new URL(window.location.href);
         newUrl.searchParams.set('payload', fixedPayload);
@@ -627,6 +667,45 @@ class ErrorHandler {
     // Show manual URL options if available
   }
 
+  /**
+   * Show a full-page interstitial for a blocked link
+   * It never links to the blocked URL; the only way on is back to where the visitor came from
+   * @param {Object} errorInfo - Error information with blocked URL metadata
+   */
+  showBlockedInterstitial(errorInfo) {
+    let interstitial = document.getElementById('blocked-interstitial');
+    if (!interstitial) {
+      interstitial = document.createElement('div');
+      interstitial.id = 'blocked-interstitial';
+      interstitial.setAttribute('role', 'alert');
+      // The page click handler skips taps on the interstitial
+      interstitial.setAttribute('data-click-ignore', '');
+      interstitial.innerHTML = '<h2>Link blocked</h2>' +
+        '<p id="blocked-interstitial-message"></p>' +
+        '<button type="button" class="blocked-interstitial-back">Go back</button>';
+
+      interstitial.addEventListener('click', (event) => {
+        if (event.target.classList.contains('blocked-interstitial-back')) {
+          window.history.back();
+        }
+      });
+
+      document.body.appendChild(interstitial);
+    }
+
+    // textContent: the host comes from the payload
+    interstitial.querySelector('#blocked-interstitial-message').textContent = this.generateUserFriendlyMessage(errorInfo);
+    interstitial.style.display = 'block';
+    this.isErrorStateVisible = true;
+
+    const loadingState = document.getElementById('loading-state');
+    if (loadingState) {
+      loadingState.style.display = 'none';
+    }
+
+    console.log('ErrorHandler: Displayed blocked link interstitial');
+  }
+
   /**
    * Display user-friendly error state
    * @param {Object} errorInfo - Error information
@@ -701,7 +780,20 @@ class ErrorHandler {
         return 'Invalid data format detected. Please verify the input parameters.';
         
       case this.ERROR_TYPES.SECURITY:
+        if (errorInfo.metadata && errorInfo.metadata.blockedReason) {
+          const destination = errorInfo.metadata.blockedHost || 'a destination';
+          return `This link leads to ${destination}, which is not on the list of allowed sites, so it was not opened.`;
+        }
         return 'Security validation failed. Please ensure you are using a valid encrypted payload.';
+
+      case this.ERROR_TYPES.LINK_EXPIRED:
+        if (errorInfo.metadata && errorInfo.metadata.reason === 'not_yet_valid') {
+          return 'This campaign has not started yet. Please check back later.';
+        }
+        if (errorInfo.metadata && errorInfo.metadata.reason === 'max_opens') {
+          return 'This campaign link has already been used the maximum number of times.';
+        }
+        return 'This campaign has ended. Thank you for your interest.';
         
       default:
         return 'An unexpected error occurred. Please try refreshing the page.';
@@ -0,0 +1,149 @@
+/**
+ * ExperimentService - Sticky A/B bucketing for instruction set experiments
+ * Buckets visitors by hashing a locally persisted visitor ID, so a visitor keeps the same variant across reloads
+ */
+
+class ExperimentService {
+  constructor() {
+    this.VISITOR_ID_KEY = 'h5_visitor_id';
+    this.visitorId = null;
+
+    // Fields a variant may override on the instruction set
+    this.OVERRIDE_FIELDS = ['image_url', 'click_url', 'deeplink_url'];
+  }
+
+  /**
+   * Get the persisted visitor ID, creating one on first visit
+   * Falls back to an in-memory ID (not sticky) when localStorage is unavailable
+   * @returns {string} Visitor ID
+   */
+  getVisitorId() {
+    if (this.visitorId) {
+      return this.visitorId;
+    }
+
+    try {
+      const storedId = localStorage.getItem(this.VISITOR_ID_KEY);
+      if (storedId) {
+        this.visitorId = storedId;
+        return storedId;
+      }
+    } catch (error) {
+      console.warn('ExperimentService: localStorage unavailable, variant will not be sticky');
+    }
+
+    this.visitorId = this.generateVisitorId();
+
+    try {
+      localStorage.setItem(this.VISITOR_ID_KEY, this.visitorId);
+    } catch (error) {
+      // Keep the in-memory ID for this page view
+    }
+
+    return this.visitorId;
+  }
+
+  /**
+   * Generate a random visitor ID
+   * @returns {string} Visitor ID
+   */
+  generateVisitorId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+      return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+
+  /**
+   * Hash a string to a number in [0, 1) using FNV-1a
+   * @param {string} value - String to hash
+   * @returns {number} Uniformly distributed bucket position
+   */
+  hashToUnitInterval(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Deterministically assign the visitor to a variant by weight
+   * The experiment ID salts the hash so one visitor lands independently in different experiments
+   * @param {Object} experiment - Validated experiment ({id, variants})
+   * @param {string} [visitorId] - Visitor ID (defaults to the persisted one)
+   * @returns {Object} The assigned variant
+   */
+  assignVariant(experiment, visitorId = this.getVisitorId()) {
+    const variants = experiment.variants.filter(variant => variant.weight > 0);
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let threshold = this.hashToUnitInterval(`${experiment.id}:${visitorId}`) * totalWeight;
+
+    for (const variant of variants) {
+      threshold -= variant.weight;
+      if (threshold < 0) {
+        return variant;
+      }
+    }
+
+    return variants[variants.length - 1];
+  }
+
+  /**
+   * Apply a variant's overrides to the instruction set
+   * A variant that sets its own image_url replaces any creatives rotation or video
+   * @param {InstructionSet} instructionSet - Validated instruction set
+   * @param {Object} variant - Assigned variant
+   * @returns {InstructionSet} New instruction set with overrides applied
+   */
+  applyVariant(instructionSet, variant) {
+    const result = { ...instructionSet };
+
+    this.OVERRIDE_FIELDS.forEach(field => {
+      if (variant[field]) {
+        result[field] = variant[field];
+      }
+    });
+
+    if (variant.image_url) {
+      delete result.creatives;
+      delete result.image_variants;
+      delete result.image_alternatives;
+      delete result.video_sources;
+      delete result.poster_url;
+    }
+
+    return result;
+  }
+
+  /**
+   * Bucket the visitor into the instruction set's experiment and apply the variant
+   * @param {InstructionSet} instructionSet - Validated instruction set
+   * @returns {{instructionSet: InstructionSet, assignment: Object|null}} Result with the experiment/variant IDs
+   */
+  resolve(instructionSet) {
+    if (!instructionSet || !instructionSet.experiments) {
+      return { instructionSet, assignment: null };
+    }
+
+    const experiment = instructionSet.experiments;
+    const variant = this.assignVariant(experiment);
+
+    return {
+      instructionSet: this.applyVariant(instructionSet, variant),
+      assignment: {
+        experiment_id: experiment.id,
+        experiment_variant: variant.id
+      }
+    };
+  }
+}
+
+// Export for use in other modules and tests
+export default ExperimentService;
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.ExperimentService = ExperimentService;
+}
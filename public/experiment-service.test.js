@@ -0,0 +1,134 @@
+/**
+ * Unit tests for ExperimentService
+ * Tests sticky visitor IDs, deterministic weighted bucketing and variant overrides
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import ExperimentService from './experiment-service.js';
+
+describe('ExperimentService', () => {
+  let experimentService;
+
+  const experiment = {
+    id: 'cta-test',
+    variants: [
+      { id: 'control', weight: 1, image_url: null, click_url: null, deeplink_url: null },
+      { id: 'b', weight: 1, image_url: 'https://example.com/b.jpg', click_url: 'https://example.com/b', deeplink_url: null }
+    ]
+  };
+
+  const instructionSet = {
+    image_url: 'https://example.com/a.jpg',
+    click_url: 'https://example.com/a',
+    deeplink_url: 'app://a',
+    auto_click: false,
+    experiments: experiment
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    experimentService = new ExperimentService();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('getVisitorId', () => {
+    it('should persist the visitor ID across instances', () => {
+      const visitorId = experimentService.getVisitorId();
+
+      expect(visitorId).toBeTruthy();
+      expect(localStorage.getItem('h5_visitor_id')).toBe(visitorId);
+      expect(new ExperimentService().getVisitorId()).toBe(visitorId);
+    });
+
+    it('should fall back to an in-memory ID when localStorage is unavailable', () => {
+      vi.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+        throw new Error('SecurityError');
+      });
+      vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+        throw new Error('SecurityError');
+      });
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const visitorId = experimentService.getVisitorId();
+
+      expect(visitorId).toBeTruthy();
+      expect(experimentService.getVisitorId()).toBe(visitorId);
+    });
+  });
+
+  describe('assignVariant', () => {
+    it('should assign the same variant to the same visitor every time', () => {
+      const first = experimentService.assignVariant(experiment, 'visitor-1');
+
+      for (let i = 0; i < 5; i++) {
+        expect(new ExperimentService().assignVariant(experiment, 'visitor-1').id).toBe(first.id);
+      }
+    });
+
+    it('should split visitors roughly by weight', () => {
+      const weighted = {
+        id: 'split',
+        variants: [{ id: 'a', weight: 1 }, { id: 'b', weight: 3 }]
+      };
+      const counts = { a: 0, b: 0 };
+
+      for (let i = 0; i < 2000; i++) {
+        counts[experimentService.assignVariant(weighted, `visitor-${i}`).id]++;
+      }
+
+      expect(counts.b / 2000).toBeGreaterThan(0.68);
+      expect(counts.b / 2000).toBeLessThan(0.82);
+    });
+
+    it('should never assign a zero-weight variant', () => {
+      const paused = {
+        id: 'paused',
+        variants: [{ id: 'a', weight: 0 }, { id: 'b', weight: 1 }]
+      };
+
+      for (let i = 0; i < 50; i++) {
+        expect(experimentService.assignVariant(paused, `visitor-${i}`).id).toBe('b');
+      }
+    });
+  });
+
+  describe('resolve', () => {
+    it('should apply the assigned variant overrides and report the assignment', () => {
+      vi.spyOn(experimentService, 'assignVariant').mockReturnValue(experiment.variants[1]);
+
+      const result = experimentService.resolve(instructionSet);
+
+      expect(result.assignment).toEqual({ experiment_id: 'cta-test', experiment_variant: 'b' });
+      expect(result.instructionSet.image_url).toBe('https://example.com/b.jpg');
+      expect(result.instructionSet.click_url).toBe('https://example.com/b');
+      // Fields the variant does not set keep their base values
+      expect(result.instructionSet.deeplink_url).toBe('app://a');
+    });
+
+    it('should leave the control variant unchanged', () => {
+      vi.spyOn(experimentService, 'assignVariant').mockReturnValue(experiment.variants[0]);
+
+      const result = experimentService.resolve(instructionSet);
+
+      expect(result.instructionSet.image_url).toBe(instructionSet.image_url);
+      expect(result.instructionSet.click_url).toBe(instructionSet.click_url);
+    });
+
+    it('should replace creatives rotation when the variant sets an image', () => {
+      vi.spyOn(experimentService, 'assignVariant').mockReturnValue(experiment.variants[1]);
+
+      const result = experimentService.resolve({ ...instructionSet, creatives: [{ id: 'c1' }] });
+
+      expect(result.instructionSet.creatives).toBeUndefined();
+    });
+
+    it('should pass instruction sets without experiments through', () => {
+      const plain = { image_url: 'https://example.com/a.jpg', click_url: 'https://example.com/a' };
+
+      expect(experimentService.resolve(plain)).toEqual({ instructionSet: plain, assignment: null });
+    });
+  });
+});
@@ -8,6 +8,41 @@ class FirebaseService {
     this.analytics = null;
     this.performance = null;
     this.initializationPromise = null;
+    this.eventContext = {}; // Parameters added to every analytics event (e.g. experiment variant)
+  }
+
+  /**
+   * Set parameters reported on every subsequent analytics event
+   * @param {Object} context - Event parameters, e.g. { experiment_id, experiment_variant }
+   */
+  setEventContext(context = {}) {
+    this.eventContext = { ...this.eventContext, ...context };
+  }
+
+  /**
+   * Merge the event context into event parameters
+   * @param {Object} params - Event parameters
+   * @returns {Object} Parameters including the event context
+   */
+  withEventContext(params) {
+    return { ...params, ...this.eventContext };
+  }
+
+  /**
+   * Log a custom analytics event
+   * @param {string} eventName - Event name
+   * @param {Object} params - Event parameters
+   */
+  logEvent(eventName, params = {}) {
+    if (!this.initialized || !this.analytics) {
+      return;
+    }
+
+    try {
+      this.analytics.logEvent(eventName, this.withEventContext(params));
+    } catch (error) {
+      console.error(`Failed to log event ${eventName}:`, error);
+    }
   }
 
   /**
@@ -89,7 +124,7 @@ class FirebaseService {
     }
 
     try {
-      this.analytics.logEvent('page_view', {
+      this.analytics.logEvent('page_view', this.withEventContext({
         page_title: document.title,
         page_location: window.location.href,
         timestamp: Date.now(),
@@ -98,7 +133,7 @@ class FirebaseService {
         screen_height: window.screen.height,
         viewport_width: window.innerWidth,
         viewport_height: window.innerHeight
-      });
+      }));
     } catch (error) {
       console.error('Failed to track page view:', error);
     }
@@ -115,11 +150,11 @@ class FirebaseService {
     }
 
     try {
-      this.analytics.logEvent('user_interaction', {
+      this.analytics.logEvent('user_interaction', this.withEventContext({
         action: action,
         timestamp: Date.now(),
         ...details
-      });
+      }));
     } catch (error) {
       console.error('Failed to track user interaction:', error);
     }
@@ -136,13 +171,13 @@ class FirebaseService {
     }
 
     try {
-      this.analytics.logEvent('error_occurred', {
+      this.analytics.logEvent('error_occurred', this.withEventContext({
         error_message: error.message,
         error_stack: error.stack,
         error_context: context,
         timestamp: Date.now(),
         page_location: window.location.href
-      });
+      }));
     } catch (analyticsError) {
       console.error('Failed to report error to Firebase:', analyticsError);
     }
@@ -186,11 +221,11 @@ class FirebaseService {
 
       // Also log to analytics for detailed analysis
       if (this.analytics) {
-        this.analytics.logEvent('performance_metric', {
+        this.analytics.logEvent('performance_metric', this.withEventContext({
           metric_name: metric,
           metric_value: value,
           ...enhancedAttributes
-        });
+        }));
       }
 
       console.log(`📊 Performance tracked: ${metric} = ${value}ms`);
@@ -227,17 +262,22 @@ class FirebaseService {
    * @param {string} imageUrl - The image URL
    * @param {number} loadTime - Time taken to load in milliseconds
    * @param {boolean} success - Whether loading was successful
+   * @param {string|null} creativeId - Creative ID when the payload carries multiple creatives
    */
-  trackImageLoad(imageUrl, loadTime, success) {
+  trackImageLoad(imageUrl, loadTime, success, creativeId = null) {
+    const creativeDetails = creativeId ? { creative_id: creativeId } : {};
+
     this.trackPerformance('image_load', loadTime, {
       image_url: imageUrl,
-      success: success ? 'true' : 'false'
+      success: success ? 'true' : 'false',
+      ...creativeDetails
     });
 
     this.trackUserInteraction('image_load', {
       image_url: imageUrl,
       load_time: loadTime,
-      success: success
+      success: success,
+      ...creativeDetails
     });
   }
 
@@ -246,16 +286,36 @@ class FirebaseService {
    * @param {string} clickType - Type of click (manual, auto)
    * @param {string} targetUrl - The target URL
    * @param {boolean} isDeeplink - Whether it's a deeplink attempt
+   * @param {string|null} creativeId - ID of the creative that was clicked
+   * @param {Object} details - Additional event details, e.g. deeplink_strategy and deeplink_outcome
    */
-  trackClick(clickType, targetUrl, isDeeplink = false) {
+  trackClick(clickType, targetUrl, isDeeplink = false, creativeId = null, details = {}) {
     this.trackUserInteraction('click_event', {
       click_type: clickType,
       target_url: targetUrl,
       is_deeplink: isDeeplink,
+      ...(creativeId ? { creative_id: creativeId } : {}),
+      ...details,
       timestamp: Date.now()
     });
   }
 
+  /**
+   * Track video playback milestones
+   * @param {string} milestone - start, first_quartile, midpoint, third_quartile, complete or fallback
+   * @param {string} videoUrl - The video URL
+   * @param {number} duration - Video duration in seconds (0 if unknown)
+   * @param {Object} details - Additional event details
+   */
+  trackVideoProgress(milestone, videoUrl, duration, details = {}) {
+    this.trackUserInteraction('video_progress', {
+      milestone: milestone,
+      video_url: videoUrl,
+      duration: Number.isFinite(duration) ? Math.round(duration * 1000) / 1000 : 0,
+      ...details
+    });
+  }
+
   /**
    * Track decryption events
    * @param {boolean} success - Whether decryption was successful
@@ -194,6 +194,36 @@ describe('FirebaseService', () => {
     });
   });
 
+  describe('setEventContext', () => {
+    beforeEach(async () => {
+      await firebaseService.initialize();
+      firebaseService.initialized = true;
+      firebaseService.analytics = mockAnalytics;
+    });
+
+    it('should add the event context to every subsequent event', () => {
+      firebaseService.setEventContext({ experiment_id: 'cta-test', experiment_variant: 'b' });
+
+      firebaseService.trackUserInteraction('page_scroll');
+      firebaseService.trackPageView();
+      firebaseService.logEvent('background_image_performance', { averageLoadTime: 120 });
+
+      expect(mockAnalytics.logEvent).toHaveBeenCalledWith('user_interaction', expect.objectContaining({
+        action: 'page_scroll',
+        experiment_id: 'cta-test',
+        experiment_variant: 'b'
+      }));
+      expect(mockAnalytics.logEvent).toHaveBeenCalledWith('page_view', expect.objectContaining({
+        experiment_variant: 'b'
+      }));
+      expect(mockAnalytics.logEvent).toHaveBeenCalledWith('background_image_performance', {
+        averageLoadTime: 120,
+        experiment_id: 'cta-test',
+        experiment_variant: 'b'
+      });
+    });
+  });
+
   describe('reportError', () => {
     beforeEach(async () => {
       await firebaseService.initialize();
@@ -347,6 +377,60 @@ describe('FirebaseService', () => {
     });
   });
 
+  describe('trackClick with deeplink details', () => {
+    beforeEach(async () => {
+      await firebaseService.initialize();
+      firebaseService.initialized = true;
+      firebaseService.analytics = mockAnalytics;
+      vi.spyOn(firebaseService, 'trackUserInteraction');
+    });
+
+    it('should include the deeplink strategy and outcome', () => {
+      firebaseService.trackClick('manual', 'myapp://open', true, null, {
+        deeplink_strategy: 'ios_scheme',
+        deeplink_outcome: 'store_fallback'
+      });
+
+      expect(firebaseService.trackUserInteraction).toHaveBeenCalledWith('click_event', {
+        click_type: 'manual',
+        target_url: 'myapp://open',
+        is_deeplink: true,
+        deeplink_strategy: 'ios_scheme',
+        deeplink_outcome: 'store_fallback',
+        timestamp: expect.any(Number)
+      });
+    });
+  });
+
+  describe('trackVideoProgress', () => {
+    beforeEach(async () => {
+      await firebaseService.initialize();
+      firebaseService.initialized = true;
+      firebaseService.analytics = mockAnalytics;
+      vi.spyOn(firebaseService, 'trackUserInteraction');
+    });
+
+    it('should track video milestone event', () => {
+      firebaseService.trackVideoProgress('midpoint', 'https://example.com/ad.mp4', 15.0416);
+
+      expect(firebaseService.trackUserInteraction).toHaveBeenCalledWith('video_progress', {
+        milestone: 'midpoint',
+        video_url: 'https://example.com/ad.mp4',
+        duration: 15.042
+      });
+    });
+
+    it('should report unknown duration as zero', () => {
+      firebaseService.trackVideoProgress('start', 'https://example.com/live.mp4', Infinity);
+
+      expect(firebaseService.trackUserInteraction).toHaveBeenCalledWith('video_progress', {
+        milestone: 'start',
+        video_url: 'https://example.com/live.mp4',
+        duration: 0
+      });
+    });
+  });
+
   describe('trackDecryption', () => {
     beforeEach(async () => {
       await firebaseService.initialize();
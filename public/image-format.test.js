@@ -0,0 +1,114 @@
+/**
+ * Tests for AVIF/WebP negotiation in DisplayController.preloadImage: supported alternatives are
+ * tried in order, failures fall through to the original, and the shown format is recorded
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import DisplayController from './display-controller.js';
+
+const imageUrl = 'https://cdn.example.com/banner.jpg';
+const alternatives = [
+  { url: 'https://cdn.example.com/banner.avif', type: 'image/avif' },
+  { url: 'https://cdn.example.com/banner.webp', type: 'image/webp' }
+];
+
+describe('Image format negotiation', () => {
+  let displayController;
+  let loadedUrls;
+  let failingUrls;
+  let originalMonitor;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="app-container">
+        <div id="image-container">
+          <div id="display-image" style="display: none;"></div>
+        </div>
+        <div id="loading-state"></div>
+      </div>
+    `;
+
+    originalMonitor = window.imagePerformanceMonitor;
+    window.imagePerformanceMonitor = {
+      recordFormat: vi.fn(),
+      recordFormatFallback: vi.fn(),
+      recordLoadTime: vi.fn(),
+      recordRenderTime: vi.fn()
+    };
+
+    displayController = new DisplayController();
+    displayController.imageFormatSupport = Promise.resolve({ 'image/avif': true, 'image/webp': true });
+
+    // Stub single-image loads; calls with alternatives go through the real negotiation
+    loadedUrls = [];
+    failingUrls = [];
+    const preloadImage = DisplayController.prototype.preloadImage;
+    vi.spyOn(displayController, 'preloadImage').mockImplementation(async (url, alts) => {
+      if (alts && alts.length > 0) {
+        return preloadImage.call(displayController, url, alts);
+      }
+      loadedUrls.push(url);
+      if (failingUrls.includes(url)) {
+        throw new Error(`Failed to preload image from URL: ${url}`);
+      }
+      return { url, naturalWidth: 100, naturalHeight: 100 };
+    });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    displayController.destroy();
+    window.imagePerformanceMonitor = originalMonitor;
+    document.body.innerHTML = '';
+    vi.restoreAllMocks();
+  });
+
+  it('should use the first supported alternative', async () => {
+    const imageInfo = await displayController.preloadImage(imageUrl, alternatives);
+
+    expect(imageInfo.url).toBe('https://cdn.example.com/banner.avif');
+    expect(imageInfo.format).toBe('avif');
+    expect(window.imagePerformanceMonitor.recordFormat).toHaveBeenCalledWith('avif');
+  });
+
+  it('should skip formats the browser cannot decode', async () => {
+    displayController.imageFormatSupport = Promise.resolve({ 'image/avif': false, 'image/webp': true });
+
+    const imageInfo = await displayController.preloadImage(imageUrl, alternatives);
+
+    expect(loadedUrls).toEqual(['https://cdn.example.com/banner.webp']);
+    expect(imageInfo.format).toBe('webp');
+  });
+
+  it('should fall through failed formats to the original', async () => {
+    failingUrls = alternatives.map(alternative => alternative.url);
+
+    const imageInfo = await displayController.preloadImage(imageUrl, alternatives);
+
+    expect(loadedUrls).toEqual([alternatives[0].url, alternatives[1].url, imageUrl]);
+    expect(imageInfo.format).toBe('jpeg');
+    expect(window.imagePerformanceMonitor.recordFormatFallback.mock.calls).toEqual([['avif'], ['webp']]);
+    expect(window.imagePerformanceMonitor.recordFormat).toHaveBeenCalledWith('jpeg');
+  });
+
+  it('should reject with the last error when every format fails', async () => {
+    failingUrls = [...alternatives.map(alternative => alternative.url), imageUrl];
+
+    await expect(displayController.preloadImage(imageUrl, alternatives))
+      .rejects.toThrow(`Failed to preload image from URL: ${imageUrl}`);
+  });
+
+  it('should display the format that loaded instead of reporting an error', async () => {
+    failingUrls = [alternatives[0].url];
+    vi.spyOn(displayController, 'handleImageLoadError');
+    vi.spyOn(displayController, 'setBackgroundImageWithFallbacks').mockImplementation(() => {});
+    vi.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => callback());
+
+    const imageInfo = await displayController.loadImage(imageUrl, alternatives);
+
+    expect(imageInfo.url).toBe(alternatives[1].url);
+    expect(displayController.setBackgroundImageWithFallbacks).toHaveBeenCalledWith(alternatives[1].url);
+    expect(displayController.handleImageLoadError).not.toHaveBeenCalled();
+  });
+});
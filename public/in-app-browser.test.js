@@ -0,0 +1,160 @@
+/**
+ * Tests for in-app browser (webview) handling: detection in DisplayController and the
+ * ClickHandler escape/guide flow for deeplink clicks
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import DisplayController from './display-controller.js';
+import ClickHandler from './click-handler.js';
+
+const USER_AGENTS = {
+  wechat: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 MicroMessenger/8.0.49(0x18003137) NetType/WIFI Language/zh_CN',
+  facebook: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 [FBAN/FBIOS;FBAV/470.0.0.40.96;FBBV/601234567]',
+  instagram: 'Mozilla/5.0 (Linux; Android 14; Pixel 8 Build/AP2A; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/126.0 Mobile Safari/537.36 Instagram 340.0.0.22.109 Android (34/14; 420dpi; 1080x2400; Google; Pixel 8; shiba; shiba; en_US; 123456789) FBAV/470.0',
+  tiktok: 'Mozilla/5.0 (Linux; Android 14; SM-S918B Build/UP1A; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/126.0 Mobile Safari/537.36 trill_350203 JsSdk/1.0 NetType/WIFI Channel/googleplay AppName/musical_ly app_version/35.2.3 ByteLocale/en BytedanceWebview/d8a21c6',
+  chrome: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Mobile Safari/537.36'
+};
+
+describe('In-app browser handling', () => {
+  let displayController;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="app-container">
+        <div id="image-container">
+          <div id="display-image" style="display: none;"></div>
+        </div>
+        <div id="loading-state"></div>
+      </div>
+    `;
+    displayController = new DisplayController();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    displayController.destroy();
+    document.body.innerHTML = '';
+    vi.restoreAllMocks();
+  });
+
+  it('should detect WeChat, Facebook, Instagram and TikTok webviews', () => {
+    expect(displayController.detectInAppBrowser(USER_AGENTS.wechat)).toBe('wechat');
+    expect(displayController.detectInAppBrowser(USER_AGENTS.facebook)).toBe('facebook');
+    expect(displayController.detectInAppBrowser(USER_AGENTS.instagram)).toBe('instagram');
+    expect(displayController.detectInAppBrowser(USER_AGENTS.tiktok)).toBe('tiktok');
+    expect(displayController.detectInAppBrowser(USER_AGENTS.chrome)).toBeNull();
+  });
+
+  it('should expose the webview with the browser capabilities', () => {
+    expect(displayController.browser).toHaveProperty('inAppBrowser', null);
+  });
+
+  describe('ClickHandler in in-app browser mode', () => {
+    let clickHandler;
+    let userAgent;
+
+    const initialize = (overrides = {}) => {
+      clickHandler.initialize({
+        image_url: 'https://example.com/a.jpg',
+        click_url: 'https://example.com/click',
+        deeplink_url: 'myapp://open',
+        deeplink_priority: true,
+        auto_click: false,
+        ...overrides
+      });
+    };
+
+    beforeEach(() => {
+      userAgent = USER_AGENTS.facebook;
+      vi.spyOn(navigator, 'userAgent', 'get').mockImplementation(() => userAgent);
+      window.firebaseService = { trackClick: vi.fn() };
+
+      clickHandler = new ClickHandler();
+      vi.spyOn(clickHandler, 'navigateToDeeplink').mockImplementation(() => {});
+      vi.spyOn(clickHandler, 'openClickUrl').mockImplementation(() => {});
+      vi.spyOn(clickHandler, 'attemptDeeplinkWithFallback');
+    });
+
+    afterEach(() => {
+      clickHandler.destroy();
+      window.firebaseService = null;
+    });
+
+    it('should escape to Safari on iOS and show the guide instead of trying the deeplink', async () => {
+      clickHandler.setInAppBrowser('facebook');
+      initialize();
+
+      await clickHandler.processClickAction('manual_click');
+
+      expect(clickHandler.attemptDeeplinkWithFallback).not.toHaveBeenCalled();
+      expect(clickHandler.navigateToDeeplink).toHaveBeenCalledWith(`x-safari-${window.location.href}`);
+      expect(document.getElementById('in-app-guide').style.display).toBe('block');
+      expect(window.firebaseService.trackClick).toHaveBeenCalledWith('manual_click', 'myapp://open', true, null, {
+        deeplink_strategy: 'in_app_escape_safari',
+        deeplink_outcome: 'guide_shown'
+      });
+    });
+
+    it('should escape to Chrome with an intent on Android', () => {
+      userAgent = USER_AGENTS.tiktok;
+      clickHandler.setInAppBrowser('tiktok');
+      initialize();
+
+      const result = clickHandler.escapeInAppBrowser();
+
+      expect(result.strategy).toBe('in_app_escape_intent');
+      expect(clickHandler.navigateToDeeplink).toHaveBeenCalledWith(
+        `intent://${window.location.host}/#Intent;scheme=http;package=com.android.chrome;end`
+      );
+    });
+
+    it('should only show the guide in WeChat', () => {
+      userAgent = USER_AGENTS.wechat;
+      clickHandler.setInAppBrowser('wechat');
+      initialize();
+
+      expect(clickHandler.escapeInAppBrowser()).toEqual({ strategy: 'in_app_guide', outcome: 'guide_shown' });
+      expect(clickHandler.navigateToDeeplink).not.toHaveBeenCalled();
+      expect(document.getElementById('in-app-guide-message').textContent).toContain('Open in Browser');
+    });
+
+    it('should still open plain click URLs inside the webview', async () => {
+      clickHandler.setInAppBrowser('facebook');
+      initialize({ deeplink_priority: false });
+
+      await clickHandler.processClickAction('manual_click');
+
+      expect(clickHandler.openClickUrl).toHaveBeenCalledWith('https://example.com/click');
+      expect(document.getElementById('in-app-guide')).toBeNull();
+    });
+
+    it('should dismiss the guide on tap without triggering a page click', () => {
+      clickHandler.setInAppBrowser('wechat');
+      initialize();
+      const processSpy = vi.spyOn(clickHandler, 'processClickAction');
+      clickHandler.showInAppBrowserGuide();
+
+      const guide = document.getElementById('in-app-guide');
+      guide.click();
+
+      expect(guide.style.display).toBe('none');
+      expect(processSpy).not.toHaveBeenCalled();
+    });
+
+    it('should leave touches on the guide to the guide', async () => {
+      clickHandler.setInAppBrowser('wechat');
+      initialize();
+      const processSpy = vi.spyOn(clickHandler, 'processClickAction');
+      clickHandler.showInAppBrowserGuide();
+
+      const guide = document.getElementById('in-app-guide');
+      clickHandler.interactionState.isTouchActive = true;
+      const touchEnd = new Event('touchend', { bubbles: true, cancelable: true });
+      guide.dispatchEvent(touchEnd);
+
+      // The browser still turns the tap into a click on the guide
+      expect(touchEnd.defaultPrevented).toBe(false);
+      expect(processSpy).not.toHaveBeenCalled();
+    });
+  });
+});
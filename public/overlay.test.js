@@ -0,0 +1,135 @@
+/**
+ * Tests for the creative overlay: DisplayController rendering the headline, CTA and auto-click
+ * countdown, and ClickHandler reporting CTA clicks with their own action type
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import DisplayController from './display-controller.js';
+import ClickHandler from './click-handler.js';
+
+const overlay = {
+  headline: 'Summer Sale',
+  description: null,
+  cta: { text: 'Shop now', background_color: '#ff0000', text_color: '#ffffff', position: 'center' },
+  countdown: true
+};
+
+describe('Creative overlay', () => {
+  let displayController;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="app-container">
+        <div id="image-container">
+          <div id="display-image" style="display: none;"></div>
+        </div>
+        <div id="creative-overlay" style="display: none;">
+          <div class="overlay-text">
+            <h2 id="overlay-headline"></h2>
+            <p id="overlay-description"></p>
+          </div>
+          <button id="overlay-cta" type="button" class="overlay-cta overlay-cta--bottom"></button>
+          <p id="overlay-countdown"></p>
+        </div>
+        <div id="loading-state"></div>
+      </div>
+    `;
+
+    window.firebaseService = { trackClick: vi.fn() };
+    displayController = new DisplayController();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    displayController.destroy();
+    window.firebaseService = null;
+    document.body.innerHTML = '';
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should render the headline and a styled CTA and hide empty fields', () => {
+    displayController.renderOverlay(overlay);
+
+    const cta = document.getElementById('overlay-cta');
+    expect(document.getElementById('creative-overlay').style.display).toBe('block');
+    expect(document.getElementById('overlay-headline').textContent).toBe('Summer Sale');
+    expect(document.getElementById('overlay-description').style.display).toBe('none');
+    expect(cta.textContent).toBe('Shop now');
+    expect(cta.className).toBe('overlay-cta overlay-cta--center');
+    expect(cta.dataset.clickAction).toBe('cta_click');
+    expect(cta.style.backgroundColor).toBe('rgb(255, 0, 0)');
+  });
+
+  it('should render text as text, not markup', () => {
+    displayController.renderOverlay({ ...overlay, headline: '<img src=x onerror=alert(1)>' });
+
+    expect(document.querySelector('#overlay-headline img')).toBeNull();
+  });
+
+  it('should count down to the auto-click deadline', () => {
+    vi.useFakeTimers();
+    displayController.renderOverlay(overlay);
+
+    displayController.startOverlayCountdown(Date.now() + 3000);
+    const countdown = document.getElementById('overlay-countdown');
+    expect(countdown.textContent).toBe('Opening in 3s');
+
+    vi.advanceTimersByTime(1000);
+    expect(countdown.textContent).toBe('Opening in 2s');
+
+    vi.advanceTimersByTime(2000);
+    expect(countdown.textContent).toBe('Opening in 0s');
+    expect(displayController.countdownTimer).toBeNull();
+  });
+
+  it('should stop the countdown and hide the overlay on destroy', () => {
+    vi.useFakeTimers();
+    displayController.renderOverlay(overlay);
+    displayController.startOverlayCountdown(Date.now() + 3000);
+
+    displayController.destroy();
+
+    expect(displayController.countdownTimer).toBeNull();
+    expect(document.getElementById('creative-overlay').style.display).toBe('none');
+  });
+
+  describe('ClickHandler with the CTA', () => {
+    let clickHandler;
+
+    beforeEach(() => {
+      clickHandler = new ClickHandler();
+      clickHandler.initialize({
+        image_url: 'https://example.com/a.jpg',
+        click_url: 'https://example.com/click',
+        deeplink_url: null,
+        deeplink_priority: false,
+        auto_click: false
+      });
+      vi.spyOn(clickHandler, 'openClickUrl').mockImplementation(() => {});
+      displayController.renderOverlay(overlay);
+    });
+
+    afterEach(() => {
+      clickHandler.destroy();
+    });
+
+    it('should report CTA clicks as cta_click', async () => {
+      const processSpy = vi.spyOn(clickHandler, 'processClickAction');
+
+      await clickHandler.handleClick({ target: document.getElementById('overlay-cta'), preventDefault: () => {} });
+
+      expect(processSpy).toHaveBeenCalledWith('cta_click');
+      expect(clickHandler.openClickUrl).toHaveBeenCalledWith('https://example.com/click');
+      expect(window.firebaseService.trackClick).toHaveBeenCalledWith('cta_click', 'https://example.com/click', false);
+    });
+
+    it('should keep manual_click for the rest of the page', async () => {
+      const processSpy = vi.spyOn(clickHandler, 'processClickAction');
+
+      await clickHandler.handleClick({ target: document.getElementById('overlay-headline'), preventDefault: () => {} });
+
+      expect(processSpy).toHaveBeenCalledWith('manual_click');
+    });
+  });
+});
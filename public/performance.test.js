@@ -223,7 +223,7 @@ describe('Performance Tests', () => {
 
   describe('Caching Strategy Performance', () => {
     it('should implement effective cache headers', () => {
-      const firebase = require('../firebase.json');
+      const firebase = require('../firebase.template.json');
       
       expect(firebase.hosting.headers).toBeDefined();
       
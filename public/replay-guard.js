@@ -0,0 +1,237 @@
+/**
+ * ReplayGuard - Per-device seen-cache that limits how often a link opens
+ * Links with a jti (link ID) are single-use unless max_opens says otherwise; links with only
+ * max_opens are identified by their payload. Counts live in localStorage, so this stops casual
+ * re-use and sharing on one device rather than acting as a server-side guarantee.
+ * Reloading the tab that opened a link, e.g. for a service worker update, does not use up another open
+ */
+
+class ReplayGuard {
+  constructor() {
+    const envConfig = (typeof window !== 'undefined' && window.ENV_CONFIG) || {};
+    const replayConfig = (envConfig.security && envConfig.security.replay) || {};
+
+    this.STORAGE_KEY = 'h5_seen_links';
+    // Per-link counters written before the seen-cache existed
+    this.LEGACY_PREFIX = 'h5_link_opens_';
+    // Links counted in this tab (sessionStorage survives reloads, not new tabs)
+    this.SESSION_KEY = 'h5_opened_links';
+    this.MAX_ENTRIES = replayConfig.maxEntries || 200;
+    // Links without exp are remembered this long after their last open
+    this.TTL_MS = (replayConfig.ttlDays || 30) * 24 * 60 * 60 * 1000;
+    this.CLOCK_SKEW_MS = 60 * 1000;
+  }
+
+  /**
+   * How many times a link may open on this device
+   * @param {InstructionSet} instructionSet - Validated instruction set
+   * @returns {number|null} Limit, or null when the link may open any number of times
+   */
+  getOpenLimit(instructionSet) {
+    if (instructionSet.max_opens) {
+      return instructionSet.max_opens;
+    }
+    return instructionSet.jti ? 1 : null;
+  }
+
+  /**
+   * Key of a link in the seen-cache: its jti, or a hash of the canonical payload
+   * @param {string} encryptedPayload - The payload as received
+   * @param {InstructionSet} instructionSet - Validated instruction set
+   * @returns {string} Link ID
+   */
+  getLinkId(encryptedPayload, instructionSet) {
+    return instructionSet.jti ? `jti:${instructionSet.jti}` : `payload:${this.hashPayload(this.canonicalizePayload(encryptedPayload))}`;
+  }
+
+  /**
+   * One spelling for every base64 encoding of the same bytes, so re-encoding a link does not reset its count
+   * Spaces are '+' lost to URL decoding, as in DecryptionService.base64ToArrayBuffer
+   * @param {string} encryptedPayload - The payload as received
+   * @returns {string} Standard base64 without padding or whitespace
+   */
+  canonicalizePayload(encryptedPayload) {
+    return encryptedPayload
+      .replace(/ /g, '+')
+      .replace(/-/g, '+')
+      .replace(/_/g, '/')
+      .replace(/[=\s]/g, '');
+  }
+
+  /**
+   * Count an open of a limited link, unless its limit is already used up
+   * A reload of a link this tab has already counted is allowed without counting again
+   * @param {string} encryptedPayload - The payload as received
+   * @param {InstructionSet} instructionSet - Validated instruction set
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {{allowed: boolean, opens: number, limit: number|null, reload: boolean}} Opens so far, this one included when allowed
+   */
+  recordOpen(encryptedPayload, instructionSet, now = Date.now()) {
+    const limit = this.getOpenLimit(instructionSet);
+    if (!limit) {
+      return { allowed: true, opens: 0, limit: null, reload: false };
+    }
+
+    const storage = this.getStorage('localStorage');
+    if (!storage) {
+      console.warn('ReplayGuard: localStorage unavailable, open limits not enforced');
+      return { allowed: true, opens: 0, limit, reload: false };
+    }
+
+    const linkId = this.getLinkId(encryptedPayload, instructionSet);
+    const entries = this.read(storage, now);
+    const opens = entries[linkId] ? entries[linkId].opens : this.readLegacyCount(storage, encryptedPayload, instructionSet);
+
+    const openedInTab = this.readOpenedInTab();
+    if (opens > 0 && openedInTab.includes(linkId) && this.isReload()) {
+      return { allowed: true, opens, limit, reload: true };
+    }
+
+    if (opens >= limit) {
+      return { allowed: false, opens, limit, reload: false };
+    }
+
+    entries[linkId] = {
+      opens: opens + 1,
+      expires_at: instructionSet.exp !== undefined ? instructionSet.exp * 1000 + this.CLOCK_SKEW_MS : now + this.TTL_MS
+    };
+    this.write(storage, entries);
+    this.writeOpenedInTab([...openedInTab.filter(id => id !== linkId), linkId]);
+    return { allowed: true, opens: opens + 1, limit, reload: false };
+  }
+
+  /**
+   * Whether this page load is a reload of the tab (including location.reload())
+   * @returns {boolean}
+   */
+  isReload() {
+    try {
+      const [navigation] = performance.getEntriesByType('navigation');
+      return Boolean(navigation) && navigation.type === 'reload';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Link IDs this tab has counted an open for
+   * @returns {Array<string>}
+   */
+  readOpenedInTab() {
+    const storage = this.getStorage('sessionStorage');
+    try {
+      const opened = storage ? JSON.parse(storage.getItem(this.SESSION_KEY)) : null;
+      return Array.isArray(opened) ? opened : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Persist the link IDs this tab has counted, newest last
+   * @param {Array<string>} linkIds - Link IDs
+   */
+  writeOpenedInTab(linkIds) {
+    const storage = this.getStorage('sessionStorage');
+    try {
+      if (storage) {
+        storage.setItem(this.SESSION_KEY, JSON.stringify(linkIds.slice(-this.MAX_ENTRIES)));
+      }
+    } catch {
+      // Without sessionStorage a reload counts as another open
+    }
+  }
+
+  /**
+   * Open count a payload-keyed link stored under the old per-link key, moved into the seen-cache
+   * @param {Storage} storage - localStorage
+   * @param {string} encryptedPayload - The payload as received
+   * @param {InstructionSet} instructionSet - Validated instruction set
+   * @returns {number} Stored count, or 0
+   */
+  readLegacyCount(storage, encryptedPayload, instructionSet) {
+    if (instructionSet.jti) {
+      return 0;
+    }
+
+    const legacyKey = this.LEGACY_PREFIX + this.hashPayload(encryptedPayload);
+    const opens = parseInt(storage.getItem(legacyKey), 10) || 0;
+    if (opens > 0) {
+      storage.removeItem(legacyKey);
+    }
+    return opens;
+  }
+
+  /**
+   * Read the seen-cache without expired entries
+   * @param {Storage} storage - localStorage
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object<string, {opens: number, expires_at: number}>} Entries by link ID
+   */
+  read(storage, now) {
+    const entries = {};
+    try {
+      const stored = JSON.parse(storage.getItem(this.STORAGE_KEY)) || {};
+      Object.entries(stored).forEach(([linkId, entry]) => {
+        if (entry && Number.isInteger(entry.opens) && entry.expires_at > now) {
+          entries[linkId] = { opens: entry.opens, expires_at: entry.expires_at };
+        }
+      });
+    } catch (error) {
+      console.warn('ReplayGuard: seen-cache unreadable, starting a new one');
+    }
+    return entries;
+  }
+
+  /**
+   * Persist the seen-cache, dropping the entries that expire first beyond MAX_ENTRIES
+   * @param {Storage} storage - localStorage
+   * @param {Object<string, {opens: number, expires_at: number}>} entries - Entries by link ID
+   */
+  write(storage, entries) {
+    const kept = Object.entries(entries)
+      .sort(([, a], [, b]) => b.expires_at - a.expires_at)
+      .slice(0, this.MAX_ENTRIES);
+
+    try {
+      storage.setItem(this.STORAGE_KEY, JSON.stringify(Object.fromEntries(kept)));
+    } catch (error) {
+      console.warn('ReplayGuard: Failed to record link open:', error.message);
+    }
+  }
+
+  /**
+   * Web storage, or null where it is unavailable (Node, blocked storage)
+   * @param {string} name - 'localStorage' or 'sessionStorage'
+   * @returns {Storage|null}
+   */
+  getStorage(name) {
+    try {
+      return typeof window !== 'undefined' && window[name] ? window[name] : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Short non-cryptographic hash (FNV-1a) used to key per-link storage without keeping the payload itself
+   * @param {string} value - String to hash
+   * @returns {string} Hex hash
+   */
+  hashPayload(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+}
+
+// Export for use in other modules and tests
+export default ReplayGuard;
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.ReplayGuard = ReplayGuard;
+}
@@ -0,0 +1,140 @@
+/**
+ * Tests for per-device open limits: single-use jti links, N-use links, payloads keyed by their
+ * canonical base64, reloads in the same tab, the bounded seen-cache and counts carried over from
+ * the old per-link storage keys
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import ReplayGuard from './replay-guard.js';
+import DecryptionService from './decryption-service.js';
+
+// Opening a link in a new tab: the seen-cache is shared, the tab's session is not
+const newTab = () => sessionStorage.clear();
+
+const baseData = {
+  image_url: 'https://example.com/image.jpg',
+  click_url: 'https://example.com/click'
+};
+
+describe('ReplayGuard', () => {
+  let replayGuard;
+  const now = Date.UTC(2026, 0, 1);
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+    window.ENV_CONFIG = {};
+    replayGuard = new ReplayGuard();
+  });
+
+  it('should let a jti link open once unless max_opens allows more', () => {
+    expect(replayGuard.recordOpen('payload-a', { jti: 'link-1' }, now)).toEqual({ allowed: true, opens: 1, limit: 1, reload: false });
+    newTab();
+    expect(replayGuard.recordOpen('payload-a', { jti: 'link-1' }, now).allowed).toBe(false);
+
+    for (let i = 0; i < 2; i++) {
+      newTab();
+      replayGuard.recordOpen('payload-b', { jti: 'link-2', max_opens: 3 }, now);
+    }
+    newTab();
+    expect(replayGuard.recordOpen('payload-b', { jti: 'link-2', max_opens: 3 }, now)).toEqual({ allowed: true, opens: 3, limit: 3, reload: false });
+    newTab();
+    expect(replayGuard.recordOpen('payload-b', { jti: 'link-2', max_opens: 3 }, now).allowed).toBe(false);
+  });
+
+  it('should let the tab that opened a link reload it without using up an open', () => {
+    replayGuard.recordOpen('payload-a', { jti: 'link-1' }, now);
+    expect(replayGuard.recordOpen('payload-a', { jti: 'link-1' }, now).allowed).toBe(false);
+
+    vi.spyOn(replayGuard, 'isReload').mockReturnValue(true);
+    expect(replayGuard.recordOpen('payload-a', { jti: 'link-1' }, now)).toEqual({ allowed: true, opens: 1, limit: 1, reload: true });
+    newTab();
+    expect(replayGuard.recordOpen('payload-a', { jti: 'link-1' }, now).allowed).toBe(false);
+  });
+
+  it('should count a payload-keyed link across re-encodings of the same bytes', () => {
+    replayGuard.recordOpen('ab+c/dA==', { max_opens: 1 }, now);
+
+    ['ab-c_dA', 'ab c/dA=', 'ab+c/dA', 'ab-c_dA==\n'].forEach(encoding => {
+      newTab();
+      expect(replayGuard.recordOpen(encoding, { max_opens: 1 }, now).allowed).toBe(false);
+    });
+    newTab();
+    expect(replayGuard.recordOpen('ab+c/dB', { max_opens: 1 }, now).allowed).toBe(true);
+  });
+
+  it('should not track links without jti or max_opens', () => {
+    expect(replayGuard.recordOpen('payload-a', {}, now)).toEqual({ allowed: true, opens: 0, limit: null, reload: false });
+    expect(localStorage.getItem('h5_seen_links')).toBeNull();
+  });
+
+  it('should forget links once they expire and keep the cache bounded', () => {
+    window.ENV_CONFIG = { security: { replay: { maxEntries: 2, ttlDays: 1 } } };
+    replayGuard = new ReplayGuard();
+    const nowSeconds = now / 1000;
+
+    replayGuard.recordOpen('p', { jti: 'short', exp: nowSeconds + 60 }, now);
+    replayGuard.recordOpen('p', { jti: 'day' }, now);
+    replayGuard.recordOpen('p', { jti: 'long', exp: nowSeconds + 7 * 86400 }, now);
+    newTab();
+
+    // The entry expiring first was dropped to stay within maxEntries
+    expect(Object.keys(JSON.parse(localStorage.getItem('h5_seen_links')))).toEqual(['jti:long', 'jti:day']);
+    // A day later the ttlDays entry is gone too
+    expect(replayGuard.recordOpen('p', { jti: 'day' }, now + 86400 * 1000 + 1).allowed).toBe(true);
+    expect(replayGuard.recordOpen('p', { jti: 'long' }, now + 86400 * 1000 + 1).allowed).toBe(false);
+  });
+
+  it('should carry over counts stored under the old per-link key', () => {
+    localStorage.setItem(`h5_link_opens_${replayGuard.hashPayload('payload-a')}`, '2');
+
+    expect(replayGuard.recordOpen('payload-a', { max_opens: 2 }, now).allowed).toBe(false);
+    expect(localStorage.getItem(`h5_link_opens_${replayGuard.hashPayload('payload-a')}`)).toBeNull();
+  });
+});
+
+describe('Open limits in DecryptionService', () => {
+  let decryptionService;
+
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+    window.ENV_CONFIG = {};
+    decryptionService = new DecryptionService();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should validate jti', () => {
+    expect(decryptionService.validateInstructionSet({ ...baseData, jti: 'cmp-42-0001' }).jti).toBe('cmp-42-0001');
+    expect(() => decryptionService.validateInstructionSet({ ...baseData, jti: '' }))
+      .toThrow('Invalid instruction set - jti must be a non-empty string of at most 128 characters');
+    expect(() => decryptionService.validateInstructionSet({ ...baseData, jti: 42 })).toThrow('jti must be');
+  });
+
+  it('should reject a replayed single-use link with the max_opens reason', () => {
+    const instructionSet = decryptionService.validateInstructionSet({ ...baseData, jti: 'cmp-42-0001', expired_url: 'https://example.com/ended' });
+
+    decryptionService.recordOpen('payload-a', instructionSet);
+    newTab();
+
+    expect(() => decryptionService.recordOpen('payload-a', instructionSet))
+      .toThrow(expect.objectContaining({ name: 'LinkExpiredError', reason: 'max_opens', expiredUrl: 'https://example.com/ended' }));
+  });
+
+  it('should leave counting to the app, so decrypting alone does not use up an open', async () => {
+    vi.spyOn(decryptionService, 'openPayload').mockResolvedValue(JSON.stringify({ ...baseData, jti: 'cmp-42-0001' }));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    await decryptionService.decrypt('c29tZS1wYXlsb2Fk');
+    const instructionSet = await decryptionService.decrypt('c29tZS1wYXlsb2Fk');
+
+    expect(() => decryptionService.recordOpen('c29tZS1wYXlsb2Fk', instructionSet)).not.toThrow();
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Tests for responsive image variants in DisplayController: picking by viewport width, DPR and
+ * orientation, and swapping variants on orientation change without overlapping swaps
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import DisplayController from './display-controller.js';
+
+const variants = [
+  { url: 'https://cdn.example.com/land-1280.jpg', width: 1280, dpr: null, orientation: 'landscape' },
+  { url: 'https://cdn.example.com/land-2560.jpg', width: 2560, dpr: null, orientation: 'landscape' },
+  { url: 'https://cdn.example.com/port-480.jpg', width: 480, dpr: null, orientation: 'portrait' },
+  { url: 'https://cdn.example.com/port-1080.jpg', width: 1080, dpr: null, orientation: 'portrait' }
+];
+
+describe('Responsive image variants', () => {
+  let displayController;
+  let originalWidth;
+  let originalHeight;
+  let originalDpr;
+
+  const setViewport = (width, height, dpr = 1) => {
+    window.innerWidth = width;
+    window.innerHeight = height;
+    window.devicePixelRatio = dpr;
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="app-container">
+        <div id="image-container">
+          <div id="display-image" style="display: none;"></div>
+        </div>
+        <div id="loading-state"></div>
+      </div>
+    `;
+
+    originalWidth = window.innerWidth;
+    originalHeight = window.innerHeight;
+    originalDpr = window.devicePixelRatio;
+
+    displayController = new DisplayController();
+    vi.spyOn(displayController, 'loadImage').mockImplementation(async (url) => ({ url }));
+    vi.spyOn(displayController, 'preloadImage').mockImplementation(async (url) => ({ url }));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    displayController.destroy();
+    setViewport(originalWidth, originalHeight, originalDpr);
+    document.body.innerHTML = '';
+    vi.restoreAllMocks();
+  });
+
+  it('should pick the smallest variant that covers the viewport at the device pixel ratio', async () => {
+    setViewport(360, 640, 2);
+
+    const imageInfo = await displayController.loadResponsiveImage(variants);
+
+    expect(imageInfo.url).toBe('https://cdn.example.com/port-1080.jpg');
+  });
+
+  it('should pick a smaller variant on a 1x screen', async () => {
+    setViewport(360, 640, 1);
+
+    await displayController.loadResponsiveImage(variants);
+
+    expect(displayController.loadImage).toHaveBeenCalledWith('https://cdn.example.com/port-480.jpg');
+  });
+
+  it('should fall back to the largest variant when none is big enough', () => {
+    setViewport(1920, 1080, 2);
+
+    expect(displayController.selectImageVariant(variants).url).toBe('https://cdn.example.com/land-2560.jpg');
+  });
+
+  it('should cap the density at 1x when data saver is on', () => {
+    setViewport(360, 640, 3);
+    Object.defineProperty(navigator, 'connection', { value: { saveData: true }, configurable: true });
+
+    try {
+      expect(displayController.selectImageVariant(variants).url).toBe('https://cdn.example.com/port-480.jpg');
+    } finally {
+      delete navigator.connection;
+    }
+  });
+
+  it('should choose between dpr-described variants', () => {
+    setViewport(360, 640, 3);
+    const dprVariants = [
+      { url: 'https://cdn.example.com/a-1x.jpg', width: null, dpr: 1, orientation: null },
+      { url: 'https://cdn.example.com/a-2x.jpg', width: null, dpr: 2, orientation: null }
+    ];
+
+    expect(displayController.selectImageVariant(dprVariants).url).toBe('https://cdn.example.com/a-2x.jpg');
+  });
+
+  it('should swap to the variant for the new orientation', async () => {
+    setViewport(360, 640, 2);
+    await displayController.loadResponsiveImage(variants);
+
+    setViewport(640, 360, 2);
+    const swapped = await displayController.updateImageVariant();
+
+    expect(swapped.url).toBe('https://cdn.example.com/land-1280.jpg');
+    expect(displayController.loadImage).toHaveBeenLastCalledWith('https://cdn.example.com/land-1280.jpg');
+  });
+
+  it('should not swap down to a smaller untagged variant', async () => {
+    const untagged = [
+      { url: 'https://cdn.example.com/a-640.jpg', width: 640, dpr: null, orientation: null },
+      { url: 'https://cdn.example.com/a-1280.jpg', width: 1280, dpr: null, orientation: null }
+    ];
+    setViewport(1000, 600, 1);
+    await displayController.loadResponsiveImage(untagged);
+
+    setViewport(600, 1000, 1);
+
+    expect(await displayController.updateImageVariant()).toBeNull();
+    expect(displayController.loadImage).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep the current image when the new variant fails to preload', async () => {
+    setViewport(360, 640, 2);
+    await displayController.loadResponsiveImage(variants);
+    displayController.preloadImage.mockRejectedValueOnce(new Error('Image preload timeout'));
+
+    setViewport(640, 360, 2);
+
+    expect(await displayController.updateImageVariant()).toBeNull();
+    expect(displayController.currentVariant.url).toBe('https://cdn.example.com/port-1080.jpg');
+  });
+
+  it('should load a swap once when several viewport events fire for one rotation', async () => {
+    setViewport(360, 640, 2);
+    await displayController.loadResponsiveImage(variants);
+
+    setViewport(640, 360, 2);
+    const swaps = await Promise.all([
+      displayController.updateImageVariant(),
+      displayController.updateImageVariant(),
+      displayController.updateImageVariant()
+    ]);
+
+    expect(swaps.filter(Boolean).map(variant => variant.url)).toEqual(['https://cdn.example.com/land-1280.jpg']);
+    expect(displayController.preloadImage).toHaveBeenCalledTimes(1);
+    expect(displayController.loadImage).toHaveBeenCalledTimes(2);
+  });
+
+  it('should drop a swap the viewport has rotated away from before it loaded', async () => {
+    setViewport(360, 640, 2);
+    await displayController.loadResponsiveImage(variants);
+    let finishPreload;
+    displayController.preloadImage.mockImplementationOnce(url => new Promise(resolve => {
+      finishPreload = () => resolve({ url });
+    }));
+
+    setViewport(640, 360, 2);
+    const staleSwap = displayController.updateImageVariant();
+    setViewport(360, 640, 2);
+    expect(await displayController.updateImageVariant()).toBeNull();
+    finishPreload();
+
+    expect(await staleSwap).toBeNull();
+    expect(displayController.loadImage).toHaveBeenCalledTimes(1);
+    expect(displayController.currentVariant.url).toBe('https://cdn.example.com/port-1080.jpg');
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * SecurityService - Decides which URLs a payload may send visitors to
+ * Enforces security.clickUrls from ENV_CONFIG: allowed schemes, a domain allowlist and the
+ * custom app schemes deeplinks may use, so a forged or leaked-key payload can't turn the page
+ * into an open redirector. It also counts tamper signals (failed auth tags, bad signatures, base64
+ * repairs) and reports them through FirebaseService once they repeat, rate limited
+ */
+
+/**
+ * Error for a URL the click URL policy does not allow
+ * Carries the field, reason and host so the app can report it and show the blocked-link interstitial
+ */
+class BlockedUrlError extends Error {
+  /**
+   * @param {string} reason - One of 'invalid_url', 'scheme_not_allowed' or 'domain_not_allowed'
+   * @param {string} field - Instruction set field the URL came from
+   * @param {string|null} host - Host of the blocked URL, when it has one
+   */
+  constructor(reason, field, host = null) {
+    const messages = {
+      invalid_url: 'is not a valid URL',
+      scheme_not_allowed: 'uses a scheme that is not allowed',
+      domain_not_allowed: 'points to a domain that is not allowed'
+    };
+    super(`Blocked ${field}: ${messages[reason] || 'is not allowed'}`);
+    this.name = 'BlockedUrlError';
+    this.reason = reason;
+    this.field = field;
+    this.host = host;
+  }
+}
+
+class SecurityService {
+  /**
+   * @param {Object} [clickUrls] - Click URL policy; defaults to ENV_CONFIG.security.clickUrls
+   */
+  constructor(clickUrls) {
+    const envConfig = (typeof window !== 'undefined' && window.ENV_CONFIG) || {};
+    const securityConfig = envConfig.security || {};
+
+    // Schemes that can run code or read local data are never navigated to
+    this.BLOCKED_SCHEMES = ['javascript', 'data', 'vbscript', 'file', 'blob', 'about'];
+    this.WEB_SCHEMES = ['http', 'https'];
+
+    this.setClickUrlPolicy(clickUrls || securityConfig.clickUrls);
+
+    // Tamper signals are kept per device: each probe of a payload is usually a new page load
+    this.TAMPER_STORAGE_KEY = 'h5_tamper_signals';
+    this.MAX_STORED_SIGNALS = 50;
+    this.setTamperReporting(securityConfig.tamperReporting);
+  }
+
+  /**
+   * Replace the tamper reporting options
+   * @param {Object} [options] - Reporting options
+   * @param {boolean} [options.enabled=true] - Report tamper signals at all
+   * @param {number} [options.windowMinutes=10] - Window signals and reports are counted in
+   * @param {number} [options.threshold=3] - Failures of one type in the window before they are reported
+   * @param {number} [options.maxReports=3] - Reports sent per window
+   */
+  setTamperReporting(options = {}) {
+    options = options || {};
+
+    this.tamperReporting = {
+      enabled: options.enabled !== false,
+      windowMs: (options.windowMinutes || 10) * 60 * 1000,
+      threshold: options.threshold || 3,
+      maxReports: options.maxReports || 3
+    };
+  }
+
+  /**
+   * Count a tamper signal and report it once it crosses its threshold, within the report limit
+   * A single failure is usually an old link on a retired key or a truncated URL; someone editing a
+   * payload fails again and again, so only threshold failures of a type in the window are reported
+   * @param {string} type - 'auth_tag_failure', 'invalid_signature' or 'format_retry'
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {{count: number, reported: boolean}} Signals of this type in the window, and whether this one was reported
+   */
+  recordTamperSignal(type, now = Date.now()) {
+    const policy = this.tamperReporting;
+    if (!policy.enabled) {
+      return { count: 0, reported: false };
+    }
+
+    const state = this.readTamperState(now - policy.windowMs);
+    state.signals.push({ type, at: now });
+    const count = state.signals.filter(signal => signal.type === type).length;
+
+    let reported = false;
+    if (count >= policy.threshold && state.reports.length < policy.maxReports) {
+      reported = this.reportTamperSignal(type, count);
+      if (reported) {
+        state.reports.push(now);
+      }
+    }
+
+    this.writeTamperState(state);
+    return { count, reported };
+  }
+
+  /**
+   * Report a tamper signal through FirebaseService.reportError
+   * @param {string} type - Signal type
+   * @param {number} count - Signals of this type in the window
+   * @returns {boolean} Whether a report was sent
+   */
+  reportTamperSignal(type, count) {
+    const firebaseService = typeof window !== 'undefined' ? window.firebaseService : null;
+    if (!firebaseService || typeof firebaseService.reportError !== 'function') {
+      return false;
+    }
+
+    const minutes = Math.round(this.tamperReporting.windowMs / 60000);
+    const error = new Error(`Possible payload tampering: ${type} (${count} in ${minutes} min)`);
+    error.name = 'TamperSignal';
+    console.warn(`🛡️ ${error.message}`);
+    firebaseService.reportError(error, 'security_tamper');
+    return true;
+  }
+
+  /**
+   * Read the stored tamper signals and reports newer than a cutoff
+   * @param {number} since - Cutoff in milliseconds
+   * @returns {{signals: Array<{type: string, at: number}>, reports: Array<number>}}
+   */
+  readTamperState(since) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.TAMPER_STORAGE_KEY)) || {};
+      return {
+        signals: (Array.isArray(stored.signals) ? stored.signals : []).filter(signal => signal && signal.at > since),
+        reports: (Array.isArray(stored.reports) ? stored.reports : []).filter(at => at > since)
+      };
+    } catch {
+      return { signals: [], reports: [] };
+    }
+  }
+
+  /**
+   * Persist tamper signals and reports, keeping the most recent signals only
+   * @param {{signals: Array, reports: Array}} state - State to store
+   */
+  writeTamperState(state) {
+    try {
+      localStorage.setItem(this.TAMPER_STORAGE_KEY, JSON.stringify({
+        signals: state.signals.slice(-this.MAX_STORED_SIGNALS),
+        reports: state.reports
+      }));
+    } catch {
+      // Without storage signals can't add up to the threshold, so nothing is reported
+    }
+  }
+
+  /**
+   * Replace the click URL policy
+   * Without a policy any http(s) URL and any custom deeplink scheme is allowed, as before
+   * @param {Object} [policy] - Policy options
+   * @param {Array<string>} [policy.allowedSchemes] - Web schemes for click, store and expired URLs (default http and https)
+   * @param {Array<string>} [policy.allowedDomains] - Allowed hosts, subdomains included; empty allows any host
+   * @param {Array<string>} [policy.deeplinkSchemes] - Custom app schemes deeplinks and store URLs may use; omit to allow any
+   */
+  setClickUrlPolicy(policy = {}) {
+    const normalize = (list) => list.map(entry => String(entry).trim().toLowerCase().replace(/:$/, '')).filter(Boolean);
+    policy = policy || {};
+
+    this.clickUrlPolicy = {
+      allowedSchemes: Array.isArray(policy.allowedSchemes) ? normalize(policy.allowedSchemes) : [...this.WEB_SCHEMES],
+      allowedDomains: Array.isArray(policy.allowedDomains)
+        ? normalize(policy.allowedDomains).map(domain => domain.replace(/^\*\./, ''))
+        : [],
+      deeplinkSchemes: Array.isArray(policy.deeplinkSchemes) ? normalize(policy.deeplinkSchemes) : null
+    };
+  }
+
+  /**
+   * Check a URL against the click URL policy
+   * Web URLs of either kind (including universal links and App Links) follow allowedSchemes and allowedDomains
+   * @param {string} url - URL to check
+   * @param {string} [kind='click'] - 'click' for web destinations, 'deeplink' for URLs that may open an app
+   * @returns {{allowed: boolean, reason: string|null, host: string|null}} Result
+   */
+  checkUrl(url, kind = 'click') {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { allowed: false, reason: 'invalid_url', host: null };
+    }
+
+    const scheme = parsed.protocol.slice(0, -1).toLowerCase();
+    const host = parsed.hostname.toLowerCase() || null;
+    const policy = this.clickUrlPolicy;
+
+    if (this.BLOCKED_SCHEMES.includes(scheme)) {
+      return { allowed: false, reason: 'scheme_not_allowed', host };
+    }
+
+    if (kind === 'deeplink' && !this.WEB_SCHEMES.includes(scheme)) {
+      const allowed = policy.deeplinkSchemes === null || policy.deeplinkSchemes.includes(scheme);
+      return { allowed, reason: allowed ? null : 'scheme_not_allowed', host };
+    }
+
+    if (!policy.allowedSchemes.includes(scheme)) {
+      return { allowed: false, reason: 'scheme_not_allowed', host };
+    }
+
+    if (policy.allowedDomains.length > 0 && !this.isAllowedHost(host)) {
+      return { allowed: false, reason: 'domain_not_allowed', host };
+    }
+
+    return { allowed: true, reason: null, host };
+  }
+
+  /**
+   * Whether a host is on the domain allowlist ('example.com' also allows 'www.example.com')
+   * @param {string|null} host - Lowercase host name
+   * @returns {boolean}
+   */
+  isAllowedHost(host) {
+    if (!host) {
+      return false;
+    }
+
+    return this.clickUrlPolicy.allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+  }
+
+  /**
+   * Check a URL and throw if the policy does not allow it
+   * @param {string} url - URL to check
+   * @param {string} field - Instruction set field, used in the error
+   * @param {string} [kind='click'] - 'click' or 'deeplink'
+   * @throws {BlockedUrlError} If the URL is not allowed
+   */
+  assertUrlAllowed(url, field, kind = 'click') {
+    const result = this.checkUrl(url, kind);
+    if (!result.allowed) {
+      throw new BlockedUrlError(result.reason, field, result.host);
+    }
+  }
+}
+
+// Export for use in other modules and tests
+export default SecurityService;
+export { BlockedUrlError };
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.SecurityService = SecurityService;
+  window.BlockedUrlError = BlockedUrlError;
+}
@@ -0,0 +1,304 @@
+/**
+ * Tests for the click URL policy: scheme and domain allowlists, deeplink schemes,
+ * enforcement when a payload is validated and when a click navigates, and the blocked-link interstitial;
+ * and for tamper signals reported through FirebaseService with a rate limit
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import SecurityService, { BlockedUrlError } from './security-service.js';
+import DecryptionService from './decryption-service.js';
+import ClickHandler from './click-handler.js';
+import ErrorHandler from './error-handler.js';
+
+const ANDROID_UA = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Mobile Safari/537.36';
+
+const POLICY = {
+  allowedSchemes: ['https'],
+  allowedDomains: ['shop.example.com', '*.apple.com'],
+  deeplinkSchemes: ['myapp']
+};
+
+describe('SecurityService', () => {
+  let securityService;
+
+  beforeEach(() => {
+    window.ENV_CONFIG = {};
+    securityService = new SecurityService(POLICY);
+  });
+
+  it('should allow https URLs on an allowed domain or its subdomains', () => {
+    expect(securityService.checkUrl('https://shop.example.com/p/1').allowed).toBe(true);
+    expect(securityService.checkUrl('https://m.shop.example.com/p/1').allowed).toBe(true);
+    expect(securityService.checkUrl('https://apps.apple.com/app/id123').allowed).toBe(true);
+  });
+
+  it('should block other domains, lookalike hosts and disallowed schemes', () => {
+    expect(securityService.checkUrl('https://evil.example.net/')).toEqual({ allowed: false, reason: 'domain_not_allowed', host: 'evil.example.net' });
+    expect(securityService.checkUrl('https://shop.example.com.evil.net/').reason).toBe('domain_not_allowed');
+    expect(securityService.checkUrl('http://shop.example.com/').reason).toBe('scheme_not_allowed');
+    expect(securityService.checkUrl('javascript:alert(1)').reason).toBe('scheme_not_allowed');
+    expect(securityService.checkUrl('not a url').reason).toBe('invalid_url');
+  });
+
+  it('should allow only the listed custom schemes for deeplinks', () => {
+    expect(securityService.checkUrl('myapp://product/42', 'deeplink').allowed).toBe(true);
+    expect(securityService.checkUrl('otherapp://product/42', 'deeplink').reason).toBe('scheme_not_allowed');
+    expect(securityService.checkUrl('https://shop.example.com/app-link', 'deeplink').allowed).toBe(true);
+    expect(securityService.checkUrl('myapp://product/42').allowed).toBe(false);
+  });
+
+  it('should allow any http(s) URL and custom scheme without a policy, but never script schemes', () => {
+    const permissive = new SecurityService();
+
+    expect(permissive.checkUrl('http://anywhere.example.org/').allowed).toBe(true);
+    expect(permissive.checkUrl('anyapp://x', 'deeplink').allowed).toBe(true);
+    expect(permissive.checkUrl('javascript:alert(1)', 'deeplink').allowed).toBe(false);
+  });
+
+  it('should read the policy from ENV_CONFIG.security.clickUrls', () => {
+    window.ENV_CONFIG = { security: { clickUrls: POLICY } };
+
+    expect(() => new SecurityService().assertUrlAllowed('https://evil.example.net/', 'click_url'))
+      .toThrow('Blocked click_url: points to a domain that is not allowed');
+  });
+});
+
+describe('Click URL policy in DecryptionService', () => {
+  let decryptionService;
+
+  beforeEach(() => {
+    window.ENV_CONFIG = {};
+    decryptionService = new DecryptionService();
+    decryptionService.setClickUrlPolicy(POLICY);
+  });
+
+  it('should reject instruction sets that navigate outside the allowlist', () => {
+    const validate = (data) => () => decryptionService.validateInstructionSet({ click_url: 'https://shop.example.com/', ...data });
+
+    expect(validate({})).not.toThrow();
+    expect(validate({ click_url: 'https://evil.example.net/' })).toThrow(BlockedUrlError);
+    expect(validate({ deeplink_url: 'otherapp://x' })).toThrow('Blocked deeplink_url');
+    expect(validate({ android_store_url: 'myapp://store' })).not.toThrow();
+    expect(validate({ android_store_url: 'market://details?id=com.example.app' })).toThrow('Blocked android_store_url');
+    expect(validate({ expired_url: 'https://evil.example.net/' })).toThrow('Blocked expired_url');
+    expect(validate({
+      creatives: [
+        { image_url: 'https://cdn.example.com/1.jpg' },
+        { image_url: 'https://cdn.example.com/2.jpg', click_url: 'https://evil.example.net/' }
+      ]
+    })).toThrow('Blocked creatives[1].click_url');
+  });
+
+  it('should skip the policy when asked, so the link CLI can still decode blocked links', () => {
+    expect(decryptionService.validateInstructionSet({ click_url: 'https://evil.example.net/' }, { checkUrlPolicy: false }).click_url)
+      .toBe('https://evil.example.net/');
+  });
+
+  it('should surface BlockedUrlError from decrypt without retrying', async () => {
+    vi.spyOn(decryptionService, 'openPayload').mockResolvedValue(JSON.stringify({ click_url: 'https://evil.example.net/' }));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    await expect(decryptionService.decrypt('c29tZS1wYXlsb2Fk')).rejects.toBeInstanceOf(BlockedUrlError);
+    expect(decryptionService.openPayload).toHaveBeenCalledTimes(1);
+    vi.restoreAllMocks();
+  });
+});
+
+describe('Blocked navigations', () => {
+  let clickHandler;
+  let errorHandler;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    window.ENV_CONFIG = { security: { clickUrls: POLICY } };
+    window.firebaseService = null;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    errorHandler = new ErrorHandler();
+    clickHandler = new ClickHandler();
+    clickHandler.initialize({ click_url: 'https://{page_host}/landing', auto_click: false });
+  });
+
+  afterEach(() => {
+    clickHandler.destroy();
+    window.errorHandler = null;
+    vi.restoreAllMocks();
+  });
+
+  it('should check the click URL after macro expansion and show the interstitial instead of navigating', () => {
+    clickHandler.setMacroContext({ pageParams: { page_host: 'evil.example.net' } });
+    const handleError = vi.spyOn(errorHandler, 'handleError');
+    const startUrl = window.location.href;
+
+    clickHandler.openClickUrl(clickHandler.instructionSet.click_url);
+
+    expect(window.location.href).toBe(startUrl);
+    expect(handleError).toHaveBeenCalledWith(expect.any(BlockedUrlError), 'security');
+    expect(errorHandler.errorHistory[0]).toMatchObject({
+      type: 'security',
+      metadata: { blockedField: 'click_url', blockedReason: 'domain_not_allowed', blockedHost: 'evil.example.net' }
+    });
+
+    const interstitial = document.getElementById('blocked-interstitial');
+    expect(interstitial.style.display).toBe('block');
+    expect(interstitial.textContent).toContain('evil.example.net, which is not on the list of allowed sites');
+    expect(interstitial.querySelector('a')).toBeNull();
+  });
+
+  it('should not fall back to click_url when the deeplink is blocked', async () => {
+    vi.spyOn(clickHandler, 'navigateToDeeplink').mockImplementation(() => {});
+    vi.spyOn(clickHandler, 'openClickUrl');
+
+    const result = await clickHandler.attemptDeeplinkWithFallback({
+      click_url: 'https://shop.example.com/',
+      deeplink_url: 'otherapp://product/42',
+      deeplink_priority: true
+    });
+
+    expect(result).toEqual({ strategy: 'blocked', outcome: 'blocked' });
+    expect(clickHandler.navigateToDeeplink).not.toHaveBeenCalled();
+    expect(clickHandler.openClickUrl).not.toHaveBeenCalled();
+    expect(document.getElementById('blocked-interstitial')).not.toBeNull();
+  });
+
+  it('should allow a market:// Play Store URL on Android and keep it out of the browser fallback', async () => {
+    vi.spyOn(navigator, 'userAgent', 'get').mockReturnValue(ANDROID_UA);
+    vi.spyOn(clickHandler, 'navigateToDeeplink').mockImplementation(() => {});
+    clickHandler.securityService = new SecurityService({ ...POLICY, deeplinkSchemes: ['myapp', 'market'] });
+    clickHandler.initialize({
+      click_url: 'https://shop.example.com/landing',
+      deeplink_url: 'myapp://product/42',
+      deeplink_priority: true,
+      auto_click: false,
+      android_store_url: 'market://details?id=com.example.app'
+    });
+
+    const result = await clickHandler.attemptDeeplinkWithFallback();
+
+    expect(result).toEqual({ strategy: 'android_intent', outcome: 'handed_off' });
+    expect(clickHandler.navigateToDeeplink).toHaveBeenCalledWith(
+      'intent://product/42#Intent;scheme=myapp;S.browser_fallback_url=https%3A%2F%2Fshop.example.com%2Flanding;end'
+    );
+    expect(document.getElementById('blocked-interstitial')).toBeNull();
+  });
+
+  it('should allow deeplink schemes only for store URLs when opening a fallback', () => {
+    clickHandler.openDeeplinkFallback('myapp://store/42', null);
+    expect(document.getElementById('blocked-interstitial')).toBeNull();
+
+    clickHandler.openClickUrl('myapp://store/42');
+    expect(errorHandler.errorHistory[0].metadata).toMatchObject({ blockedField: 'click_url', blockedReason: 'scheme_not_allowed' });
+  });
+});
+
+describe('Tamper signals', () => {
+  let securityService;
+  const now = Date.UTC(2026, 0, 1);
+
+  beforeEach(() => {
+    localStorage.clear();
+    window.ENV_CONFIG = {};
+    window.firebaseService = { reportError: vi.fn() };
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    securityService = new SecurityService();
+  });
+
+  afterEach(() => {
+    window.firebaseService = null;
+    vi.restoreAllMocks();
+  });
+
+  it('should report failures only once they repeat, so one old link on a retired key is not tampering', () => {
+    expect(securityService.recordTamperSignal('auth_tag_failure', now)).toEqual({ count: 1, reported: false });
+    expect(securityService.recordTamperSignal('invalid_signature', now + 500).reported).toBe(false);
+    expect(securityService.recordTamperSignal('auth_tag_failure', now + 1000).reported).toBe(false);
+    expect(securityService.recordTamperSignal('auth_tag_failure', now + 2000)).toEqual({ count: 3, reported: true });
+
+    expect(window.firebaseService.reportError).toHaveBeenCalledTimes(1);
+    expect(window.firebaseService.reportError).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'TamperSignal', message: 'Possible payload tampering: auth_tag_failure (3 in 10 min)' }),
+      'security_tamper'
+    );
+  });
+
+  it('should count signals across page loads and stop reporting at maxReports per window', () => {
+    window.ENV_CONFIG = { security: { tamperReporting: { threshold: 1, maxReports: 2, windowMinutes: 5 } } };
+
+    for (let i = 0; i < 4; i++) {
+      // A new service per attempt, like a reload of the page
+      new SecurityService().recordTamperSignal('invalid_signature', now + i * 1000);
+    }
+    expect(window.firebaseService.reportError).toHaveBeenCalledTimes(2);
+
+    // Once the window has passed, signals are counted and reported afresh
+    expect(new SecurityService().recordTamperSignal('invalid_signature', now + 6 * 60 * 1000)).toEqual({ count: 1, reported: true });
+  });
+
+  it('should not record anything when tamper reporting is disabled', () => {
+    securityService.setTamperReporting({ enabled: false });
+
+    expect(securityService.recordTamperSignal('auth_tag_failure', now)).toEqual({ count: 0, reported: false });
+    expect(window.firebaseService.reportError).not.toHaveBeenCalled();
+  });
+
+  it('should flag a modified payload from decrypt as an auth tag failure', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const decryptionService = new DecryptionService();
+    const payload = await decryptionService.encrypt({ image_url: 'https://cdn.example.com/ad.jpg', click_url: 'https://shop.example.com/' });
+    // Change one character in the ciphertext, keeping the payload valid base64
+    const position = payload.length - 10;
+    const tampered = payload.slice(0, position) + (payload[position] === 'A' ? 'B' : 'A') + payload.slice(position + 1);
+
+    window.ENV_CONFIG = { security: { tamperReporting: { threshold: 1 } } };
+    decryptionService.securityService = new SecurityService();
+
+    await expect(decryptionService.decrypt(tampered)).rejects.toThrow();
+
+    const signals = JSON.parse(localStorage.getItem('h5_tamper_signals')).signals.map(signal => signal.type);
+    expect(signals).toEqual(['auth_tag_failure']);
+    expect(window.firebaseService.reportError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: expect.stringContaining('auth_tag_failure') }),
+      'security_tamper'
+    );
+  });
+
+  it('should flag a signed link that fails verification even before signatures are required', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const minter = new DecryptionService();
+    const keyPair = await minter.generateSigningKeyPair('ECDSA-P256');
+    const signing = { currentKeyId: 'sig-1', publicKeys: { 'sig-1': keyPair.publicKey } };
+    minter.setSigning({ ...signing, enabled: true, privateKeys: { 'sig-1': keyPair.privateKey } });
+    const payload = await minter.createPayload({ image_url: 'https://cdn.example.com/ad.jpg', click_url: 'https://shop.example.com/' });
+    const text = new TextDecoder().decode(new Uint8Array(minter.base64ToArrayBuffer(payload)));
+    const tampered = minter.toBase64Url(new TextEncoder().encode(text.replace('shop.example.com', 'evil.example.net')));
+
+    const decryptionService = new DecryptionService();
+    decryptionService.setSigning({ ...signing, enabled: true, required: false });
+
+    await expect(decryptionService.decrypt(tampered)).rejects.toThrow('Payload signature is invalid');
+
+    const signals = JSON.parse(localStorage.getItem('h5_tamper_signals')).signals.map(signal => signal.type);
+    expect(signals).toEqual(['invalid_signature']);
+  });
+
+  it('should record a format_retry signal before reloading with a repaired payload', () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const startUrl = window.location.href;
+    window.history.replaceState(null, '', '?payload=ab%20cd-e_');
+
+    try {
+      new ErrorHandler().degradeDecryptionFailure();
+    } finally {
+      window.history.replaceState(null, '', startUrl);
+    }
+
+    const signals = JSON.parse(localStorage.getItem('h5_tamper_signals')).signals.map(signal => signal.type);
+    expect(signals).toEqual(['format_retry']);
+  });
+});
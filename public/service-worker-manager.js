@@ -0,0 +1,254 @@
+/**
+ * ServiceWorkerManager - Registers sw.js and handles new worker versions
+ * A new version waits instead of taking over mid-visit; depending on serviceWorker.updateMode it
+ * activates when the visitor leaves the page ('silent') or after they accept a prompt ('prompt')
+ */
+
+/**
+ * Send a message to the controlling service worker and wait for its reply on a MessageChannel
+ * (shared with DisplayController, which asks the worker about cached creatives)
+ * @param {Object} message - Message with a type understood by sw.js
+ * @param {number} timeout - Milliseconds to wait for the reply
+ * @returns {Promise<Object|null>} Reply, or null without a controlling worker or on timeout
+ */
+function postToServiceWorker(message, timeout) {
+  const controller = typeof navigator !== 'undefined' && navigator.serviceWorker && navigator.serviceWorker.controller;
+  if (!controller || typeof MessageChannel === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const finish = (reply) => {
+      clearTimeout(timer);
+      channel.port1.close();
+      resolve(reply);
+    };
+    const timer = setTimeout(() => finish(null), timeout);
+
+    channel.port1.onmessage = (event) => finish(event.data || null);
+
+    try {
+      controller.postMessage(message, [channel.port2]);
+    } catch (error) {
+      finish(null);
+    }
+  });
+}
+
+class ServiceWorkerManager {
+  constructor() {
+    const envConfig = window.ENV_CONFIG || {};
+    const serviceWorkerConfig = envConfig.serviceWorker || {};
+
+    this.SCRIPT_URL = serviceWorkerConfig.scriptUrl || '/sw.js';
+    this.UPDATE_MODE = serviceWorkerConfig.updateMode === 'prompt' ? 'prompt' : 'silent';
+    this.MESSAGE_TIMEOUT = 1000;
+
+    this.registration = null;
+    this.waitingWorker = null;
+    this.reloadOnControllerChange = false;
+    this.handlers = {};
+  }
+
+  /**
+   * Whether the browser supports service workers
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator && Boolean(navigator.serviceWorker);
+  }
+
+  /**
+   * Register the worker once the page has loaded and start watching for updates
+   * @returns {Promise<string|null>} Version of the worker controlling this page, or null if none
+   */
+  async register() {
+    if (!this.isSupported()) {
+      return null;
+    }
+
+    if (document.readyState !== 'complete') {
+      // Keep registration from competing with the creative for bandwidth
+      await new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+    }
+
+    try {
+      this.registration = await navigator.serviceWorker.register(this.SCRIPT_URL);
+    } catch (error) {
+      console.log('ServiceWorker registration failed: ', error);
+      return null;
+    }
+
+    this.watchForUpdates(this.registration);
+    return this.getActiveVersion();
+  }
+
+  /**
+   * Watch a registration for a new worker that finishes installing while this page is controlled
+   * @param {ServiceWorkerRegistration} registration - The page's registration
+   */
+  watchForUpdates(registration) {
+    this.handlers.controllerChange = () => {
+      if (this.reloadOnControllerChange) {
+        this.reloadOnControllerChange = false;
+        window.location.reload();
+      }
+    };
+    navigator.serviceWorker.addEventListener('controllerchange', this.handlers.controllerChange);
+
+    // Without a controller this is the first install, which activates on its own
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      this.handleWaitingWorker(registration.waiting);
+    }
+
+    this.handlers.updateFound = () => {
+      const worker = registration.installing;
+      if (!worker) {
+        return;
+      }
+
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          this.handleWaitingWorker(worker);
+        }
+      });
+    };
+    registration.addEventListener('updatefound', this.handlers.updateFound);
+  }
+
+  /**
+   * Arrange for a waiting worker to take over
+   * In both modes it activates when the page is left, so the next navigation gets the new version;
+   * 'prompt' also offers to reload now
+   * @param {ServiceWorker} worker - The installed, waiting worker
+   */
+  handleWaitingWorker(worker) {
+    if (this.waitingWorker === worker) {
+      return;
+    }
+
+    this.waitingWorker = worker;
+    console.log('🔄 New service worker version waiting, update mode:', this.UPDATE_MODE);
+
+    if (window.firebaseService) {
+      window.firebaseService.logEvent('sw_update_available', { update_mode: this.UPDATE_MODE });
+    }
+
+    if (!this.handlers.pageHide) {
+      this.handlers.pageHide = () => this.activateWaitingWorker();
+      window.addEventListener('pagehide', this.handlers.pageHide);
+    }
+
+    if (this.UPDATE_MODE === 'prompt') {
+      this.showUpdatePrompt();
+    }
+  }
+
+  /**
+   * Tell the waiting worker to skip waiting (handled by the SKIP_WAITING message in sw.js)
+   */
+  activateWaitingWorker() {
+    if (this.waitingWorker) {
+      this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+  }
+
+  /**
+   * Show a dismissible banner offering to reload into the new version; the page stays usable
+   */
+  showUpdatePrompt() {
+    let prompt = document.getElementById('sw-update-prompt');
+    if (!prompt) {
+      prompt = document.createElement('div');
+      prompt.id = 'sw-update-prompt';
+      prompt.setAttribute('role', 'status');
+      // The page click handler skips taps on the banner
+      prompt.setAttribute('data-click-ignore', '');
+      prompt.innerHTML = '<span>A new version is available.</span>' +
+        '<button type="button" class="sw-update-reload">Reload</button>' +
+        '<button type="button" class="sw-update-dismiss" aria-label="Dismiss">×</button>';
+
+      prompt.addEventListener('click', (event) => {
+        if (event.target.classList.contains('sw-update-reload')) {
+          this.acceptUpdate();
+        } else if (event.target.classList.contains('sw-update-dismiss')) {
+          this.hideUpdatePrompt();
+        }
+      });
+
+      document.body.appendChild(prompt);
+    }
+
+    prompt.style.display = 'flex';
+  }
+
+  /**
+   * Hide the update banner; the update still applies on the next navigation
+   */
+  hideUpdatePrompt() {
+    const prompt = document.getElementById('sw-update-prompt');
+    if (prompt) {
+      prompt.style.display = 'none';
+    }
+  }
+
+  /**
+   * Activate the waiting worker now and reload once it controls the page
+   */
+  acceptUpdate() {
+    if (!this.waitingWorker) {
+      return;
+    }
+
+    if (window.firebaseService) {
+      window.firebaseService.logEvent('sw_update_accepted', { update_mode: this.UPDATE_MODE });
+    }
+
+    this.hideUpdatePrompt();
+    this.reloadOnControllerChange = true;
+    this.activateWaitingWorker();
+  }
+
+  /**
+   * Ask the worker controlling this page for its version
+   * @returns {Promise<string|null>} Version, or null without a controller or on timeout
+   */
+  async getActiveVersion() {
+    const reply = await postToServiceWorker({ type: 'GET_VERSION' }, this.MESSAGE_TIMEOUT);
+    return (reply && reply.version) || null;
+  }
+
+  /**
+   * Remove listeners and the update banner
+   */
+  destroy() {
+    if (this.handlers.controllerChange && this.isSupported()) {
+      navigator.serviceWorker.removeEventListener('controllerchange', this.handlers.controllerChange);
+    }
+    if (this.handlers.updateFound && this.registration) {
+      this.registration.removeEventListener('updatefound', this.handlers.updateFound);
+    }
+    if (this.handlers.pageHide) {
+      window.removeEventListener('pagehide', this.handlers.pageHide);
+    }
+
+    const prompt = document.getElementById('sw-update-prompt');
+    if (prompt && prompt.parentNode) {
+      prompt.parentNode.removeChild(prompt);
+    }
+
+    this.handlers = {};
+    this.registration = null;
+    this.waitingWorker = null;
+  }
+}
+
+// Export for use in other modules and tests
+export default ServiceWorkerManager;
+export { postToServiceWorker };
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.ServiceWorkerManager = ServiceWorkerManager;
+}
@@ -0,0 +1,147 @@
+/**
+ * Tests for ServiceWorkerManager: registration, detecting a waiting worker, the silent and prompt
+ * update modes, and reading the active worker version
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import ServiceWorkerManager from './service-worker-manager.js';
+import ClickHandler from './click-handler.js';
+
+function createWorker(state = 'installed') {
+  const worker = new EventTarget();
+  worker.state = state;
+  worker.postMessage = vi.fn();
+  return worker;
+}
+
+/**
+ * Fake navigator.serviceWorker; the controller answers GET_VERSION on the port sent along
+ */
+function installServiceWorkerContainer({ controlled = true, waiting = null } = {}) {
+  const registration = new EventTarget();
+  registration.waiting = waiting;
+  registration.installing = null;
+
+  const container = new EventTarget();
+  container.controller = controlled ? {
+    postMessage: vi.fn((message, ports) => {
+      if (message.type === 'GET_VERSION') {
+        ports[0].postMessage({ type: 'VERSION', version: '1.0.0-abc123' });
+      }
+    })
+  } : null;
+  container.register = vi.fn(async () => registration);
+
+  Object.defineProperty(navigator, 'serviceWorker', { value: container, configurable: true });
+  return { container, registration };
+}
+
+describe('ServiceWorkerManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    window.ENV_CONFIG = {};
+    window.firebaseService = { logEvent: vi.fn() };
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    if (manager) {
+      manager.destroy();
+    }
+    delete navigator.serviceWorker;
+    window.firebaseService = null;
+    document.body.innerHTML = '';
+    vi.restoreAllMocks();
+  });
+
+  it('should register the worker and report the version controlling the page', async () => {
+    const { container } = installServiceWorkerContainer();
+    manager = new ServiceWorkerManager();
+
+    expect(await manager.register()).toBe('1.0.0-abc123');
+    expect(container.register).toHaveBeenCalledWith('/sw.js');
+  });
+
+  it('should report no version on the first visit and not treat the first install as an update', async () => {
+    const { registration } = installServiceWorkerContainer({ controlled: false, waiting: createWorker() });
+    manager = new ServiceWorkerManager();
+
+    expect(await manager.register()).toBeNull();
+    expect(manager.waitingWorker).toBeNull();
+    expect(registration.waiting.postMessage).not.toHaveBeenCalled();
+  });
+
+  it('should activate a waiting worker silently when the page is left', async () => {
+    const waiting = createWorker();
+    installServiceWorkerContainer({ waiting });
+    manager = new ServiceWorkerManager();
+    await manager.register();
+
+    expect(document.getElementById('sw-update-prompt')).toBeNull();
+    expect(window.firebaseService.logEvent).toHaveBeenCalledWith('sw_update_available', { update_mode: 'silent' });
+    expect(waiting.postMessage).not.toHaveBeenCalled();
+
+    window.dispatchEvent(new Event('pagehide'));
+    expect(waiting.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' });
+  });
+
+  it('should detect a worker that finishes installing during the visit', async () => {
+    const { registration } = installServiceWorkerContainer();
+    manager = new ServiceWorkerManager();
+    await manager.register();
+
+    const worker = createWorker('installing');
+    registration.installing = worker;
+    registration.dispatchEvent(new Event('updatefound'));
+    worker.state = 'installed';
+    worker.dispatchEvent(new Event('statechange'));
+
+    expect(manager.waitingWorker).toBe(worker);
+  });
+
+  it('should offer a reload in prompt mode and reload once the new worker takes over', async () => {
+    window.ENV_CONFIG = { serviceWorker: { updateMode: 'prompt' } };
+    const waiting = createWorker();
+    const { container } = installServiceWorkerContainer({ waiting });
+    const reload = vi.fn();
+    vi.spyOn(window, 'location', 'get').mockReturnValue({ ...window.location, reload });
+    const clickHandler = new ClickHandler();
+    clickHandler.setupClickListeners();
+    const pageClick = vi.spyOn(clickHandler, 'processClickAction');
+
+    manager = new ServiceWorkerManager();
+    await manager.register();
+
+    const prompt = document.getElementById('sw-update-prompt');
+    expect(prompt.style.display).toBe('flex');
+
+    prompt.querySelector('.sw-update-reload').click();
+    clickHandler.destroy();
+    expect(pageClick).not.toHaveBeenCalled();
+    expect(waiting.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' });
+    expect(prompt.style.display).toBe('none');
+
+    container.dispatchEvent(new Event('controllerchange'));
+    expect(reload).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep the page as is when the prompt is dismissed', async () => {
+    window.ENV_CONFIG = { serviceWorker: { updateMode: 'prompt' } };
+    const waiting = createWorker();
+    installServiceWorkerContainer({ waiting });
+    manager = new ServiceWorkerManager();
+    await manager.register();
+
+    document.querySelector('#sw-update-prompt .sw-update-dismiss').click();
+
+    expect(document.getElementById('sw-update-prompt').style.display).toBe('none');
+    expect(waiting.postMessage).not.toHaveBeenCalled();
+  });
+
+  it('should do nothing without service worker support', async () => {
+    manager = new ServiceWorkerManager();
+
+    expect(await manager.register()).toBeNull();
+  });
+});
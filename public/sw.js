@@ -1,51 +1,75 @@
 /**
  * Service Worker for H5 Encrypted Display Page
- * Provides caching strategies for better performance
+ * Offline-first caching with one fetch router:
+ * - HTML navigations: network-first, falling back to the precached page
+ * - Precached app files (bundle, CSS, config): cache-first
+ * - Creative images: stale-while-revalidate in a runtime cache that survives updates,
+ *   bounded to MAX_CREATIVES entries with least-recently-used eviction
+ * Pages can ask whether a creative is cached (CREATIVE_STATUS) and warm creatives (CREATIVE_WARM)
+ * A new version waits after install until the page sends SKIP_WAITING; GET_VERSION reports SW_VERSION
  */
 
-const CACHE_NAME = 'h5-display-v1.0.0';
+// build:precache - build.js replaces this block with the built file list and content hashes
+const SW_VERSION = 'dev';
 const CACHE_URLS = [
-  '/',
-  '/index.html',
-  '/styles.css',
-  '/app.js',
-  '/display-controller.js',
-  '/click-handler.js',
-  '/parameter-parser.js',
-  '/decryption-service.js',
-  '/firebase-service.js',
-  '/error-handler.js'
+  { url: './', revision: null },
+  { url: 'index.html', revision: null },
+  { url: 'styles.css', revision: null },
+  { url: 'browser-compatibility.css', revision: null },
+  { url: 'env-config.js', revision: null },
+  { url: 'app.js', revision: null }
 ];
+// /build:precache
 
-// Install event - cache resources
+const CACHE_PREFIX = 'h5-display-';
+const CACHE_NAME = CACHE_PREFIX + 'precache-' + SW_VERSION;
+const CREATIVE_CACHE_NAME = CACHE_PREFIX + 'creatives';
+const OFFLINE_PAGE_URL = new URL('index.html', self.location).href;
+const SLOW_REQUEST_MS = 1000;
+
+// Creative cache bound; opaque cross-origin responses report no size, so the bound is an entry count
+const MAX_CREATIVES = 50;
+// Last-use times of cached creatives, stored in the creative cache itself so they outlive the worker
+const CREATIVE_INDEX_URL = new URL('__creative-index.json', self.location).href;
+
+// Precache entries resolved against the worker's location, so the app can live under a path prefix
+const PRECACHE_URLS = CACHE_URLS.map(function(entry) {
+  return new URL(entry.url, self.location).href;
+});
+
+// Install event - precache the app shell
 self.addEventListener('install', function(event) {
-  console.log('🔧 Service Worker installing...');
-  
+  console.log('🔧 Service Worker installing version', SW_VERSION);
+
   event.waitUntil(
     caches.open(CACHE_NAME)
       .then(function(cache) {
         console.log('📦 Caching app resources');
-        return cache.addAll(CACHE_URLS);
+        // Bypass the HTTP cache: the bundle is served with a one-year max-age under a fixed name
+        return cache.addAll(PRECACHE_URLS.map(function(url) {
+          return new Request(url, { cache: 'reload' });
+        }));
       })
       .then(function() {
+        // An update waits until the page sends SKIP_WAITING (see service-worker-manager.js)
         console.log('✅ Service Worker installed successfully');
-        return self.skipWaiting();
       })
       .catch(function(error) {
         console.error('❌ Service Worker installation failed:', error);
+        throw error;
       })
   );
 });
 
-// Activate event - clean up old caches
+// Activate event - delete caches from previous versions, keep the creative cache
 self.addEventListener('activate', function(event) {
   console.log('🚀 Service Worker activating...');
-  
+
   event.waitUntil(
     caches.keys().then(function(cacheNames) {
       return Promise.all(
         cacheNames.map(function(cacheName) {
-          if (cacheName !== CACHE_NAME) {
+          if (cacheName.indexOf(CACHE_PREFIX) === 0 && cacheName !== CACHE_NAME && cacheName !== CREATIVE_CACHE_NAME) {
             console.log('🗑️ Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
@@ -58,94 +82,323 @@ self.addEventListener('activate', function(event) {
   );
 });
 
-// Fetch event - serve from cache with network fallback
-self.addEventListener('fetch', function(event) {
-  // Skip non-GET requests
-  if (event.request.method !== 'GET') {
-    return;
+/**
+ * Pick the caching strategy for a request
+ * @param {Request} request - The intercepted request
+ * @returns {string|null} 'network-first', 'cache-first', 'stale-while-revalidate' or null to let the browser handle it
+ */
+function routeRequest(request) {
+  if (request.method !== 'GET') {
+    return null;
   }
-  
-  // Skip Firebase requests
-  if (event.request.url.includes('firebase') || 
-      event.request.url.includes('googleapis')) {
-    return;
+
+  const url = new URL(request.url);
+
+  // Analytics and Firebase calls must always reach the network
+  if (url.hostname.indexOf('firebase') !== -1 || url.hostname.indexOf('googleapis') !== -1 ||
+      url.hostname.indexOf('google-analytics') !== -1 || url.hostname.indexOf('googletagmanager') !== -1) {
+    return null;
   }
-  
-  event.respondWith(
-    caches.match(event.request)
-      .then(function(response) {
-        // Return cached version if available
-        if (response) {
-          console.log('📦 Serving from cache:', event.request.url);
-          return response;
+
+  if (request.mode === 'navigate' || request.destination === 'document') {
+    return 'network-first';
+  }
+
+  if (url.origin === self.location.origin) {
+    const href = url.origin + url.pathname;
+    if (PRECACHE_URLS.indexOf(href) !== -1 || /\.(js|css)$/.test(url.pathname)) {
+      return 'cache-first';
+    }
+  }
+
+  if (request.destination === 'image' || /\.(avif|webp|png|jpe?g|gif|svg)$/i.test(url.pathname)) {
+    return 'stale-while-revalidate';
+  }
+
+  return null;
+}
+
+/**
+ * Whether a response can be cached; cross-origin creatives load no-cors and come back opaque
+ * @param {Response} response - Network response
+ * @returns {boolean}
+ */
+function isCacheable(response) {
+  return Boolean(response) && (response.status === 200 || response.type === 'opaque');
+}
+
+// In-memory copy of the creative index and a queue that serializes its updates
+let creativeIndex = null;
+let creativeIndexQueue = Promise.resolve();
+
+/**
+ * Read the stored creative index; cached creatives missing from it count as least recently used
+ * @param {Cache} cache - Creative cache
+ * @returns {Promise<Object>} Index of {url: lastUsed}
+ */
+function loadCreativeIndex(cache) {
+  const stored = cache.match(CREATIVE_INDEX_URL).then(function(response) {
+    return response ? response.json() : {};
+  }).catch(function() {
+    return {};
+  });
+
+  return Promise.all([stored, cache.keys()]).then(function(results) {
+    const index = results[0];
+    results[1].forEach(function(request) {
+      if (request.url !== CREATIVE_INDEX_URL && !(request.url in index)) {
+        index[request.url] = 0;
+      }
+    });
+    return index;
+  });
+}
+
+/**
+ * Run an update of the creative index after the ones before it
+ * @param {function(Cache, Object): Promise} update - Receives the creative cache and the index ({url: lastUsed})
+ * @returns {Promise}
+ */
+function updateCreativeIndex(update) {
+  creativeIndexQueue = creativeIndexQueue.then(function() {
+    return caches.open(CREATIVE_CACHE_NAME).then(function(cache) {
+      const loaded = creativeIndex ? Promise.resolve(creativeIndex) : loadCreativeIndex(cache);
+
+      return loaded.then(function(index) {
+        creativeIndex = index;
+        return update(cache, index);
+      }).then(function() {
+        return cache.put(CREATIVE_INDEX_URL, new Response(JSON.stringify(creativeIndex), {
+          headers: { 'Content-Type': 'application/json' }
+        }));
+      });
+    });
+  }).catch(function(error) {
+    console.warn('⚠️ Creative cache index update failed:', error);
+  });
+
+  return creativeIndexQueue;
+}
+
+/**
+ * Mark a cached creative as just used
+ * @param {string} url - Creative URL
+ * @returns {Promise}
+ */
+function touchCreative(url) {
+  return updateCreativeIndex(function(cache, index) {
+    index[url] = Date.now();
+  });
+}
+
+/**
+ * Store a creative and evict the least recently used ones beyond MAX_CREATIVES
+ * @param {Request|string} request - Creative request
+ * @param {Response} response - Cacheable response
+ * @returns {Promise}
+ */
+function storeCreative(request, response) {
+  const url = typeof request === 'string' ? request : request.url;
+
+  return updateCreativeIndex(function(cache, index) {
+    return cache.put(request, response).then(function() {
+      index[url] = Date.now();
+
+      const evicted = Object.keys(index)
+        .sort(function(a, b) { return index[a] - index[b]; })
+        .slice(0, Math.max(0, Object.keys(index).length - MAX_CREATIVES));
+
+      return Promise.all(evicted.map(function(evictedUrl) {
+        delete index[evictedUrl];
+        console.log('🗑️ Evicting creative:', evictedUrl);
+        return cache.delete(evictedUrl);
+      }));
+    });
+  });
+}
+
+/**
+ * Fetch creatives that aren't cached yet into the creative cache
+ * @param {Array<string>} urls - Creative URLs
+ * @returns {Promise<number>} Number of creatives newly cached
+ */
+function warmCreatives(urls) {
+  return caches.open(CREATIVE_CACHE_NAME).then(function(cache) {
+    return Promise.all(urls.map(function(url) {
+      return cache.match(url).then(function(cached) {
+        if (cached) {
+          return touchCreative(url).then(function() { return 0; });
         }
-        
-        // Otherwise fetch from network
-        console.log('🌐 Fetching from network:', event.request.url);
-        return fetch(event.request).then(function(response) {
-          // Don't cache if not a valid response
-          if (!response || response.status !== 200 || response.type !== 'basic') {
-            return response;
+
+        // Same mode as an <img> without crossorigin, so the cached entry matches later page loads
+        return fetch(new Request(url, { mode: 'no-cors' })).then(function(response) {
+          if (!isCacheable(response)) {
+            return 0;
           }
-          
-          // Clone the response for caching
-          const responseToCache = response.clone();
-          
-          // Cache the response for future use
-          caches.open(CACHE_NAME)
-            .then(function(cache) {
-              cache.put(event.request, responseToCache);
-            });
-          
-          return response;
+          return storeCreative(url, response).then(function() { return 1; });
+        }).catch(function() {
+          return 0;
         });
-      })
-      .catch(function(error) {
-        console.error('❌ Fetch failed:', error);
-        
-        // Return offline fallback for HTML requests
-        if (event.request.destination === 'document') {
-          return caches.match('/index.html');
+      });
+    }));
+  }).then(function(results) {
+    return results.reduce(function(sum, value) { return sum + value; }, 0);
+  });
+}
+
+/**
+ * Network-first: fresh HTML when online, the precached page when offline
+ * The page URL carries the payload in its query string, so the fallback ignores the search part
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>}
+ */
+function networkFirst(request) {
+  return fetch(request).then(function(response) {
+    if (isCacheable(response) && response.type === 'basic') {
+      const responseToCache = response.clone();
+      caches.open(CACHE_NAME).then(function(cache) {
+        cache.put(OFFLINE_PAGE_URL, responseToCache);
+      });
+    }
+    return response;
+  }).catch(function(error) {
+    return caches.match(OFFLINE_PAGE_URL, { ignoreSearch: true }).then(function(cached) {
+      if (cached) {
+        console.log('📦 Offline - serving cached page');
+        return cached;
+      }
+      throw error;
+    });
+  });
+}
+
+/**
+ * Cache-first: precached files change only with a new worker version
+ * @param {Request} request - App file request
+ * @returns {Promise<Response>}
+ */
+function cacheFirst(request) {
+  return caches.match(request, { cacheName: CACHE_NAME }).then(function(cached) {
+    if (cached) {
+      return cached;
+    }
+
+    return fetch(request).then(function(response) {
+      if (isCacheable(response)) {
+        const responseToCache = response.clone();
+        caches.open(CACHE_NAME).then(function(cache) {
+          cache.put(request, responseToCache);
+        });
+      }
+      return response;
+    });
+  });
+}
+
+/**
+ * Stale-while-revalidate: show the cached creative at once and refresh it in the background
+ * @param {FetchEvent} event - Fetch event (kept alive until the refresh is stored)
+ * @returns {Promise<Response>}
+ */
+function staleWhileRevalidate(event) {
+  const request = event.request;
+
+  return caches.open(CREATIVE_CACHE_NAME).then(function(cache) {
+    return cache.match(request).then(function(cached) {
+      const refresh = fetch(request).then(function(response) {
+        if (isCacheable(response)) {
+          return storeCreative(request, response.clone()).then(function() {
+            return response;
+          });
         }
-        
-        throw error;
-      })
+        return response;
+      });
+
+      if (cached) {
+        event.waitUntil(refresh.catch(function() {
+          // Offline: the cached creative is all we have; it still counts as used
+          return touchCreative(request.url);
+        }));
+        return cached;
+      }
+
+      return refresh;
+    });
+  });
+}
+
+// Fetch event - the single router for every strategy
+self.addEventListener('fetch', function(event) {
+  const strategy = routeRequest(event.request);
+  if (!strategy) {
+    return;
+  }
+
+  const startTime = Date.now();
+  let responsePromise;
+
+  if (strategy === 'network-first') {
+    responsePromise = networkFirst(event.request);
+  } else if (strategy === 'cache-first') {
+    responsePromise = cacheFirst(event.request);
+  } else {
+    responsePromise = staleWhileRevalidate(event);
+  }
+
+  event.respondWith(
+    responsePromise.then(function(response) {
+      const duration = Date.now() - startTime;
+      if (duration > SLOW_REQUEST_MS) {
+        console.warn('⚠️ Slow request detected:', {
+          url: event.request.url,
+          strategy: strategy,
+          duration: duration + 'ms'
+        });
+      }
+      return response;
+    })
   );
 });
 
-// Message event - handle cache updates
+// Message event - worker activation, cache updates, creative cache queries and version checks
 self.addEventListener('message', function(event) {
   if (event.data && event.data.type === 'SKIP_WAITING') {
     self.skipWaiting();
   }
-  
+
   if (event.data && event.data.type === 'CACHE_UPDATE') {
     // Force cache update
     caches.delete(CACHE_NAME).then(function() {
       console.log('🔄 Cache cleared for update');
     });
   }
-});
 
-// Performance monitoring
-self.addEventListener('fetch', function(event) {
-  const startTime = Date.now();
-  
-  event.respondWith(
-    caches.match(event.request).then(function(response) {
-      const endTime = Date.now();
-      const duration = endTime - startTime;
-      
-      // Log performance metrics for monitoring
-      if (duration > 1000) { // Log slow requests
-        console.warn('⚠️ Slow request detected:', {
-          url: event.request.url,
-          duration: duration + 'ms',
-          cached: !!response
-        });
-      }
-      
-      return response || fetch(event.request);
-    })
-  );
-});
\ No newline at end of file
+  // Replies go to the MessageChannel port the page sent along
+  const reply = function(message) {
+    if (event.ports && event.ports[0]) {
+      event.ports[0].postMessage(message);
+    }
+  };
+
+  if (event.data && event.data.type === 'GET_VERSION') {
+    reply({ type: 'VERSION', version: SW_VERSION });
+  }
+
+  if (event.data && event.data.type === 'CREATIVE_STATUS' && typeof event.data.url === 'string') {
+    event.waitUntil(
+      caches.open(CREATIVE_CACHE_NAME).then(function(cache) {
+        return cache.match(event.data.url);
+      }).then(function(cached) {
+        reply({ type: 'CREATIVE_STATUS', url: event.data.url, cached: Boolean(cached) });
+      })
+    );
+  }
+
+  if (event.data && event.data.type === 'CREATIVE_WARM' && Array.isArray(event.data.urls)) {
+    event.waitUntil(
+      warmCreatives(event.data.urls.filter(function(url) { return typeof url === 'string'; })).then(function(warmed) {
+        reply({ type: 'CREATIVE_WARM', warmed: warmed });
+      })
+    );
+  }
+});
@@ -0,0 +1,262 @@
+/**
+ * Tests for the service worker: one fetch router with network-first pages, cache-first app files,
+ * stale-while-revalidate creatives in a bounded LRU cache, old-cache cleanup on activate,
+ * the creative status/warm messages, and waiting for the page before activating an update
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import fs from 'fs';
+
+const swSource = fs.readFileSync('public/sw.js', 'utf8');
+const ORIGIN = 'https://ads.example.com';
+
+/**
+ * Minimal CacheStorage keyed by URL
+ */
+function createCacheStorage(initial = {}) {
+  const stores = new Map();
+
+  const openSync = (name) => {
+    if (!stores.has(name)) {
+      const entries = new Map();
+      stores.set(name, {
+        entries,
+        match: async (request, options = {}) => {
+          const url = typeof request === 'string' ? request : request.url;
+          const key = options.ignoreSearch ? url.split('?')[0] : url;
+          return entries.get(key);
+        },
+        put: async (request, response) => {
+          entries.set(typeof request === 'string' ? request : request.url, response);
+        },
+        keys: async () => Array.from(entries.keys()).map(url => ({ url })),
+        delete: async (request) => entries.delete(typeof request === 'string' ? request : request.url),
+        addAll: async (requests) => {
+          requests.forEach(request => entries.set(request.url, { ...response(request.url), request }));
+        }
+      });
+    }
+    return stores.get(name);
+  };
+
+  Object.entries(initial).forEach(([name, urls]) => {
+    const cache = openSync(name);
+    Object.entries(urls).forEach(([url, body]) => cache.entries.set(url, response(body)));
+  });
+
+  return {
+    stores,
+    open: async (name) => openSync(name),
+    keys: async () => Array.from(stores.keys()),
+    delete: async (name) => stores.delete(name),
+    match: async (request, options = {}) => {
+      const names = options.cacheName ? [options.cacheName] : Array.from(stores.keys());
+      for (const name of names) {
+        if (stores.has(name)) {
+          const found = await stores.get(name).match(request, options);
+          if (found) return found;
+        }
+      }
+      return undefined;
+    }
+  };
+}
+
+function response(body, init = {}) {
+  return {
+    body,
+    status: init.status === undefined ? 200 : init.status,
+    type: init.type || 'basic',
+    clone() { return this; },
+    json: async () => JSON.parse(body)
+  };
+}
+
+/**
+ * Evaluate sw.js against a fake worker global
+ */
+function loadServiceWorker({ cacheStorage, fetchImpl }) {
+  const listeners = {};
+  const self = {
+    location: new URL(`${ORIGIN}/sw.js`),
+    addEventListener: (type, listener) => {
+      (listeners[type] = listeners[type] || []).push(listener);
+    },
+    skipWaiting: vi.fn(async () => {}),
+    clients: { claim: vi.fn(async () => {}) }
+  };
+  class FakeRequest {
+    constructor(url, init = {}) {
+      this.url = url;
+      this.cache = init.cache;
+      this.mode = init.mode;
+    }
+  }
+  class FakeResponse {
+    constructor(body) {
+      return response(body);
+    }
+  }
+
+  new Function('self', 'caches', 'fetch', 'Request', 'Response', swSource)(self, cacheStorage, fetchImpl, FakeRequest, FakeResponse);
+  return { self, listeners };
+}
+
+function dispatchMessage(listeners, data) {
+  const port = { postMessage: vi.fn() };
+  let pending = Promise.resolve();
+  listeners.message.forEach(listener => listener({
+    data,
+    ports: [port],
+    waitUntil: (promise) => { pending = promise; }
+  }));
+  return pending.then(() => port.postMessage.mock.calls[0] && port.postMessage.mock.calls[0][0]);
+}
+
+function dispatchFetch(listeners, request) {
+  const event = {
+    request: { method: 'GET', mode: 'no-cors', destination: '', ...request },
+    respondWith: vi.fn(),
+    waitUntil: vi.fn()
+  };
+  listeners.fetch.forEach(listener => listener(event));
+  return event;
+}
+
+describe('Service worker', () => {
+  let cacheStorage;
+  let fetchImpl;
+  let sw;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    cacheStorage = createCacheStorage({
+      'h5-display-precache-dev': {
+        [`${ORIGIN}/index.html`]: 'cached page',
+        [`${ORIGIN}/app.js`]: 'cached app'
+      },
+      'h5-display-creatives': { 'https://cdn.example.com/ad.jpg': 'cached creative' }
+    });
+    fetchImpl = vi.fn(async (request) => response(`network ${request.url}`));
+    sw = loadServiceWorker({ cacheStorage, fetchImpl });
+  });
+
+  it('should register a single fetch listener', () => {
+    expect(sw.listeners.fetch).toHaveLength(1);
+  });
+
+  it('should serve pages network-first and fall back to the cached page offline', async () => {
+    fetchImpl.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    const offline = dispatchFetch(sw.listeners, { url: `${ORIGIN}/index.html?payload=abc`, mode: 'navigate', destination: 'document' });
+    expect((await offline.respondWith.mock.calls[0][0]).body).toBe('cached page');
+
+    const online = dispatchFetch(sw.listeners, { url: `${ORIGIN}/?payload=abc`, mode: 'navigate', destination: 'document' });
+    expect((await online.respondWith.mock.calls[0][0]).body).toBe(`network ${ORIGIN}/?payload=abc`);
+
+    // The fresh page replaces the offline copy
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect((await cacheStorage.match(`${ORIGIN}/index.html`)).body).toBe(`network ${ORIGIN}/?payload=abc`);
+  });
+
+  it('should serve app files cache-first', async () => {
+    const event = dispatchFetch(sw.listeners, { url: `${ORIGIN}/app.js`, destination: 'script' });
+
+    expect((await event.respondWith.mock.calls[0][0]).body).toBe('cached app');
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  it('should serve creatives from cache and revalidate them in the background', async () => {
+    fetchImpl.mockResolvedValue(response('fresh creative', { status: 0, type: 'opaque' }));
+
+    const event = dispatchFetch(sw.listeners, { url: 'https://cdn.example.com/ad.jpg', destination: 'image' });
+
+    expect((await event.respondWith.mock.calls[0][0]).body).toBe('cached creative');
+    await event.waitUntil.mock.calls[0][0];
+    const cache = await cacheStorage.open('h5-display-creatives');
+    expect((await cache.match('https://cdn.example.com/ad.jpg')).body).toBe('fresh creative');
+  });
+
+  it('should leave analytics requests to the network', () => {
+    const event = dispatchFetch(sw.listeners, { url: 'https://firebaseinstallations.googleapis.com/v1/projects' });
+
+    expect(event.respondWith).not.toHaveBeenCalled();
+  });
+
+  it('should delete old precaches on activate but keep creatives and other caches', async () => {
+    await (await cacheStorage.open('h5-display-precache-1.0.0-old')).put('x', response('old'));
+    await (await cacheStorage.open('another-app')).put('x', response('other'));
+    await cacheStorage.delete('h5-display-precache-dev');
+    await (await cacheStorage.open('h5-display-precache-dev')).put('x', response('current'));
+
+    let activation;
+    sw.listeners.activate[0]({ waitUntil: (promise) => { activation = promise; } });
+    await activation;
+
+    expect(await cacheStorage.keys()).toEqual(['h5-display-creatives', 'another-app', 'h5-display-precache-dev']);
+    expect(sw.self.clients.claim).toHaveBeenCalled();
+  });
+
+  it('should precache the app shell while bypassing the HTTP cache', async () => {
+    let installation;
+    sw.listeners.install[0]({ waitUntil: (promise) => { installation = promise; } });
+    await installation;
+
+    const cache = await cacheStorage.open('h5-display-precache-dev');
+    expect(cache.entries.get(`${ORIGIN}/styles.css`).request.cache).toBe('reload');
+    // Updates wait for the page to send SKIP_WAITING
+    expect(sw.self.skipWaiting).not.toHaveBeenCalled();
+  });
+
+  it('should activate on SKIP_WAITING and report its version', async () => {
+    await dispatchMessage(sw.listeners, { type: 'SKIP_WAITING' });
+    expect(sw.self.skipWaiting).toHaveBeenCalled();
+
+    expect(await dispatchMessage(sw.listeners, { type: 'GET_VERSION' })).toEqual({ type: 'VERSION', version: 'dev' });
+  });
+
+  it('should report whether a creative is cached', async () => {
+    expect(await dispatchMessage(sw.listeners, { type: 'CREATIVE_STATUS', url: 'https://cdn.example.com/ad.jpg' }))
+      .toEqual({ type: 'CREATIVE_STATUS', url: 'https://cdn.example.com/ad.jpg', cached: true });
+    expect((await dispatchMessage(sw.listeners, { type: 'CREATIVE_STATUS', url: 'https://cdn.example.com/other.jpg' })).cached)
+      .toBe(false);
+  });
+
+  it('should warm only the creatives that are not cached yet', async () => {
+    fetchImpl.mockResolvedValue(response('warmed', { status: 0, type: 'opaque' }));
+
+    const reply = await dispatchMessage(sw.listeners, {
+      type: 'CREATIVE_WARM',
+      urls: ['https://cdn.example.com/ad.jpg', 'https://cdn.example.com/next.jpg']
+    });
+
+    expect(reply).toEqual({ type: 'CREATIVE_WARM', warmed: 1 });
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(fetchImpl.mock.calls[0][0]).toMatchObject({ url: 'https://cdn.example.com/next.jpg', mode: 'no-cors' });
+    const cache = await cacheStorage.open('h5-display-creatives');
+    expect((await cache.match('https://cdn.example.com/next.jpg')).body).toBe('warmed');
+  });
+
+  it('should evict the least recently used creatives beyond the cache bound', async () => {
+    let now = 0;
+    vi.spyOn(Date, 'now').mockImplementation(() => ++now);
+    const urls = Array.from({ length: 51 }, (_, i) => `https://cdn.example.com/ad-${i}.jpg`);
+
+    await dispatchMessage(sw.listeners, { type: 'CREATIVE_WARM', urls: urls.slice(0, 50) });
+    // Reopening ad-0 makes ad-1 the least recently used
+    const reopened = dispatchFetch(sw.listeners, { url: urls[0], destination: 'image' });
+    await reopened.respondWith.mock.calls[0][0];
+    await reopened.waitUntil.mock.calls[0][0];
+    await dispatchMessage(sw.listeners, { type: 'CREATIVE_WARM', urls: [urls[50]] });
+
+    const cache = await cacheStorage.open('h5-display-creatives');
+    expect(await cache.match(urls[0])).toBeDefined();
+    expect(await cache.match(urls[1])).toBeUndefined();
+    expect(await cache.match(urls[50])).toBeDefined();
+    // Cached before it had an index entry, so it went first
+    expect(await cache.match('https://cdn.example.com/ad.jpg')).toBeUndefined();
+
+    const index = await (await cache.match(`${ORIGIN}/__creative-index.json`)).json();
+    expect(Object.keys(index)).toHaveLength(50);
+    Date.now.mockRestore();
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * TrackingPixels - Fires third-party impression and click tracking pixels
+ * Uses navigator.sendBeacon, which survives the page navigating away, and falls back to an image ping
+ */
+
+class TrackingPixels {
+  constructor() {
+    this.DEFAULT_TIMEOUT = 500; // Never hold the caller up longer than this
+    this.pendingImages = new Set(); // Keeps image pings referenced until they settle
+  }
+
+  /**
+   * Fire a list of pixels and wait until all are sent or the timeout passes
+   * @param {Array<string>} urls - Pixel URLs
+   * @param {Object} [options] - Options
+   * @param {number} [options.timeout] - Maximum wait in milliseconds
+   * @returns {Promise<{fired: number, timedOut: boolean}>} Pixels handed off and whether the wait was cut short
+   */
+  async fire(urls, options = {}) {
+    if (!Array.isArray(urls) || urls.length === 0) {
+      return { fired: 0, timedOut: false };
+    }
+
+    const timeout = options.timeout !== undefined ? options.timeout : this.DEFAULT_TIMEOUT;
+    let timer = null;
+
+    const pings = Promise.all(urls.map(url => this.ping(url))).then(() => false);
+    const deadline = new Promise(resolve => {
+      timer = setTimeout(() => resolve(true), timeout);
+    });
+
+    const timedOut = await Promise.race([pings, deadline]);
+    clearTimeout(timer);
+
+    if (timedOut) {
+      console.warn(`⏱️ Tracking pixels still pending after ${timeout}ms, continuing`);
+    }
+
+    return { fired: urls.length, timedOut };
+  }
+
+  /**
+   * Send one pixel
+   * @param {string} url - Pixel URL
+   * @returns {Promise<string>} 'beacon' or 'image' for the transport used, 'failed' if it could not be sent
+   */
+  ping(url) {
+    try {
+      if (typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function' && navigator.sendBeacon(url)) {
+        return Promise.resolve('beacon');
+      }
+    } catch (error) {
+      // Beacon refused (e.g. blocked by policy): fall back to an image ping
+    }
+
+    return new Promise(resolve => {
+      try {
+        const image = new Image();
+        const settle = () => {
+          this.pendingImages.delete(image);
+          resolve('image');
+        };
+
+        // Pixel endpoints often answer 204 or a non-image, which still counts as sent
+        image.onload = settle;
+        image.onerror = settle;
+        this.pendingImages.add(image);
+        image.src = url;
+      } catch (error) {
+        console.warn('⚠️ Failed to fire tracking pixel:', url, error);
+        resolve('failed');
+      }
+    });
+  }
+}
+
+// Export for use in other modules and tests
+export default TrackingPixels;
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.TrackingPixels = TrackingPixels;
+}
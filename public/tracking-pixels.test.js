@@ -0,0 +1,111 @@
+/**
+ * Tests for third-party tracking pixels: beacon/image transport, the wait timeout,
+ * impressions after the creative renders and click pixels before navigation
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import TrackingPixels from './tracking-pixels.js';
+import DisplayController from './display-controller.js';
+import ClickHandler from './click-handler.js';
+
+describe('TrackingPixels', () => {
+  let trackingPixels;
+
+  beforeEach(() => {
+    trackingPixels = new TrackingPixels();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete navigator.sendBeacon;
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should send pixels with sendBeacon when available', async () => {
+    Object.defineProperty(navigator, 'sendBeacon', { value: vi.fn(() => true), configurable: true });
+
+    const result = await trackingPixels.fire(['https://verify.example.com/a', 'https://verify.example.com/b']);
+
+    expect(navigator.sendBeacon).toHaveBeenCalledWith('https://verify.example.com/a');
+    expect(navigator.sendBeacon).toHaveBeenCalledWith('https://verify.example.com/b');
+    expect(result).toEqual({ fired: 2, timedOut: false });
+  });
+
+  it('should fall back to an image ping when the beacon is refused', async () => {
+    Object.defineProperty(navigator, 'sendBeacon', { value: vi.fn(() => false), configurable: true });
+    const srcSetter = vi.spyOn(HTMLImageElement.prototype, 'src', 'set').mockImplementation(function () {
+      setTimeout(() => this.onerror(), 0);
+    });
+
+    await expect(trackingPixels.ping('https://verify.example.com/a')).resolves.toBe('image');
+    expect(srcSetter).toHaveBeenCalledWith('https://verify.example.com/a');
+    expect(trackingPixels.pendingImages.size).toBe(0);
+  });
+
+  it('should stop waiting for slow pixels after the timeout', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(HTMLImageElement.prototype, 'src', 'set').mockImplementation(() => {});
+
+    const pending = trackingPixels.fire(['https://verify.example.com/slow'], { timeout: 300 });
+    await vi.advanceTimersByTimeAsync(300);
+
+    await expect(pending).resolves.toEqual({ fired: 1, timedOut: true });
+  });
+});
+
+describe('Impression and click trackers', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+    vi.restoreAllMocks();
+  });
+
+  it('should fire impression trackers once after the first creative loads', async () => {
+    document.body.innerHTML = `
+      <div id="image-container"><div id="display-image"></div></div>
+      <div id="loading-state"></div>
+    `;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const displayController = new DisplayController();
+    vi.spyOn(displayController, 'preloadImage').mockResolvedValue({
+      url: 'https://example.com/a.jpg', naturalWidth: 100, naturalHeight: 100, aspectRatio: 1, fromCache: true
+    });
+    vi.spyOn(displayController.trackingPixels, 'fire').mockResolvedValue({ fired: 1, timedOut: false });
+
+    displayController.setImpressionTrackers(['https://verify.example.com/imp']);
+    expect(displayController.trackingPixels.fire).not.toHaveBeenCalled();
+
+    await displayController.loadImage('https://example.com/a.jpg');
+    await displayController.loadImage('https://example.com/a.jpg');
+
+    expect(displayController.trackingPixels.fire).toHaveBeenCalledTimes(1);
+    expect(displayController.trackingPixels.fire).toHaveBeenCalledWith(['https://verify.example.com/imp']);
+    displayController.destroy();
+  });
+
+  it('should fire click trackers with expanded macros before opening the click URL', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const clickHandler = new ClickHandler();
+    const calls = [];
+    vi.spyOn(clickHandler, 'generateClickId').mockReturnValue('click-1');
+    vi.spyOn(clickHandler.trackingPixels, 'fire').mockImplementation(async (urls, options) => {
+      calls.push(['pixels', urls, options]);
+      return { fired: urls.length, timedOut: false };
+    });
+    vi.spyOn(clickHandler, 'openClickUrl').mockImplementation(url => calls.push(['open', url]));
+
+    clickHandler.initialize({
+      image_url: 'https://example.com/a.jpg',
+      click_url: 'https://example.com/click',
+      auto_click: false,
+      click_trackers: ['https://verify.example.com/clk?cid={click_id}']
+    });
+    await clickHandler.processClickAction('manual_click');
+
+    expect(calls).toEqual([
+      ['pixels', ['https://verify.example.com/clk?cid=click-1'], { timeout: 500 }],
+      ['open', 'https://example.com/click']
+    ]);
+    clickHandler.destroy();
+  });
+});
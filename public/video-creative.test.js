@@ -0,0 +1,145 @@
+/**
+ * Tests for video creatives in DisplayController: muted inline playback, contain/cover scaling,
+ * quartile tracking and automatic fallback to the image
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import DisplayController from './display-controller.js';
+
+const sources = [
+  { url: 'https://cdn.example.com/ad.webm', type: 'video/webm' },
+  { url: 'https://cdn.example.com/ad.mp4', type: 'video/mp4' }
+];
+const fallbackImageUrl = 'https://cdn.example.com/poster.jpg';
+
+describe('Video creatives', () => {
+  let displayController;
+  let media;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="app-container">
+        <div id="image-container">
+          <div id="display-image" style="display: none;"></div>
+        </div>
+        <div id="loading-state"></div>
+        <div id="error-state" style="display: none;">
+          <p id="error-message"></p>
+        </div>
+      </div>
+    `;
+
+    window.firebaseService = {
+      trackVideoProgress: vi.fn(),
+      trackPerformance: vi.fn()
+    };
+
+    // jsdom has no media playback; describe a 1920x1080, 20 second video that can play
+    media = { readyState: 1, currentTime: 0, duration: 20 };
+    vi.spyOn(HTMLMediaElement.prototype, 'canPlayType').mockReturnValue('maybe');
+    vi.spyOn(HTMLMediaElement.prototype, 'play').mockResolvedValue(undefined);
+    vi.spyOn(HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+    vi.spyOn(HTMLMediaElement.prototype, 'readyState', 'get').mockImplementation(() => media.readyState);
+    vi.spyOn(HTMLMediaElement.prototype, 'currentTime', 'get').mockImplementation(() => media.currentTime);
+    vi.spyOn(HTMLMediaElement.prototype, 'duration', 'get').mockImplementation(() => media.duration);
+    vi.spyOn(HTMLVideoElement.prototype, 'videoWidth', 'get').mockReturnValue(1920);
+    vi.spyOn(HTMLVideoElement.prototype, 'videoHeight', 'get').mockReturnValue(1080);
+
+    displayController = new DisplayController();
+    vi.spyOn(displayController, 'loadImage').mockImplementation(async (url) => ({ url }));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    displayController.destroy();
+    window.firebaseService = null;
+    document.body.innerHTML = '';
+    vi.restoreAllMocks();
+  });
+
+  it('should play a muted inline video with a poster frame', async () => {
+    const videoInfo = await displayController.loadVideo(sources, { fallbackImageUrl });
+    const video = document.getElementById('display-video');
+
+    expect(videoInfo.isVideo).toBe(true);
+    expect(video.muted).toBe(true);
+    expect(video.hasAttribute('playsinline')).toBe(true);
+    expect(video.hasAttribute('autoplay')).toBe(true);
+    expect(video.poster).toBe(fallbackImageUrl);
+    expect(Array.from(video.querySelectorAll('source')).map(source => source.type)).toEqual(['video/webm', 'video/mp4']);
+    expect(video.play).toHaveBeenCalled();
+    expect(displayController.loadImage).not.toHaveBeenCalled();
+  });
+
+  it('should scale the video with the contain/cover result of calculateScaling', async () => {
+    vi.spyOn(displayController, 'calculateScaling').mockReturnValue({ backgroundSize: 'cover', backgroundPosition: 'center' });
+
+    await displayController.loadVideo(sources, { fallbackImageUrl });
+
+    const video = document.getElementById('display-video');
+    expect(displayController.calculateScaling).toHaveBeenCalledWith(expect.objectContaining({ naturalWidth: 1920, naturalHeight: 1080 }));
+    expect(video.style.objectFit).toBe('cover');
+  });
+
+  it('should report start, quartiles and complete once each', async () => {
+    await displayController.loadVideo(sources, { fallbackImageUrl });
+    const video = document.getElementById('display-video');
+
+    video.dispatchEvent(new Event('playing'));
+    media.currentTime = 5;
+    video.dispatchEvent(new Event('timeupdate'));
+    media.currentTime = 11;
+    video.dispatchEvent(new Event('timeupdate'));
+    video.dispatchEvent(new Event('timeupdate'));
+    video.dispatchEvent(new Event('playing'));
+    media.currentTime = 20;
+    video.dispatchEvent(new Event('ended'));
+
+    const milestones = window.firebaseService.trackVideoProgress.mock.calls.map(call => call[0]);
+    expect(milestones).toEqual(['start', 'first_quartile', 'midpoint', 'third_quartile', 'complete']);
+    expect(window.firebaseService.trackVideoProgress).toHaveBeenCalledWith('midpoint', expect.any(String), 20);
+  });
+
+  it('should fall back to the image when no source is playable', async () => {
+    HTMLMediaElement.prototype.canPlayType.mockReturnValue('');
+
+    const result = await displayController.loadVideo(sources, { fallbackImageUrl });
+
+    expect(result).toEqual({ url: fallbackImageUrl });
+    expect(document.getElementById('display-video')).toBeNull();
+    expect(window.firebaseService.trackVideoProgress)
+      .toHaveBeenCalledWith('fallback', sources[0].url, 0, { reason: 'No playable video source' });
+  });
+
+  it('should fall back to the image when autoplay is refused', async () => {
+    HTMLMediaElement.prototype.play.mockRejectedValue(new Error('NotAllowedError'));
+
+    await displayController.loadVideo(sources, { fallbackImageUrl });
+
+    expect(displayController.loadImage).toHaveBeenCalledWith(fallbackImageUrl);
+    expect(document.getElementById('display-video')).toBeNull();
+  });
+
+  it('should fall back to the configured fallback image when no image is given', async () => {
+    HTMLMediaElement.prototype.canPlayType.mockReturnValue('');
+    displayController.fallbackImage = './fallback.gif';
+
+    await displayController.loadVideo(sources, {});
+
+    expect(displayController.loadImage).toHaveBeenCalledWith('./fallback.gif');
+  });
+
+  it('should fall back to the image when every source fails to load', async () => {
+    media.readyState = 0;
+
+    const pending = displayController.loadVideo(sources, { fallbackImageUrl });
+    const lastSource = document.querySelector('#display-video source:last-child');
+    lastSource.dispatchEvent(new Event('error'));
+    await pending;
+
+    expect(displayController.loadImage).toHaveBeenCalledWith(fallbackImageUrl);
+    expect(window.firebaseService.trackVideoProgress)
+      .toHaveBeenCalledWith('fallback', sources[0].url, 0, { reason: 'Video failed to load' });
+  });
+});
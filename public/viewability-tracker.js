@@ -0,0 +1,203 @@
+/**
+ * ViewabilityTracker - Measures whether the creative was actually seen, and for how long
+ *
+ * A viewable impression follows the MRC display standard: at least 50% of the creative in the
+ * viewport, on a visible page, for one continuous second. Dwell time is the total time the creative
+ * met that in-view threshold. Page visibility is fed in by DisplayController's visibilitychange listener.
+ */
+
+class ViewabilityTracker {
+  /**
+   * @param {Object} [options] - Thresholds
+   * @param {number} [options.viewableRatio=0.5] - Share of the creative that must be in view
+   * @param {number} [options.viewableDuration=1000] - Continuous in-view time in milliseconds
+   */
+  constructor(options = {}) {
+    this.VIEWABLE_RATIO = options.viewableRatio || 0.5;
+    this.VIEWABLE_DURATION = options.viewableDuration || 1000;
+
+    this.element = null;
+    this.details = {}; // Attributes reported with every metric (e.g. creative_id)
+    this.observer = null;
+    this.intersectionRatio = 0;
+    this.pageVisible = true;
+    this.startTime = null;
+
+    this.inViewSince = null; // Start of the current in-view streak
+    this.viewableTimer = null;
+    this.isViewable = false;
+    this.dwellTime = 0; // In-view time of finished streaks (ms)
+    this.reportedDwellTime = 0;
+    this.pageHideHandler = null;
+  }
+
+  /**
+   * Start measuring an element; later calls are ignored until stop()
+   * @param {HTMLElement} element - Element holding the creative
+   * @param {Object} [details] - Attributes reported with the metrics
+   */
+  start(element, details = {}) {
+    if (this.element || !element) {
+      return;
+    }
+
+    this.element = element;
+    this.details = details;
+    this.startTime = Date.now();
+    this.pageVisible = document.visibilityState !== 'hidden';
+
+    if (typeof IntersectionObserver === 'function') {
+      this.observer = new IntersectionObserver(entries => {
+        const entry = entries[entries.length - 1];
+        this.handleIntersection(entry.isIntersecting ? entry.intersectionRatio : 0);
+      }, { threshold: [0, this.VIEWABLE_RATIO, 1] });
+      this.observer.observe(element);
+    } else {
+      // The creative fills the viewport, so without IntersectionObserver only page visibility counts
+      this.intersectionRatio = 1;
+    }
+
+    // Leaving the page (e.g. through the click) is the last chance to report dwell time
+    this.pageHideHandler = () => this.reportDwellTime();
+    window.addEventListener('pagehide', this.pageHideHandler);
+
+    this.update();
+  }
+
+  /**
+   * Record a new intersection ratio for the element
+   * @param {number} ratio - Share of the element in the viewport (0-1)
+   */
+  handleIntersection(ratio) {
+    this.intersectionRatio = ratio;
+    this.update();
+  }
+
+  /**
+   * Record a page visibility change; hiding the page reports the dwell time so far
+   * @param {string} visibilityState - document.visibilityState
+   */
+  handleVisibilityChange(visibilityState) {
+    this.pageVisible = visibilityState !== 'hidden';
+    this.update();
+
+    if (!this.pageVisible) {
+      this.reportDwellTime();
+    }
+  }
+
+  /**
+   * Whether the creative currently counts as in view
+   * @returns {boolean}
+   */
+  isInView() {
+    return this.pageVisible && this.intersectionRatio >= this.VIEWABLE_RATIO;
+  }
+
+  /**
+   * Open or close the in-view streak after a ratio or visibility change
+   * @param {number} [now] - Current time in milliseconds
+   */
+  update(now = Date.now()) {
+    if (!this.element) {
+      return;
+    }
+
+    const inView = this.isInView();
+
+    if (inView && this.inViewSince === null) {
+      this.inViewSince = now;
+      if (!this.isViewable) {
+        this.viewableTimer = setTimeout(() => this.markViewable(), this.VIEWABLE_DURATION);
+      }
+    } else if (!inView && this.inViewSince !== null) {
+      this.dwellTime += now - this.inViewSince;
+      this.inViewSince = null;
+      // The streak broke before reaching the viewable duration
+      clearTimeout(this.viewableTimer);
+      this.viewableTimer = null;
+    }
+  }
+
+  /**
+   * Get the total in-view time, including the current streak
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {number} Dwell time in milliseconds
+   */
+  getDwellTime(now = Date.now()) {
+    return this.dwellTime + (this.inViewSince !== null ? now - this.inViewSince : 0);
+  }
+
+  /**
+   * Record the viewable impression (once per tracker)
+   */
+  markViewable() {
+    this.viewableTimer = null;
+    this.isViewable = true;
+
+    const timeToViewable = Date.now() - this.startTime;
+    console.log(`👁️ Viewable impression after ${timeToViewable}ms`);
+
+    if (window.firebaseService) {
+      window.firebaseService.trackPerformance('time_to_viewable', timeToViewable, this.details);
+      window.firebaseService.logEvent('viewable_impression', { ...this.details, time_to_viewable: timeToViewable });
+    }
+
+    if (window.analyticsService && window.analyticsService.initialized) {
+      window.analyticsService.trackEvent('viewable_impression', { ...this.details, time_to_viewable: timeToViewable });
+    }
+  }
+
+  /**
+   * Report the dwell time accumulated since the last report
+   * Reporting increments keeps the sum right when the page is hidden and shown again
+   */
+  reportDwellTime() {
+    const dwellTime = this.getDwellTime();
+    const increment = dwellTime - this.reportedDwellTime;
+    if (increment <= 0) {
+      return;
+    }
+
+    this.reportedDwellTime = dwellTime;
+
+    if (window.firebaseService) {
+      window.firebaseService.trackPerformance('dwell_time', increment, {
+        ...this.details,
+        viewable: this.isViewable ? 'true' : 'false'
+      });
+    }
+  }
+
+  /**
+   * Report the remaining dwell time and stop measuring
+   */
+  stop() {
+    if (!this.element) {
+      return;
+    }
+
+    this.update();
+    this.reportDwellTime();
+
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    if (this.pageHideHandler) {
+      window.removeEventListener('pagehide', this.pageHideHandler);
+      this.pageHideHandler = null;
+    }
+    clearTimeout(this.viewableTimer);
+    this.viewableTimer = null;
+    this.element = null;
+  }
+}
+
+// Export for use in other modules and tests
+export default ViewabilityTracker;
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.ViewabilityTracker = ViewabilityTracker;
+}
@@ -0,0 +1,134 @@
+/**
+ * Tests for ViewabilityTracker: MRC viewable impressions (50% in view for 1s), dwell time
+ * and page visibility fed in through DisplayController's visibilitychange listener
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import ViewabilityTracker from './viewability-tracker.js';
+import DisplayController from './display-controller.js';
+
+describe('ViewabilityTracker', () => {
+  let tracker;
+  let element;
+  let observerCallback;
+  let visibilityState;
+
+  const intersect = (ratio) => observerCallback([{ isIntersecting: ratio > 0, intersectionRatio: ratio }]);
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(0);
+    visibilityState = 'visible';
+    vi.spyOn(document, 'visibilityState', 'get').mockImplementation(() => visibilityState);
+
+    // jsdom has no IntersectionObserver
+    window.IntersectionObserver = vi.fn(function (callback) {
+      observerCallback = callback;
+      this.observe = vi.fn();
+      this.disconnect = vi.fn();
+    });
+
+    window.firebaseService = { trackPerformance: vi.fn(), logEvent: vi.fn() };
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    element = document.createElement('div');
+    tracker = new ViewabilityTracker();
+  });
+
+  afterEach(() => {
+    tracker.stop();
+    delete window.IntersectionObserver;
+    window.firebaseService = null;
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should record a viewable impression after 1s at 50% in view', () => {
+    tracker.start(element, { media_type: 'image' });
+    intersect(0.6);
+    vi.advanceTimersByTime(999);
+    expect(window.firebaseService.logEvent).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(1);
+    intersect(1);
+    vi.advanceTimersByTime(5000);
+
+    expect(window.firebaseService.logEvent).toHaveBeenCalledTimes(1);
+    expect(window.firebaseService.logEvent).toHaveBeenCalledWith('viewable_impression', { media_type: 'image', time_to_viewable: 1000 });
+    expect(window.firebaseService.trackPerformance).toHaveBeenCalledWith('time_to_viewable', 1000, { media_type: 'image' });
+  });
+
+  it('should need one continuous second in view', () => {
+    tracker.start(element);
+    intersect(0.5);
+    vi.advanceTimersByTime(600);
+    intersect(0.4);
+    intersect(0.5);
+    vi.advanceTimersByTime(600);
+
+    expect(tracker.isViewable).toBe(false);
+
+    vi.advanceTimersByTime(400);
+    expect(tracker.isViewable).toBe(true);
+  });
+
+  it('should not count time while the page is hidden', () => {
+    tracker.start(element);
+    intersect(1);
+    vi.advanceTimersByTime(500);
+
+    visibilityState = 'hidden';
+    tracker.handleVisibilityChange('hidden');
+    vi.advanceTimersByTime(10000);
+
+    expect(tracker.isViewable).toBe(false);
+    expect(tracker.getDwellTime()).toBe(500);
+  });
+
+  it('should report dwell time increments when the page is hidden', () => {
+    tracker.start(element);
+    intersect(1);
+    vi.advanceTimersByTime(3000);
+    tracker.handleVisibilityChange('hidden');
+
+    tracker.handleVisibilityChange('visible');
+    vi.advanceTimersByTime(2000);
+    tracker.handleVisibilityChange('hidden');
+
+    const dwellCalls = window.firebaseService.trackPerformance.mock.calls.filter(call => call[0] === 'dwell_time');
+    expect(dwellCalls).toEqual([
+      ['dwell_time', 3000, { viewable: 'true' }],
+      ['dwell_time', 2000, { viewable: 'true' }]
+    ]);
+  });
+
+  it('should report the remaining dwell time on pagehide', () => {
+    tracker.start(element);
+    intersect(1);
+    vi.advanceTimersByTime(1500);
+
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(window.firebaseService.trackPerformance).toHaveBeenCalledWith('dwell_time', 1500, { viewable: 'true' });
+  });
+
+  it('should be started by DisplayController and follow its visibilitychange listener', async () => {
+    document.body.innerHTML = '<div id="image-container"><div id="display-image"></div></div>';
+    const displayController = new DisplayController();
+    vi.spyOn(displayController, 'preloadImage').mockResolvedValue({
+      url: 'https://example.com/a.jpg', naturalWidth: 100, naturalHeight: 100, aspectRatio: 1, fromCache: true
+    });
+
+    await displayController.loadImage('https://example.com/a.jpg');
+    intersect(1);
+    visibilityState = 'hidden';
+    document.dispatchEvent(new Event('visibilitychange'));
+    vi.advanceTimersByTime(2000);
+
+    expect(displayController.viewabilityTracker.element).toBe(document.getElementById('image-container'));
+    expect(displayController.viewabilityTracker.isViewable).toBe(false);
+
+    displayController.destroy();
+    document.body.innerHTML = '';
+  });
+});
@@ -0,0 +1,542 @@
+#!/usr/bin/env node
+
+/**
+ * Link generator CLI
+ * Mints, decodes and verifies encrypted or signed campaign links using the keys from config/environments.js
+ *
+ * Usage:
+ *   node scripts/link-cli.js mint <instruction.json> [--env production] [--base-url URL]
+ *   node scripts/link-cli.js mint --data '{"image_url": "...", "click_url": "..."}'
+ *   node scripts/link-cli.js decode <url-or-payload> [--env production]
+ *   node scripts/link-cli.js verify <instructions.json|instructions.csv>
+ *   node scripts/link-cli.js batch <instructions.json|instructions.csv> [--out links.csv]
+ *   node scripts/link-cli.js keygen [--algorithm ECDSA-P256|Ed25519] [--key-id sig-1]
+ */
+
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import DecryptionService, { BlockedUrlError } from "../public/decryption-service.js";
+
+// CSV columns that are converted from text before validation
+const BOOLEAN_FIELDS = ['auto_click', 'deeplink_priority'];
+const NUMBER_FIELDS = ['auto_click_delay', 'max_opens', 'rotation_interval'];
+const JSON_FIELDS = ['creatives', 'image_variants', 'image_alternatives', 'video_sources', 'overlay', 'impression_trackers', 'click_trackers', 'experiments'];
+const TIMESTAMP_FIELDS = ['exp', 'nbf'];
+
+const OUTPUT_COLUMNS = ['row', 'id', 'key_id', 'url', 'image_url', 'click_url', 'nbf', 'exp'];
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF) into row objects keyed by header
+ * @param {string} text - CSV file contents
+ * @returns {Object[]} Rows
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const headers = nonEmpty[0].map(header => header.trim());
+  return nonEmpty.slice(1).map(values => headers.reduce((row, header, index) => {
+    row[header] = values[index] !== undefined ? values[index] : '';
+    return row;
+  }, {}));
+}
+
+/**
+ * Serialize rows to CSV
+ * @param {string[]} columns - Column names
+ * @param {Object[]} rows - Rows keyed by column name
+ * @returns {string} CSV text
+ */
+export function toCsv(columns, rows) {
+  const escape = (value) => {
+    if (value === undefined || value === null) {
+      return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+}
+
+/**
+ * Convert a CSV/JSON row into instruction set fields
+ * Empty cells are dropped, booleans and numbers are converted, object and array columns such as
+ * creatives are parsed as JSON, and exp/nbf also accept ISO dates
+ * @param {Object} row - Raw row
+ * @returns {Object} Instruction set data ready for validation
+ */
+export function normalizeRow(row) {
+  const data = {};
+
+  Object.entries(row).forEach(([field, value]) => {
+    if (field === 'id' || value === undefined || value === null || value === '') {
+      return;
+    }
+
+    if (typeof value !== 'string') {
+      data[field] = value;
+    } else if (BOOLEAN_FIELDS.includes(field)) {
+      data[field] = ['true', '1', 'yes'].includes(value.trim().toLowerCase());
+    } else if (NUMBER_FIELDS.includes(field)) {
+      data[field] = Number(value);
+    } else if (JSON_FIELDS.includes(field)) {
+      data[field] = JSON.parse(value);
+    } else if (TIMESTAMP_FIELDS.includes(field)) {
+      const trimmed = value.trim();
+      data[field] = /^\d+$/.test(trimmed) ? Number(trimmed) : Math.floor(Date.parse(trimmed) / 1000);
+    } else {
+      data[field] = value;
+    }
+  });
+
+  // Keep NaN timestamps visible so validation reports them instead of silently dropping the field
+  TIMESTAMP_FIELDS.forEach(field => {
+    if (Number.isNaN(data[field])) {
+      data[field] = row[field];
+    }
+  });
+
+  return data;
+}
+
+class LinkCli {
+  constructor(options = {}) {
+    this.options = options;
+    this.environment = options.env || process.env.NODE_ENV || 'development';
+    this.configPath = path.resolve(options.config || 'config/environments.js');
+  }
+
+  /**
+   * Run a CLI command
+   * @param {string} command - mint | decode | verify | batch
+   * @param {string[]} args - Positional arguments
+   */
+  async run(command, args) {
+    switch (command) {
+      case 'mint':
+        return this.mint(args[0]);
+      case 'decode':
+        return this.decode(args[0]);
+      case 'verify':
+        return this.verify(args[0]);
+      case 'batch':
+        return this.batch(args[0]);
+      case 'keygen':
+        return this.keygen();
+      default:
+        LinkCli.printUsage();
+        return command === 'help' || command === undefined;
+    }
+  }
+
+  /**
+   * Load the decryption config for the selected environment
+   * @returns {Promise<Object>} Environment config
+   */
+  async loadEnvironmentConfig() {
+    if (!fs.existsSync(this.configPath)) {
+      throw new Error(`Config not found: ${this.configPath} (copy config/environments.example.js to config/environments.js)`);
+    }
+
+    const module = await import(pathToFileURL(this.configPath).href);
+    const environments = module.environments || (module.default && module.default.environments) || module.default;
+    const config = environments && environments[this.environment];
+
+    if (!config) {
+      throw new Error(`Unknown environment: ${this.environment}`);
+    }
+    const signing = (config.decryption && config.decryption.signing) || {};
+    if (!config.decryption || (!config.decryption.encryptionKey && !signing.enabled)) {
+      throw new Error(`No decryption key configured for environment: ${this.environment}`);
+    }
+
+    return config;
+  }
+
+  /**
+   * Create a DecryptionService configured with the environment's keys
+   * @returns {Promise<DecryptionService>}
+   */
+  async createService() {
+    const config = await this.loadEnvironmentConfig();
+    const decryption = config.decryption;
+    const service = new DecryptionService();
+
+    ['ALGORITHM', 'KEY_LENGTH', 'IV_LENGTH', 'TAG_LENGTH'].forEach(setting => {
+      if (decryption[setting]) {
+        service[setting] = decryption[setting];
+      }
+    });
+
+    if (decryption.encryptionKey) {
+      service.setEncryptionKey(decryption.encryptionKey);
+    }
+    if (decryption.keyring) {
+      service.setKeyring(decryption.keyring, decryption.currentKeyId || null);
+    }
+    if (decryption.keyDerivation) {
+      service.setKeyDerivation(decryption.keyDerivation);
+    }
+    if (decryption.signing) {
+      service.setSigning(decryption.signing);
+    }
+    // Mint only links the page will follow
+    if (config.security && config.security.clickUrls) {
+      service.setClickUrlPolicy(config.security.clickUrls);
+    }
+
+    this.baseUrl = this.options['base-url'] || (config.deployment && config.deployment.baseUrl) || null;
+    return service;
+  }
+
+  /**
+   * Key ID that new links are minted with: the signing key when signing is enabled
+   * @param {DecryptionService} service - Configured service
+   * @returns {string} Key ID
+   */
+  getMintingKeyId(service) {
+    return service.signing.enabled ? service.signing.currentKeyId : service.getCurrentKey().id;
+  }
+
+  /**
+   * Read instruction sets from a JSON (object or array) or CSV file
+   * @param {string} file - Input file path
+   * @returns {Object[]} Raw rows
+   */
+  readInstructionSets(file) {
+    if (!file) {
+      throw new Error('Input file is required');
+    }
+
+    const content = fs.readFileSync(file, 'utf8');
+    if (path.extname(file).toLowerCase() === '.csv') {
+      return parseCsv(content);
+    }
+
+    const parsed = JSON.parse(content);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  }
+
+  /**
+   * Validate rows with the same rules the page applies, without enforcing the time window
+   * Scheduled links (nbf in the future) are fine to mint; links that have already expired are not
+   * @param {DecryptionService} service - Service used for validation
+   * @param {Object[]} rows - Raw rows
+   * @returns {{valid: Object[], errors: string[]}}
+   */
+  validateRows(service, rows) {
+    const valid = [];
+    const errors = [];
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    // A jti identifies one link: reusing it would make the links share their opens
+    const jtiRows = new Map();
+
+    rows.forEach((row, index) => {
+      const rowNumber = index + 1;
+      try {
+        const data = normalizeRow(row);
+        const instructionSet = service.validateInstructionSet(data, { checkValidity: false });
+        if (instructionSet.exp !== undefined && instructionSet.exp < nowSeconds) {
+          throw new Error('exp is already in the past');
+        }
+        if (instructionSet.jti !== undefined) {
+          if (jtiRows.has(instructionSet.jti)) {
+            throw new Error(`jti "${instructionSet.jti}" is already used by row ${jtiRows.get(instructionSet.jti)}`);
+          }
+          jtiRows.set(instructionSet.jti, rowNumber);
+        }
+        valid.push({ row: rowNumber, id: row.id, data, instructionSet });
+      } catch (error) {
+        errors.push(`Row ${rowNumber}: ${error.message}`);
+      }
+    });
+
+    return { valid, errors };
+  }
+
+  /**
+   * Build the campaign URL for a payload
+   * @param {string} payload - Encrypted payload
+   * @returns {string} URL, or the bare payload when no base URL is configured
+   */
+  buildUrl(payload) {
+    if (!this.baseUrl) {
+      return payload;
+    }
+    const url = new URL(this.baseUrl);
+    url.searchParams.set('payload', payload);
+    return url.toString();
+  }
+
+  /**
+   * Mint a single link from a JSON file or --data
+   * @param {string} file - Instruction set JSON file
+   * @returns {Promise<boolean>} Success
+   */
+  async mint(file) {
+    const service = await this.createService();
+    const rows = this.options.data ? [JSON.parse(this.options.data)] : this.readInstructionSets(file);
+    if (rows.length !== 1) {
+      throw new Error(`mint expects a single instruction set, got ${rows.length} (use batch instead)`);
+    }
+
+    const { valid, errors } = this.validateRows(service, rows);
+    if (errors.length > 0) {
+      errors.forEach(error => console.error(`❌ ${error}`));
+      return false;
+    }
+
+    const payload = await service.createPayload(valid[0].data);
+    if (!this.baseUrl) {
+      console.warn('⚠️  No base URL configured (use --base-url), printing the payload only');
+    }
+    console.log(this.buildUrl(payload));
+    console.log(`\nEnvironment: ${this.environment}`);
+    console.log(`Key ID: ${this.getMintingKeyId(service)}${service.signing.enabled ? ` (signed, ${service.signing.algorithm})` : ''}`);
+    return true;
+  }
+
+  /**
+   * Decrypt a link and print its instruction set
+   * Expired links still decode, so support can see what a user was sent
+   * @param {string} input - Full URL or bare payload
+   * @returns {Promise<boolean>} Success
+   */
+  async decode(input) {
+    if (!input) {
+      throw new Error('URL or payload is required');
+    }
+
+    const service = await this.createService();
+    let payload = input;
+    if (/^https?:\/\//i.test(input)) {
+      payload = new URL(input).searchParams.get('payload');
+      if (!payload) {
+        throw new Error('URL has no payload parameter');
+      }
+    }
+
+    const encryptedData = service.base64ToArrayBuffer(payload);
+    const signed = service.parseSignedEnvelope(encryptedData);
+    const envelope = signed || service.parseEnvelope(encryptedData);
+    const decryptedText = await service.openPayload(encryptedData);
+    const rawData = JSON.parse(decryptedText);
+
+    let instructionSet;
+    let status = 'active';
+    try {
+      instructionSet = service.validateInstructionSet(rawData, { checkValidity: false });
+      service.checkValidityWindow(instructionSet);
+    } catch (error) {
+      // Links the click URL policy blocks still decode, so support can see where they pointed
+      if (error instanceof BlockedUrlError) {
+        instructionSet = service.validateInstructionSet(rawData, { checkValidity: false, checkUrlPolicy: false });
+        status = `blocked (${error.message})`;
+      } else if (instructionSet) {
+        status = error.reason || error.message;
+      } else {
+        throw error;
+      }
+    }
+
+    console.log(`Key ID: ${envelope ? envelope.keyId : '(legacy format)'}${signed ? ` (signed, ${signed.algorithm})` : ''}`);
+    console.log(`Status: ${status}`);
+    if (instructionSet.jti !== undefined) {
+      console.log(`jti: ${instructionSet.jti} (${instructionSet.max_opens || 1} open${(instructionSet.max_opens || 1) > 1 ? 's' : ''} per device)`);
+    }
+    ['nbf', 'exp'].forEach(field => {
+      if (instructionSet[field] !== undefined) {
+        console.log(`${field}: ${new Date(instructionSet[field] * 1000).toISOString()}`);
+      }
+    });
+    console.log('\nInstruction Set:');
+    console.log(JSON.stringify(JSON.parse(decryptedText), null, 2));
+    return true;
+  }
+
+  /**
+   * Validate an instruction set file without minting
+   * Uses the environment's click URL policy, so rows pass only if the page would follow them
+   * @param {string} file - JSON or CSV file
+   * @returns {Promise<boolean>} Whether every row is valid
+   */
+  async verify(file) {
+    const service = await this.createService();
+    const rows = this.readInstructionSets(file);
+    const { valid, errors } = this.validateRows(service, rows);
+
+    errors.forEach(error => console.error(`❌ ${error}`));
+    console.log(`\n📋 ${valid.length}/${rows.length} instruction sets valid`);
+    return errors.length === 0;
+  }
+
+  /**
+   * Mint links for every row of a JSON/CSV file and write a CSV of URLs
+   * Nothing is written unless every row validates
+   * @param {string} file - JSON or CSV file
+   * @returns {Promise<boolean>} Success
+   */
+  async batch(file) {
+    const service = await this.createService();
+    const rows = this.readInstructionSets(file);
+    const { valid, errors } = this.validateRows(service, rows);
+
+    if (errors.length > 0) {
+      errors.forEach(error => console.error(`❌ ${error}`));
+      console.error(`\n❌ ${errors.length} of ${rows.length} rows invalid, no links minted`);
+      return false;
+    }
+
+    if (!this.baseUrl) {
+      console.warn('⚠️  No base URL configured (use --base-url), writing payloads only');
+    }
+
+    const keyId = this.getMintingKeyId(service);
+    const output = [];
+    for (const entry of valid) {
+      const payload = await service.createPayload(entry.data);
+      output.push({
+        row: entry.row,
+        id: entry.id,
+        key_id: keyId,
+        url: this.buildUrl(payload),
+        image_url: entry.instructionSet.image_url,
+        click_url: entry.instructionSet.click_url,
+        nbf: entry.instructionSet.nbf,
+        exp: entry.instructionSet.exp
+      });
+    }
+
+    const csv = toCsv(OUTPUT_COLUMNS, output);
+    if (this.options.out) {
+      fs.writeFileSync(this.options.out, csv);
+      console.error(`✅ Minted ${output.length} links (${this.environment}, key ID ${keyId}) → ${this.options.out}`);
+    } else {
+      process.stdout.write(csv);
+    }
+    return true;
+  }
+
+  /**
+   * Generate a signing key pair and print the config entries for it
+   * The private key belongs with whoever mints links; only the public key goes into the page config
+   * @returns {Promise<boolean>} Success
+   */
+  async keygen() {
+    const service = new DecryptionService();
+    const keyId = this.options['key-id'] || `sig-${new Date().toISOString().slice(0, 10)}`;
+    const keyPair = await service.generateSigningKeyPair(this.options.algorithm || 'ECDSA-P256');
+
+    console.log(`Algorithm: ${keyPair.algorithm}`);
+    console.log(`Key ID: ${keyId}\n`);
+    console.log('Add to decryption.signing in config/environments.js:');
+    console.log(JSON.stringify({
+      algorithm: keyPair.algorithm,
+      currentKeyId: keyId,
+      publicKeys: { [keyId]: keyPair.publicKey }
+    }, null, 2));
+    console.log('\nPrivate key (keep out of the repository, e.g. in the SIGNING_PRIVATE_KEY environment variable):');
+    console.log(keyPair.privateKey);
+    return true;
+  }
+
+  /**
+   * Parse argv into a command, positional arguments and --options
+   * @param {string[]} argv - process.argv.slice(2)
+   * @returns {{command: string, args: string[], options: Object}}
+   */
+  static parseArgs(argv) {
+    const args = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (arg.startsWith('--')) {
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        options[name] = inlineValue !== undefined ? inlineValue : argv[++i];
+      } else {
+        args.push(arg);
+      }
+    }
+
+    return { command: args.shift(), args, options };
+  }
+
+  static printUsage() {
+    console.log(`Usage: node scripts/link-cli.js <command> [options]
+
+Commands:
+  mint <file.json>          Mint one link (or pass the instruction set with --data '<json>')
+  decode <url|payload>      Decrypt a link and print its instruction set
+  verify <file.json|.csv>   Validate instruction sets without minting
+  batch <file.json|.csv>    Mint a link per row and write a CSV of URLs
+  keygen                    Generate a signing key pair for signed links
+
+Options:
+  --env <name>              Environment from config/environments.js (default: NODE_ENV or development)
+  --config <path>           Config file (default: config/environments.js)
+  --base-url <url>          Page URL to append ?payload= to (default: deployment.baseUrl)
+  --out <file.csv>          Output file for batch (default: stdout)
+  --algorithm <name>        Signature algorithm for keygen: ECDSA-P256 (default) or Ed25519
+  --key-id <id>             Key ID for keygen (default: sig-<date>)`);
+  }
+}
+
+// Run CLI if called directly
+if (import.meta.url === `file://${process.argv[1]}` || import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const { command, args, options } = LinkCli.parseArgs(process.argv.slice(2));
+  const cli = new LinkCli(options);
+
+  cli.run(command, args)
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌', error.message);
+      process.exit(1);
+    });
+}
+
+export default LinkCli;
@@ -0,0 +1,233 @@
+// @vitest-environment node
+
+/**
+ * Tests for the link CLI: CSV parsing, row coercion, mint → decode round trips with symmetric and
+ * signed keys, and all-or-nothing batches
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import LinkCli, { parseCsv, normalizeRow } from './link-cli.js';
+import DecryptionService from '../public/decryption-service.js';
+
+const instruction = {
+  image_url: 'https://example.com/image.jpg',
+  click_url: 'https://shop.example.com/landing'
+};
+
+describe('parseCsv', () => {
+  it('should key rows by the trimmed header', () => {
+    expect(parseCsv(' id ,image_url\n1,https://example.com/a.jpg\n')).toEqual([
+      { id: '1', image_url: 'https://example.com/a.jpg' }
+    ]);
+  });
+
+  it('should keep commas, newlines and escaped quotes inside quoted fields', () => {
+    const rows = parseCsv('id,overlay\n1,"{""title"":""Sale, today""}"\n2,"line one\nline two"\n');
+
+    expect(rows).toEqual([
+      { id: '1', overlay: '{"title":"Sale, today"}' },
+      { id: '2', overlay: 'line one\nline two' }
+    ]);
+  });
+
+  it('should accept CRLF line endings and skip blank lines', () => {
+    expect(parseCsv('id,click_url\r\n1,https://example.com/a\r\n\r\n2,https://example.com/b\r\n')).toEqual([
+      { id: '1', click_url: 'https://example.com/a' },
+      { id: '2', click_url: 'https://example.com/b' }
+    ]);
+  });
+
+  it('should fill missing trailing cells and parse a last line without a newline', () => {
+    expect(parseCsv('id,image_url,click_url\n1,https://example.com/a.jpg')).toEqual([
+      { id: '1', image_url: 'https://example.com/a.jpg', click_url: '' }
+    ]);
+    expect(parseCsv('\n\n')).toEqual([]);
+  });
+});
+
+describe('normalizeRow', () => {
+  it('should convert booleans, numbers and JSON columns and drop empty cells and id', () => {
+    const data = normalizeRow({
+      id: 'row-1',
+      image_url: 'https://example.com/a.jpg',
+      auto_click: 'Yes',
+      deeplink_priority: 'false',
+      auto_click_delay: '1500',
+      max_opens: '3',
+      creatives: '[{"image_url":"https://example.com/b.jpg","click_url":"https://example.com/b"}]',
+      experiments: '{"id":"exp-1","variants":[{"id":"a","weight":1}]}',
+      click_url: '',
+      jti: 'cmp-1'
+    });
+
+    expect(data).toEqual({
+      image_url: 'https://example.com/a.jpg',
+      auto_click: true,
+      deeplink_priority: false,
+      auto_click_delay: 1500,
+      max_opens: 3,
+      creatives: [{ image_url: 'https://example.com/b.jpg', click_url: 'https://example.com/b' }],
+      experiments: { id: 'exp-1', variants: [{ id: 'a', weight: 1 }] },
+      jti: 'cmp-1'
+    });
+  });
+
+  it('should accept Unix seconds or ISO dates for exp and nbf', () => {
+    expect(normalizeRow({ exp: '1767225600', nbf: '2026-01-01T00:00:00Z' })).toEqual({ exp: 1767225600, nbf: 1767225600 });
+  });
+
+  it('should keep unparseable dates so validation reports them', () => {
+    expect(normalizeRow({ exp: 'next week' })).toEqual({ exp: 'next week' });
+  });
+
+  it('should pass through values that are not strings (JSON input)', () => {
+    expect(normalizeRow({ max_opens: 2, auto_click: true, click_url: null })).toEqual({ max_opens: 2, auto_click: true });
+  });
+});
+
+describe('LinkCli', () => {
+  let tmpDir;
+  let configPath;
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'link-cli-'));
+    const keyPair = await new DecryptionService().generateSigningKeyPair('ECDSA-P256');
+    const environments = {
+      development: {
+        decryption: {
+          encryptionKey: 'test-key-for-link-cli-0123456789',
+          currentKeyId: 'test-1',
+          keyring: { 'test-1': 'test-key-for-link-cli-0123456789' }
+        },
+        security: { clickUrls: { allowedSchemes: ['https'], allowedDomains: ['example.com'] } }
+      },
+      signed: {
+        decryption: {
+          signing: {
+            enabled: true,
+            required: true,
+            currentKeyId: 'sig-test-1',
+            publicKeys: { 'sig-test-1': keyPair.publicKey },
+            privateKeys: { 'sig-test-1': keyPair.privateKey }
+          }
+        }
+      }
+    };
+
+    // .mjs: the temp directory has no package.json marking .js files as ES modules
+    configPath = path.join(tmpDir, 'environments.mjs');
+    fs.writeFileSync(configPath, `export const environments = ${JSON.stringify(environments)};\n`);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Run a command and collect what it printed
+   */
+  const run = async (command, args, options = {}) => {
+    const logs = [];
+    const errors = [];
+    vi.spyOn(console, 'log').mockImplementation((...parts) => logs.push(parts.join(' ')));
+    vi.spyOn(console, 'error').mockImplementation((...parts) => errors.push(parts.join(' ')));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // vitest sets NODE_ENV=test, which names no environment
+    const success = await new LinkCli({ config: configPath, env: 'development', ...options }).run(command, args);
+    vi.restoreAllMocks();
+    return { success, logs, errors };
+  };
+
+  const writeInput = (name, content) => {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  it.each([
+    ['development', 'Key ID: test-1'],
+    ['signed', 'Key ID: sig-test-1 (signed, ECDSA-P256)']
+  ])('should decode what it minted (%s)', async (env, keyLine) => {
+    const minted = await run('mint', [], { env, data: JSON.stringify({ ...instruction, jti: 'cmp-1' }) });
+    expect(minted.success).toBe(true);
+
+    const payload = minted.logs[0];
+    const decoded = await run('decode', [payload], { env });
+
+    expect(decoded.success).toBe(true);
+    expect(decoded.logs).toContain(keyLine);
+    expect(decoded.logs).toContain('Status: active');
+    expect(decoded.logs.join('\n')).toContain('"click_url": "https://shop.example.com/landing"');
+    expect(decoded.logs).toContain('jti: cmp-1 (1 open per device)');
+  });
+
+  it('should put the payload in the base URL when one is given', async () => {
+    const minted = await run('mint', [], { data: JSON.stringify(instruction), 'base-url': 'https://ads.example.com/' });
+    const url = new URL(minted.logs[0]);
+
+    expect(url.origin).toBe('https://ads.example.com');
+    expect((await run('decode', [minted.logs[0]])).logs).toContain('Status: active');
+  });
+
+  it('should validate rows against the environment click URL policy', async () => {
+    const file = writeInput('verify.csv', `image_url,click_url\n${instruction.image_url},${instruction.click_url}\n${instruction.image_url},https://elsewhere.test/\n`);
+
+    const result = await run('verify', [file]);
+
+    expect(result.success).toBe(false);
+    expect(result.errors).toEqual([expect.stringContaining('Row 2: Blocked click_url')]);
+  });
+
+  it('should mint nothing when any batch row is invalid', async () => {
+    const out = path.join(tmpDir, 'links-invalid.csv');
+    const file = writeInput('batch-invalid.csv', [
+      'id,image_url,click_url,exp',
+      `a,${instruction.image_url},${instruction.click_url},`,
+      `b,${instruction.image_url},${instruction.click_url},2020-01-01T00:00:00Z`
+    ].join('\r\n'));
+
+    const result = await run('batch', [file], { out });
+
+    expect(result.success).toBe(false);
+    expect(result.errors).toContain('❌ Row 2: exp is already in the past');
+    expect(fs.existsSync(out)).toBe(false);
+  });
+
+  it('should reject a batch that reuses a jti', async () => {
+    const out = path.join(tmpDir, 'links-duplicate.csv');
+    const file = writeInput('batch-duplicate.csv', [
+      'id,image_url,click_url,jti',
+      `a,${instruction.image_url},${instruction.click_url},cmp-1`,
+      `b,${instruction.image_url},${instruction.click_url},cmp-1`
+    ].join('\r\n'));
+
+    const result = await run('batch', [file], { out });
+
+    expect(result.success).toBe(false);
+    expect(result.errors).toContain('❌ Row 2: jti "cmp-1" is already used by row 1');
+    expect(fs.existsSync(out)).toBe(false);
+  });
+
+  it('should write a link per row when the whole batch is valid', async () => {
+    const out = path.join(tmpDir, 'links.csv');
+    const file = writeInput('batch.json', JSON.stringify([
+      { id: 'a', ...instruction, jti: 'cmp-1' },
+      { id: 'b', ...instruction, jti: 'cmp-2', max_opens: 2 }
+    ]));
+
+    const result = await run('batch', [file], { out });
+    const rows = parseCsv(fs.readFileSync(out, 'utf8'));
+
+    expect(result.success).toBe(true);
+    expect(rows.map(row => [row.row, row.id, row.key_id])).toEqual([['1', 'a', 'test-1'], ['2', 'b', 'test-1']]);
+    expect((await run('decode', [rows[1].url])).logs).toContain('jti: cmp-2 (2 opens per device)');
+  });
+});
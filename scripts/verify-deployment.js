@@ -8,12 +8,17 @@
 import fs from "fs";
 import path from "path";
 import { execSync } from "child_process";
+import crypto from "crypto";
+import { pathToFileURL } from "url";
 
 class DeploymentVerifier {
   constructor() {
     this.buildDir = 'dist';
     this.errors = [];
     this.warnings = [];
+    // Script sources that would let injected markup run code
+    this.unsafeScriptSources = ["'unsafe-inline'", "'unsafe-eval'", '*', 'http:', 'https:', 'data:', 'blob:'];
+    this.securityHeaders = ['X-Content-Type-Options', 'X-Frame-Options', 'Referrer-Policy'];
   }
 
   /**
@@ -29,6 +34,7 @@ class DeploymentVerifier {
       await this.runTests();
       await this.checkPerformance();
       await this.checkSecurity();
+      await this.checkSecrets();
 
       this.printResults();
       
@@ -187,6 +193,10 @@ class DeploymentVerifier {
             if (config.analytics !== true) {
               this.warnings.push('Analytics disabled in production');
             }
+            const clickUrls = (config.security && config.security.clickUrls) || {};
+            if (!Array.isArray(clickUrls.allowedDomains) || clickUrls.allowedDomains.length === 0) {
+              this.warnings.push('No click URL domain allowlist in production (security.clickUrls.allowedDomains): links can send visitors to any site');
+            }
           }
         } else {
           this.errors.push('Configuration format invalid');
@@ -259,19 +269,9 @@ class DeploymentVerifier {
   async checkSecurity() {
     console.log('🔒 Checking security...');
 
-    // Check HTML for security headers
-    const htmlPath = path.join(this.buildDir, 'index.html');
-    if (fs.existsSync(htmlPath)) {
-      const html = fs.readFileSync(htmlPath, 'utf8');
-      
-      if (!html.includes('X-Content-Type-Options')) {
-        this.warnings.push('Missing X-Content-Type-Options header');
-      }
-      
-      if (!html.includes('X-Frame-Options')) {
-        this.warnings.push('Missing X-Frame-Options header');
-      }
-    }
+    const builtConfig = this.readBuiltConfig();
+    this.checkContentSecurityPolicy(builtConfig);
+    this.checkSubresourceIntegrity(builtConfig);
 
     // Check for sensitive information in build files
     const files = fs.readdirSync(this.buildDir);
@@ -299,6 +299,272 @@ class DeploymentVerifier {
     console.log('✅ Security check complete');
   }
 
+  /**
+   * Every external script must carry integrity and crossorigin attributes; hashes on
+   * self-hosted scripts (the vendored Firebase SDK) must match the built files
+   * @param {Object|null} config - Built ENV_CONFIG
+   */
+  checkSubresourceIntegrity(config) {
+    const scriptTagRegex = /<script\b[^>]*\bsrc=["']([^"']+)["'][^>]*>/gi;
+    const htmlFiles = fs.readdirSync(this.buildDir).filter(file => file.endsWith('.html'));
+
+    for (const file of htmlFiles) {
+      const html = fs.readFileSync(path.join(this.buildDir, file), 'utf8');
+      for (const [tag, src] of html.matchAll(scriptTagRegex)) {
+        const integrityMatch = tag.match(/\bintegrity=["']([^"']*)["']/i);
+        const integrity = integrityMatch ? integrityMatch[1] : null;
+
+        if (/^(https?:)?\/\//i.test(src)) {
+          if (!integrity) {
+            this.errors.push(`${file}: external script ${src} has no integrity attribute`);
+          } else if (!/^sha(256|384|512)-[A-Za-z0-9+/]+=*$/.test(integrity)) {
+            this.errors.push(`${file}: external script ${src} has a malformed integrity value`);
+          }
+          if (!/\bcrossorigin\b/i.test(tag)) {
+            this.errors.push(`${file}: external script ${src} has no crossorigin attribute`);
+          }
+          continue;
+        }
+
+        const localPath = path.join(this.buildDir, src.split(/[?#]/)[0]);
+        if (integrity && /^sha(256|384|512)-/.test(integrity) && fs.existsSync(localPath)) {
+          const [algorithm] = integrity.split('-');
+          const expected = `${algorithm}-${crypto.createHash(algorithm).update(fs.readFileSync(localPath)).digest('base64')}`;
+          if (integrity !== expected) {
+            this.errors.push(`${file}: integrity of ${src} does not match the built file`);
+          }
+        }
+      }
+    }
+
+    const analytics = config && config.analytics;
+    const googleAnalytics = analytics && analytics.enabled && analytics.googleAnalytics;
+    if (googleAnalytics && googleAnalytics.trackingId && !googleAnalytics.integrity) {
+      this.warnings.push('gtag.js loads without integrity (set analytics.googleAnalytics.scriptUrl to a pinned copy)');
+    }
+  }
+
+  /**
+   * Validate the generated CSP: the <meta> policy of every page and, for Firebase Hosting,
+   * the firebase.json header policy and security headers
+   * @param {Object|null} config - Built ENV_CONFIG
+   */
+  checkContentSecurityPolicy(config) {
+    const csp = config && config.security && config.security.csp;
+    const enabled = csp === true || Boolean(csp && typeof csp === 'object' && csp.enabled !== false);
+    if (!enabled) {
+      if (config && config.environment === 'production') {
+        this.warnings.push('Content Security Policy disabled in production (security.csp)');
+      }
+      return;
+    }
+
+    const allInlineScripts = [];
+    const htmlFiles = fs.readdirSync(this.buildDir).filter(file => file.endsWith('.html'));
+    for (const file of htmlFiles) {
+      const html = fs.readFileSync(path.join(this.buildDir, file), 'utf8');
+      const inlineScripts = this.getInlineScripts(html);
+      allInlineScripts.push(...inlineScripts);
+
+      const meta = html.match(/<meta http-equiv="Content-Security-Policy" content="([^"]*)"/i);
+      if (!meta) {
+        this.errors.push(`${file} has no Content-Security-Policy <meta> tag`);
+        continue;
+      }
+      this.validateContentSecurityPolicy(meta[1], `${file} <meta>`, inlineScripts);
+    }
+
+    if (config.deployTarget !== 'firebase') {
+      return;
+    }
+
+    if (!fs.existsSync('firebase.json')) {
+      this.errors.push('firebase.json not found: Content-Security-Policy header missing (the Firebase build generates it from firebase.template.json)');
+      return;
+    }
+
+    const hosting = JSON.parse(fs.readFileSync('firebase.json', 'utf8')).hosting || {};
+    const allPaths = (hosting.headers || []).find(entry => entry.source === '**');
+    const headers = new Map(((allPaths && allPaths.headers) || []).map(header => [header.key, header.value]));
+
+    if (!headers.has('Content-Security-Policy')) {
+      this.errors.push('firebase.json sets no Content-Security-Policy header for all paths');
+    } else {
+      const directives = this.validateContentSecurityPolicy(headers.get('Content-Security-Policy'), 'firebase.json header', allInlineScripts);
+      if (!directives.has('frame-ancestors')) {
+        this.warnings.push('firebase.json Content-Security-Policy has no frame-ancestors directive');
+      }
+    }
+
+    this.securityHeaders.filter(key => !headers.has(key)).forEach(key => {
+      this.warnings.push(`Missing ${key} header for all paths in firebase.json`);
+    });
+  }
+
+  /**
+   * Contents of the inline scripts of a page
+   * @param {string} html - Built HTML
+   * @returns {Array<string>} Script bodies
+   */
+  getInlineScripts(html) {
+    const scripts = [];
+    const inlineScriptRegex = /<script\b(?![^>]*\bsrc=)[^>]*>([\s\S]*?)<\/script>/gi;
+    let match;
+    while ((match = inlineScriptRegex.exec(html)) !== null) {
+      if (match[1]) {
+        scripts.push(match[1]);
+      }
+    }
+    return scripts;
+  }
+
+  /**
+   * Split a policy into its directives
+   * @param {string} policy - Content-Security-Policy value
+   * @returns {Map<string, string[]>} Directive name to sources (the first occurrence wins, as in browsers)
+   */
+  parseContentSecurityPolicy(policy) {
+    const directives = new Map();
+    policy.split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+      const [name, ...values] = part.split(/\s+/);
+      if (!directives.has(name.toLowerCase())) {
+        directives.set(name.toLowerCase(), values);
+      }
+    });
+    return directives;
+  }
+
+  /**
+   * Check a policy is strict and still lets the page's own inline scripts run
+   * @param {string} policy - Content-Security-Policy value
+   * @param {string} label - Where the policy came from, for messages
+   * @param {Array<string>} inlineScripts - Inline scripts the policy must allow
+   * @returns {Map<string, string[]>} Parsed directives
+   */
+  validateContentSecurityPolicy(policy, label, inlineScripts) {
+    const directives = this.parseContentSecurityPolicy(policy);
+    const scriptSources = directives.get('script-src') || directives.get('default-src');
+
+    if (!directives.has('default-src')) {
+      this.errors.push(`${label}: CSP has no default-src directive`);
+    }
+    if (!scriptSources) {
+      this.errors.push(`${label}: CSP does not restrict scripts (no script-src or default-src)`);
+      return directives;
+    }
+
+    scriptSources.filter(source => this.unsafeScriptSources.includes(source)).forEach(source => {
+      this.errors.push(`${label}: script-src allows ${source}`);
+    });
+
+    const objectSources = directives.get('object-src') || directives.get('default-src') || [];
+    if (!(objectSources.length === 1 && objectSources[0] === "'none'")) {
+      this.errors.push(`${label}: object-src must be 'none'`);
+    }
+    if (!directives.has('base-uri')) {
+      this.warnings.push(`${label}: CSP has no base-uri directive`);
+    }
+
+    const missing = inlineScripts.filter(script => {
+      const hash = `'sha256-${crypto.createHash('sha256').update(script, 'utf8').digest('base64')}'`;
+      return !scriptSources.includes(hash);
+    });
+    if (missing.length > 0) {
+      this.errors.push(`${label}: ${missing.length} inline script(s) have no matching hash and would be blocked`);
+    }
+
+    return directives;
+  }
+
+  /**
+   * Fail when a key that can mint links ships in the build
+   * A symmetric key lets anyone decrypt and forge payloads unless the page only accepts signed
+   * links; signing private keys must never ship
+   */
+  async checkSecrets() {
+    console.log('🔑 Checking for shipped secrets...');
+
+    const config = this.readBuiltConfig();
+    const decryption = (config && config.decryption) || {};
+    const signing = decryption.signing || {};
+    const signaturesRequired = signing.required === true;
+
+    if (Object.keys(signing.privateKeys || {}).length > 0) {
+      this.errors.push('Signing private key shipped in env-config.js (decryption.signing.privateKeys)');
+    }
+
+    const shippedKeys = [decryption.encryptionKey, ...Object.values(decryption.keyring || {})].filter(Boolean);
+    if (shippedKeys.length > 0 && !signaturesRequired) {
+      this.errors.push('Symmetric decryption key shipped in env-config.js: anyone can decrypt and forge links. Mint signed links and set decryption.signing.required');
+    } else if (shippedKeys.length > 0) {
+      this.warnings.push('Payload encryption key ships because decryption.signing.encrypt is on: it can reveal payloads but not forge signed links');
+    }
+
+    // The keys from the build config must not turn up in any other built file either
+    const secrets = await this.loadSourceSecrets(config);
+    const files = fs.readdirSync(this.buildDir).filter(file => /\.(js|map|html|json|css|txt)$/.test(file));
+    for (const file of files) {
+      const content = fs.readFileSync(path.join(this.buildDir, file), 'utf8');
+
+      if (/-----BEGIN [A-Z ]*PRIVATE KEY-----/.test(content) || secrets.privateKeys.some(key => content.includes(key))) {
+        this.errors.push(`Signing private key found in ${file}`);
+      }
+      // env-config.js is judged by the checks above
+      if (file !== 'env-config.js' && secrets.symmetricKeys.some(key => content.includes(key))) {
+        this.errors.push(`Symmetric decryption key found in ${file}`);
+      }
+    }
+
+    console.log('✅ Secret check complete');
+  }
+
+  /**
+   * Parse the built env-config.js
+   * @returns {Object|null} ENV_CONFIG, or null if missing or malformed
+   */
+  readBuiltConfig() {
+    const configPath = path.join(this.buildDir, 'env-config.js');
+    if (!fs.existsSync(configPath)) {
+      return null;
+    }
+
+    const configMatch = fs.readFileSync(configPath, 'utf8').match(/window\.ENV_CONFIG = ({.*});/s);
+    try {
+      return configMatch ? JSON.parse(configMatch[1]) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Collect the decryption and signing keys of the built environment from config/environments.js
+   * @param {Object|null} builtConfig - Built ENV_CONFIG (names the environment and deploy target)
+   * @returns {Promise<{symmetricKeys: string[], privateKeys: string[]}>}
+   */
+  async loadSourceSecrets(builtConfig) {
+    const secrets = { symmetricKeys: [], privateKeys: [] };
+    const configPath = path.resolve('config/environments.js');
+    if (!builtConfig || !fs.existsSync(configPath)) {
+      return secrets;
+    }
+
+    try {
+      const module = await import(pathToFileURL(configPath).href);
+      const source = typeof module.getConfig === 'function'
+        ? module.getConfig(builtConfig.environment, builtConfig.deployTarget)
+        : (module.environments || {})[builtConfig.environment];
+      const decryption = (source && source.decryption) || {};
+      const isKey = value => typeof value === 'string' && value.length >= 8;
+
+      secrets.symmetricKeys = [decryption.encryptionKey, ...Object.values(decryption.keyring || {})].filter(isKey);
+      secrets.privateKeys = Object.values((decryption.signing && decryption.signing.privateKeys) || {}).filter(isKey);
+    } catch (error) {
+      this.warnings.push(`Could not load config/environments.js to scan for secrets: ${error.message}`);
+    }
+
+    return secrets;
+  }
+
   /**
    * Print verification results
    */